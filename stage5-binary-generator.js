@@ -0,0 +1,354 @@
+/**
+ * ============================================================================
+ * BINARY CODE GENERATOR - STAGE 5: REAL WASM COMPILATION
+ * ============================================================================
+ *
+ * Второй бэкенд компилятора. WasmCodeGenerator выдаёт текст WAT, который
+ * затем разбирает WatAssembler - то есть каждая инструкция сначала
+ * превращается в строку, а потом строка снова разбирается в инструкцию.
+ * Бинарный генератор убирает этот круг: он обходит тот же типизированный
+ * AST и пишет опкоды прямо в растущий байтовый буфер.
+ *
+ * КАК ЭТО УСТРОЕНО:
+ *
+ * Обход AST (какие инструкции нужны для if, while, бинарной операции...)
+ * целиком унаследован от WasmCodeGenerator. Генератор вызывает instr() для
+ * каждой инструкции и begin/end-методы для структуры модуля; здесь они
+ * переопределены так, что вместо строк заполняется WasmModuleBuilder -
+ * тот же построитель модуля, которым пользуется WatAssembler.
+ *
+ *   Типизированный AST
+ *     ├─ WasmCodeGenerator   → WAT текст → WatAssembler → WasmModuleBuilder → .wasm
+ *     └─ WasmBinaryGenerator ─────────────────────────────→ WasmModuleBuilder → .wasm
+ *
+ * Раз обход общий, а кодирование инструкций одно и то же, оба бэкенда
+ * должны давать модули с одинаковым поведением (а на деле - одинаковые
+ * байты). Compiler.compareBackends() использует это как
+ * дифференциальный тест.
+ */
+
+/**
+ * Базовый класс берётся из реестра CompilerStage5 или через require -
+ * так файл работает и в браузере (после stage5-wasm-generator.js), и в Node.
+ */
+function WasmCodeGeneratorBase() {
+    if (globalThis.CompilerStage5 && globalThis.CompilerStage5.WasmCodeGenerator) {
+        return globalThis.CompilerStage5.WasmCodeGenerator;
+    }
+    return require('./stage5-wasm-generator.js').WasmCodeGenerator;
+}
+
+/**
+ * WasmBinaryGenerator - генератор бинарного WASM модуля.
+ *
+ * generate(ast) возвращает Uint8Array с готовым .wasm модулем вместо текста.
+ */
+class WasmBinaryGenerator extends WasmCodeGeneratorBase() {
+    constructor() {
+        super();
+
+        // Модуль, в который пишутся объявления и тела функций
+        this.builder = null;
+
+        // Буфер инструкций текущей функции и контекст разрешения имён
+        this.code = null;
+        this.context = null;
+        this.functionIndex = null;
+        this.signature = null;
+
+        // Типы результата if, для которых ещё не записан опкод (см. beginThen)
+        this.pendingIfTypes = [];
+
+        // Места инструкций (см. WasmCodeGenerator.currentLoc): индекс
+        // функции → [{ offset, loc }], смещения - от начала инструкций
+        // функции, как у перемещений. Запись делается, когда место меняется
+        this.codeLocations = new Map();
+        this.locations = null;
+
+        // Карта кода (SourceMap) или null. С картой в модуль пишутся секции
+        // name и sourceMappingURL; включает Compiler (опция sourceMap)
+        this.sourceMap = null;
+    }
+
+    beginModule() {
+        const { WasmModuleBuilder } = globalThis.CompilerStage5;
+        this.builder = new WasmModuleBuilder();
+        this.codeLocations = new Map();
+    }
+
+    /**
+     * Кодирует модуль и возвращает байты .wasm.
+     */
+    endModule() {
+        if (this.relocations) {
+            this.builder.addCustom('stage5.reloc', this.encodeRelocations());
+        }
+        if (this.sourceMap) {
+            this.builder.addDebugSections(this.sourceMap, this.codeLocations);
+        }
+        return this.builder.toBytes();
+    }
+
+    /**
+     * Секция перемещений для WasmLinker (формат описан в stage5-linker.js):
+     * вектор записей [вид, цель, индекс, смещение].
+     */
+    encodeRelocations() {
+        const { WasmBinaryWriter } = globalThis.CompilerStage5;
+        const kinds = { memory: 0, table: 1, heap: 2 };
+        const targets = { code: 0, data: 1, global: 2 };
+
+        const out = new WasmBinaryWriter();
+        out.u32(this.relocations.length);
+        for (const relocation of this.relocations) {
+            out.byte(kinds[relocation.kind]);
+            out.byte(targets[relocation.target]);
+            if (relocation.target === 'global') {
+                out.u32(this.builder.globalNames.get(`$${relocation.name}`));
+                out.u32(0);
+            } else {
+                // Сегмент данных у модуля один
+                out.u32(relocation.target === 'code' ? relocation.index : 0);
+                out.u32(relocation.offset);
+            }
+        }
+        return out.toBytes();
+    }
+
+    declareImportFunction(moduleName, fieldName, name, params, results) {
+        const typeIndex = this.builder.internType(params, results);
+        this.builder.addImport('func', moduleName, fieldName, `$${name}`, { typeIndex });
+    }
+
+    declareGlobal(name, type, mutable, init) {
+        const { WasmBinaryWriter, WasmOpcode } = globalThis.CompilerStage5;
+
+        const initCode = new WasmBinaryWriter();
+        this.builder.encodeInstruction(init[0], init.slice(1).map(String), 0, initCode, null);
+        initCode.byte(WasmOpcode.end);
+
+        this.builder.addGlobal(`$${name}`, { valType: type, mutable }, initCode);
+    }
+
+    declareMemory(name, pages) {
+        this.builder.addMemory(`$${name}`, { min: pages, max: null });
+    }
+
+    declareData(offset, bytes) {
+        const { WasmBinaryWriter, WasmOpcode } = globalThis.CompilerStage5;
+
+        const offsetCode = new WasmBinaryWriter();
+        this.builder.encodeInstruction('i32.const', [String(offset)], 0, offsetCode, null);
+        offsetCode.byte(WasmOpcode.end);
+
+        this.builder.addData(offsetCode, bytes);
+    }
+
+    declareTable(name, size) {
+        this.builder.addTable(`$${name}`, { min: size, max: null }, 'funcref');
+    }
+
+    declareElem(offset, names) {
+        const { WasmBinaryWriter, WasmOpcode } = globalThis.CompilerStage5;
+
+        const offsetCode = new WasmBinaryWriter();
+        this.builder.encodeInstruction('i32.const', [String(offset)], 0, offsetCode, null);
+        offsetCode.byte(WasmOpcode.end);
+
+        const indices = names.map(name => this.builder.funcNames.get(`$${name}`));
+        this.builder.addElem(0, offsetCode, indices);
+    }
+
+    /**
+     * Объявляет все функции модуля до генерации тел: call должен знать
+     * индекс вызываемой функции, даже если она определена ниже.
+     */
+    declareFunctions(functions) {
+        for (const node of functions) {
+            const signature = this.functionSignatures.get(node.name);
+            const typeIndex = this.builder.internType(
+                signature.params.map(param => param.type),
+                signature.result !== null ? [signature.result] : []
+            );
+            this.builder.addFunction(`$${node.name}`, typeIndex);
+        }
+    }
+
+    declareStart(name) {
+        this.builder.setStart(this.builder.funcNames.get(`$${name}`));
+    }
+
+    beginFunction(name, signature) {
+        const { WasmBinaryWriter } = globalThis.CompilerStage5;
+
+        this.functionIndex = this.builder.funcNames.get(`$${name}`);
+        this.code = new WasmBinaryWriter();
+
+        const localNames = new Map();
+        [...signature.params, ...signature.locals].forEach((local, index) => {
+            localNames.set(`$${local.name}`, index);
+        });
+
+        // Тело функции - неявный блок без метки
+        this.context = { localNames, labels: [null] };
+        this.signature = signature;
+        this.locations = [];
+    }
+
+    endFunction() {
+        const { WasmOpcode } = globalThis.CompilerStage5;
+
+        this.code.byte(WasmOpcode.end);
+        this.builder.setFunctionBody(
+            this.functionIndex,
+            this.signature.locals.map(local => local.type),
+            this.code,
+            [...this.signature.params, ...this.signature.locals].map(local => `$${local.name}`)
+        );
+        this.codeLocations.set(this.functionIndex, this.locations);
+
+        this.code = null;
+        this.context = null;
+        this.signature = null;
+        this.locations = null;
+    }
+
+    /**
+     * Запоминает место следующей инструкции, если оно не то же, что
+     * у предыдущей.
+     */
+    markLocation() {
+        const last = this.locations[this.locations.length - 1];
+        if (!last || last.loc !== this.currentLoc) {
+            this.locations.push({ offset: this.code.length, loc: this.currentLoc });
+        }
+    }
+
+    /**
+     * Код функции для кэша инкрементальной компиляции: тело в построителе
+     * и перемещения в нём. Смещения перемещений отсчитываются от начала
+     * тела, поэтому при повторе меняется только индекс функции.
+     */
+    functionCodeMark() {
+        return this.relocations ? this.relocations.length : 0;
+    }
+
+    functionCode(node, mark) {
+        const index = this.builder.funcNames.get(`$${node.name}`);
+        const func = this.builder.funcs[index - this.builder.importCount('func')];
+        return {
+            locals: func.locals,
+            localNames: func.localNames,
+            body: func.code,
+            relocations: this.relocations ? this.relocations.slice(mark) : [],
+            locations: this.shiftCodeLocations(this.codeLocations.get(index), -node.loc.start.line)
+        };
+    }
+
+    restoreFunctionCode(node, code) {
+        const index = this.builder.funcNames.get(`$${node.name}`);
+        this.builder.setFunctionBody(index, code.locals, code.body, code.localNames);
+        this.codeLocations.set(index, this.shiftCodeLocations(code.locations, node.loc.start.line));
+        if (this.relocations) {
+            code.relocations.forEach(relocation => this.relocations.push(Object.assign({}, relocation, { index })));
+        }
+    }
+
+    shiftCodeLocations(entries, delta) {
+        const shifted = this.shiftLocations(entries.map(entry => entry.loc), delta);
+        return entries.map((entry, i) => ({ offset: entry.offset, loc: shifted[i] }));
+    }
+
+    /**
+     * Индексы функций, глобальных переменных и типов видны в кодировке
+     * инструкций - тело функции годится, только если они не сдвинулись.
+     */
+    describeModuleForCache() {
+        return Object.assign(super.describeModuleForCache(), {
+            functions: [...this.builder.funcNames],
+            globals: [...this.builder.globalNames],
+            types: this.builder.types
+        });
+    }
+
+    declareExport(name, kind, ref) {
+        const names = {
+            func: this.builder.funcNames,
+            global: this.builder.globalNames,
+            memory: this.builder.memoryNames
+        };
+        this.builder.addExport(name, kind, this.builder.resolveIndex(`$${ref}`, names[kind], kind));
+    }
+
+    /**
+     * Кодирует инструкцию. Операнды передаются в том же виде, что и в
+     * WAT ($x, 42), поэтому разрешение имён и кодирование констант общие
+     * с ассемблером.
+     */
+    instr(op, ...immediates) {
+        this.markLocation();
+        const items = immediates.map(item => Array.isArray(item) ? item : String(item));
+        const end = this.builder.encodeInstruction(op, items, 0, this.code, this.context);
+        if (end !== immediates.length) {
+            throw new Error(`Лишние операнды у инструкции ${op}`);
+        }
+    }
+
+    /**
+     * Смещение перемещения в коде считается от начала инструкций функции
+     * (после объявлений локальных) и указывает на LEB128 значения -
+     * сразу за опкодом i32.const.
+     */
+    relocatableConst(kind, value) {
+        if (this.relocations) {
+            this.relocations.push({ kind, target: 'code', index: this.functionIndex, offset: this.code.length + 1 });
+        }
+        super.relocatableConst(kind, value);
+    }
+
+    beginBlock(kind, label, resultType = null) {
+        const { WasmOpcode } = globalThis.CompilerStage5;
+
+        this.markLocation();
+        this.code.byte(WasmOpcode[kind]);
+        this.builder.encodeBlockType([], resultType ? [resultType] : [], this.code);
+        this.context.labels.push(label);
+    }
+
+    endBlock() {
+        const { WasmOpcode } = globalThis.CompilerStage5;
+
+        this.code.byte(WasmOpcode.end);
+        this.context.labels.pop();
+    }
+
+    beginIf(resultType = null) {
+        // Условие вычисляется до опкода if - пока только запоминаем тип
+        this.pendingIfTypes.push(resultType);
+    }
+
+    beginThen() {
+        this.beginBlock('if', null, this.pendingIfTypes.pop());
+    }
+
+    beginElse() {
+        const { WasmOpcode } = globalThis.CompilerStage5;
+        this.markLocation();
+        this.code.byte(WasmOpcode.else);
+    }
+
+    endIf() {
+        this.endBlock();
+    }
+}
+
+// Экспорт
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { WasmBinaryGenerator };
+
+    // Построитель модуля и кодирование инструкций - общие с ассемблером
+    require('./stage5-wat-assembler.js');
+}
+
+globalThis.CompilerStage5 = globalThis.CompilerStage5 || {};
+globalThis.CompilerStage5.WasmBinaryGenerator = WasmBinaryGenerator;
@@ -18,11 +18,32 @@
  * Типизированный AST (дерево с аннотациями типов)
  *     ↓  [Генератор кода]
  * WebAssembly текстовый формат (.wat)
- *     ↓  [WebAssembly API браузера]
- * WebAssembly бинарный модуль (исполняемый)
+ *     ↓  [Ассемблер WAT]
+ * WebAssembly бинарный формат (.wasm)
+ *     ↓  [WebAssembly API]
+ * Инстанцированный модуль (исполняемый)
+ * 
+ * Между типовым анализом и генерацией кода могут выполняться проходы
+ * оптимизации (опция optimizations, см. stage5-optimizer.js): они
+ * преобразуют типизированный AST, не меняя поведения программы.
+ * 
+ * Генерацию кода выполняет один из двух бэкендов (опция backend):
+ * - 'wat'    - WasmCodeGenerator пишет текст, WatAssembler собирает бинарный
+ *              модуль (по умолчанию; текст виден в визуализации)
+ * - 'binary' - WasmBinaryGenerator пишет бинарный модуль напрямую
  * 
  * Каждая фаза принимает выход предыдущей фазы и производит вход для
  * следующей. Это классическая архитектура многопроходного компилятора.
+ * 
+ * Фазы находят друг друга через реестр globalThis.CompilerStage5. В
+ * браузере его заполняют теги script (там globalThis - это window), в
+ * Node - require('./stage5-compiler.js'), который подключает все фазы.
+ * Командная строка над тем же Compiler - stage5c.js.
+ * 
+ * Проверять сам компилятор помогают эталонный интерпретатор типизированного
+ * AST (interpret, stage5-interpreter.js) и дифференциальное тестирование на
+ * случайных программах (fuzz, stage5-fuzz.js; программы порождает
+ * stage5-program-generator.js).
  */
 
 class Compiler {
@@ -33,15 +54,26 @@ class Compiler {
         this.typeAnalyzer = null;
         this.codeGenerator = null;
         
+        // Кэш для опции incremental (создаётся при первой такой компиляции)
+        this.compilationCache = null;
+        
         // Результаты каждой фазы (для отладки и визуализации)
         this.compilationResults = {
             source: '',
+            backend: 'wat',
             tokens: [],
             ast: null,
             typedAst: null,
+            optimizedAst: null,
+            optimizations: null,
+            ir: null,
+            incremental: null,
+            sourceMap: null,
             watCode: '',
+            binary: null,
             wasmModule: null,
-            errors: []
+            errors: [],
+            diagnostics: []
         };
     }
     
@@ -53,21 +85,72 @@ class Compiler {
      * WASM модуль.
      * 
      * @param {string} sourceCode - Исходный JavaScript код
+     * @param {Object} options - Опции компиляции
+     * @param {string} options.backend - 'wat' (по умолчанию) или 'binary'
+     * @param {Array|Object} options.optimizations - Проходы оптимизации:
+     *        список имён или выбор селектора Stage 6/7 (см. PassManager).
+     *        Без опции AST не оптимизируется
+     * @param {boolean|Array} options.ir - Генерировать функции модуля
+     *        через SSA IR (stage5-ir.js): true - со всеми проходами
+     *        IrPasses, список - только с перечисленными
+     * @param {boolean} options.relocatable - Записать в модуль перемещения
+     *        (секция stage5.reloc), чтобы его можно было компоновать с
+     *        другими модулями (см. link). Только для бэкенда 'binary'
+     * @param {string} options.stopAfter - Остановиться после фазы
+     *        'lexer', 'parser' или 'type' (results.ast - AST до типового
+     *        анализа, который дописывает типы в те же узлы)
+     * @param {boolean|CompilationCache} options.incremental - Повторно
+     *        использовать результаты прошлой компиляции (см.
+     *        stage5-incremental.js): true - кэш этого компилятора,
+     *        объект CompilationCache - общий кэш. Что пришлось
+     *        пересчитать, пишется в results.incremental
+     * @param {boolean|Object} options.sourceMap - Связать инструкции
+     *        модуля с исходным кодом (см. stage5-source-map.js): секция
+     *        sourceMappingURL со ссылкой на карту кода и секция name с
+     *        именами функций и локальных. true - карта встраивается в
+     *        модуль; { fileName, url } - имя исходного файла в карте и
+     *        адрес, по которому будет лежать файл карты. Карта -
+     *        results.sourceMap
      * @returns {Object} - Результаты компиляции
      */
-    async compile(sourceCode) {
+    async compile(sourceCode, options = {}) {
+        const backend = options.backend || 'wat';
+        if (backend !== 'wat' && backend !== 'binary') {
+            throw new Error(`Неизвестный бэкенд: ${backend}`);
+        }
+        if (options.relocatable && backend !== 'binary') {
+            throw new Error('Перемещаемый модуль выдаёт только бэкенд binary');
+        }
+        if (options.stopAfter && !['lexer', 'parser', 'type'].includes(options.stopAfter)) {
+            throw new Error(`Неизвестная фаза: ${options.stopAfter}`);
+        }
+        
+        // Из кэша приходит уже типизированный AST, поэтому AST парсера
+        // (stopAfter: 'parser') строится без него
+        const cache = options.incremental && options.stopAfter !== 'lexer' && options.stopAfter !== 'parser'
+            ? this.incrementalCache(options.incremental)
+            : null;
+        
         console.log('═══════════════════════════════════════════════════════');
         console.log('🔧 STARTING COMPILATION PROCESS');
         console.log('═══════════════════════════════════════════════════════\n');
         
         this.compilationResults = {
             source: sourceCode,
+            backend: backend,
             tokens: [],
             ast: null,
             typedAst: null,
+            optimizedAst: null,
+            optimizations: null,
+            ir: null,
+            incremental: null,
+            sourceMap: null,
             watCode: '',
+            binary: null,
             wasmModule: null,
-            errors: []
+            errors: [],
+            diagnostics: []
         };
         
         try {
@@ -76,87 +159,232 @@ class Compiler {
             console.log('Converting source code to tokens...\n');
             
             const startLex = performance.now();
-            const { Lexer } = window.CompilerStage5;
+            const { Lexer } = globalThis.CompilerStage5;
             this.lexer = new Lexer(sourceCode);
             const tokens = this.lexer.tokenize();
             const lexTime = performance.now() - startLex;
             
             this.compilationResults.tokens = tokens;
+            this.addDiagnostics(this.lexer.diagnostics);
             
             console.log(`✓ Lexical analysis complete in ${lexTime.toFixed(2)}ms`);
             console.log(`  Generated ${tokens.length} tokens`);
+            console.log(`  Lexical errors found: ${this.lexer.diagnostics.length}`);
             console.log(`  First 5 tokens: ${tokens.slice(0, 5).map(t => t.type).join(', ')}\n`);
             
+            if (options.stopAfter === 'lexer') {
+                return this.compilationResults;
+            }
+            
             // ═══ ФАЗА 2: СИНТАКСИЧЕСКИЙ АНАЛИЗ ═══
             console.log('🌳 PHASE 2: SYNTAX ANALYSIS');
             console.log('Building Abstract Syntax Tree...\n');
             
             const startParse = performance.now();
-            const { Parser } = window.CompilerStage5;
-            this.parser = new Parser(tokens);
-            const ast = this.parser.parse();
+            const { Parser } = globalThis.CompilerStage5;
+            
+            // Кэш разбирает только изменённые фрагменты; код с
+            // лексическими и синтаксическими ошибками разбирает обычный парсер
+            let ast = cache && this.lexer.diagnostics.length === 0 ? cache.parse(tokens) : null;
+            const incremental = ast !== null;
+            let syntaxDiagnostics = [];
+            if (incremental) {
+                this.parser = null;
+                this.compilationResults.incremental = cache.stats;
+            } else {
+                this.parser = new Parser(tokens);
+                ast = this.parser.parse();
+                syntaxDiagnostics = this.parser.diagnostics;
+            }
             const parseTime = performance.now() - startParse;
             
             this.compilationResults.ast = ast;
             
+            this.addDiagnostics(syntaxDiagnostics);
+            
             console.log(`✓ Syntax analysis complete in ${parseTime.toFixed(2)}ms`);
             console.log(`  AST root type: ${ast.type}`);
-            console.log(`  Top-level nodes: ${ast.body.length}\n`);
+            console.log(`  Top-level nodes: ${ast.body.length}`);
+            console.log(`  Syntax errors found: ${syntaxDiagnostics.length}`);
+            if (incremental) {
+                console.log(`  Incremental: ${cache.stats.parsedChunks} of ${cache.stats.chunks} chunks parsed`);
+            }
+            console.log('');
+            
+            if (options.stopAfter === 'parser') {
+                return this.compilationResults;
+            }
             
             // ═══ ФАЗА 3: ТИПОВОЙ АНАЛИЗ ═══
             console.log('🔍 PHASE 3: TYPE ANALYSIS');
             console.log('Inferring types for all expressions...\n');
             
             const startType = performance.now();
-            const { TypeAnalyzer } = window.CompilerStage5;
-            this.typeAnalyzer = new TypeAnalyzer();
-            const typedAst = this.typeAnalyzer.analyze(ast);
+            const { TypeAnalyzer } = globalThis.CompilerStage5;
+            this.typeAnalyzer = incremental ? null : new TypeAnalyzer();
+            const typedAst = (incremental ? cache : this.typeAnalyzer).analyze(ast);
+            const typeErrors = incremental ? cache.errors : this.typeAnalyzer.errors;
             const typeTime = performance.now() - startType;
             
             this.compilationResults.typedAst = typedAst;
-            this.compilationResults.errors.push(...this.typeAnalyzer.errors);
+            this.addDiagnostics(typeErrors);
             
             console.log(`✓ Type analysis complete in ${typeTime.toFixed(2)}ms`);
-            console.log(`  Type errors found: ${this.typeAnalyzer.errors.length}`);
+            console.log(`  Type errors found: ${typeErrors.length}`);
+            if (incremental) {
+                console.log(`  Incremental: ${cache.stats.typedComponents} of ${cache.stats.components} components typed`);
+            }
             
-            if (this.typeAnalyzer.errors.length > 0) {
+            if (typeErrors.length > 0) {
                 console.log('  Errors:');
-                this.typeAnalyzer.errors.forEach(err => console.log(`    - ${err}`));
+                typeErrors.forEach(err => console.log(`    - ${err}`));
             }
             console.log('');
             
+            if (options.stopAfter === 'type') {
+                return this.compilationResults;
+            }
+            
+            // Анализатор типов проверяет и код с синтаксическими ошибками
+            // (на их месте в AST - ErrorNode), чтобы показать все ошибки
+            // сразу, но генерировать из такого AST нечего
+            if (syntaxDiagnostics.some(diagnostic => diagnostic.isError())) {
+                console.log('✗ Code generation skipped: syntax errors found\n');
+                return this.compilationResults;
+            }
+            
+            // ═══ ОПТИМИЗАЦИЯ (по запросу) ═══
+            // Проходы рассчитаны на корректно типизированный AST: код
+            // с ошибками типов генерируется без оптимизаций
+            let programAst = typedAst;
+            if (options.optimizations && this.compilationResults.errors.length === 0) {
+                console.log('✨ OPTIMIZATION');
+                
+                const { PassManager } = globalThis.CompilerStage5;
+                const report = new PassManager(options.optimizations).run(typedAst);
+                programAst = report.ast;
+                
+                this.compilationResults.optimizedAst = report.ast;
+                this.compilationResults.optimizations = {
+                    applied: report.applied,
+                    skipped: report.skipped
+                };
+                
+                report.applied.forEach(pass => console.log(`  ${pass.name}: ${pass.changes} changes`));
+                if (report.skipped.length > 0) {
+                    console.log(`  No pass for: ${report.skipped.join(', ')}`);
+                }
+                console.log('');
+            }
+            
             // ═══ ФАЗА 4: ГЕНЕРАЦИЯ КОДА ═══
             console.log('⚙️  PHASE 4: CODE GENERATION');
-            console.log('Generating WebAssembly code...\n');
+            console.log(`Generating WebAssembly code (${backend} backend)...\n`);
             
             const startGen = performance.now();
-            const { WasmCodeGenerator } = window.CompilerStage5;
-            this.codeGenerator = new WasmCodeGenerator();
-            const watCode = this.codeGenerator.generate(typedAst);
+            let watCode = '';
+            let binary = null;
+            const { WasmBinaryGenerator, WasmCodeGenerator, IrPasses } = globalThis.CompilerStage5;
+            this.codeGenerator = backend === 'binary' ? new WasmBinaryGenerator() : new WasmCodeGenerator();
+            
+            // Как и оптимизации AST, IR строится только для кода без ошибок
+            if (options.ir && this.compilationResults.errors.length === 0) {
+                this.codeGenerator.irPasses = options.ir === true ? Object.keys(IrPasses) : options.ir;
+            }
+            if (options.relocatable) {
+                this.codeGenerator.relocations = [];
+            }
+            
+            // Бэкенд binary пишет отладочные секции сам, у бэкенда wat -
+            // ассемблер по местам строк текста
+            const sourceMap = options.sourceMap ? this.createSourceMap(sourceCode, options.sourceMap) : null;
+            if (sourceMap && backend === 'binary') {
+                this.codeGenerator.sourceMap = sourceMap;
+            }
+            this.compilationResults.sourceMap = sourceMap;
+            
+            // Оптимизированный AST - копия, его узлов кэш не знает
+            if (incremental && programAst === typedAst) {
+                this.codeGenerator.functionCache = cache;
+            }
+            
+            if (backend === 'binary') {
+                binary = this.codeGenerator.generate(programAst);
+            } else {
+                watCode = this.codeGenerator.generate(programAst);
+            }
+            if (this.codeGenerator.irPasses) {
+                this.compilationResults.ir = this.codeGenerator.irFunctions;
+                console.log(`  SSA IR: ${this.codeGenerator.irFunctions.length} functions (${this.codeGenerator.irPasses.join(', ')})`);
+            }
             const genTime = performance.now() - startGen;
             
             this.compilationResults.watCode = watCode;
+            this.compilationResults.binary = binary;
+            this.addDiagnostics(this.codeGenerator.diagnostics);
             
             console.log(`✓ Code generation complete in ${genTime.toFixed(2)}ms`);
-            console.log(`  Generated ${watCode.split('\n').length} lines of WAT code`);
-            console.log(`  Code size: ${watCode.length} characters\n`);
+            if (this.codeGenerator.functionCache) {
+                console.log(`  Incremental: ${cache.stats.reusedFunctions} function bodies reused, ` +
+                            `${cache.stats.generatedFunctions} generated`);
+            }
+            if (binary) {
+                console.log(`  Module size: ${binary.length} bytes\n`);
+            } else {
+                console.log(`  Generated ${watCode.split('\n').length} lines of WAT code`);
+                console.log(`  Code size: ${watCode.length} characters\n`);
+            }
             
             // ═══ ФАЗА 5: КОМПИЛЯЦИЯ В БИНАРНЫЙ WASM ═══
+            // Модуль с ошибками типов или генерации не инстанцируется: его
+            // код не соответствует исходному, а ошибка валидации WASM была
+            // бы лишь следствием уже показанной ошибки. Модуль с import
+            // тоже не инстанцируется: функции других модулей подставит
+            // только компоновщик (см. link). Но байты модуля с import
+            // нужны: WAT ассемблируется в results.binary
             console.log('🚀 PHASE 5: BINARY COMPILATION');
-            console.log('Compiling WAT to executable WASM...\n');
-            
-            try {
-                const startCompile = performance.now();
-                const wasmModule = await this.compileWat(watCode);
-                const compileTime = performance.now() - startCompile;
-                
-                this.compilationResults.wasmModule = wasmModule;
-                
-                console.log(`✓ Binary compilation complete in ${compileTime.toFixed(2)}ms`);
-                console.log(`  Module instantiated and ready to execute\n`);
-            } catch (error) {
-                console.error('✗ Binary compilation failed:', error.message);
-                this.compilationResults.errors.push(`WASM compilation error: ${error.message}`);
+            const importsModules = programAst.body.some(node => node.type === 'ImportDeclaration');
+            if (this.compilationResults.errors.length > 0) {
+                console.log('✗ Binary compilation skipped: compilation errors found\n');
+            } else {
+                console.log(binary ? 'Instantiating WASM module...\n' : 'Compiling WAT to executable WASM...\n');
+                const debug = sourceMap && { sourceMap, locations: this.codeGenerator.outputLocations };
+
+                try {
+                    const startCompile = performance.now();
+                    if (importsModules) {
+                        if (!binary) {
+                            const { WatAssembler } = globalThis.CompilerStage5;
+                            this.compilationResults.binary = new WatAssembler().assemble(watCode, debug);
+                        }
+                        console.log(`✓ Binary compilation complete in ${(performance.now() - startCompile).toFixed(2)}ms`);
+                        console.log('  Instantiation skipped: module imports functions of other modules, link it with them\n');
+                    } else {
+                        const wasmModule = binary
+                            ? await this.instantiateBinary(binary, null, sourceMap)
+                            : await this.compileWat(watCode, debug);
+                        const compileTime = performance.now() - startCompile;
+
+                        this.compilationResults.wasmModule = wasmModule;
+                        this.compilationResults.binary = wasmModule.binary;
+
+                        console.log(`✓ Binary compilation complete in ${compileTime.toFixed(2)}ms`);
+                        if (sourceMap) {
+                            console.log(`  Source map: ${sourceMap.mappings.length} mappings`);
+                        }
+                        console.log(`  Module instantiated and ready to execute\n`);
+                    }
+                } catch (error) {
+                    console.error('✗ Binary compilation failed:', error.message);
+                    const { Diagnostic, DiagnosticSeverity, DiagnosticCode } = globalThis.CompilerStage5;
+                    this.addDiagnostics([new Diagnostic(
+                        DiagnosticCode.WASM_COMPILATION,
+                        DiagnosticSeverity.ERROR,
+                        `WASM compilation error: ${error.message}`,
+                        null,
+                        'wasm'
+                    )]);
+                }
             }
             
             // ═══ ИТОГИ ═══
@@ -178,39 +406,514 @@ class Compiler {
             
         } catch (error) {
             console.error('✗ COMPILATION FAILED:', error);
-            this.compilationResults.errors.push(error.message);
+            
+            // CompilerError несёт диагностику; всё остальное - внутренняя
+            // ошибка компилятора без позиции
+            const { Diagnostic, DiagnosticSeverity, DiagnosticCode } = globalThis.CompilerStage5;
+            this.addDiagnostics([error.diagnostic || new Diagnostic(
+                DiagnosticCode.INTERNAL,
+                DiagnosticSeverity.ERROR,
+                error.message,
+                null,
+                'internal'
+            )]);
             return this.compilationResults;
         }
     }
     
     /**
-     * Компилирует WAT код в бинарный WASM модуль.
+     * Кэш инкрементальной компиляции для значения опции incremental.
+     */
+    incrementalCache(option) {
+        const { CompilationCache } = globalThis.CompilerStage5;
+        if (option instanceof CompilationCache) {
+            return option;
+        }
+        if (!this.compilationCache) {
+            this.compilationCache = new CompilationCache();
+        }
+        return this.compilationCache;
+    }
+    
+    /**
+     * Карта кода для значения опции sourceMap.
+     */
+    createSourceMap(sourceCode, option) {
+        const { SourceMap } = globalThis.CompilerStage5;
+        const settings = option === true ? {} : option;
+        return new SourceMap({
+            fileName: settings.fileName,
+            source: sourceCode,
+            url: settings.url
+        });
+    }
+    
+    /**
+     * Добавляет диагностики фазы к результатам компиляции.
+     * 
+     * diagnostics содержит всё, что сообщили фазы; errors - только ошибки
+     * (компиляция успешна, когда errors пуст). И то и другое - объекты
+     * Diagnostic, а их toString() даёт прежний текст сообщения.
+     */
+    addDiagnostics(diagnostics) {
+        for (const diagnostic of diagnostics) {
+            this.compilationResults.diagnostics.push(diagnostic);
+            if (diagnostic.isError()) {
+                this.compilationResults.errors.push(diagnostic);
+            }
+        }
+    }
+    
+    /**
+     * Рисует диагностику с фрагментом исходного кода последней компиляции:
+     * строка с ошибкой и ^^^ под точным диапазоном.
      * 
+     * @param {Diagnostic} diagnostic - Диагностика из results.diagnostics
+     * @param {Object} options - { contextLines, fileName }
+     * @returns {string}
+     */
+    renderCodeFrame(diagnostic, options = {}) {
+        const { renderCodeFrame } = globalThis.CompilerStage5;
+        return renderCodeFrame(this.compilationResults.source, diagnostic, options);
+    }
+    
+    /**
+     * Рисует все диагностики последней компиляции, разделяя их пустой строкой.
+     */
+    formatDiagnostics(options = {}) {
+        return this.compilationResults.diagnostics
+            .map(diagnostic => this.renderCodeFrame(diagnostic, options))
+            .join('\n\n');
+    }
+    
+    /**
+     * Компилирует WAT код в бинарный WASM модуль.
+     *
      * WebAssembly имеет два формата:
      * - Текстовый (.wat) - человеко-читаемый
      * - Бинарный (.wasm) - компактный, исполняемый
-     * 
-     * Браузеры предоставляют API для компиляции WAT в WASM.
-     * К сожалению, стандартный WebAssembly API принимает только бинарный
-     * формат. Для компиляции текстового формата нужен wabt.js (WebAssembly
-     * Binary Toolkit) или другой инструмент.
-     * 
-     * Для демонстрации мы возвращаем текстовый код - в реальном приложении
-     * здесь был бы вызов wabt.js для конверсии.
+     *
+     * Стандартный WebAssembly API принимает только бинарный формат, поэтому
+     * текст сначала проходит через наш WatAssembler (без wabt.js и других
+     * зависимостей), а затем модуль компилируется и инстанцируется.
+     *
+     * @param {string} watCode - Текст модуля
+     * @param {Object|null} debug - Карта кода и места строк текста
+     *        ({ sourceMap, locations }, см. WatAssembler.assemble)
+     * @returns {Promise<Object>} - Бинарный модуль с готовыми к вызову экспортами
      */
-    async compileWat(watCode) {
-        // В реальной системе здесь был бы:
-        // const wabt = await loadWabt();
-        // const module = wabt.parseWat('module.wat', watCode);
-        // const binary = module.toBinary({});
-        // return WebAssembly.compile(binary.buffer);
-        
-        // Для демонстрации возвращаем обёртку с текстовым кодом
+    async compileWat(watCode, debug = null) {
+        const { WatAssembler } = globalThis.CompilerStage5;
+        const assembler = new WatAssembler();
+        const binary = assembler.assemble(watCode, debug);
+
+        return this.instantiateBinary(binary, watCode, debug ? debug.sourceMap : null);
+    }
+
+    /**
+     * Компилирует и инстанцирует готовый бинарный модуль.
+     *
+     * Общий путь обоих бэкендов: и ассемблированный WAT, и выход
+     * WasmBinaryGenerator попадают сюда.
+     *
+     * @param {Uint8Array} binary - Байты .wasm модуля
+     * @param {string|null} watCode - Текст модуля, если он был
+     * @param {SourceMap|null} sourceMap - Карта кода модуля, если она есть
+     * @returns {Promise<Object>} - Бинарный модуль с готовыми к вызову экспортами
+     */
+    async instantiateBinary(binary, watCode, sourceMap = null) {
+        const { module, instance } = await WebAssembly.instantiate(binary, this.createImports());
+
         return {
-            type: 'text-module',
+            type: 'binary-module',
             wat: watCode,
-            note: 'В реальной системе это был бы скомпилированный бинарный модуль'
+            binary: binary,
+            module: module,
+            instance: instance,
+            exports: instance.exports,
+            sourceMap: sourceMap,
+            bridge: this.createBridge(module, instance, sourceMap)
+        };
+    }
+
+    /**
+     * Компонует отдельно скомпилированные модули в один и инстанцирует его.
+     * 
+     * Модули компилируются с опцией relocatable: у каждого свои строки и
+     * замыкания, и в общей памяти их адреса сдвигаются (см. WasmLinker).
+     * Функцию другого модуля модуль объявляет как
+     * import function name(x: i32): i32 from "module"; - такой модуль
+     * compile не инстанцирует, он работает только после компоновки.
+     * 
+     * @param {Array<Object>} modules - { name, wasm } - имя, под которым
+     *        модуль видят импорты других модулей, и его байты
+     * @returns {Object} - Результат instantiateBinary
+     */
+    async link(modules) {
+        const { WasmLinker } = globalThis.CompilerStage5;
+        const binary = new WasmLinker().link(modules);
+        return this.instantiateBinary(binary, null);
+    }
+    
+    /**
+     * Создаёт WABridge для модуля с линейной памятью.
+     *
+     * Строки скомпилированного кода живут в памяти модуля; прочитать
+     * строку, которую вернула функция, или передать строку в функцию
+     * можно через bridge.readStringRef / writeStringRef. Если граничный
+     * слой (wasm-boundary-layer.js) не загружен или у модуля нет памяти,
+     * мост не нужен.
+     *
+     * С картой кода ошибки bridge.call показывают строки исходного кода.
+     */
+    createBridge(module, instance, sourceMap = null) {
+        const boundary = globalThis.WASMBoundary;
+        if (!boundary || !instance.exports.memory) {
+            return null;
+        }
+
+        const bridge = new boundary.WABridge();
+        bridge.attachInstance({ module, instance });
+        if (sourceMap) {
+            bridge.attachSourceMap(sourceMap);
+        }
+        return bridge;
+    }
+
+    /**
+     * Дифференциальная проверка бэкендов.
+     *
+     * Компилирует один и тот же код обоими бэкендами и вызывает
+     * экспортированные функции с одинаковыми аргументами. Модули обязаны
+     * вести себя одинаково; любое расхождение - ошибка в одном из бэкендов
+     * (или в ассемблере).
+     *
+     * @param {string} sourceCode - Исходный JavaScript код
+     * @param {Array<Object>} calls - Вызовы вида { name: 'add', args: [2, 3] }
+     * @returns {Promise<Object>} - { match, identicalBinary, mismatches }
+     */
+    async compareBackends(sourceCode, calls) {
+        const watResults = await new Compiler().compile(sourceCode, { backend: 'wat' });
+        const binaryResults = await new Compiler().compile(sourceCode, { backend: 'binary' });
+
+        if (!watResults.wasmModule || !binaryResults.wasmModule) {
+            const mismatches = [{ call: null, wat: watResults.errors, binary: binaryResults.errors }];
+            return { match: false, identicalBinary: false, mismatches };
+        }
+
+        const mismatches = this.compareCalls(calls, {
+            wat: call => watResults.wasmModule.exports[call.name](...call.args),
+            binary: call => binaryResults.wasmModule.exports[call.name](...call.args)
+        });
+
+        const a = watResults.binary;
+        const b = binaryResults.binary;
+        const identicalBinary = a.length === b.length && a.every((byte, i) => byte === b[i]);
+
+        return { match: mismatches.length === 0, identicalBinary, mismatches };
+    }
+
+    /**
+     * Дифференциальная проверка оптимизаций.
+     *
+     * Проходы оптимизации не должны менять поведение программы (см.
+     * stage5-optimizer.js). Метод компилирует код без оптимизаций и
+     * с выбранными проходами и сравнивает результаты одинаковых вызовов,
+     * включая trap'ы - так же, как compareBackends сравнивает бэкенды.
+     *
+     * @param {string} sourceCode - Исходный JavaScript код
+     * @param {Array<Object>} calls - Вызовы вида { name: 'add', args: [2, 3] }
+     * @param {Array|Object} optimizations - Проходы (по умолчанию все)
+     * @returns {Promise<Object>} - { match, mismatches, optimizations }
+     */
+    async compareOptimizations(sourceCode, calls, optimizations = null) {
+        const { OptimizationPasses } = globalThis.CompilerStage5;
+
+        const baseResults = await new Compiler().compile(sourceCode);
+        const optimizedResults = await new Compiler().compile(sourceCode, {
+            optimizations: optimizations || Object.keys(OptimizationPasses)
+        });
+
+        if (!baseResults.wasmModule || !optimizedResults.wasmModule) {
+            const mismatches = [{ call: null, base: baseResults.errors, optimized: optimizedResults.errors }];
+            return { match: false, mismatches, optimizations: optimizedResults.optimizations };
+        }
+
+        const mismatches = this.compareCalls(calls, {
+            base: call => baseResults.wasmModule.exports[call.name](...call.args),
+            optimized: call => optimizedResults.wasmModule.exports[call.name](...call.args)
+        });
+
+        return { match: mismatches.length === 0, mismatches, optimizations: optimizedResults.optimizations };
+    }
+
+    /**
+     * Проверка соответствия семантике JavaScript.
+     *
+     * Язык компилятора - подмножество JavaScript, поэтому у каждой программы
+     * есть эталон: тот же исходный код, выполненный самим JS движком.
+     * Метод компилирует код, выполняет его же как JavaScript и сравнивает
+     * результаты вызовов. Так проверяются тонкости, которые легко упустить
+     * в генераторе: 2 && 1 должно давать 1, а не 0, правый операнд || не
+     * должен вычисляться, если левый истинен, и т.п.
+     *
+     * Аннотации типов (a: i32) в JavaScript не входят, поэтому эталон
+     * выполняется без них (см. stripTypeAnnotations).
+     *
+     * WASM возвращает boolean как i32, поэтому эталонные true/false
+     * сравниваются как 1/0. Строки (аргументы и результаты) передаются
+     * через память модуля с помощью WABridge, поэтому для них нужен
+     * загруженный wasm-boundary-layer.js.
+     *
+     * @param {string} sourceCode - Исходный JavaScript код
+     * @param {Array<Object>} calls - Вызовы вида { name: 'add', args: [2, 3] }
+     * @param {Object} options - Опции компиляции (например, { backend: 'binary' })
+     * @returns {Promise<Object>} - { match, mismatches }
+     */
+    async checkConformance(sourceCode, calls, options = {}) {
+        const results = await new Compiler().compile(sourceCode, options);
+
+        if (!results.wasmModule) {
+            return { match: false, mismatches: [{ call: null, errors: results.errors }] };
+        }
+
+        // Эталон: исходный код как тело функции, возвращающей нужные функции.
+        // log передаётся параметром, как импорт env.log у модуля.
+        const names = [...new Set(calls.map(call => call.name))];
+        const reference = new Function(
+            'log',
+            `${this.stripTypeAnnotations(sourceCode, results.ast)}\nreturn { ${names.map(name => `${name}: ${name}`).join(', ')} };`
+        )(() => {});
+
+        const bridge = results.wasmModule.bridge;
+        const noBridge = 'Нет моста для строк: не загружен wasm-boundary-layer.js или у модуля нет памяти';
+
+        const mismatches = this.compareCalls(calls, {
+            expected: call => {
+                const value = reference[call.name](...call.args);
+                return typeof value === 'boolean' ? Number(value) : value;
+            },
+            actual: (call, expected) => {
+                // Без моста (граничный слой не загружен или у модуля нет
+                // памяти) строки не передать и не прочитать
+                const usesStrings = typeof expected.value === 'string' ||
+                    call.args.some(arg => typeof arg === 'string');
+                if (usesStrings && !bridge) {
+                    throw new Error(noBridge);
+                }
+
+                const args = call.args.map(arg => typeof arg === 'string' ? bridge.writeStringRef(arg) : arg);
+                const value = results.wasmModule.exports[call.name](...args);
+                return typeof expected.value === 'string' ? bridge.readStringRef(value) : value;
+            }
+        }, (expected, actual) => {
+            // NaN равен NaN, а 0 и -0 не различаются: i32 не умеет хранить -0
+            const sameValue = expected.value === actual.value ||
+                (Number.isNaN(expected.value) && Number.isNaN(actual.value));
+
+            // Исключения сравниваются только по факту: тексты ошибок
+            // JS движка и WASM (trap) различаются
+            return sameValue && ('error' in expected) === ('error' in actual) && actual.error !== noBridge;
+        });
+
+        return { match: mismatches.length === 0, mismatches };
+    }
+
+    /**
+     * Общая часть дифференциальных проверок (compareBackends,
+     * compareOptimizations, checkConformance): выполняет каждый вызов на
+     * двух сторонах и собирает вызовы, исходы которых различаются.
+     *
+     * Исход вызова - { value } или { error } с текстом исключения (trap
+     * тоже исключение). Вторая сторона получает исход первой: по нему
+     * checkConformance узнаёт, что результат - строка.
+     *
+     * @param {Array<Object>} calls - Вызовы вида { name: 'add', args: [2, 3] }
+     * @param {Object} sides - Две стороны { имя: (call, first) => результат }
+     * @param {Function} same - Сравнение исходов; по умолчанию значения
+     *        сравниваются через Object.is, ошибки - по тексту
+     * @returns {Array<Object>} - Несовпадения { call, <имя стороны>: исход }
+     */
+    compareCalls(calls, sides, same = (a, b) => Object.is(a.value, b.value) && a.error === b.error) {
+        const [firstName, secondName] = Object.keys(sides);
+
+        const run = (side, call, first) => {
+            try {
+                return { value: side(call, first) };
+            } catch (error) {
+                return { error: error.message };
+            }
+        };
+
+        const mismatches = [];
+        for (const call of calls) {
+            const first = run(sides[firstName], call, null);
+            const second = run(sides[secondName], call, first);
+            if (!same(first, second)) {
+                mismatches.push({ call, [firstName]: first, [secondName]: second });
+            }
+        }
+        return mismatches;
+    }
+
+    /**
+     * Выполняет функцию программы эталонным интерпретатором (см.
+     * stage5-interpreter.js) - без генерации кода и WASM, но с той же
+     * семантикой i32/f64, что у скомпилированного модуля. Генератор
+     * кода интерпретатор не использует, поэтому его ошибки не повторяет.
+     *
+     * Каждый вызов - новый экземпляр программы: код верхнего уровня
+     * выполняется заново. Остановка, которая в модуле была бы trap,
+     * бросает InterpreterTrap; программа с ошибками не выполняется -
+     * бросается CompilerError с первой ошибкой.
+     *
+     * @param {string} sourceCode - Исходный код
+     * @param {string} fnName - Имя функции
+     * @param {Array} args - Аргументы (строки, массивы и объекты - как есть)
+     * @returns {*} - Результат: число (boolean - 0 или 1), строка, массив,
+     *          объект или undefined
+     */
+    interpret(sourceCode, fnName, args = []) {
+        const { Lexer, Parser, TypeAnalyzer, Interpreter, CompilerError } = globalThis.CompilerStage5;
+
+        const lexer = new Lexer(sourceCode);
+        const parser = new Parser(lexer.tokenize());
+        const ast = parser.parse();
+        const typeAnalyzer = new TypeAnalyzer();
+        const typedAst = typeAnalyzer.analyze(ast);
+
+        const error = [...lexer.diagnostics, ...parser.diagnostics, ...typeAnalyzer.errors]
+            .find(diagnostic => diagnostic.isError());
+        if (error) {
+            throw new CompilerError(error);
+        }
+
+        return new Interpreter(typedAst).call(fnName, args);
+    }
+
+    /**
+     * Дифференциальное тестирование на случайных программах: порождает
+     * корректно типизированные программы, компилирует их с разными
+     * опциями и сравнивает вызовы модулей с эталонным интерпретатором
+     * (см. FuzzHarness в stage5-fuzz.js).
+     *
+     * @param {Object} options - { seed, programs, calls, compileOptions, maxSteps }
+     * @returns {Promise<Object>} - { match, seed, programs, calls, skipped, failures }
+     */
+    async fuzz(options = {}) {
+        const { FuzzHarness } = globalThis.CompilerStage5;
+        return new FuzzHarness(options).run();
+    }
+
+    /**
+     * Форматирует исходный код: разбирает его и печатает AST обратно
+     * (CodePrinter). Комментарии к операторам сохраняются.
+     *
+     * Код с синтаксической ошибкой отформатировать нельзя - на месте
+     * ошибки в AST нет кода, и он потерялся бы. В этом случае бросается
+     * CompilerError с первой ошибкой лексера или парсера. По той же
+     * причине код с комментарием внутри выражения, списка параметров или
+     * объекта (Parser.detachedComments) не форматируется - ошибка P004.
+     *
+     * @param {string} sourceCode - Исходный код
+     * @param {Object} options - Опции CodePrinter ({ indent })
+     * @returns {string} - Отформатированный код
+     */
+    format(sourceCode, options = {}) {
+        const {
+            Lexer, Parser, CodePrinter, CompilerError,
+            Diagnostic, DiagnosticCode, DiagnosticSeverity
+        } = globalThis.CompilerStage5;
+
+        const lexer = new Lexer(sourceCode);
+        const parser = new Parser(lexer.tokenize());
+        const ast = parser.parse();
+
+        const syntaxError = [...lexer.diagnostics, ...parser.diagnostics].find(diagnostic => diagnostic.isError());
+        if (syntaxError) {
+            throw new CompilerError(syntaxError);
+        }
+
+        const [comment] = parser.detachedComments();
+        if (comment) {
+            throw new CompilerError(new Diagnostic(
+                DiagnosticCode.DETACHED_COMMENT, DiagnosticSeverity.ERROR,
+                'Комментарий внутри выражения при форматировании потерялся бы: перенесите его на строку оператора',
+                Diagnostic.span(comment.line, comment.column), 'parser'
+            ));
+        }
+
+        return new CodePrinter(options).print(ast);
+    }
+
+    /**
+     * Убирает из исходного кода аннотации типов вместе с двоеточием:
+     * `function f(a: i32): f64` превращается в `function f(a)`.
+     * Позиции аннотаций берутся из loc узлов AST, так что двоеточия
+     * тернарных операторов и объектов не затрагиваются.
+     *
+     * @param {string} sourceCode - Исходный код
+     * @param {Object} ast - AST этого кода
+     * @returns {string} - Код на обычном JavaScript
+     */
+    stripTypeAnnotations(sourceCode, ast) {
+        const annotations = [];
+        const collect = (node) => {
+            if (!node || typeof node !== 'object') return;
+            if (Array.isArray(node)) {
+                node.forEach(collect);
+                return;
+            }
+            for (const key of ['typeAnnotation', 'returnType']) {
+                if (node[key] && node[key].loc) annotations.push(node[key]);
+            }
+            for (const key in node) {
+                if (key !== 'inferredType' && key !== 'loc') collect(node[key]);
+            }
+        };
+        collect(ast);
+
+        // Смещения начала строк: loc хранит строку и колонку (с 1)
+        const lineStarts = [0];
+        for (let i = 0; i < sourceCode.length; i++) {
+            if (sourceCode[i] === '\n') lineStarts.push(i + 1);
+        }
+        const offset = (pos) => lineStarts[pos.line - 1] + pos.column - 1;
+
+        let result = sourceCode;
+        const ranges = annotations
+            .map(node => ({ start: offset(node.loc.start), end: offset(node.loc.end) }))
+            .sort((a, b) => b.start - a.start);
+        for (const range of ranges) {
+            let start = range.start;
+            while (start > 0 && result[start - 1] !== ':') start--;
+            result = result.slice(0, start - 1) + result.slice(range.end);
+        }
+        return result;
+    }
+
+    /**
+     * Создаёт объект импортов для инстанцирования скомпилированного модуля.
+     *
+     * Должен покрывать всё, что объявляет WasmCodeGenerator.generateImports():
+     * env.log и встроенные функции, которые модуль импортирует под их
+     * именами в JavaScript (env["Math.sin"] - это Math.sin).
+     */
+    createImports() {
+        const { Intrinsics } = globalThis.CompilerStage5;
+
+        const env = {
+            log: (value) => console.log('[WASM]', value)
         };
+
+        for (const name of Object.keys(Intrinsics)) {
+            if (Intrinsics[name].import) {
+                const [object, property] = name.split('.');
+                env[name] = globalThis[object][property];
+            }
+        }
+
+        return { env };
     }
     
     /**
@@ -302,9 +1005,25 @@ class Compiler {
 // Экспорт
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = { Compiler };
-}
 
-if (typeof window !== 'undefined') {
-    window.CompilerStage5 = window.CompilerStage5 || {};
-    window.CompilerStage5.Compiler = Compiler;
+    require('./stage5-diagnostics.js');
+    require('./stage5-lexer.js');
+    require('./stage5-parser.js');
+    require('./stage5-printer.js');
+    require('./stage5-type-analyzer.js');
+    require('./stage5-incremental.js');
+    require('./stage5-optimizer.js');
+    require('./stage5-ir.js');
+    require('./stage5-wasm-generator.js');
+    require('./stage5-binary-generator.js');
+    require('./stage5-wat-assembler.js');
+    require('./stage5-source-map.js');
+    require('./stage5-linker.js');
+    require('./stage5-interpreter.js');
+    require('./stage5-program-generator.js');
+    require('./stage5-fuzz.js');
+    require('./wasm-boundary-layer.js');
 }
+
+globalThis.CompilerStage5 = globalThis.CompilerStage5 || {};
+globalThis.CompilerStage5.Compiler = Compiler;
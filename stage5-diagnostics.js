@@ -0,0 +1,251 @@
+/**
+ * ============================================================================
+ * DIAGNOSTICS - STAGE 5: REAL WASM COMPILATION
+ * ============================================================================
+ *
+ * Диагностика - это всё, что компилятор сообщает пользователю о его коде:
+ * ошибки, предупреждения, подсказки. Раньше каждая фаза делала это по-своему:
+ * лексер и парсер бросали исключения с позицией внутри текста сообщения,
+ * анализатор типов копил строки без позиции, генератор писал в console.warn.
+ * Редактору, который хочет подчеркнуть ошибку в коде, из такой строки
+ * позицию не достать.
+ *
+ * Теперь все фазы сообщают о проблемах одним объектом - Diagnostic:
+ *
+ *   {
+ *     code: 'T001',                          // стабильный код проблемы
+ *     severity: 'error',                     // error | warning | info
+ *     phase: 'type',                         // фаза, которая нашла проблему
+ *     message: 'Неопределённая переменная: x',
+ *     loc: {                                 // диапазон в исходном коде
+ *       start: { line: 3, column: 12 },
+ *       end:   { line: 3, column: 13 }
+ *     }
+ *   }
+ *
+ * ПОЗИЦИИ:
+ *
+ * Строки и колонки нумеруются с 1, как в редакторах. Конец диапазона
+ * не включается: токен "x" в колонке 12 занимает диапазон 12..13. Такой же
+ * формат loc имеют узлы AST, которые строит парсер, поэтому диагностику
+ * для узла можно создать, просто передав node.loc.
+ *
+ * CODE FRAME:
+ *
+ * renderCodeFrame() показывает проблему так, как это делают современные
+ * компиляторы - строка кода и подчёркивание под точным местом:
+ *
+ *   error[T001]: Неопределённая переменная: x
+ *    --> 3:12
+ *     |
+ *   2 | function f() {
+ *   3 |     return x + 1;
+ *     |            ^
+ *   4 | }
+ */
+
+/**
+ * Уровни серьёзности диагностики.
+ */
+const DiagnosticSeverity = {
+    ERROR: 'error',       // Код нельзя скомпилировать правильно
+    WARNING: 'warning',   // Код компилируется, но, вероятно, не так, как задумано
+    INFO: 'info'          // Справочная информация
+};
+
+/**
+ * Коды диагностик.
+ *
+ * Первая буква - фаза (L - лексер, P - парсер, T - типы, G - генератор,
+ * W - бинарная компиляция WASM). Коды стабильны: по ним удобно фильтровать
+ * диагностики и искать их в документации, даже если текст сообщения изменится.
+ */
+const DiagnosticCode = {
+    // Лексер
+    UNKNOWN_CHARACTER: 'L001',
+    UNTERMINATED_STRING: 'L002',
+    UNTERMINATED_COMMENT: 'L003',
+
+    // Парсер
+    UNEXPECTED_TOKEN: 'P001',
+    EXPECTED_TOKEN: 'P002',
+    INVALID_SYNTAX: 'P003',
+    DETACHED_COMMENT: 'P004',
+
+    // Анализатор типов
+    UNDEFINED_VARIABLE: 'T001',
+    CONDITION_NOT_BOOLEAN: 'T002',
+    INVALID_OPERANDS: 'T003',
+    INCOMPATIBLE_ASSIGNMENT: 'T004',
+    ARGUMENT_COUNT: 'T005',
+    ARGUMENT_TYPE: 'T006',
+    JUMP_OUTSIDE_LOOP: 'T007',
+    BRANCH_TYPE_MISMATCH: 'T008',
+    ELEMENT_TYPE_MISMATCH: 'T009',
+    UNKNOWN_PROPERTY: 'T010',
+    INVALID_MEMBER_ACCESS: 'T011',
+    RETURN_TYPE_MISMATCH: 'T012',
+    UNKNOWN_TYPE: 'T013',
+    ASSIGNMENT_TO_CONSTANT: 'T014',
+
+    // Генератор кода
+    UNSUPPORTED_STATEMENT: 'G001',
+    UNSUPPORTED_EXPRESSION: 'G002',
+    UNSUPPORTED_OPERATOR: 'G003',
+    UNSUPPORTED_CALL: 'G004',
+
+    // Компиляция бинарного модуля
+    WASM_COMPILATION: 'W001',
+
+    // Внутренняя ошибка компилятора
+    INTERNAL: 'X001'
+};
+
+/**
+ * Diagnostic - одно сообщение компилятора о проблеме в коде.
+ */
+class Diagnostic {
+    /**
+     * @param {string} code - Код из DiagnosticCode
+     * @param {string} severity - Уровень из DiagnosticSeverity
+     * @param {string} message - Текст сообщения (без позиции)
+     * @param {Object|null} loc - Диапазон { start: {line, column}, end: {line, column} }
+     * @param {string} phase - Фаза компилятора: lexer, parser, type, codegen, wasm
+     */
+    constructor(code, severity, message, loc = null, phase = null) {
+        this.code = code;
+        this.severity = severity;
+        this.message = message;
+        this.loc = loc;
+        this.phase = phase;
+    }
+
+    /**
+     * Создаёт диапазон из позиции начала и (необязательно) конца.
+     * Без конца диапазон занимает один символ.
+     */
+    static span(line, column, endLine = line, endColumn = column + 1) {
+        return {
+            start: { line, column },
+            end: { line: endLine, column: endColumn }
+        };
+    }
+
+    isError() {
+        return this.severity === DiagnosticSeverity.ERROR;
+    }
+
+    /**
+     * Строковое представление - для логов и старого кода, который ждёт
+     * строки вместо объектов.
+     */
+    toString() {
+        if (!this.loc) {
+            return this.message;
+        }
+        return `${this.message} на строке ${this.loc.start.line}:${this.loc.start.column}`;
+    }
+
+    /**
+     * Плоское представление для передачи в редактор (JSON, postMessage).
+     */
+    toJSON() {
+        return {
+            code: this.code,
+            severity: this.severity,
+            phase: this.phase,
+            message: this.message,
+            startLine: this.loc ? this.loc.start.line : null,
+            startColumn: this.loc ? this.loc.start.column : null,
+            endLine: this.loc ? this.loc.end.line : null,
+            endColumn: this.loc ? this.loc.end.column : null
+        };
+    }
+}
+
+/**
+ * CompilerError - исключение, несущее диагностику.
+ *
+ * Лексер и парсер прерывают разбор исключением; чтобы позиция не терялась,
+ * исключение несёт Diagnostic. message совпадает с diagnostic.toString(),
+ * поэтому код, который показывает error.message, продолжает работать.
+ */
+class CompilerError extends Error {
+    constructor(diagnostic) {
+        super(diagnostic.toString());
+        this.name = 'CompilerError';
+        this.diagnostic = diagnostic;
+    }
+}
+
+/**
+ * Рисует фрагмент исходного кода с подчёркнутым диапазоном диагностики.
+ *
+ * @param {string} source - Исходный код
+ * @param {Diagnostic} diagnostic - Диагностика
+ * @param {Object} options - { contextLines: сколько строк показывать вокруг (1),
+ *                            fileName: имя файла в строке "--> файл:строка:колонка" }
+ * @returns {string} - Многострочный текст
+ */
+function renderCodeFrame(source, diagnostic, options = {}) {
+    const contextLines = options.contextLines !== undefined ? options.contextLines : 1;
+    const header = `${diagnostic.severity}[${diagnostic.code}]: ${diagnostic.message}`;
+
+    if (!diagnostic.loc || !source) {
+        return header;
+    }
+
+    const lines = source.split('\n');
+    const { start, end } = diagnostic.loc;
+
+    const firstLine = Math.max(1, start.line - contextLines);
+    const lastLine = Math.min(lines.length, end.line + contextLines);
+    const gutterWidth = String(lastLine).length;
+    const gutter = (text) => ' '.repeat(gutterWidth - String(text).length) + text;
+
+    const file = options.fileName ? `${options.fileName}:` : '';
+    const output = [
+        header,
+        `${' '.repeat(gutterWidth)}--> ${file}${start.line}:${start.column}`,
+        `${' '.repeat(gutterWidth)} |`
+    ];
+
+    for (let lineNumber = firstLine; lineNumber <= lastLine; lineNumber++) {
+        const text = (lines[lineNumber - 1] || '').replace(/\r$/, '');
+        output.push(`${gutter(lineNumber)} | ${text}`.trimEnd());
+
+        if (lineNumber < start.line || lineNumber > end.line) {
+            continue;
+        }
+
+        // Границы подчёркивания на этой строке (колонки с 1, конец не включается).
+        // Строки-продолжения многострочного диапазона подчёркиваются без отступа.
+        const from = lineNumber === start.line
+            ? start.column
+            : text.length - text.trimStart().length + 1;
+        let to = lineNumber === end.line ? end.column : text.length + 1;
+        if (to <= from) {
+            to = from + 1;
+        }
+
+        // Табуляции в отступе сохраняем, чтобы ^ встали ровно под кодом
+        const padding = text.slice(0, from - 1).replace(/[^\t]/g, ' ');
+        output.push(`${' '.repeat(gutterWidth)} | ${padding}${'^'.repeat(to - from)}`);
+    }
+
+    return output.join('\n');
+}
+
+// Экспорт
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        Diagnostic, DiagnosticSeverity, DiagnosticCode, CompilerError, renderCodeFrame
+    };
+}
+
+globalThis.CompilerStage5 = globalThis.CompilerStage5 || {};
+globalThis.CompilerStage5.Diagnostic = Diagnostic;
+globalThis.CompilerStage5.DiagnosticSeverity = DiagnosticSeverity;
+globalThis.CompilerStage5.DiagnosticCode = DiagnosticCode;
+globalThis.CompilerStage5.CompilerError = CompilerError;
+globalThis.CompilerStage5.renderCodeFrame = renderCodeFrame;
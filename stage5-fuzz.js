@@ -0,0 +1,273 @@
+/**
+ * ============================================================================
+ * FUZZ HARNESS - STAGE 5: REAL WASM COMPILATION
+ * ============================================================================
+ *
+ * Дифференциальное тестирование компилятора случайными программами.
+ *
+ * compareBackends, compareOptimizations и checkConformance проверяют
+ * программы, которые кто-то написал. FuzzHarness берёт случайные
+ * корректно типизированные программы у ProgramGenerator
+ * (stage5-program-generator.js), компилирует каждую с разными опциями
+ * (бэкенды, SSA IR, оптимизации) и сравнивает результаты вызовов модуля
+ * с эталонным интерпретатором (stage5-interpreter.js).
+ *
+ * Программа детерминирована зерном (seed): расхождение воспроизводится
+ * тем же зерном, а в отчёт попадает исходный код программы.
+ *
+ * СРАВНЕНИЕ:
+ *
+ *   значение   модуль и интерпретатор вернули одно и то же; строки,
+ *              массивы и объекты модуля читаются из его памяти по типу
+ *              результата функции; функции как значения не сравниваются
+ *   trap       оба остановились (тексты ошибок WASM движка и
+ *              интерпретатора различаются и не сравниваются)
+ *   пропуск    одна из сторон исчерпала ресурс (RangeError: стек или
+ *              лимит шагов) - результат ничего не доказывает, и
+ *              остальные вызовы программы не проверяются: её глобальные
+ *              переменные могли разойтись
+ */
+
+// Раскладка значений в памяти модуля (MemoryLayout генератора)
+const ARRAY_HEADER = 8;
+const OBJECT_SLOT = 8;
+
+/**
+ * Результаты сравниваются как Object.is (NaN равен NaN, 0 и -0 - нет),
+ * массивы и объекты - поэлементно.
+ */
+function sameResult(a, b) {
+    if (Array.isArray(a) || Array.isArray(b)) {
+        return Array.isArray(a) && Array.isArray(b) && a.length === b.length &&
+            a.every((item, index) => sameResult(item, b[index]));
+    }
+    if (a && b && typeof a === 'object' && typeof b === 'object') {
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length && keys.every(key => sameResult(a[key], b[key]));
+    }
+    return Object.is(a, b);
+}
+
+class FuzzHarness {
+    /**
+     * @param {Object} options
+     * @param {number} options.seed - Зерно (по умолчанию 1)
+     * @param {number} options.programs - Сколько программ породить
+     * @param {number} options.calls - Сколько вызовов каждой функции
+     * @param {Array<Object>} options.compileOptions - Опции компиляции,
+     *        с которыми проверяется каждая программа
+     * @param {number} options.maxSteps - Лимит шагов интерпретатора
+     * @param {Object} options.generator - Опции ProgramGenerator (кроме
+     *        seed): глубина, циклы, типы, смесь операторов
+     */
+    constructor(options = {}) {
+        const { WasmCodeGenerator, OptimizationPasses } = globalThis.CompilerStage5;
+
+        this.seed = options.seed !== undefined ? options.seed : 1;
+        this.programs = options.programs !== undefined ? options.programs : 20;
+        this.calls = options.calls !== undefined ? options.calls : 4;
+        this.compileOptions = options.compileOptions || [
+            {},
+            { backend: 'binary' },
+            { ir: true },
+            { optimizations: Object.keys(OptimizationPasses) }
+        ];
+        this.maxSteps = options.maxSteps !== undefined ? options.maxSteps : 1000000;
+        this.generatorOptions = options.generator || {};
+
+        // WASM типы значений в памяти модуля (jsTypeToWasm, objectSlots)
+        this.generator = new WasmCodeGenerator();
+    }
+
+    /**
+     * Порождает программы и проверяет каждую со всеми опциями компиляции.
+     *
+     * @returns {Promise<Object>} - { match, seed, programs, calls, skipped,
+     *          failures }: failures - { source, options, call, interpreter,
+     *          module } (call null - программа не скомпилировалась)
+     */
+    async run() {
+        const { ProgramGenerator } = globalThis.CompilerStage5;
+
+        const programs = new ProgramGenerator({ ...this.generatorOptions, seed: this.seed });
+        const report = { match: true, seed: this.seed, programs: 0, calls: 0, skipped: 0, failures: [] };
+
+        for (let i = 0; i < this.programs; i++) {
+            const { source, functions } = programs.generate();
+            const calls = programs.generateCalls(functions, this.calls);
+
+            for (const options of this.compileOptions) {
+                const result = await this.checkProgram(source, calls, options);
+                report.calls += result.checked;
+                report.skipped += result.skipped;
+                for (const mismatch of result.mismatches) {
+                    report.failures.push({ source, options, ...mismatch });
+                }
+            }
+            report.programs++;
+        }
+
+        report.match = report.failures.length === 0;
+        return report;
+    }
+
+    /**
+     * Компилирует программу и сравнивает вызовы модуля с интерпретатором.
+     * Вызовы выполняются по порядку в одном экземпляре модуля и одном
+     * экземпляре интерпретатора: глобальные переменные переходят из
+     * вызова в вызов.
+     *
+     * @param {string} source - Исходный код
+     * @param {Array<Object>} calls - Вызовы вида { name: 'f0', args: [1, 2.5] }
+     * @param {Object} compileOptions - Опции Compiler.compile
+     * @returns {Promise<Object>} - { match, checked, skipped, mismatches }
+     */
+    async checkProgram(source, calls, compileOptions = {}) {
+        const { Compiler, Interpreter } = globalThis.CompilerStage5;
+
+        const results = await new Compiler().compile(source, compileOptions);
+        if (!results.wasmModule) {
+            return {
+                match: false,
+                checked: 0,
+                skipped: 0,
+                mismatches: [{ call: null, errors: results.errors.map(error => String(error)) }]
+            };
+        }
+
+        const exports = results.wasmModule.exports;
+        const interpreter = new Interpreter(results.typedAst, { maxSteps: this.maxSteps });
+        const declarations = new Map(results.typedAst.body
+            .filter(node => node.type === 'FunctionDeclaration')
+            .map(node => [node.name, node]));
+
+        const mismatches = [];
+        let checked = 0;
+        let skipped = 0;
+
+        for (let i = 0; i < calls.length; i++) {
+            const call = calls[i];
+            const declaration = declarations.get(call.name);
+            const type = declaration && declaration.inferredType ? declaration.inferredType.returnType : null;
+
+            const expected = this.outcome(() => this.interpreterResult(interpreter.call(call.name, call.args), type));
+            const actual = this.outcome(() => this.moduleResult(exports, exports[call.name](...call.args), type));
+
+            if ('skipped' in expected || 'skipped' in actual) {
+                skipped += calls.length - i;
+                break;
+            }
+
+            checked++;
+            const same = 'value' in expected
+                ? 'value' in actual && sameResult(expected.value, actual.value)
+                : 'trap' in expected && 'trap' in actual;
+            if (!same) {
+                mismatches.push({ call, interpreter: expected, module: actual });
+            }
+        }
+
+        return { match: mismatches.length === 0, checked, skipped, mismatches };
+    }
+
+    /**
+     * Исход вызова: { value }, { trap } (InterpreterTrap или
+     * WebAssembly.RuntimeError), { skipped } (RangeError) или { error }.
+     */
+    outcome(run) {
+        const { InterpreterTrap } = globalThis.CompilerStage5;
+
+        try {
+            return { value: run() };
+        } catch (error) {
+            if (error instanceof InterpreterTrap || error instanceof WebAssembly.RuntimeError) {
+                return { trap: error.message };
+            }
+            if (error instanceof RangeError) {
+                return { skipped: error.message };
+            }
+            return { error: error.message };
+        }
+    }
+
+    /**
+     * Результат интерпретатора в виде для сравнения: строка или массив
+     * без значения (0) - пустые, как в памяти модуля, функции -
+     * 'function'.
+     */
+    interpreterResult(value, type) {
+        const { TypeKind } = globalThis.CompilerStage5;
+        if (!type || value === undefined) return value;
+
+        switch (type.kind) {
+            case TypeKind.STRING:
+                return value === 0 ? '' : value;
+            case TypeKind.ARRAY:
+                return (value === 0 ? [] : value).map(item => this.interpreterResult(item, type.elementType));
+            case TypeKind.OBJECT: {
+                const object = {};
+                for (const name of this.generator.objectSlots(type)) {
+                    object[name] = this.interpreterResult(value[name], type.properties[name]);
+                }
+                return object;
+            }
+            case TypeKind.FUNCTION:
+                return 'function';
+            default:
+                return value;
+        }
+    }
+
+    /**
+     * Результат модуля в виде для сравнения: строки, массивы и объекты
+     * читаются из памяти модуля по адресу.
+     */
+    moduleResult(exports, value, type) {
+        const { TypeKind, WasmType } = globalThis.CompilerStage5;
+        if (!type || value === undefined) return value;
+
+        const view = () => new DataView(exports.memory.buffer);
+        const load = (address, wasmType) => wasmType === WasmType.F64
+            ? view().getFloat64(address, true)
+            : view().getInt32(address, true);
+
+        switch (type.kind) {
+            case TypeKind.STRING: {
+                const length = load(value, WasmType.I32);
+                return new TextDecoder().decode(new Uint8Array(exports.memory.buffer, value + 4, length));
+            }
+            case TypeKind.ARRAY: {
+                const wasmType = this.generator.jsTypeToWasm(type.elementType);
+                const size = wasmType === WasmType.F64 ? 8 : 4;
+                const items = [];
+                for (let i = 0; i < load(value, WasmType.I32); i++) {
+                    const item = load(value + ARRAY_HEADER + i * size, wasmType);
+                    items.push(this.moduleResult(exports, item, type.elementType));
+                }
+                return items;
+            }
+            case TypeKind.OBJECT: {
+                const object = {};
+                this.generator.objectSlots(type).forEach((name, slot) => {
+                    const field = load(value + slot * OBJECT_SLOT, this.generator.jsTypeToWasm(type.properties[name]));
+                    object[name] = this.moduleResult(exports, field, type.properties[name]);
+                });
+                return object;
+            }
+            case TypeKind.FUNCTION:
+                return 'function';
+            default:
+                return value;
+        }
+    }
+}
+
+// Экспорт
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FuzzHarness };
+    require('./stage5-interpreter.js');
+    require('./stage5-program-generator.js');
+}
+
+globalThis.CompilerStage5 = globalThis.CompilerStage5 || {};
+globalThis.CompilerStage5.FuzzHarness = FuzzHarness;
@@ -0,0 +1,631 @@
+/**
+ * ============================================================================
+ * INCREMENTAL COMPILATION - STAGE 5: REAL WASM COMPILATION
+ * ============================================================================
+ *
+ * Compiler.compile каждый раз проходит весь конвейер заново: в редакторе,
+ * где между двумя компиляциями поменялась одна функция, это почти целиком
+ * повторение прошлой работы. CompilationCache запоминает результаты
+ * прошлой компиляции по частям и пересчитывает только то, что изменилось
+ * (опция incremental у Compiler.compile).
+ *
+ * ФРАГМЕНТЫ:
+ *
+ * Токены программы делятся на фрагменты верхнего уровня - обычно одно
+ * объявление или оператор: фрагмент кончается на ; или } вне скобок (если
+ * за } не продолжается то же выражение или if ... else). Ключ фрагмента -
+ * хэш его токенов и комментариев с позициями относительно первой строки
+ * фрагмента. Поэтому функция, которая лишь сдвинулась вниз, потому что
+ * выше добавили строку, сохраняет ключ: её узлы AST берутся из кэша, а
+ * строки в их loc и в диагностиках сдвигаются. Парсится заново только
+ * фрагмент с новым ключом.
+ *
+ * КОМПОНЕНТЫ:
+ *
+ * Типы выводятся по всей программе сразу: тип параметра функции зависит
+ * от аргументов в местах её вызова, тип результата - от вызываемых ею
+ * функций (см. TypeInference). Поэтому изменённую функцию нельзя
+ * перетипизировать отдельно - вместе с ней меняются типы всего, что с ней
+ * связано вызовами и общими переменными. Фрагменты, которые ссылаются на
+ * имена, объявленные друг в друге, объединяются в компоненты связности
+ * графа вызовов; разные компоненты на типы друг друга не влияют.
+ * Компонента из тех же фрагментов, что и в прошлый раз, берётся из кэша
+ * целиком, вместе с диагностиками типов. Изменённая компонента
+ * разбирается заново и типизируется отдельной программой.
+ *
+ * ТЕЛА ФУНКЦИЙ:
+ *
+ * Генератор кода (WasmCodeGenerator.functionCache) спрашивает кэш перед
+ * генерацией каждой функции верхнего уровня. Тело берётся из кэша, если
+ * совпадают ключ фрагмента, выведенные типы всех узлов функции и контекст,
+ * который генератор для неё описывает: сигнатуры вызываемых функций,
+ * типы глобальных переменных, адреса строк, раскладка таблицы функций.
+ * Функция из перетипизированной компоненты, типы которой не изменились,
+ * тоже не генерируется заново.
+ *
+ * Кэш хранит только то, что было в последней компиляции. Код с
+ * синтаксическими ошибками, а также остановка после лексера или парсера
+ * (stopAfter) компилируются обычным путём, без кэша.
+ */
+
+/**
+ * Токены, с которых начинается новый оператор: после } верхнего уровня
+ * перед ними выражение продолжиться не может, и фрагмент кончается.
+ * Перед else, (, [, . и операторами - может, поэтому их здесь нет.
+ */
+const StatementStartTokens = new Set([
+    'FUNCTION', 'IMPORT', 'RETURN', 'IF', 'FOR', 'WHILE', 'BREAK', 'CONTINUE',
+    'VAR', 'LET', 'CONST',
+    'IDENTIFIER', 'NUMBER', 'STRING', 'TRUE', 'FALSE', 'NULL'
+]);
+
+/**
+ * 64-битный хэш строки (два 32-битных перемешивания в духе cyrb53),
+ * 16 шестнадцатеричных цифр.
+ */
+function contentHash(text) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (h2 >>> 0).toString(16).padStart(8, '0') + (h1 >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Строка, по которой сравниваются выведенные типы. В отличие от
+ * Type.toString, учитывает и поля встроенных функций.
+ */
+function typeKey(type) {
+    if (!type) return '-';
+
+    const parts = [type.kind];
+    if (type.builtin) parts.push(`!${type.builtin}${type.keepsInteger ? '~' : ''}`);
+    if (type.paramTypes.length > 0 || type.returnType) {
+        parts.push(`(${type.paramTypes.map(typeKey).join(',')})${typeKey(type.returnType)}`);
+    }
+    if (type.elementType) parts.push(`[${typeKey(type.elementType)}]`);
+
+    const names = Object.keys(type.properties);
+    if (names.length > 0) {
+        parts.push(`{${names.map(name => `${name}:${typeKey(type.properties[name])}`).join(',')}}`);
+    }
+    return parts.join('');
+}
+
+/**
+ * Обходит узлы AST (и объекты внутри них), кроме выведенных типов.
+ */
+function walkNodes(node, visit) {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) {
+        node.forEach(item => walkNodes(item, visit));
+        return;
+    }
+
+    visit(node);
+    for (const key in node) {
+        if (key !== 'inferredType' && key !== 'loc') {
+            walkNodes(node[key], visit);
+        }
+    }
+}
+
+/**
+ * Сдвигает строки в loc узлов и в комментариях на delta.
+ */
+function shiftLines(nodes, delta) {
+    const shifted = new Set();
+    walkNodes(nodes, node => {
+        if (node.loc && !shifted.has(node.loc)) {
+            shifted.add(node.loc);
+            node.loc.start.line += delta;
+            node.loc.end.line += delta;
+        }
+        if (node.ownLine !== undefined && typeof node.line === 'number' && !shifted.has(node)) {
+            shifted.add(node);
+            node.line += delta;
+        }
+    });
+}
+
+/**
+ * Позиция a раньше позиции b (или совпадает с ней).
+ */
+function positionBefore(a, b) {
+    return a.line < b.line || (a.line === b.line && a.column <= b.column);
+}
+
+/**
+ * CompilationCache - кэш инкрементальной компиляции.
+ *
+ *   const cache = new CompilationCache();
+ *   await compiler.compile(source, { incremental: cache });
+ *   await compiler.compile(editedSource, { incremental: cache });
+ *   cache.stats  // { chunks, parsedChunks, components, typedComponents, ... }
+ *
+ * Compiler вызывает parse() вместо парсера, analyze() вместо анализатора
+ * типов и передаёт кэш генератору кода.
+ */
+class CompilationCache {
+    constructor() {
+        // Фрагменты прошлой компиляции: ключ → { nodes, defines,
+        // references, line, innerComments, typed }
+        this.chunks = new Map();
+
+        // Компоненты прошлой компиляции: ключи фрагментов через | →
+        // диагностики типов (см. detachDiagnostic)
+        this.components = new Map();
+
+        // Тела функций: ключ фрагмента/номер оператора → { types, context,
+        // capture }
+        this.functions = new Map();
+
+        // Узел верхнего уровня текущей программы → { chunk, key }
+        this.owners = new WeakMap();
+
+        // Фрагменты и компоненты текущей компиляции (между parse и analyze)
+        this.current = null;
+
+        // Ошибки типов текущей компиляции (как TypeAnalyzer.errors)
+        this.errors = [];
+
+        // Контекст модуля из последнего lookup и его хэш
+        this.moduleContext = null;
+        this.moduleKey = null;
+
+        // Что пришлось пересчитать в последней компиляции
+        this.stats = null;
+    }
+
+    /**
+     * Строит AST программы из токенов, разбирая только новые фрагменты.
+     *
+     * @param {Array<Token>} tokens - Токены всей программы (не меняются)
+     * @returns {Object|null} - Узел Program или null, если программу нужно
+     *          разобрать обычным парсером (синтаксическая ошибка, пустая
+     *          программа)
+     */
+    parse(tokens) {
+        const ranges = this.split(tokens);
+        if (ranges.length === 0) return null;
+
+        this.stats = {
+            chunks: ranges.length,
+            parsedChunks: 0,
+            components: 0,
+            typedComponents: 0,
+            reusedFunctions: 0,
+            generatedFunctions: 0
+        };
+
+        // Одинаковые фрагменты (два console.log(1);) различаются номером
+        const occurrences = new Map();
+        const chunks = ranges.map(range => {
+            const hash = contentHash(this.chunkText(range));
+            const count = occurrences.get(hash) || 0;
+            occurrences.set(hash, count + 1);
+
+            const key = count === 0 ? hash : `${hash}#${count}`;
+            return Object.assign(range, { key, line: range.tokens[0].line, entry: this.chunks.get(key) || null });
+        });
+
+        for (const chunk of chunks) {
+            if (chunk.entry) continue;
+
+            const parsed = this.parseChunk(chunk);
+            if (!parsed) return null;
+
+            chunk.entry = Object.assign(parsed, this.collectNames(parsed.nodes), { line: chunk.line, typed: false });
+            this.stats.parsedChunks++;
+        }
+
+        const groups = this.groupComponents(chunks);
+        this.stats.components = groups.length;
+
+        // Компонента, которую придётся типизировать, получает свежие узлы:
+        // анализатор пишет типы прямо в них
+        for (const group of groups) {
+            group.key = group.map(chunk => chunk.key).join('|');
+            group.cached = group.every(chunk => chunk.entry.typed)
+                ? this.components.get(group.key) || null
+                : null;
+
+            for (const chunk of group) {
+                const entry = chunk.entry;
+                if (!group.cached && entry.typed) {
+                    const parsed = this.parseChunk(chunk);
+                    if (!parsed) return null;
+                    Object.assign(entry, parsed, { line: chunk.line, typed: false });
+                    this.stats.parsedChunks++;
+                }
+                if (entry.line !== chunk.line) {
+                    shiftLines([entry.nodes, entry.innerComments], chunk.line - entry.line);
+                    entry.line = chunk.line;
+                }
+            }
+        }
+
+        // Кэш помнит только последнюю компиляцию
+        this.chunks = new Map(chunks.map(chunk => [chunk.key, chunk.entry]));
+        for (const key of this.functions.keys()) {
+            if (!this.chunks.has(key.slice(0, key.indexOf('/')))) {
+                this.functions.delete(key);
+            }
+        }
+
+        this.owners = new WeakMap();
+        for (const chunk of chunks) {
+            chunk.entry.nodes.forEach((node, i) => {
+                this.owners.set(node, { chunk, key: `${chunk.key}/${i}` });
+            });
+        }
+        this.current = { chunks, groups };
+
+        const first = tokens[0];
+        const last = tokens[tokens.length - 2];
+        const program = {
+            type: 'Program',
+            body: chunks.flatMap(chunk => chunk.entry.nodes),
+            loc: {
+                start: { line: first.line, column: first.column },
+                end: { line: last.endLine, column: last.endColumn }
+            }
+        };
+
+        const innerComments = chunks[chunks.length - 1].entry.innerComments;
+        if (innerComments) {
+            program.innerComments = innerComments;
+        }
+        return program;
+    }
+
+    /**
+     * Типизирует изменённые компоненты программы из parse() и собирает
+     * ошибки типов всех компонент в errors.
+     *
+     * @param {Object} ast - Узел Program, который вернул parse()
+     * @returns {Object} - Тот же AST с inferredType у каждого узла
+     */
+    analyze(ast) {
+        const { TypeAnalyzer } = globalThis.CompilerStage5;
+        const { chunks, groups } = this.current;
+
+        const errors = [];
+        const components = new Map();
+
+        for (const group of groups) {
+            let diagnostics = group.cached;
+
+            if (!diagnostics) {
+                const analyzer = new TypeAnalyzer();
+                analyzer.analyze({
+                    type: 'Program',
+                    body: group.flatMap(chunk => chunk.entry.nodes),
+                    loc: ast.loc
+                });
+
+                diagnostics = analyzer.errors.map(diagnostic => {
+                    const index = this.chunkAt(group, diagnostic.loc);
+                    return this.detachDiagnostic(diagnostic, index, group[index].line);
+                });
+                group.forEach(chunk => { chunk.entry.typed = true; });
+                this.stats.typedComponents++;
+            }
+
+            components.set(group.key, diagnostics);
+            for (const detached of diagnostics) {
+                const chunk = group[detached.chunk];
+                errors.push({ order: chunks.indexOf(chunk), diagnostic: this.attachDiagnostic(detached, chunk.line) });
+            }
+        }
+
+        this.components = components;
+        this.errors = errors.sort((a, b) => a.order - b.order).map(error => error.diagnostic);
+        return ast;
+    }
+
+    /**
+     * Есть ли у узла место в кэше функций: только функции верхнего уровня
+     * программы, которую вернул parse().
+     */
+    covers(node) {
+        return this.owners.has(node);
+    }
+
+    /**
+     * Ищет тело функции, сгенерированное в прошлый раз.
+     *
+     * @param {Object} node - FunctionDeclaration верхнего уровня
+     * @param {Object} context - { module, own } - описание всего, от чего
+     *        зависит код функции, кроме её AST (functionCacheContext)
+     * @returns {Object|null} - Снимок генератора (captureFunction) или null
+     */
+    lookup(node, context) {
+        const owner = this.owners.get(node);
+        const entry = this.functions.get(owner.key);
+
+        if (!entry || entry.context !== this.contextKey(context) ||
+            entry.types !== this.typeFingerprint(node)) {
+            this.stats.generatedFunctions++;
+            return null;
+        }
+
+        this.stats.reusedFunctions++;
+        return Object.assign({}, entry.capture, {
+            diagnostics: entry.capture.diagnostics.map(detached => this.attachDiagnostic(detached, owner.chunk.line))
+        });
+    }
+
+    /**
+     * Запоминает тело функции, которое генератор только что построил.
+     */
+    store(node, context, capture) {
+        const owner = this.owners.get(node);
+        this.functions.set(owner.key, {
+            types: this.typeFingerprint(node),
+            context: this.contextKey(context),
+            capture: Object.assign({}, capture, {
+                diagnostics: capture.diagnostics.map(diagnostic => this.detachDiagnostic(diagnostic, 0, owner.chunk.line))
+            })
+        });
+    }
+
+    /**
+     * Ключ контекста функции. Описание модуля у всех функций одной
+     * генерации - одна и та же строка, поэтому хэшируется один раз.
+     */
+    contextKey(context) {
+        if (context.module !== this.moduleContext) {
+            this.moduleContext = context.module;
+            this.moduleKey = contentHash(context.module);
+        }
+        return this.moduleKey + context.own;
+    }
+
+    /**
+     * Делит токены на фрагменты верхнего уровня.
+     *
+     * Комментарий в конце строки, на которой кончился фрагмент, лексер
+     * отдаёт первому токену следующего фрагмента, а парсер прикрепляет
+     * его к последнему оператору фрагмента (trailingComments). Поэтому
+     * комментарии на стыке делятся: такие - в trailing этого фрагмента,
+     * остальные - в leading следующего.
+     *
+     * @returns {Array<Object>} - { tokens, leading, trailing, eof }
+     */
+    split(tokens) {
+        const ranges = [];
+        const end = tokens.length - 1;   // Последний токен - EOF
+        let depth = 0;
+        let start = 0;
+
+        for (let i = 0; i < end; i++) {
+            const type = tokens[i].type;
+            if (type === 'LPAREN' || type === 'LBRACE' || type === 'LBRACKET') {
+                depth++;
+            } else if (type === 'RPAREN' || type === 'RBRACE' || type === 'RBRACKET') {
+                depth = Math.max(0, depth - 1);
+            }
+
+            const boundary = depth === 0 &&
+                (type === 'SEMICOLON' || (type === 'RBRACE' && StatementStartTokens.has(tokens[i + 1].type)));
+            if (boundary || i === end - 1) {
+                ranges.push({ tokens: tokens.slice(start, i + 1), eof: tokens[i + 1] });
+                start = i + 1;
+            }
+        }
+
+        ranges.forEach((range, i) => {
+            const next = range.eof.comments;
+            let count = 0;
+            while (i < ranges.length - 1 && count < next.length && !next[count].ownLine) {
+                count++;
+            }
+
+            range.leading = i === 0 ? range.tokens[0].comments : ranges[i - 1].rest;
+            range.trailing = i === ranges.length - 1 ? next : next.slice(0, count);
+            range.rest = next.slice(count);
+        });
+
+        return ranges;
+    }
+
+    /**
+     * Текст, из которого считается ключ фрагмента. Строки - относительно
+     * первого токена, длины значений - чтобы границы полей были однозначны.
+     */
+    chunkText(range) {
+        const base = range.tokens[0].line;
+        const comments = list => list.map(comment =>
+            [comment.type, comment.value.length, comment.value, comment.line - base,
+             comment.column, comment.ownLine ? 1 : 0].join(',')
+        ).join(';');
+
+        const parts = range.tokens.map((token, i) => {
+            const value = token.value === null || token.value === undefined ? '' : String(token.value);
+            return [comments(i === 0 ? range.leading : token.comments), token.type, value.length, value,
+                    token.line - base, token.column, token.endLine - base, token.endColumn].join(',');
+        });
+        parts.push(comments(range.trailing));
+
+        return parts.join('\n');
+    }
+
+    /**
+     * Разбирает фрагмент отдельным парсером. Парсер меняет комментарии
+     * токенов, поэтому получает копии: исходные токены остаются для
+     * следующих разборов и для results.tokens.
+     *
+     * @returns {Object|null} - { nodes, innerComments } или null, если
+     *          во фрагменте синтаксическая ошибка
+     */
+    parseChunk(range) {
+        const { Parser, Token } = globalThis.CompilerStage5;
+
+        const tokens = range.tokens.map((token, i) => Object.assign(
+            Object.create(Object.getPrototypeOf(token)), token,
+            { comments: (i === 0 ? range.leading : token.comments).slice() }
+        ));
+        const eof = new Token('EOF', null, range.eof.line, range.eof.column);
+        eof.comments = range.trailing.slice();
+
+        const parser = new Parser([...tokens, eof]);
+        const program = parser.parse();
+        if (parser.diagnostics.length > 0) {
+            return null;
+        }
+
+        return { nodes: program.body, innerComments: program.innerComments || null };
+    }
+
+    /**
+     * Имена, которые фрагмент объявляет на верхнем уровне, и все имена,
+     * которые в нём встречаются. Локальная переменная с именем функции
+     * модуля лишний раз свяжет фрагменты - это безопасно: компонента
+     * лишь станет больше.
+     */
+    collectNames(nodes) {
+        const defines = [];
+        for (const node of nodes) {
+            if (node.type === 'FunctionDeclaration' || node.type === 'VariableDeclaration' ||
+                node.type === 'ImportDeclaration') {
+                defines.push(node.name);
+            }
+        }
+
+        const references = new Set();
+        walkNodes(nodes, node => {
+            if (node.type === 'Identifier') {
+                references.add(node.name);
+            }
+        });
+
+        return { defines, references: [...references] };
+    }
+
+    /**
+     * Компоненты связности фрагментов: фрагмент связан с тем, где
+     * объявлено имя, которое он использует, и с другими объявлениями
+     * того же имени. Фрагменты в компоненте - в порядке исходного кода,
+     * компоненты - по первому фрагменту.
+     */
+    groupComponents(chunks) {
+        const parent = chunks.map((chunk, i) => i);
+        const find = i => {
+            while (parent[i] !== i) {
+                parent[i] = parent[parent[i]];
+                i = parent[i];
+            }
+            return i;
+        };
+        const union = (a, b) => {
+            const [ra, rb] = [find(a), find(b)];
+            if (ra !== rb) parent[Math.max(ra, rb)] = Math.min(ra, rb);
+        };
+
+        const definitions = new Map();
+        chunks.forEach((chunk, i) => {
+            for (const name of chunk.entry.defines) {
+                if (definitions.has(name)) {
+                    union(i, definitions.get(name));
+                } else {
+                    definitions.set(name, i);
+                }
+            }
+        });
+        chunks.forEach((chunk, i) => {
+            for (const name of chunk.entry.references) {
+                if (definitions.has(name)) {
+                    union(i, definitions.get(name));
+                }
+            }
+        });
+
+        const groups = new Map();
+        chunks.forEach((chunk, i) => {
+            const root = find(i);
+            if (!groups.has(root)) groups.set(root, []);
+            groups.get(root).push(chunk);
+        });
+        return [...groups.values()];
+    }
+
+    /**
+     * Номер фрагмента компоненты, в котором начинается диапазон loc
+     * (первый фрагмент, если позиции нет).
+     */
+    chunkAt(group, loc) {
+        if (!loc) return 0;
+
+        for (let i = group.length - 1; i > 0; i--) {
+            const first = group[i].tokens[0];
+            if (positionBefore({ line: first.line, column: first.column }, loc.start)) {
+                return i;
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * Диагностика без ссылок на узлы AST: её loc - копия, строки которой
+     * отсчитываются от строки line, где тогда начинался фрагмент chunk.
+     */
+    detachDiagnostic(diagnostic, chunk, line) {
+        const loc = diagnostic.loc && {
+            start: { line: diagnostic.loc.start.line - line, column: diagnostic.loc.start.column },
+            end: { line: diagnostic.loc.end.line - line, column: diagnostic.loc.end.column }
+        };
+        return {
+            chunk,
+            code: diagnostic.code,
+            severity: diagnostic.severity,
+            message: diagnostic.message,
+            phase: diagnostic.phase,
+            loc
+        };
+    }
+
+    /**
+     * Новая Diagnostic из detachDiagnostic для фрагмента, который теперь
+     * начинается в строке line.
+     */
+    attachDiagnostic(detached, line) {
+        const { Diagnostic } = globalThis.CompilerStage5;
+        const loc = detached.loc && {
+            start: { line: detached.loc.start.line + line, column: detached.loc.start.column },
+            end: { line: detached.loc.end.line + line, column: detached.loc.end.column }
+        };
+        return new Diagnostic(detached.code, detached.severity, detached.message, loc, detached.phase);
+    }
+
+    /**
+     * Выведенные типы всех узлов функции одной строкой.
+     */
+    typeFingerprint(node) {
+        const types = [];
+        walkNodes(node, child => {
+            if (child.inferredType) {
+                types.push(typeKey(child.inferredType));
+            }
+        });
+        return types.join(' ');
+    }
+}
+
+// Экспорт
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CompilationCache };
+
+    // Разбор фрагментов и типизация компонент
+    require('./stage5-lexer.js');
+    require('./stage5-parser.js');
+    require('./stage5-type-analyzer.js');
+}
+
+globalThis.CompilerStage5 = globalThis.CompilerStage5 || {};
+globalThis.CompilerStage5.CompilationCache = CompilationCache;
@@ -0,0 +1,1134 @@
+/**
+ * ============================================================================
+ * REFERENCE INTERPRETER - STAGE 5: REAL WASM COMPILATION
+ * ============================================================================
+ *
+ * Интерпретатор типизированного AST - эталон для проверки компилятора.
+ *
+ * checkConformance сравнивает модуль с самим JavaScript, но там, где язык
+ * компилятора сознательно расходится с JavaScript, эталона нет: integer -
+ * это i32, и 2147483647 + 1 даёт -2147483648; number, записанный в
+ * integer переменную, теряет дробную часть; индекс за пределами массива
+ * останавливает программу. Interpreter выполняет AST по правилам
+ * скомпилированного модуля, но без генератора кода, ассемблера и WASM:
+ * расхождение интерпретатора с модулем - ошибка в одной из этих фаз или
+ * в проходах оптимизации (см. FuzzHarness в stage5-fuzz.js).
+ *
+ * НЕЗАВИСИМОСТЬ ОТ ГЕНЕРАТОРА:
+ *
+ * Эталон не должен повторять ошибки проверяемого кода, поэтому генератор
+ * кода интерпретатор не использует. Спецификация языка для него -
+ * типизированный AST: тип значения (integer - i32, number - f64, строки,
+ * массивы, объекты и функции - i32 адреса) он берёт из inferredType
+ * анализатора, вариант встроенной функции - из IntrinsicValues. Области
+ * видимости он строит по AST с семантикой JavaScript: let и const видны
+ * в своём блоке, var - во всей функции, у for (let ...) на каждой
+ * итерации своя копия счётчика, а функция видит переменные той области,
+ * где она создана.
+ *
+ * ЗНАЧЕНИЯ:
+ *
+ *   i32        число JavaScript в диапазоне i32 (boolean - 0 или 1)
+ *   f64        число JavaScript
+ *   строка     строка JavaScript (в модуле - адрес UTF-8 байтов)
+ *   массив     массив JavaScript фиксированной длины
+ *   объект     объект JavaScript со всеми полями своего типа
+ *   функция    замыкание: узел функции и окружение
+ *
+ * Неинициализированная переменная, как local и global в WASM, - ноль
+ * своего типа.
+ *
+ * ОШИБКИ:
+ *
+ * Там, где модуль останавливается (trap), интерпретатор бросает
+ * InterpreterTrap. RangeError - исчерпан ресурс: лимит шагов (maxSteps)
+ * или стек JavaScript; модуль с тем же кодом мог и завершиться, поэтому
+ * такой результат ничего не доказывает. Остальные ошибки - конструкции,
+ * которые генератор не поддерживает (он сообщил бы о них диагностикой).
+ */
+
+/**
+ * Остановка программы - то, что в модуле было бы trap
+ * (WebAssembly.RuntimeError).
+ */
+class InterpreterTrap extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InterpreterTrap';
+    }
+}
+
+/**
+ * Функция как значение: узел функции (FunctionDeclaration или
+ * ArrowFunctionExpression) и окружение - область видимости, в которой
+ * стрелочная функция создана (null у функций модуля).
+ */
+class InterpreterClosure {
+    constructor(node, env) {
+        this.node = node;
+        this.env = env;
+    }
+}
+
+const I32_MIN = -2147483648;
+
+/**
+ * WASM типы значений - те же имена, что в сигнатурах модуля.
+ */
+const ValueType = {
+    I32: 'i32',
+    F64: 'f64'
+};
+
+/**
+ * WASM тип значения типа type анализатора: number - f64, void - null
+ * (значения нет), остальное - i32. Тип, который вывести не удалось,
+ * тоже i32.
+ */
+function valueTypeOf(type) {
+    const { TypeKind } = globalThis.CompilerStage5;
+
+    if (type && type.kind === TypeKind.NUMBER) return ValueType.F64;
+    if (type && type.kind === TypeKind.VOID) return null;
+    return ValueType.I32;
+}
+
+/**
+ * i32.trunc_f64_s: дробная часть отбрасывается, NaN и числа вне
+ * диапазона i32 останавливают программу.
+ */
+function truncToI32(value) {
+    if (!(value > I32_MIN - 1 && value < 2147483648)) {
+        throw new InterpreterTrap('Число вне диапазона i32 при преобразовании f64 → i32');
+    }
+    return Math.trunc(value) | 0;
+}
+
+/**
+ * Встроенные функции (BuiltinFunctions анализатора типов). Вариант f64
+ * получает аргументы f64, вариант i32 - i32; i32 выбирается, если f64
+ * варианта нет или все аргументы целые (функции, сохраняющие целые:
+ * Math.abs над integer переполняется как i32). result - WASM тип
+ * результата, если он отличается от типа варианта.
+ */
+const IntrinsicValues = {
+    'Math.abs': { f64: Math.abs, i32: x => x < 0 ? (0 - x) | 0 : x },
+    'Math.sign': { f64: Math.sign, i32: x => (x > 0) - (x < 0) },
+    'Math.min': { f64: Math.min, i32: (...args) => args.reduce((a, b) => a < b ? a : b) },
+    'Math.max': { f64: Math.max, i32: (...args) => args.reduce((a, b) => a > b ? a : b) },
+    'Math.floor': { f64: Math.floor, i32: x => x },
+    'Math.ceil': { f64: Math.ceil, i32: x => x },
+    'Math.trunc': { f64: Math.trunc, i32: x => x },
+    'Math.round': { f64: Math.round, i32: x => x },
+    'Math.sqrt': { f64: Math.sqrt },
+    'Math.cbrt': { f64: Math.cbrt },
+    'Math.hypot': { f64: Math.hypot },
+    'Math.pow': { f64: Math.pow },
+    'Math.sin': { f64: Math.sin },
+    'Math.cos': { f64: Math.cos },
+    'Math.tan': { f64: Math.tan },
+    'Math.asin': { f64: Math.asin },
+    'Math.acos': { f64: Math.acos },
+    'Math.atan': { f64: Math.atan },
+    'Math.atan2': { f64: Math.atan2 },
+    'Math.sinh': { f64: Math.sinh },
+    'Math.cosh': { f64: Math.cosh },
+    'Math.tanh': { f64: Math.tanh },
+    'Math.asinh': { f64: Math.asinh },
+    'Math.acosh': { f64: Math.acosh },
+    'Math.atanh': { f64: Math.atanh },
+    'Math.exp': { f64: Math.exp },
+    'Math.expm1': { f64: Math.expm1 },
+    'Math.log': { f64: Math.log },
+    'Math.log1p': { f64: Math.log1p },
+    'Math.log2': { f64: Math.log2 },
+    'Math.log10': { f64: Math.log10 },
+    'Math.fround': { f64: Math.fround },
+    'Math.clz32': { i32: Math.clz32 },
+    'Math.imul': { i32: Math.imul },
+    'Number.isInteger': { f64: x => x - Math.trunc(x) === 0 ? 1 : 0, i32: () => 1, result: ValueType.I32 },
+    'parseInt': { i32: (text, radix = 0) => parseInt(text, radix), result: ValueType.F64 }
+};
+
+/**
+ * Interpreter - выполняет типизированный AST (результат
+ * TypeAnalyzer.analyze) с семантикой скомпилированного модуля.
+ *
+ * Экземпляр - аналог экземпляра модуля: при первом вызове
+ * инициализируются глобальные переменные и выполняется код верхнего
+ * уровня (функция __init модуля), дальше глобальные переменные сохраняют
+ * значения между вызовами.
+ *
+ *   const interpreter = new Interpreter(typedAst);
+ *   interpreter.call('add', [2, 3]);   // 5
+ */
+class Interpreter {
+    /**
+     * @param {Object} ast - Типизированный AST программы
+     * @param {Object} options
+     * @param {number} options.maxSteps - Сколько операторов и вызовов
+     *        может выполнить один вызов call (RangeError после этого):
+     *        бесконечный цикл в программе не должен вешать проверку
+     */
+    constructor(ast, options = {}) {
+        this.ast = ast;
+        this.maxSteps = options.maxSteps !== undefined ? options.maxSteps : 10000000;
+        this.steps = 0;
+
+        // Функции модуля: имя → FunctionDeclaration
+        this.functions = new Map();
+
+        // Глобальные переменные: имя → { type, value, declaration }
+        this.globals = new Map();
+
+        // Типы параметров и результата функций:
+        // узел функции → { params, result }
+        this.signatures = new Map();
+
+        // Функции модуля как значения: одно замыкание на функцию, как
+        // запись замыкания в сегменте данных модуля
+        this.functionClosures = new Map();
+
+        // Область видимости выполняемого кода: { vars, parent, function }.
+        // vars - имя → { type, value }, parent - охватывающая область
+        // (у функции - окружение замыкания, null - дальше только
+        // глобальные переменные), function - область функции, в которой
+        // живут её var
+        this.scope = null;
+        this.resultType = null;
+        this.loopDepth = 0;
+
+        this.initialized = false;
+    }
+
+    /**
+     * Вызывает функцию модуля, как вызов экспорта модуля из JavaScript.
+     *
+     * Аргументы приводятся к типам параметров так же, как их приводит
+     * WebAssembly API (ToInt32 для i32, ToNumber для f64); строки,
+     * массивы и объекты передаются как есть.
+     *
+     * @param {string} name - Имя функции
+     * @param {Array} args - Аргументы
+     * @returns {*} - Результат (undefined у функции без результата)
+     */
+    call(name, args = []) {
+        if (!this.initialized) {
+            this.initialize();
+        }
+
+        const node = this.functions.get(name);
+        if (!node) {
+            throw new Error(`Функция ${name} не найдена`);
+        }
+
+        const values = this.signature(node).params.map((param, index) => {
+            const arg = args[index];
+            if (arg !== null && (typeof arg === 'object' || typeof arg === 'string')) {
+                return arg;
+            }
+            return param.type === ValueType.F64 ? Number(arg) : Number(arg) | 0;
+        });
+
+        this.steps = 0;
+        return this.invoke(node, null, values);
+    }
+
+    /**
+     * Инициализация экземпляра: глобальные переменные получают константные
+     * начальные значения (или ноль), затем по порядку выполняются
+     * остальные инициализаторы и код верхнего уровня - как функция
+     * __init модуля.
+     */
+    initialize() {
+        this.initialized = true;
+        this.steps = 0;
+
+        for (const node of this.ast.body) {
+            if (node.type === 'FunctionDeclaration') {
+                this.functions.set(node.name, node);
+            }
+        }
+
+        // Импортированные функции интерпретатор не выполняет: их код - в
+        // другом модуле, и вызов такой функции - ошибка неизвестной функции
+        const statements = [];
+        for (const node of this.ast.body) {
+            if (node.type === 'FunctionDeclaration' || node.type === 'ImportDeclaration') continue;
+
+            if (node.type !== 'VariableDeclaration') {
+                statements.push(node);
+                continue;
+            }
+
+            const type = valueTypeOf(node.inferredType);
+            const constant = node.init ? this.constantValue(node.init, type) : null;
+            this.globals.set(node.name, { type, value: constant ? constant.value : 0, declaration: node });
+
+            if (node.init && !constant) {
+                statements.push(node);
+            }
+        }
+
+        if (statements.length === 0) return;
+
+        // Код верхнего уровня выполняется как тело функции: var его
+        // блоков - её переменные
+        this.scope = this.createScope(null, true);
+        this.hoistVars(statements, this.scope);
+        this.resultType = null;
+        try {
+            for (const statement of statements) {
+                this.execute(statement);
+            }
+        } finally {
+            this.scope = null;
+        }
+    }
+
+    /**
+     * Начальное значение глобальной переменной, известное до выполнения
+     * кода: число, boolean или строка, записанные литералом, - { value }
+     * или null.
+     */
+    constantValue(init, type) {
+        if (init.type === 'UnaryExpression' && init.operator === '-' &&
+            init.argument.type === 'NumberLiteral') {
+            const constant = this.constantValue(init.argument, type);
+            return constant ? { value: type === ValueType.I32 ? -constant.value | 0 : -constant.value } : null;
+        }
+
+        if (init.type === 'NumberLiteral') {
+            if (type === ValueType.I32 && Number.isInteger(init.value)) {
+                return { value: init.value | 0 };
+            }
+            if (type === ValueType.F64) {
+                return { value: init.value };
+            }
+        }
+
+        if (init.type === 'BooleanLiteral' && type === ValueType.I32) {
+            return { value: init.value ? 1 : 0 };
+        }
+
+        if (init.type === 'StringLiteral' && type === ValueType.I32) {
+            return { value: init.value };
+        }
+
+        return null;
+    }
+
+    /**
+     * Типы параметров и результата функции - из её типа, выведенного
+     * анализатором.
+     */
+    signature(node) {
+        let signature = this.signatures.get(node);
+        if (signature) return signature;
+
+        const params = node.params.map(param => ({
+            name: param.name,
+            type: valueTypeOf(param.inferredType)
+        }));
+        const returnType = node.inferredType && node.inferredType.returnType;
+        const result = returnType ? valueTypeOf(returnType) : null;
+
+        signature = { params, result };
+        this.signatures.set(node, signature);
+        return signature;
+    }
+
+    isGlobalDeclaration(node) {
+        const global = this.globals.get(node.name);
+        return global !== undefined && global.declaration === node;
+    }
+
+    createScope(parent, isFunction = false) {
+        return { vars: new Map(), parent, function: isFunction };
+    }
+
+    /**
+     * Объявляет в области функции переменные var её тела (без вложенных
+     * функций): var видна во всей функции, до объявления - с нулём.
+     */
+    hoistVars(body, scope) {
+        const visit = (n) => {
+            if (!n || typeof n !== 'object' ||
+                n.type === 'ArrowFunctionExpression' || n.type === 'FunctionDeclaration') return;
+            if (Array.isArray(n)) {
+                n.forEach(visit);
+                return;
+            }
+
+            if (n.type === 'VariableDeclaration' && n.kind === 'var' &&
+                !this.isGlobalDeclaration(n) && !scope.vars.has(n.name)) {
+                scope.vars.set(n.name, { type: valueTypeOf(n.inferredType), value: 0 });
+            }
+
+            for (const key in n) {
+                if (key !== 'inferredType' && key !== 'loc' && key !== 'typeAnnotation') {
+                    visit(n[key]);
+                }
+            }
+        };
+        visit(body);
+    }
+
+    /**
+     * Выполняет fn в области scope и возвращает её результат.
+     */
+    inScope(scope, fn) {
+        const outer = this.scope;
+        this.scope = scope;
+        try {
+            return fn();
+        } finally {
+            this.scope = outer;
+        }
+    }
+
+    /**
+     * Выполняет функцию с уже приведёнными аргументами. env - область,
+     * в которой создано замыкание (null у функций модуля).
+     */
+    invoke(node, env, args) {
+        this.tick();
+
+        const signature = this.signature(node);
+        const scope = this.createScope(env, true);
+        signature.params.forEach((param, index) => {
+            scope.vars.set(param.name, { type: param.type, value: args[index] });
+        });
+        this.hoistVars(node.body, scope);
+
+        const outer = { resultType: this.resultType, loopDepth: this.loopDepth };
+        this.resultType = signature.result;
+        this.loopDepth = 0;
+
+        try {
+            const completion = this.inScope(scope, () => this.execute(node.body));
+            if (completion && completion.type === 'return') {
+                return completion.value;
+            }
+
+            // Конец тела без return у функции с результатом - unreachable
+            if (signature.result !== null) {
+                throw new InterpreterTrap(`Функция ${node.name || 'без имени'} завершилась без return`);
+            }
+            return undefined;
+        } finally {
+            this.resultType = outer.resultType;
+            this.loopDepth = outer.loopDepth;
+        }
+    }
+
+    tick() {
+        if (++this.steps > this.maxSteps) {
+            throw new RangeError(`Превышен лимит шагов интерпретатора: ${this.maxSteps}`);
+        }
+    }
+
+    /**
+     * Ячейка переменной: из своей области или охватывающих, иначе
+     * глобальная. null - это не переменная.
+     */
+    lookup(name) {
+        for (let scope = this.scope; scope; scope = scope.parent) {
+            const cell = scope.vars.get(name);
+            if (cell) return cell;
+        }
+        return this.globals.get(name) || null;
+    }
+
+    /**
+     * Ячейка объявления переменной. let и const создают новую ячейку в
+     * текущей области - после вычисления инициализатора, так что в нём
+     * имя ещё означает внешнюю переменную; var уже объявлена в области
+     * функции (hoistVars).
+     */
+    declare(node) {
+        if (this.isGlobalDeclaration(node)) {
+            return this.globals.get(node.name);
+        }
+
+        if (node.kind === 'var') {
+            let scope = this.scope;
+            while (!scope.function) scope = scope.parent;
+            return scope.vars.get(node.name);
+        }
+
+        const cell = { type: valueTypeOf(node.inferredType), value: 0 };
+        this.scope.vars.set(node.name, cell);
+        return cell;
+    }
+
+    // ========================================================================
+    // ОПЕРАТОРЫ
+    // ========================================================================
+    //
+    // execute возвращает null или завершение { type, value }: 'return',
+    // 'break', 'continue' - его передают наверх блоки, пока его не
+    // примет цикл или функция.
+
+    execute(node) {
+        if (!node) return null;
+        this.tick();
+
+        switch (node.type) {
+            case 'BlockStatement':
+                return this.inScope(this.createScope(this.scope), () => {
+                    for (const statement of node.body) {
+                        const completion = this.execute(statement);
+                        if (completion) return completion;
+                    }
+                    return null;
+                });
+
+            case 'ReturnStatement':
+                return {
+                    type: 'return',
+                    value: node.value ? this.converted(node.value, this.resultType) : undefined
+                };
+
+            case 'VariableDeclaration': {
+                const value = node.init ? this.evaluate(node.init) : null;
+                const valueType = node.init ? this.valueType(node.init) : null;
+                const cell = this.declare(node);
+                if (node.init) {
+                    cell.value = this.convert(value, valueType, cell.type);
+                }
+                return null;
+            }
+
+            case 'ExpressionStatement':
+                this.evaluate(node.expression);
+                return null;
+
+            case 'IfStatement':
+                if (this.condition(node.condition)) {
+                    return this.execute(node.then);
+                }
+                return node.else ? this.execute(node.else) : null;
+
+            case 'WhileStatement':
+                return this.executeLoop(null, node.condition, null, node.body);
+
+            case 'ForStatement':
+                // Счётчик for (let ...) виден только в заголовке и теле
+                return this.inScope(this.createScope(this.scope), () => {
+                    if (node.init) {
+                        if (node.init.type === 'VariableDeclaration') {
+                            this.execute(node.init);
+                        } else {
+                            this.evaluate(node.init);
+                        }
+                    }
+                    const perIteration = node.init && node.init.type === 'VariableDeclaration' && node.init.kind !== 'var';
+                    return this.executeLoop(perIteration, node.condition, node.update, node.body);
+                });
+
+            // break и continue вне цикла генератор пропускает
+            case 'BreakStatement':
+                return this.loopDepth > 0 ? { type: 'break' } : null;
+            case 'ContinueStatement':
+                return this.loopDepth > 0 ? { type: 'continue' } : null;
+
+            default:
+                throw new Error(`Неподдерживаемый тип оператора: ${node.type}`);
+        }
+    }
+
+    /**
+     * Цикл while или for: continue переходит к update (у while - к
+     * проверке условия), пустое условие - бесконечный цикл.
+     *
+     * perIteration - у for (let ...) каждая итерация получает свою копию
+     * счётчика, как в JavaScript: замыкание, созданное в теле, видит
+     * значение своей итерации, а update меняет уже копию следующей.
+     */
+    executeLoop(perIteration, condition, update, body) {
+        if (perIteration) this.copyScope();
+
+        while (true) {
+            this.tick();
+            if (condition && !this.condition(condition)) {
+                return null;
+            }
+
+            this.loopDepth++;
+            let completion;
+            try {
+                completion = this.execute(body);
+            } finally {
+                this.loopDepth--;
+            }
+
+            if (completion) {
+                if (completion.type === 'break') return null;
+                if (completion.type === 'return') return completion;
+            }
+
+            if (perIteration) this.copyScope();
+            if (update) {
+                this.evaluate(update);
+            }
+        }
+    }
+
+    /**
+     * Заменяет текущую область её копией с теми же значениями.
+     */
+    copyScope() {
+        const copy = this.createScope(this.scope.parent, this.scope.function);
+        for (const [name, cell] of this.scope.vars) {
+            copy.vars.set(name, { type: cell.type, value: cell.value });
+        }
+        this.scope = copy;
+    }
+
+    /**
+     * Условие if, while, for и ?: - i32, ненулевое значение истинно.
+     */
+    condition(node) {
+        return this.evaluate(node) !== 0;
+    }
+
+    // ========================================================================
+    // ВЫРАЖЕНИЯ
+    // ========================================================================
+
+    /**
+     * Вычисляет выражение. Значение имеет WASM тип valueType(node) - тот,
+     * который выражение оставило бы на стеке.
+     */
+    evaluate(node) {
+        const { TypeKind } = globalThis.CompilerStage5;
+
+        switch (node.type) {
+            case 'NumberLiteral':
+                return this.isKind(node, TypeKind.INTEGER) ? Math.floor(node.value) | 0 : node.value;
+
+            case 'BooleanLiteral':
+                return node.value ? 1 : 0;
+
+            case 'StringLiteral':
+                return node.value;
+
+            case 'Identifier':
+                return this.evaluateIdentifier(node);
+
+            case 'BinaryExpression':
+                return this.evaluateBinary(node);
+
+            case 'UnaryExpression':
+                return this.evaluateUnary(node);
+
+            case 'AssignmentExpression':
+                return this.evaluateAssignment(node);
+
+            case 'CallExpression':
+                return this.evaluateCall(node);
+
+            case 'ConditionalExpression':
+                return this.evaluateConditional(node);
+
+            case 'MemberExpression':
+                return this.evaluateMember(node);
+
+            case 'ArrayExpression': {
+                const type = valueTypeOf(node.inferredType.elementType);
+                return node.elements.map(element => this.converted(element, type));
+            }
+
+            case 'ObjectExpression': {
+                // Поля, которых нет в литерале, - ноль (память кучи новая)
+                const properties = node.inferredType.properties;
+                const object = {};
+                for (const name of Object.keys(properties)) {
+                    object[name] = 0;
+                }
+                for (const property of node.properties) {
+                    const name = property.key.name;
+                    object[name] = this.converted(property.value, valueTypeOf(properties[name]));
+                }
+                return object;
+            }
+
+            case 'ArrowFunctionExpression':
+                return new InterpreterClosure(node, this.scope);
+
+            default:
+                throw new Error(`Неподдерживаемый тип выражения: ${node.type}`);
+        }
+    }
+
+    /**
+     * Вычисляет выражение и приводит значение к WASM типу targetType;
+     * targetType null - без приведения.
+     */
+    converted(node, targetType) {
+        const value = this.evaluate(node);
+        return targetType ? this.convert(value, this.valueType(node), targetType) : value;
+    }
+
+    /**
+     * Приведение i32 ↔ f64: i32 → f64 точно, f64 → i32 отбрасывает
+     * дробную часть.
+     */
+    convert(value, from, to) {
+        if (from === ValueType.F64 && to === ValueType.I32) {
+            return truncToI32(value);
+        }
+        return value;
+    }
+
+    valueType(node) {
+        if (node.type === 'Identifier') {
+            const cell = this.lookup(node.name);
+            if (cell) return cell.type;
+        }
+        return valueTypeOf(node.inferredType);
+    }
+
+    isKind(node, kind) {
+        return Boolean(node.inferredType) && node.inferredType.kind === kind;
+    }
+
+    /**
+     * Целое значение: integer или тип, который вывести не удалось (он
+     * тоже i32).
+     */
+    isIntegerLike(node) {
+        const { TypeKind } = globalThis.CompilerStage5;
+        return this.isKind(node, TypeKind.INTEGER) || this.isKind(node, TypeKind.UNKNOWN);
+    }
+
+    /**
+     * Истинность значения типа type: f64 ложно для 0, -0 и NaN.
+     */
+    truthy(value, type) {
+        return type === ValueType.F64 ? Math.abs(value) > 0 : value !== 0;
+    }
+
+    evaluateIdentifier(node) {
+        const cell = this.lookup(node.name);
+        if (cell) return cell.value;
+
+        const declaration = this.functions.get(node.name);
+        if (declaration) {
+            if (!this.functionClosures.has(declaration)) {
+                this.functionClosures.set(declaration, new InterpreterClosure(declaration, null));
+            }
+            return this.functionClosures.get(declaration);
+        }
+
+        throw new Error(`Неизвестная переменная: ${node.name}`);
+    }
+
+    /**
+     * Бинарный оператор. + со строковым результатом - конкатенация,
+     * сравнение со строкой - сравнение строк; иначе операция
+     * выполняется в f64, если f64 хотя бы один из операндов (или
+     * результат арифметики: деление целых - number), и в i32 -
+     * если нет. Побитовые операции - всегда в i32.
+     */
+    evaluateBinary(node) {
+        const { TypeKind } = globalThis.CompilerStage5;
+
+        const { operator } = node;
+        const comparison = ['==', '===', '!=', '!==', '<', '>', '<=', '>='].includes(operator);
+        if (operator === '&&' || operator === '||') {
+            return this.evaluateLogical(node);
+        }
+        if (operator === '+' && this.isKind(node, TypeKind.STRING)) {
+            return this.stringOperand(node.left) + this.stringOperand(node.right);
+        }
+        if (comparison && (this.isKind(node.left, TypeKind.STRING) || this.isKind(node.right, TypeKind.STRING))) {
+            return this.evaluateStringComparison(node);
+        }
+
+        const arithmetic = ['+', '-', '*', '/', '%'].includes(operator);
+
+        let opType = ValueType.I32;
+        if (arithmetic) {
+            const types = [this.valueType(node.left), this.valueType(node.right), valueTypeOf(node.inferredType)];
+            opType = types.includes(ValueType.F64) ? ValueType.F64 : ValueType.I32;
+        } else if (comparison) {
+            opType = [this.valueType(node.left), this.valueType(node.right)].includes(ValueType.F64) ? ValueType.F64 : ValueType.I32;
+        }
+
+        const a = this.converted(node.left, opType);
+        const b = this.converted(node.right, opType);
+
+        switch (operator) {
+            case '<': return a < b ? 1 : 0;
+            case '>': return a > b ? 1 : 0;
+            case '<=': return a <= b ? 1 : 0;
+            case '>=': return a >= b ? 1 : 0;
+            case '==':
+            case '===': return a === b ? 1 : 0;
+            case '!=':
+            case '!==': return a !== b ? 1 : 0;
+        }
+
+        const value = opType === ValueType.F64 ? this.f64Arithmetic(operator, a, b) : this.i32Arithmetic(operator, a, b);
+        return this.convert(value, opType, valueTypeOf(node.inferredType));
+    }
+
+    f64Arithmetic(operator, a, b) {
+        switch (operator) {
+            case '+': return a + b;
+            case '-': return a - b;
+            case '*': return a * b;
+            case '/': return a / b;
+            case '%': return a % b;
+            default:
+                throw new Error(`Неподдерживаемый оператор: ${operator}`);
+        }
+    }
+
+    i32Arithmetic(operator, a, b) {
+        switch (operator) {
+            case '+': return (a + b) | 0;
+            case '-': return (a - b) | 0;
+            case '*': return Math.imul(a, b);
+            case '/':
+                if (b === 0) throw new InterpreterTrap('Целочисленное деление на ноль');
+                if (a === I32_MIN && b === -1) throw new InterpreterTrap('Переполнение целого при делении');
+                return (a / b) | 0;
+            case '%':
+                if (b === 0) throw new InterpreterTrap('Целочисленный остаток от деления на ноль');
+                return (a % b) | 0;
+            case '<<': return a << b;
+            case '>>': return a >> b;
+            case '>>>': return (a >>> b) | 0;
+            case '&': return a & b;
+            case '|': return a | b;
+            case '^': return a ^ b;
+            default:
+                throw new Error(`Неподдерживаемый оператор: ${operator}`);
+        }
+    }
+
+    /**
+     * && и ||: результат - левый операнд, если он решает исход, иначе
+     * правый.
+     */
+    evaluateLogical(node) {
+        const resultType = valueTypeOf(node.inferredType);
+
+        const left = this.evaluate(node.left);
+        const leftType = this.valueType(node.left);
+        const truthy = this.truthy(left, leftType);
+
+        if (node.operator === '&&' ? !truthy : truthy) {
+            return this.convert(left, leftType, resultType);
+        }
+        return this.converted(node.right, resultType);
+    }
+
+    /**
+     * Операнд конкатенации как строка.
+     */
+    stringOperand(node) {
+        const { TypeKind } = globalThis.CompilerStage5;
+
+        if (this.isKind(node, TypeKind.STRING)) {
+            return this.stringValue(this.evaluate(node));
+        }
+        if (this.isKind(node, TypeKind.BOOLEAN)) {
+            return this.evaluate(node) !== 0 ? 'true' : 'false';
+        }
+        if (this.isIntegerLike(node)) {
+            return String(this.converted(node, ValueType.I32));
+        }
+        throw new Error(`Преобразование ${node.inferredType ? node.inferredType.kind : 'значения'} в строку не поддерживается`);
+    }
+
+    /**
+     * Строка по адресу 0 (переменная без значения) - пустая: длина в
+     * памяти по адресу 0 равна нулю.
+     */
+    stringValue(value) {
+        return value === 0 ? '' : value;
+    }
+
+    evaluateStringComparison(node) {
+        const { TypeKind } = globalThis.CompilerStage5;
+
+        if (!this.isKind(node.left, TypeKind.STRING) || !this.isKind(node.right, TypeKind.STRING)) {
+            throw new Error('Сравнение строки с не-строкой не поддерживается');
+        }
+
+        const a = this.stringValue(this.evaluate(node.left));
+        const b = this.stringValue(this.evaluate(node.right));
+        switch (node.operator) {
+            case '==':
+            case '===': return a === b ? 1 : 0;
+            case '!=':
+            case '!==': return a !== b ? 1 : 0;
+            case '<': return a < b ? 1 : 0;
+            case '>': return a > b ? 1 : 0;
+            case '<=': return a <= b ? 1 : 0;
+            default: return a >= b ? 1 : 0;
+        }
+    }
+
+    evaluateUnary(node) {
+        const type = this.valueType(node.argument);
+        let value;
+
+        switch (node.operator) {
+            case '-': {
+                const argument = this.evaluate(node.argument);
+                value = type === ValueType.F64 ? -argument : (0 - argument) | 0;
+                break;
+            }
+            case '+':
+                value = this.evaluate(node.argument);
+                break;
+            case '!':
+                value = this.truthy(this.evaluate(node.argument), type) ? 0 : 1;
+                break;
+            default:
+                throw new Error(`Неподдерживаемый оператор: ${node.operator}`);
+        }
+
+        return this.convert(value, node.operator === '!' ? ValueType.I32 : type, valueTypeOf(node.inferredType));
+    }
+
+    /**
+     * Тернарный оператор: вычисляется только выбранная ветка.
+     */
+    evaluateConditional(node) {
+        const resultType = valueTypeOf(node.inferredType);
+
+        return this.condition(node.condition)
+            ? this.converted(node.then, resultType)
+            : this.converted(node.else, resultType);
+    }
+
+    evaluateAssignment(node) {
+        if (node.left.type === 'MemberExpression') {
+            // Как в JavaScript: объект и индекс, затем значение и только
+            // потом запись - индекс за границей останавливает программу
+            // уже после вычисления значения
+            const slot = this.memberSlot(node.left);
+            const value = this.converted(node.right, slot.type);
+            this.checkSlot(slot);
+            slot.container[slot.key] = value;
+            return this.convert(value, slot.type, valueTypeOf(node.inferredType));
+        }
+
+        const cell = this.lookup(node.left.name);
+        if (!cell) {
+            throw new Error(`Неизвестная переменная: ${node.left.name}`);
+        }
+        cell.value = this.converted(node.right, cell.type);
+        return cell.value;
+    }
+
+    evaluateMember(node) {
+        const { TypeKind, BuiltinConstants } = globalThis.CompilerStage5;
+
+        // Встроенная константа (Math.PI): имя из типа совпадает с записью
+        const builtin = node.inferredType && node.inferredType.builtin;
+        if (builtin in BuiltinConstants && !node.computed && node.object.type === 'Identifier' &&
+            `${node.object.name}.${node.property.name}` === builtin) {
+            return BuiltinConstants[builtin];
+        }
+
+        if (!node.computed && node.property.name === 'length') {
+            if (this.isKind(node.object, TypeKind.STRING)) {
+                return this.stringValue(this.evaluate(node.object)).length;
+            }
+            if (this.isKind(node.object, TypeKind.ARRAY)) {
+                return this.arrayValue(this.evaluate(node.object)).length;
+            }
+        }
+
+        const slot = this.memberSlot(node);
+        this.checkSlot(slot);
+        return slot.container[slot.key];
+    }
+
+    /**
+     * Элемент массива или поле объекта: { type, container, key }.
+     * Индекс не проверяется - это делает checkSlot при чтении или записи.
+     */
+    memberSlot(node) {
+        const { TypeKind } = globalThis.CompilerStage5;
+
+        const objectType = node.object.inferredType;
+
+        if (node.computed && this.isKind(node.object, TypeKind.ARRAY)) {
+            const type = valueTypeOf(objectType.elementType);
+            const array = this.arrayValue(this.evaluate(node.object));
+            const index = this.converted(node.property, ValueType.I32);
+            return { type, container: array, key: index };
+        }
+
+        if (!node.computed && this.isKind(node.object, TypeKind.OBJECT) &&
+            Object.prototype.hasOwnProperty.call(objectType.properties, node.property.name)) {
+            const object = this.evaluate(node.object);
+            if (object === 0) {
+                throw new Error(`Свойство ${node.property.name} объекта без значения`);
+            }
+            return {
+                type: valueTypeOf(objectType.properties[node.property.name]),
+                container: object,
+                key: node.property.name
+            };
+        }
+
+        throw new Error('Неподдерживаемый доступ к члену: тип объекта неизвестен');
+    }
+
+    /**
+     * Индекс за пределами массива - trap.
+     */
+    checkSlot(slot) {
+        if (Array.isArray(slot.container) && (slot.key >>> 0) >= slot.container.length) {
+            throw new InterpreterTrap(`Индекс ${slot.key} за пределами массива длины ${slot.container.length}`);
+        }
+    }
+
+    /**
+     * Массив по адресу 0 - пустой, как строка.
+     */
+    arrayValue(value) {
+        return value === 0 ? [] : value;
+    }
+
+    evaluateCall(node) {
+        const { TypeKind } = globalThis.CompilerStage5;
+
+        const callee = node.callee;
+
+        if (callee.type === 'MemberExpression' && !callee.computed &&
+            this.isKind(callee.object, TypeKind.STRING) && callee.property.name === 'charCodeAt') {
+            const text = this.stringValue(this.evaluate(callee.object));
+            const index = this.converted(node.arguments[0], ValueType.I32);
+            if ((index >>> 0) >= text.length) {
+                throw new InterpreterTrap(`Индекс ${index} за пределами строки длины ${text.length}`);
+            }
+            return text.charCodeAt(index);
+        }
+
+        if (this.intrinsicName(node)) {
+            return this.evaluateIntrinsic(node);
+        }
+
+        if (this.isIndirectCall(node)) {
+            return this.evaluateIndirectCall(node);
+        }
+
+        if (callee.type !== 'Identifier') {
+            throw new Error('Сложные вызовы функций не реализованы');
+        }
+        const declaration = this.functions.get(callee.name);
+        if (!declaration) {
+            throw new Error(`Неизвестная функция: ${callee.name}`);
+        }
+
+        const params = this.signature(declaration).params;
+        const args = node.arguments.map((arg, index) => this.converted(arg, params[index] ? params[index].type : null));
+        return this.invoke(declaration, null, args);
+    }
+
+    /**
+     * Вызывается ли функция-значение: переменная, поле объекта в
+     * переменной или результат выражения, а не функция модуля по имени.
+     */
+    isIndirectCall(node) {
+        const { TypeKind } = globalThis.CompilerStage5;
+
+        const callee = node.callee;
+        if (!this.isKind(callee, TypeKind.FUNCTION)) {
+            return false;
+        }
+        if (callee.type === 'Identifier') {
+            return this.lookup(callee.name) !== null;
+        }
+        if (callee.type === 'MemberExpression' && callee.object.type === 'Identifier') {
+            return this.lookup(callee.object.name) !== null;
+        }
+        return true;
+    }
+
+    /**
+     * Вызов замыкания. Аргументы приводятся к типам из типа вызываемого
+     * выражения; если функция в замыкании ждёт другие типы, программа
+     * останавливается, как call_indirect с чужой сигнатурой.
+     */
+    evaluateIndirectCall(node) {
+        const funcType = node.callee.inferredType;
+        const params = funcType.paramTypes.map(type => valueTypeOf(type));
+        const result = funcType.returnType ? valueTypeOf(funcType.returnType) : null;
+
+        const closure = this.evaluate(node.callee);
+        const args = node.arguments.map((arg, index) => this.converted(arg, params[index] || null));
+
+        if (!(closure instanceof InterpreterClosure)) {
+            throw new InterpreterTrap('Вызов функции без значения');
+        }
+
+        const signature = this.signature(closure.node);
+        const matches = signature.result === result && signature.params.length === params.length &&
+            signature.params.every((param, index) => param.type === params[index]);
+        if (!matches) {
+            throw new InterpreterTrap('Сигнатура функции не совпадает с сигнатурой косвенного вызова');
+        }
+
+        return this.invoke(closure.node, closure.env, args);
+    }
+
+    /**
+     * Имя встроенной функции, которую вызывает node, или null. Встроенную
+     * функцию узнаёт анализатор типов: тип вызываемого выражения помечен
+     * её именем, и оно должно совпасть с записью вызова - переменная с
+     * Math.abs внутри или своя функция parseInt вызываются как обычно.
+     */
+    intrinsicName(node) {
+        const callee = node.callee;
+        const type = callee.inferredType;
+        if (!type || !type.builtin || !IntrinsicValues[type.builtin]) {
+            return null;
+        }
+
+        let name = null;
+        if (callee.type === 'Identifier') {
+            name = callee.name;
+        } else if (callee.type === 'MemberExpression' && !callee.computed &&
+                   callee.object.type === 'Identifier') {
+            name = `${callee.object.name}.${callee.property.name}`;
+        }
+        return name === type.builtin ? name : null;
+    }
+
+    /**
+     * Вызов встроенной функции (см. IntrinsicValues).
+     */
+    evaluateIntrinsic(node) {
+        const intrinsic = IntrinsicValues[this.intrinsicName(node)];
+
+        const integer = intrinsic.i32 !== undefined && (intrinsic.f64 === undefined ||
+            (node.arguments.length > 0 && node.arguments.every(arg => this.isIntegerLike(arg))));
+        const type = integer ? ValueType.I32 : ValueType.F64;
+
+        const args = node.arguments.map(arg => this.converted(arg, type));
+        const value = intrinsic[type](...args);
+
+        return this.convert(value, intrinsic.result || type, valueTypeOf(node.inferredType));
+    }
+}
+
+// Экспорт
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Interpreter, InterpreterTrap };
+    require('./stage5-type-analyzer.js');
+}
+
+globalThis.CompilerStage5 = globalThis.CompilerStage5 || {};
+globalThis.CompilerStage5.Interpreter = Interpreter;
+globalThis.CompilerStage5.InterpreterTrap = InterpreterTrap;
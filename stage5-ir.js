@@ -0,0 +1,1566 @@
+/**
+ * ============================================================================
+ * SSA IR - STAGE 5: REAL WASM COMPILATION
+ * ============================================================================
+ *
+ * Промежуточное представление (IR) между типизированным AST и WASM:
+ * граф базовых блоков, в котором каждое значение вычисляется ровно один
+ * раз (SSA - static single assignment), а слияние значений из разных
+ * путей выражено phi-узлами.
+ *
+ *   function count(n) {          bb0:
+ *       let i = 0;                 v0: i32 = param 0
+ *       while (i < n) {            jump bb1
+ *           i = i + 1;           bb1:                         ; preds: bb0 bb2
+ *       }                          v3: i32 = phi [0, bb0] [v9, bb2]
+ *       return i;                  v5: i32 = i32.lt_s v3 v0
+ *   }                              v6: i32 = i32.eqz v5
+ *                                  branch v6 bb3 bb2
+ *                                bb2:                         ; preds: bb1
+ *                                  v9: i32 = i32.add v3 1
+ *                                  jump bb1
+ *                                bb3:                         ; preds: bb1
+ *                                  return v3
+ *
+ * ЗАЧЕМ
+ *
+ * В AST у переменной i одно имя на всю функцию, и чтобы понять, какое
+ * значение читает i < n, нужно разбирать весь поток управления. В SSA у
+ * каждого значения одно определение, и связи "кто чьё значение
+ * использует" (use-def цепочки) - это просто ссылки: v5 использует v3 и
+ * v0, а v3 используют v5, v9 и return. Проходы оптимизации над IR
+ * (IrPasses) и анализ потока данных (liveness, регистровое давление для
+ * CodeFeatureExtractor) опираются на эти ссылки, а не на имена.
+ *
+ * ПОСТРОЕНИЕ
+ *
+ * Инструкции IR - это инструкции WASM (i32.add, f64.load, call...), а
+ * построитель (IrBuilder) получает их от самого генератора кода: он
+ * обходит типизированный AST тем же WasmCodeGenerator, но вместо записи
+ * инструкций выполняет их символически - стек WASM становится стеком
+ * значений IR, local.get/local.set - чтением и записью переменной,
+ * block/loop/if/br - базовыми блоками и переходами. Так IR повторяет все
+ * правила генератора (приведение i32/f64, истинность, && и ||, строки,
+ * память, замыкания) без второй их реализации.
+ *
+ * SSA строится сразу при обходе, алгоритмом Braun et al. ("Simple and
+ * Efficient Construction of Static Single Assignment Form", 2013): чтение
+ * переменной в блоке с несколькими предшественниками создаёт phi, а phi,
+ * все операнды которого одинаковы, сразу удаляется.
+ *
+ * ОБРАТНО В WASM
+ *
+ * WASM не умеет произвольных переходов - только вложенные block, loop и
+ * if. IrEmitter восстанавливает их по дереву доминаторов алгоритмом из
+ * статьи N. Ramsey "Beyond Relooper" (2022): блок, в который ведут
+ * несколько переходов вперёд, становится концом block, заголовок цикла -
+ * началом loop. Каждое значение IR хранится в своей локальной переменной,
+ * phi - копиями на рёбрах. Инструкции выдаются через API генератора
+ * (instr, beginBlock, beginIf...), поэтому так же работают оба бэкенда.
+ *
+ * Включается опцией компилятора: compile(source, { ir: true }).
+ */
+
+/**
+ * Инструкции WASM, которые генератор выдаёт в телах функций: число
+ * операндов со стека и WASM тип результата (null - без результата).
+ *
+ * local.*, global.*, call, call_indirect, select и управляющие
+ * инструкции построитель разбирает отдельно.
+ */
+const IrOpcodeSignatures = (() => {
+    const table = {};
+    const define = (ops, params, result) => ops.forEach(op => { table[op] = { params, result }; });
+
+    define(['i32.const'], 0, 'i32');
+    define(['f64.const'], 0, 'f64');
+
+    define(['i32.add', 'i32.sub', 'i32.mul', 'i32.div_s', 'i32.div_u', 'i32.rem_s', 'i32.rem_u',
+            'i32.and', 'i32.or', 'i32.xor', 'i32.shl', 'i32.shr_s', 'i32.shr_u', 'i32.rotl', 'i32.rotr',
+            'i32.eq', 'i32.ne', 'i32.lt_s', 'i32.lt_u', 'i32.gt_s', 'i32.gt_u',
+            'i32.le_s', 'i32.le_u', 'i32.ge_s', 'i32.ge_u'], 2, 'i32');
+    define(['i32.eqz', 'i32.clz', 'i32.ctz', 'i32.popcnt'], 1, 'i32');
+
+    define(['f64.add', 'f64.sub', 'f64.mul', 'f64.div', 'f64.min', 'f64.max', 'f64.copysign'], 2, 'f64');
+    define(['f64.eq', 'f64.ne', 'f64.lt', 'f64.gt', 'f64.le', 'f64.ge'], 2, 'i32');
+    define(['f64.abs', 'f64.neg', 'f64.ceil', 'f64.floor', 'f64.trunc', 'f64.nearest', 'f64.sqrt'], 1, 'f64');
+
+    define(['f64.convert_i32_s', 'f64.convert_i32_u'], 1, 'f64');
+    define(['i32.trunc_f64_s', 'i32.trunc_f64_u'], 1, 'i32');
+
+    define(['i32.load', 'i32.load8_s', 'i32.load8_u', 'i32.load16_s', 'i32.load16_u'], 1, 'i32');
+    define(['f64.load'], 1, 'f64');
+    define(['i32.store', 'i32.store8', 'i32.store16', 'f64.store'], 2, null);
+
+    define(['memory.size'], 0, 'i32');
+    define(['memory.grow'], 1, 'i32');
+    define(['memory.copy', 'memory.fill'], 3, null);
+
+    // SIMD векторизованных циклов (generateVectorizedBody)
+    define(['v128.load'], 1, 'v128');
+    define(['v128.store'], 2, null);
+    define(['i32x4.splat', 'f32x4.splat', 'f64x2.splat', 'i32x4.neg', 'f32x4.neg', 'f64x2.neg'], 1, 'v128');
+    define(['i32x4.add', 'i32x4.sub', 'i32x4.mul', 'f32x4.add', 'f32x4.sub', 'f32x4.mul', 'f32x4.div',
+            'f64x2.add', 'f64x2.sub', 'f64x2.mul', 'f64x2.div'], 2, 'v128');
+    define(['i32x4.extract_lane'], 1, 'i32');
+    define(['f32x4.extract_lane'], 1, 'f32');
+    define(['f64x2.extract_lane'], 1, 'f64');
+
+    return table;
+})();
+
+/**
+ * Инструкции, которые нельзя удалить или вычислить заранее, даже если их
+ * результат не нужен: они меняют состояние (память, глобальные
+ * переменные, вызовы) или могут прервать выполнение (trap: чтение за
+ * границей памяти, деление на 0, f64 → i32 вне диапазона).
+ */
+const IrEffects = new Set([
+    'call', 'call_indirect', 'global.set',
+    'i32.store', 'i32.store8', 'i32.store16', 'f64.store',
+    'memory.grow', 'memory.copy', 'memory.fill',
+    'i32.load', 'i32.load8_s', 'i32.load8_u', 'i32.load16_s', 'i32.load16_u', 'f64.load',
+    'v128.load', 'v128.store',
+    'i32.div_s', 'i32.div_u', 'i32.rem_s', 'i32.rem_u',
+    'i32.trunc_f64_s', 'i32.trunc_f64_u'
+]);
+
+/**
+ * IrValue - значение SSA: инструкция, phi, параметр функции или
+ * завершающая инструкция блока (jump, branch, return, unreachable).
+ *
+ * Use-def цепочки хранятся в обе стороны: operands - значения, которые
+ * инструкция использует, users - инструкции, которые используют её
+ * значение (по записи на каждое использование).
+ */
+class IrValue {
+    constructor(id, op, type, operands = [], immediates = []) {
+        this.id = id;
+        this.op = op;                   // Мнемоника WASM, 'phi', 'param' или терминатор
+        this.type = type;               // 'i32', 'f64' или null (нет значения)
+        this.operands = [];
+        this.immediates = immediates;   // Непосредственные операнды ($f, offset=4, 42)
+        this.users = [];
+        this.block = null;
+
+        // Цели перехода у jump и branch
+        this.targets = [];
+
+        // Вид перемещения у i32.const с адресом или индексом в таблице
+        // (см. WasmCodeGenerator.relocatableConst). Такая константа не
+        // сворачивается: её значение поменяет линкер
+        this.relocation = null;
+
+        // Место в исходном коде (loc узла AST), из которого получена
+        // инструкция, или null - например, у значений, созданных проходами
+        this.loc = null;
+
+        operands.forEach(operand => this.addOperand(operand));
+    }
+
+    addOperand(value) {
+        this.operands.push(value);
+        value.users.push(this);
+    }
+
+    /**
+     * Заменяет операнд с индексом index.
+     */
+    setOperand(index, value) {
+        this.operands[index].removeUser(this);
+        this.operands[index] = value;
+        value.users.push(this);
+    }
+
+    removeOperand(index) {
+        this.operands[index].removeUser(this);
+        this.operands.splice(index, 1);
+    }
+
+    /**
+     * Отвязывает все операнды (перед удалением инструкции).
+     */
+    dropOperands() {
+        this.operands.forEach(operand => operand.removeUser(this));
+        this.operands = [];
+    }
+
+    removeUser(user) {
+        const index = this.users.indexOf(user);
+        if (index !== -1) {
+            this.users.splice(index, 1);
+        }
+    }
+
+    /**
+     * Заменяет все использования значения на replacement.
+     */
+    replaceAllUsesWith(replacement) {
+        for (const user of [...this.users]) {
+            user.operands.forEach((operand, index) => {
+                if (operand === this) {
+                    user.operands[index] = replacement;
+                    replacement.users.push(user);
+                }
+            });
+        }
+        this.users = [];
+    }
+
+    get isPhi() {
+        return this.op === 'phi';
+    }
+
+    get isConstant() {
+        return (this.op === 'i32.const' || this.op === 'f64.const') && this.relocation === null;
+    }
+
+    get isTerminator() {
+        return ['jump', 'branch', 'return', 'unreachable'].includes(this.op);
+    }
+
+    /**
+     * Есть ли у инструкции эффект, кроме вычисления значения (см. IrEffects).
+     */
+    get hasEffects() {
+        return IrEffects.has(this.op) || this.isTerminator;
+    }
+
+    /**
+     * Значение константы как число.
+     */
+    get constantValue() {
+        return Number(this.immediates[0]);
+    }
+
+    toString() {
+        return `v${this.id}`;
+    }
+}
+
+/**
+ * IrBlock - базовый блок: phi-узлы, инструкции без переходов и один
+ * завершающий переход (terminator).
+ *
+ * Порядок predecessors важен: i-й операнд каждого phi - значение,
+ * приходящее из i-го предшественника.
+ */
+class IrBlock {
+    constructor(id) {
+        this.id = id;
+        this.phis = [];
+        this.instructions = [];
+        this.terminator = null;
+        this.predecessors = [];
+
+        // Состояние построителя (см. IrBuilder)
+        this.sealed = false;
+        this.dead = false;
+        this.incompletePhis = new Map();
+    }
+
+    get successors() {
+        return this.terminator ? this.terminator.targets : [];
+    }
+
+    toString() {
+        return `bb${this.id}`;
+    }
+}
+
+/**
+ * IrFunction - функция в SSA форме.
+ */
+class IrFunction {
+    /**
+     * @param {string} name - Имя функции
+     * @param {Object} signature - { params: [{ name, type }], result }
+     */
+    constructor(name, signature) {
+        this.name = name;
+        this.params = signature.params;
+        this.result = signature.result;
+        this.blocks = [];
+        this.entry = null;
+        this.nextValueId = 0;
+        this.nextBlockId = 0;
+    }
+
+    newBlock() {
+        return new IrBlock(this.nextBlockId++);
+    }
+
+    newValue(op, type, operands = [], immediates = []) {
+        return new IrValue(this.nextValueId++, op, type, operands, immediates);
+    }
+
+    /**
+     * Добавляет инструкцию в конец блока.
+     */
+    append(block, value) {
+        value.block = block;
+        block.instructions.push(value);
+        return value;
+    }
+
+    /**
+     * Завершает блок переходом: jump (target), branch (condition, then,
+     * else), return (значение или ничего), unreachable. Рёбра графа
+     * (predecessors) добавляются здесь.
+     */
+    terminate(block, op, operands = [], targets = []) {
+        const terminator = this.newValue(op, null, operands);
+        terminator.block = block;
+        terminator.targets = targets;
+        block.terminator = terminator;
+        targets.forEach(target => target.predecessors.push(block));
+        return terminator;
+    }
+
+    /**
+     * Все значения функции: phi, инструкции и переходы.
+     */
+    *values() {
+        for (const block of this.blocks) {
+            yield* block.phis;
+            yield* block.instructions;
+            if (block.terminator) yield block.terminator;
+        }
+    }
+
+    /**
+     * Блоки в обратном порядке обхода в глубину (reverse postorder):
+     * каждый блок раньше своих потомков, кроме переходов назад (циклы).
+     */
+    reversePostorder() {
+        const order = [];
+        const visited = new Set();
+
+        const visit = (block) => {
+            visited.add(block);
+            for (const successor of block.successors) {
+                if (!visited.has(successor)) visit(successor);
+            }
+            order.push(block);
+        };
+        visit(this.entry);
+
+        return order.reverse();
+    }
+
+    /**
+     * Дерево доминаторов функции (строится заново при каждом вызове -
+     * после изменения графа оно устаревает).
+     */
+    dominatorTree() {
+        return new DominatorTree(this);
+    }
+
+    /**
+     * Удаляет ребро from → to: убирает from из предшественников to
+     * вместе с соответствующими операндами phi.
+     */
+    removeEdge(from, to) {
+        const index = to.predecessors.indexOf(from);
+        if (index === -1) return;
+
+        to.predecessors.splice(index, 1);
+        to.phis.forEach(phi => phi.removeOperand(index));
+    }
+
+    /**
+     * Удаляет блоки, недостижимые из входного.
+     */
+    removeUnreachableBlocks() {
+        const reachable = new Set(this.reversePostorder());
+
+        for (const block of this.blocks) {
+            if (reachable.has(block)) continue;
+            for (const successor of block.successors) {
+                if (reachable.has(successor)) this.removeEdge(block, successor);
+            }
+        }
+
+        this.blocks = this.blocks.filter(block => reachable.has(block));
+        for (const block of this.blocks) {
+            for (const value of [...block.phis, ...block.instructions, block.terminator]) {
+                // Использования из удалённых блоков больше не считаются
+                value.users = value.users.filter(user => user.block && reachable.has(user.block));
+            }
+        }
+    }
+
+    /**
+     * Удаляет phi, у которых все операнды (кроме самого phi) - одно
+     * значение: такой phi и есть это значение.
+     */
+    removeTrivialPhis() {
+        let changed = true;
+        while (changed) {
+            changed = false;
+            for (const block of this.blocks) {
+                for (const phi of [...block.phis]) {
+                    const same = IrFunction.trivialPhiValue(phi);
+                    if (same) {
+                        this.removePhi(phi, same);
+                        changed = true;
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Значение, которым можно заменить phi, или null.
+     */
+    static trivialPhiValue(phi) {
+        let same = null;
+        for (const operand of phi.operands) {
+            if (operand === phi || operand === same) continue;
+            if (same !== null) return null;
+            same = operand;
+        }
+        return same;
+    }
+
+    removePhi(phi, replacement) {
+        phi.dropOperands();
+        phi.replaceAllUsesWith(replacement);
+        phi.block.phis.splice(phi.block.phis.indexOf(phi), 1);
+        phi.block = null;
+    }
+
+    /**
+     * Удаляет инструкцию из блока (её значение не должно использоваться).
+     */
+    removeInstruction(value) {
+        value.dropOperands();
+        const list = value.block.instructions;
+        list.splice(list.indexOf(value), 1);
+        value.block = null;
+    }
+
+    /**
+     * Анализ живости значений: какие значения понадобятся после начала
+     * (liveIn) и после конца (liveOut) каждого блока.
+     *
+     * Учитываются значения, которые генератор хранит в локальных
+     * переменных, - константы каждый раз создаются заново. Операнд phi
+     * живёт на выходе соответствующего предшественника, а не на входе
+     * блока с phi.
+     *
+     * @returns {Object} - { liveIn: Map<IrBlock, Set>, liveOut: Map<IrBlock, Set> }
+     */
+    liveness() {
+        const liveIn = new Map(this.blocks.map(block => [block, new Set()]));
+        const liveOut = new Map(this.blocks.map(block => [block, new Set()]));
+        const order = this.reversePostorder().reverse();
+
+        let changed = true;
+        while (changed) {
+            changed = false;
+            for (const block of order) {
+                const out = new Set();
+                for (const successor of block.successors) {
+                    const index = successor.predecessors.indexOf(block);
+                    for (const value of liveIn.get(successor)) {
+                        if (!successor.phis.includes(value)) out.add(value);
+                    }
+                    for (const phi of successor.phis) {
+                        if (IrFunction.isRegister(phi.operands[index])) out.add(phi.operands[index]);
+                    }
+                }
+
+                const live = this.liveBefore(block, out);
+                if (out.size !== liveOut.get(block).size || live.size !== liveIn.get(block).size) {
+                    liveOut.set(block, out);
+                    liveIn.set(block, live);
+                    changed = true;
+                }
+            }
+        }
+
+        return { liveIn, liveOut };
+    }
+
+    /**
+     * Значения, живые в начале блока, если в конце живы out.
+     * visit(live) вызывается в каждой точке блока (от конца к началу).
+     */
+    liveBefore(block, out, visit = null) {
+        const live = new Set(out);
+        if (visit) visit(live);
+
+        const step = (value) => {
+            live.delete(value);
+            for (const operand of value.operands) {
+                if (IrFunction.isRegister(operand)) live.add(operand);
+            }
+            if (visit) visit(live);
+        };
+
+        if (block.terminator) step(block.terminator);
+        for (let i = block.instructions.length - 1; i >= 0; i--) {
+            step(block.instructions[i]);
+        }
+        // phi определяются на входе блока
+        block.phis.forEach(phi => live.add(phi));
+        return live;
+    }
+
+    /**
+     * Значение, которому нужна локальная переменная (регистр): всё,
+     * что имеет тип, кроме констант.
+     */
+    static isRegister(value) {
+        return value.type !== null && !value.isConstant;
+    }
+
+    /**
+     * Регистровое давление: сколько значений живо одновременно.
+     *
+     * @returns {Object} - { max, average } по всем точкам функции
+     */
+    registerPressure() {
+        const { liveOut } = this.liveness();
+        let max = 0;
+        let total = 0;
+        let points = 0;
+
+        for (const block of this.blocks) {
+            this.liveBefore(block, liveOut.get(block), (live) => {
+                max = Math.max(max, live.size);
+                total += live.size;
+                points++;
+            });
+        }
+
+        return { max, average: points > 0 ? total / points : 0 };
+    }
+
+    /**
+     * Текстовое представление функции (для отладки и визуализации).
+     */
+    toString() {
+        const operand = (value) => value.isConstant ? `${value.immediates[0]}` : `${value}`;
+        const immediate = (item) => Array.isArray(item) ? `(${item.join(' ')})` : String(item);
+        const params = this.params.map(param => `${param.type} ${param.name}`).join(', ');
+        const lines = [`function ${this.name}(${params})${this.result ? ` -> ${this.result}` : ''}`];
+
+        for (const block of this.reversePostorder()) {
+            const preds = block.predecessors.length > 0
+                ? `    ; preds: ${block.predecessors.join(' ')}`
+                : '';
+            lines.push(`${block}:${preds}`);
+
+            for (const phi of block.phis) {
+                const incoming = phi.operands.map((value, i) => `[${operand(value)}, ${block.predecessors[i]}]`);
+                lines.push(`  ${phi}: ${phi.type} = phi ${incoming.join(' ')}`);
+            }
+            for (const value of block.instructions) {
+                if (value.isConstant) continue;
+                const parts = [value.op, ...value.immediates.map(immediate), ...value.operands.map(operand)];
+                lines.push(value.type ? `  ${value}: ${value.type} = ${parts.join(' ')}` : `  ${parts.join(' ')}`);
+            }
+
+            const terminator = block.terminator;
+            const parts = [terminator.op, ...terminator.operands.map(operand), ...terminator.targets];
+            lines.push(`  ${parts.join(' ')}`);
+        }
+
+        return lines.join('\n');
+    }
+}
+
+/**
+ * DominatorTree - дерево доминаторов.
+ *
+ * Блок A доминирует над B, если любой путь от входа функции к B проходит
+ * через A. Непосредственный доминатор (idom) - ближайший из них; они и
+ * образуют дерево. Строится итеративным алгоритмом Cooper, Harvey,
+ * Kennedy ("A Simple, Fast Dominance Algorithm"): idom каждого блока -
+ * общий предок в дереве всех его уже обработанных предшественников,
+ * пока ничего не меняется.
+ */
+class DominatorTree {
+    constructor(fn) {
+        this.order = fn.reversePostorder();
+        this.rpoNumber = new Map(this.order.map((block, index) => [block, index]));
+        this.idoms = new Map([[fn.entry, fn.entry]]);
+
+        const intersect = (a, b) => {
+            while (a !== b) {
+                while (this.rpoNumber.get(a) > this.rpoNumber.get(b)) a = this.idoms.get(a);
+                while (this.rpoNumber.get(b) > this.rpoNumber.get(a)) b = this.idoms.get(b);
+            }
+            return a;
+        };
+
+        let changed = true;
+        while (changed) {
+            changed = false;
+            for (const block of this.order.slice(1)) {
+                let idom = null;
+                for (const pred of block.predecessors) {
+                    if (!this.idoms.has(pred)) continue;
+                    idom = idom === null ? pred : intersect(pred, idom);
+                }
+                if (this.idoms.get(block) !== idom) {
+                    this.idoms.set(block, idom);
+                    changed = true;
+                }
+            }
+        }
+
+        this.childBlocks = new Map(this.order.map(block => [block, []]));
+        for (const block of this.order.slice(1)) {
+            this.childBlocks.get(this.idoms.get(block)).push(block);
+        }
+    }
+
+    /**
+     * Непосредственный доминатор (null у входного блока).
+     */
+    idom(block) {
+        const idom = this.idoms.get(block);
+        return idom === block ? null : idom;
+    }
+
+    /**
+     * Блоки, непосредственный доминатор которых - block.
+     */
+    children(block) {
+        return this.childBlocks.get(block) || [];
+    }
+
+    /**
+     * Доминирует ли a над b (каждый блок доминирует над собой).
+     */
+    dominates(a, b) {
+        for (let block = b; block; block = this.idom(block)) {
+            if (block === a) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Граница доминирования: блоки, где доминирование block заканчивается
+     * (там сходятся пути, идущие через block и в обход него; здесь и
+     * нужны phi для переменных, записанных в block).
+     */
+    frontier(block) {
+        const result = new Set();
+        for (const candidate of this.order) {
+            if (candidate.predecessors.length < 2) continue;
+            for (const pred of candidate.predecessors) {
+                for (let runner = pred; runner && runner !== this.idom(candidate); runner = this.idom(runner)) {
+                    if (runner === block) result.add(candidate);
+                }
+            }
+        }
+        return result;
+    }
+}
+
+/**
+ * IrBuilder - строит IrFunction из функции типизированного AST.
+ *
+ * Тело обходит генератор (generateStatement и всё, что он вызывает), но
+ * через "представление" - объект, унаследованный от генератора, у
+ * которого instr и begin/end-методы переопределены (как у
+ * WasmBinaryGenerator): инструкции не пишутся, а выполняются над стеком
+ * значений IR.
+ */
+class IrBuilder {
+    /**
+     * @param {WasmCodeGenerator} generator - Генератор, подготовленный
+     *        к генерации функции (generateFunction: локальные
+     *        переменные, область видимости, тип результата)
+     */
+    constructor(generator) {
+        this.generator = generator;
+        this.fn = null;
+        this.current = null;
+        this.view = null;
+
+        // Стек значений WASM и стек управляющих конструкций
+        this.stack = [];
+        this.controls = [];
+
+        // Текущие определения переменных: имя → (блок → значение)
+        this.definitions = new Map();
+        this.variableTypes = new Map();
+        this.resultCounter = 0;
+    }
+
+    /**
+     * Строит IR функции node с сигнатурой signature (functionSignature).
+     */
+    build(node, signature) {
+        this.fn = new IrFunction(node.name, signature);
+        this.variableTypes = new Map([...signature.params, ...signature.locals]
+            .map(local => [local.name, local.type]));
+
+        const entry = this.fn.newBlock();
+        entry.sealed = true;
+        this.fn.entry = entry;
+        this.fn.blocks.push(entry);
+        this.current = entry;
+
+        signature.params.forEach((param, index) => {
+            const value = this.fn.append(entry, this.fn.newValue('param', param.type, [], [index]));
+            this.writeVariable(param.name, entry, value);
+        });
+
+        const view = this.generatorView();
+        this.view = view;
+        if (view.scope && view.scope.frame) {
+            view.generateFrame();
+        }
+        view.generateStatement(node.body);
+
+        // Счётчики меток и временных переменных представление изменило у себя
+        this.generator.labelCounter = view.labelCounter;
+
+        // Конец тела: как в generateFunction - unreachable, если функция
+        // с результатом не заканчивается return, иначе неявный return
+        if (!this.current.dead) {
+            if (signature.result !== null) {
+                this.fn.terminate(this.current, 'unreachable');
+            } else {
+                this.fn.terminate(this.current, 'return');
+            }
+        }
+
+        this.fn.removeUnreachableBlocks();
+        this.fn.removeTrivialPhis();
+
+        // Номера блоков - в порядке выполнения, а не создания
+        this.fn.blocks = this.fn.reversePostorder();
+        this.fn.blocks.forEach((block, index) => { block.id = index; });
+        this.fn.nextBlockId = this.fn.blocks.length;
+        return this.fn;
+    }
+
+    /**
+     * Генератор, инструкции которого попадают в построитель.
+     */
+    generatorView() {
+        const view = Object.create(this.generator);
+        view.instr = (op, ...immediates) => this.instr(op, immediates);
+        view.relocatableConst = (kind, value) => this.relocatableConst(kind, value);
+        view.beginBlock = (kind, label, resultType = null) => this.beginBlock(kind, label, resultType);
+        view.endBlock = () => this.endBlock();
+        view.beginIf = (resultType = null) => this.beginIf(resultType);
+        view.beginThen = () => this.beginThen();
+        view.beginElse = () => this.beginElse();
+        view.endIf = () => this.endIf();
+        return view;
+    }
+
+    // ========================================================================
+    // ПЕРЕМЕННЫЕ (Braun et al.)
+    // ========================================================================
+
+    writeVariable(name, block, value) {
+        if (!this.definitions.has(name)) {
+            this.definitions.set(name, new Map());
+        }
+        this.definitions.get(name).set(block, value);
+    }
+
+    readVariable(name, block) {
+        const definitions = this.definitions.get(name);
+        if (definitions && definitions.has(block)) {
+            return definitions.get(block);
+        }
+        return this.readVariableRecursive(name, block);
+    }
+
+    readVariableRecursive(name, block) {
+        let value;
+        if (block.dead) {
+            value = this.undefinedValue(name, block);
+        } else if (!block.sealed) {
+            // Не все предшественники известны (заголовок цикла) -
+            // операнды добавит sealBlock
+            value = this.newPhi(name, block);
+            block.incompletePhis.set(name, value);
+        } else if (block.predecessors.length === 1) {
+            value = this.readVariable(name, block.predecessors[0]);
+        } else if (block.predecessors.length === 0) {
+            value = this.undefinedValue(name, block);
+        } else {
+            // phi записывается до чтения операндов: цикл в графе
+            // иначе привёл бы к бесконечной рекурсии
+            value = this.newPhi(name, block);
+            this.writeVariable(name, block, value);
+            value = this.addPhiOperands(name, value);
+        }
+        this.writeVariable(name, block, value);
+        return value;
+    }
+
+    newPhi(name, block) {
+        const phi = this.fn.newValue('phi', this.variableType(name));
+        phi.block = block;
+        block.phis.push(phi);
+        return phi;
+    }
+
+    addPhiOperands(name, phi) {
+        for (const pred of phi.block.predecessors) {
+            phi.addOperand(this.readVariable(name, pred));
+        }
+        return this.tryRemoveTrivialPhi(phi);
+    }
+
+    tryRemoveTrivialPhi(phi) {
+        let same = IrFunction.trivialPhiValue(phi);
+        if (same === null) {
+            if (phi.operands.some(operand => operand !== phi)) {
+                return phi;
+            }
+            // phi ссылается только на себя - переменную никто не записал
+            same = this.undefinedValue(null, phi.block, phi.type);
+        }
+
+        const users = phi.users.filter(user => user !== phi);
+        this.fn.removePhi(phi, same);
+
+        // Определения, указывавшие на phi, теперь указывают на замену
+        for (const definitions of this.definitions.values()) {
+            for (const [block, value] of definitions) {
+                if (value === phi) definitions.set(block, same);
+            }
+        }
+
+        for (const user of users) {
+            if (user.isPhi && user.block) this.tryRemoveTrivialPhi(user);
+        }
+        return same;
+    }
+
+    /**
+     * Значение переменной, которой ничего не присваивалось: локальные
+     * переменные WASM начинаются с нуля. Константа ставится во входной
+     * блок (она доступна везде); в мёртвом блоке - туда же, его удалят.
+     */
+    undefinedValue(name, block, type = null) {
+        const valueType = type || this.variableType(name);
+        const target = block.dead ? block : this.fn.entry;
+        const value = this.fn.newValue(`${valueType}.const`, valueType, [], [0]);
+        value.block = target;
+        target.instructions.unshift(value);
+        return value;
+    }
+
+    variableType(name) {
+        return this.variableTypes.get(name) || 'i32';
+    }
+
+    sealBlock(block) {
+        for (const [name, phi] of block.incompletePhis) {
+            this.addPhiOperands(name, phi);
+        }
+        block.incompletePhis.clear();
+        block.sealed = true;
+
+        // Блок, в который нет переходов, недостижим
+        if (block.predecessors.length === 0) {
+            block.dead = true;
+        }
+    }
+
+    // ========================================================================
+    // БЛОКИ И ПЕРЕХОДЫ
+    // ========================================================================
+
+    /**
+     * Новый блок. Внутри недостижимого кода все блоки недостижимы.
+     */
+    newBlock() {
+        const block = this.fn.newBlock();
+        if (this.current && this.current.dead) {
+            block.dead = true;
+            block.sealed = true;
+        } else {
+            this.fn.blocks.push(block);
+        }
+        return block;
+    }
+
+    /**
+     * Завершает текущий блок. Переходы из недостижимого кода не
+     * создают рёбер.
+     */
+    terminate(op, operands = [], targets = []) {
+        if (this.current.dead) {
+            targets = [];
+        }
+        const terminator = this.fn.terminate(this.current, op, operands, targets);
+        terminator.loc = this.view.currentLoc;
+    }
+
+    jump(target) {
+        this.terminate('jump', [], [target]);
+    }
+
+    /**
+     * После br, return или unreachable код до конца конструкции
+     * недостижим: он строится в отдельный мёртвый блок.
+     */
+    startDeadCode() {
+        const block = this.fn.newBlock();
+        block.dead = true;
+        block.sealed = true;
+        this.current = block;
+    }
+
+    push(value) {
+        this.stack.push(value);
+    }
+
+    /**
+     * Снимает значение со стека. В недостижимом коде стек WASM
+     * полиморфен - вместо недостающего значения подойдёт любое.
+     */
+    pop() {
+        if (this.stack.length > this.currentHeight()) {
+            return this.stack.pop();
+        }
+        if (!this.current.dead) {
+            throw new Error('IR: стек значений пуст');
+        }
+        return this.undefinedValue(null, this.current, 'i32');
+    }
+
+    currentHeight() {
+        const control = this.controls[this.controls.length - 1];
+        return control ? control.height : 0;
+    }
+
+    findControl(label) {
+        for (let i = this.controls.length - 1; i >= 0; i--) {
+            if (this.controls[i].label === label) return this.controls[i];
+        }
+        throw new Error(`IR: неизвестная метка ${label}`);
+    }
+
+    /**
+     * Переход к метке: значение результата блока (если есть) записывается
+     * в переменную результата конструкции.
+     */
+    branchValue(control, keep) {
+        if (control.resultVar && control.kind !== 'loop') {
+            const value = keep ? this.stack[this.stack.length - 1] : this.pop();
+            this.writeVariable(control.resultVar, this.current, value);
+        }
+    }
+
+    beginBlock(kind, label, resultType) {
+        const control = {
+            kind,
+            label,
+            resultType,
+            resultVar: this.resultVariable(resultType),
+            height: this.stack.length
+        };
+
+        if (kind === 'loop') {
+            control.target = this.newBlock();
+            control.exit = this.newBlock();
+            this.jump(control.target);
+            this.current = control.target;
+        } else {
+            control.target = this.newBlock();
+            control.exit = control.target;
+        }
+
+        this.controls.push(control);
+    }
+
+    endBlock() {
+        const control = this.controls[this.controls.length - 1];
+        if (control.resultVar) {
+            // Результат конструкции, до которой дошли без перехода
+            this.writeVariable(control.resultVar, this.current, this.pop());
+        }
+        this.stack.length = control.height;
+        this.jump(control.exit);
+        this.controls.pop();
+
+        if (control.kind === 'loop') {
+            this.sealBlock(control.target);
+        }
+        this.sealBlock(control.exit);
+        this.current = control.exit;
+
+        if (control.resultVar) {
+            this.push(this.readVariable(control.resultVar, this.current));
+        }
+    }
+
+    beginIf(resultType) {
+        // Условие вычисляется после beginIf - ветки создаются в beginThen
+        this.controls.push({
+            kind: 'if',
+            label: null,
+            resultType,
+            resultVar: this.resultVariable(resultType),
+            height: this.stack.length,
+            pending: true
+        });
+    }
+
+    beginThen() {
+        const control = this.controls[this.controls.length - 1];
+        const condition = this.stack.pop();
+        control.pending = false;
+        control.height = this.stack.length;
+
+        control.then = this.newBlock();
+        control.else = this.newBlock();
+        control.exit = this.newBlock();
+        control.hasElse = false;
+
+        this.terminate('branch', [condition], [control.then, control.else]);
+        this.sealBlock(control.then);
+        this.sealBlock(control.else);
+        this.current = control.then;
+    }
+
+    beginElse() {
+        const control = this.controls[this.controls.length - 1];
+        this.finishBranch(control);
+        control.hasElse = true;
+        this.current = control.else;
+    }
+
+    endIf() {
+        const control = this.controls[this.controls.length - 1];
+        this.finishBranch(control);
+        if (!control.hasElse) {
+            this.current = control.else;
+            this.jump(control.exit);
+        }
+        this.controls.pop();
+
+        this.sealBlock(control.exit);
+        this.current = control.exit;
+
+        if (control.resultVar) {
+            this.push(this.readVariable(control.resultVar, this.current));
+        }
+    }
+
+    /**
+     * Конец ветки if: результат ветки - в переменную результата, переход
+     * к блоку после if.
+     */
+    finishBranch(control) {
+        if (control.resultVar) {
+            this.writeVariable(control.resultVar, this.current, this.pop());
+        }
+        this.stack.length = control.height;
+        this.jump(control.exit);
+    }
+
+    /**
+     * Переменная для результата конструкции (block/if с result).
+     */
+    resultVariable(resultType) {
+        if (!resultType) return null;
+        const name = `%result${this.resultCounter++}`;
+        this.variableTypes.set(name, resultType);
+        return name;
+    }
+
+    // ========================================================================
+    // ИНСТРУКЦИИ
+    // ========================================================================
+
+    instr(op, immediates) {
+        const name = typeof immediates[0] === 'string' ? immediates[0].replace(/^\$/, '') : null;
+
+        switch (op) {
+            case 'local.get':
+                this.push(this.readVariable(name, this.current));
+                return;
+
+            case 'local.set':
+                this.writeVariable(name, this.current, this.pop());
+                return;
+
+            case 'local.tee': {
+                const value = this.pop();
+                this.writeVariable(name, this.current, value);
+                this.push(value);
+                return;
+            }
+
+            case 'drop':
+                this.pop();
+                return;
+
+            case 'nop':
+                return;
+
+            case 'br': {
+                const control = this.findControl(immediates[0]);
+                this.branchValue(control, false);
+                this.jump(control.target);
+                this.startDeadCode();
+                return;
+            }
+
+            case 'br_if': {
+                const control = this.findControl(immediates[0]);
+                const condition = this.pop();
+                this.branchValue(control, true);
+                const next = this.newBlock();
+                this.terminate('branch', [condition], [control.target, next]);
+                this.sealBlock(next);
+                this.current = next;
+                return;
+            }
+
+            case 'return': {
+                const operands = this.fn.result !== null ? [this.pop()] : [];
+                this.terminate('return', operands);
+                this.startDeadCode();
+                return;
+            }
+
+            case 'unreachable':
+                this.terminate('unreachable');
+                this.startDeadCode();
+                return;
+        }
+
+        const { params, result } = this.signatureOf(op, immediates);
+        const operands = [];
+        for (let i = 0; i < params; i++) {
+            operands.unshift(this.pop());
+        }
+
+        const type = op === 'select' ? (immediates[0] ? immediates[0][1] : operands[0].type) : result;
+        const value = this.fn.append(this.current, this.fn.newValue(op, type, operands, immediates));
+        value.loc = this.view.currentLoc;
+        if (type !== null) {
+            this.push(value);
+        }
+    }
+
+    /**
+     * Адрес или индекс в таблице - константа, которую нельзя сворачивать.
+     */
+    relocatableConst(kind, value) {
+        const constant = this.fn.newValue('i32.const', 'i32', [], [value]);
+        constant.relocation = kind;
+        constant.loc = this.view.currentLoc;
+        this.push(this.fn.append(this.current, constant));
+    }
+
+    /**
+     * Число операндов и тип результата инструкции.
+     */
+    signatureOf(op, immediates) {
+        const generator = this.generator;
+        const name = typeof immediates[0] === 'string' ? immediates[0].replace(/^\$/, '') : null;
+
+        switch (op) {
+            case 'select':
+                return { params: 3, result: null };
+
+            case 'global.get':
+                return { params: 0, result: generator.globals.get(name).type };
+
+            case 'global.set':
+                return { params: 1, result: null };
+
+            case 'call': {
+                const signature = generator.functionSignatures.get(name) || generator.importSignatures.get(name);
+                if (!signature) {
+                    throw new Error(`IR: неизвестная функция ${name}`);
+                }
+                return { params: signature.params.length, result: signature.result };
+            }
+
+            case 'call_indirect': {
+                // (param ...) (result T): аргументы, затем индекс в таблице
+                const paramList = immediates.find(item => Array.isArray(item) && item[0] === 'param') || ['param'];
+                const resultList = immediates.find(item => Array.isArray(item) && item[0] === 'result');
+                return { params: paramList.length, result: resultList ? resultList[1] : null };
+            }
+        }
+
+        const signature = IrOpcodeSignatures[op];
+        if (!signature) {
+            throw new Error(`IR: неизвестная инструкция ${op}`);
+        }
+        return signature;
+    }
+}
+
+/**
+ * IrEmitter - переводит IrFunction обратно в инструкции WASM через API
+ * генератора (beginFunction, instr, beginBlock, beginIf...).
+ *
+ * Структура управления восстанавливается по дереву доминаторов (Ramsey,
+ * "Beyond Relooper"). Нужно различать два вида блоков:
+ * - заголовок цикла - блок, в который есть переход назад (из блока,
+ *   который идёт не раньше него в reverse postorder); его код
+ *   оборачивается в loop, и переход назад - это br к началу loop
+ * - блок слияния - блок, в который ведут два перехода вперёд и больше;
+ *   он идёт сразу после block, охватывающего код его доминатора, и
+ *   переход к нему - это br к концу этого block
+ *
+ * В остальные блоки ведёт единственный переход вперёд - их код
+ * вставляется прямо на месте перехода.
+ */
+class IrEmitter {
+    constructor(generator) {
+        this.generator = generator;
+    }
+
+    emit(fn) {
+        const generator = this.generator;
+        this.fn = fn;
+        this.tree = fn.dominatorTree();
+        this.rpo = this.tree.rpoNumber;
+
+        this.loopHeaders = new Set();
+        this.mergeBlocks = new Set();
+        for (const block of fn.blocks) {
+            const forward = block.predecessors.filter(pred => this.rpo.get(pred) < this.rpo.get(block));
+            if (forward.length < block.predecessors.length) this.loopHeaders.add(block);
+            if (forward.length >= 2) this.mergeBlocks.add(block);
+        }
+
+        // Локальные переменные: по одной на значение, которое читается
+        // (константы создаются заново при каждом использовании)
+        const paramNames = new Set(fn.params.map(param => param.name));
+        this.localNames = new Map();
+        const locals = [];
+        for (const value of fn.values()) {
+            if (value.op === 'param' || !IrFunction.isRegister(value) || value.users.length === 0) continue;
+            let name = `__v${value.id}`;
+            while (paramNames.has(name)) name = `_${name}`;
+            this.localNames.set(value, name);
+            locals.push({ name, type: value.type });
+        }
+
+        generator.beginFunction(fn.name, { params: fn.params, result: fn.result, locals });
+        this.emitTree(fn.entry);
+
+        // Все пути заканчиваются return или br, но валидатору в конце
+        // функции с результатом нужно значение на стеке
+        if (fn.result !== null) {
+            generator.instr('unreachable');
+        }
+        generator.endFunction();
+    }
+
+    /**
+     * Код блока и поддерева доминаторов под ним.
+     */
+    emitTree(block) {
+        const merges = this.tree.children(block)
+            .filter(child => this.mergeBlocks.has(child))
+            .sort((a, b) => this.rpo.get(a) - this.rpo.get(b));
+
+        if (this.loopHeaders.has(block)) {
+            this.generator.beginBlock('loop', this.loopLabel(block));
+            this.emitWithin(block, merges);
+            this.generator.endBlock();
+        } else {
+            this.emitWithin(block, merges);
+        }
+    }
+
+    /**
+     * Код блока, за которым следуют блоки слияния merges: последний из
+     * них (самый поздний) - снаружи, внутри block - всё остальное.
+     */
+    emitWithin(block, merges) {
+        if (merges.length === 0) {
+            this.emitInstructions(block);
+            this.emitTerminator(block);
+            return;
+        }
+
+        const last = merges[merges.length - 1];
+        this.generator.beginBlock('block', this.blockLabel(last));
+        this.emitWithin(block, merges.slice(0, -1));
+        this.generator.endBlock();
+        this.emitTree(last);
+    }
+
+    emitInstructions(block) {
+        const generator = this.generator;
+
+        for (const value of block.instructions) {
+            if (value.op === 'param' || value.isConstant) continue;
+
+            this.enterLocation(value);
+            value.operands.forEach(operand => this.emitUse(operand));
+            if (value.relocation) {
+                generator.relocatableConst(value.relocation, value.immediates[0]);
+            } else {
+                generator.instr(value.op, ...value.immediates);
+            }
+
+            if (value.type !== null) {
+                if (this.localNames.has(value)) {
+                    generator.instr('local.set', `$${this.localNames.get(value)}`);
+                } else {
+                    generator.instr('drop');
+                }
+            }
+        }
+    }
+
+    emitTerminator(block) {
+        const generator = this.generator;
+        const terminator = block.terminator;
+        this.enterLocation(terminator);
+
+        switch (terminator.op) {
+            case 'jump':
+                this.emitBranch(block, terminator.targets[0]);
+                break;
+
+            case 'branch':
+                generator.beginIf();
+                this.emitUse(terminator.operands[0]);
+                generator.beginThen();
+                this.emitBranch(block, terminator.targets[0]);
+                generator.beginElse();
+                this.emitBranch(block, terminator.targets[1]);
+                generator.endIf();
+                break;
+
+            case 'return':
+                terminator.operands.forEach(operand => this.emitUse(operand));
+                generator.instr('return');
+                break;
+
+            case 'unreachable':
+                generator.instr('unreachable');
+                break;
+        }
+    }
+
+    /**
+     * Переход from → to: копии для phi блока to, затем br к loop или
+     * block либо код самого блока to.
+     */
+    emitBranch(from, to) {
+        const generator = this.generator;
+
+        // Все значения сначала кладутся на стек, потом записываются:
+        // phi может читать другой phi того же блока (обмен значениями)
+        const index = to.predecessors.indexOf(from);
+        const phis = to.phis.filter(phi => this.localNames.has(phi));
+        phis.forEach(phi => this.emitUse(phi.operands[index]));
+        [...phis].reverse().forEach(phi => generator.instr('local.set', `$${this.localNames.get(phi)}`));
+
+        if (this.rpo.get(to) <= this.rpo.get(from)) {
+            generator.instr('br', this.loopLabel(to));
+        } else if (this.mergeBlocks.has(to)) {
+            generator.instr('br', this.blockLabel(to));
+        } else {
+            this.emitTree(to);
+        }
+    }
+
+    /**
+     * Инструкции значения получают его место в исходном коде; у значения
+     * без места остаётся место предыдущего.
+     */
+    enterLocation(value) {
+        if (value.loc) {
+            this.generator.currentLoc = value.loc;
+        }
+    }
+
+    /**
+     * Кладёт значение на стек.
+     */
+    emitUse(value) {
+        if (value.isConstant) {
+            this.generator.instr(value.op, ...value.immediates);
+        } else if (value.op === 'param') {
+            this.generator.instr('local.get', `$${this.fn.params[value.immediates[0]].name}`);
+        } else {
+            this.generator.instr('local.get', `$${this.localNames.get(value)}`);
+        }
+    }
+
+    loopLabel(block) {
+        return `$loop_${block}`;
+    }
+
+    blockLabel(block) {
+        return `$${block}`;
+    }
+}
+
+/**
+ * Проходы оптимизации над IR. Каждый принимает IrFunction, меняет её на
+ * месте и возвращает число изменений - как проходы над AST
+ * (stage5-optimizer.js), но опираются на use-def цепочки, а не на имена
+ * переменных.
+ */
+const IrPasses = {
+    /**
+     * Вычисляет инструкции с постоянными операндами и заменяет branch
+     * с постоянным условием на jump (недостижимая ветка удаляется).
+     * Вычисление повторяет семантику инструкции WASM; trap (деление на 0,
+     * f64 → i32 вне диапазона) не вычисляется.
+     */
+    constantFolding(fn) {
+        let changes = 0;
+
+        for (const block of fn.reversePostorder()) {
+            for (const value of block.instructions) {
+                if (value.isConstant || !value.operands.every(operand => operand.isConstant)) continue;
+
+                const result = evaluateConstant(value.op, value.operands.map(operand => operand.constantValue));
+                if (result === undefined) continue;
+
+                value.dropOperands();
+                value.op = `${value.type}.const`;
+                value.immediates = [result];
+                changes++;
+            }
+
+            const terminator = block.terminator;
+            if (terminator.op === 'branch' && terminator.operands[0].isConstant) {
+                const taken = terminator.operands[0].constantValue !== 0 ? 0 : 1;
+                const target = terminator.targets[taken];
+                const dropped = terminator.targets[1 - taken];
+
+                fn.removeEdge(block, dropped);
+                terminator.dropOperands();
+                terminator.op = 'jump';
+                terminator.targets = [target];
+                changes++;
+            }
+        }
+
+        if (changes > 0) {
+            fn.removeUnreachableBlocks();
+            fn.removeTrivialPhis();
+        }
+        return changes;
+    },
+
+    /**
+     * Удаляет инструкции и phi без использований и без эффектов
+     * (IrEffects). phi, который используется только сам собой (счётчик
+     * цикла, значение которого никто не читает), тоже мёртв.
+     */
+    deadValueElimination(fn) {
+        let changes = 0;
+        let changed = true;
+
+        while (changed) {
+            changed = false;
+            for (const block of fn.blocks) {
+                for (const value of [...block.instructions].reverse()) {
+                    if (value.users.length === 0 && !value.hasEffects && value.op !== 'param') {
+                        fn.removeInstruction(value);
+                        changes++;
+                        changed = true;
+                    }
+                }
+                for (const phi of [...block.phis]) {
+                    if (phi.users.every(user => user === phi)) {
+                        phi.dropOperands();
+                        block.phis.splice(block.phis.indexOf(phi), 1);
+                        changes++;
+                        changed = true;
+                    }
+                }
+            }
+        }
+
+        return changes;
+    }
+};
+
+/**
+ * Результат инструкции op над постоянными операндами или undefined,
+ * если он не вычисляется (неизвестная инструкция, trap, значение,
+ * которое не записать константой в тексте WAT).
+ */
+function evaluateConstant(op, args) {
+    const [a, b] = args;
+    const i32 = {
+        'i32.add': () => (a + b) | 0,
+        'i32.sub': () => (a - b) | 0,
+        'i32.mul': () => Math.imul(a, b),
+        'i32.and': () => a & b,
+        'i32.or': () => a | b,
+        'i32.xor': () => a ^ b,
+        'i32.shl': () => a << (b & 31),
+        'i32.shr_s': () => a >> (b & 31),
+        'i32.shr_u': () => (a >>> (b & 31)) | 0,
+        'i32.div_s': () => b === 0 || (a === -2147483648 && b === -1) ? undefined : (a / b) | 0,
+        'i32.rem_s': () => b === 0 ? undefined : (a % b) | 0,
+        'i32.eqz': () => a === 0 ? 1 : 0,
+        'i32.eq': () => a === b ? 1 : 0,
+        'i32.ne': () => a !== b ? 1 : 0,
+        'i32.lt_s': () => a < b ? 1 : 0,
+        'i32.gt_s': () => a > b ? 1 : 0,
+        'i32.le_s': () => a <= b ? 1 : 0,
+        'i32.ge_s': () => a >= b ? 1 : 0,
+        'f64.eq': () => a === b ? 1 : 0,
+        'f64.ne': () => a !== b ? 1 : 0,
+        'f64.lt': () => a < b ? 1 : 0,
+        'f64.gt': () => a > b ? 1 : 0,
+        'f64.le': () => a <= b ? 1 : 0,
+        'f64.ge': () => a >= b ? 1 : 0,
+        'i32.trunc_f64_s': () => Number.isFinite(a) && Math.trunc(a) >= -2147483648 && Math.trunc(a) <= 2147483647
+            ? Math.trunc(a) | 0
+            : undefined
+    };
+    const f64 = {
+        'f64.add': () => a + b,
+        'f64.sub': () => a - b,
+        'f64.mul': () => a * b,
+        'f64.div': () => a / b,
+        'f64.neg': () => -a,
+        'f64.abs': () => Math.abs(a),
+        'f64.convert_i32_s': () => a
+    };
+
+    if (i32[op]) {
+        return i32[op]();
+    }
+    if (f64[op]) {
+        const value = f64[op]();
+        // NaN, бесконечность, -0 и экспоненциальная запись не переживают текст WAT
+        if (!Number.isFinite(value) || Object.is(value, -0) || /e/.test(String(value))) {
+            return undefined;
+        }
+        return value;
+    }
+    return undefined;
+}
+
+// Экспорт
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { IrValue, IrBlock, IrFunction, DominatorTree, IrBuilder, IrEmitter, IrPasses };
+}
+
+globalThis.CompilerStage5 = globalThis.CompilerStage5 || {};
+globalThis.CompilerStage5.IrValue = IrValue;
+globalThis.CompilerStage5.IrBlock = IrBlock;
+globalThis.CompilerStage5.IrFunction = IrFunction;
+globalThis.CompilerStage5.DominatorTree = DominatorTree;
+globalThis.CompilerStage5.IrBuilder = IrBuilder;
+globalThis.CompilerStage5.IrEmitter = IrEmitter;
+globalThis.CompilerStage5.IrPasses = IrPasses;
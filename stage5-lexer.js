@@ -17,8 +17,12 @@ var TokenType = {
     ELSE: 'ELSE',
     FOR: 'FOR',
     WHILE: 'WHILE',
+    BREAK: 'BREAK',
+    CONTINUE: 'CONTINUE',
+    VAR: 'VAR',
     LET: 'LET',
     CONST: 'CONST',
+    IMPORT: 'IMPORT',
     
     // Литералы
     IDENTIFIER: 'IDENTIFIER',
@@ -26,6 +30,7 @@ var TokenType = {
     STRING: 'STRING',
     TRUE: 'TRUE',
     FALSE: 'FALSE',
+    NULL: 'NULL',
     
     // Операторы
     PLUS: 'PLUS',
@@ -34,9 +39,20 @@ var TokenType = {
     DIVIDE: 'DIVIDE',
     MODULO: 'MODULO',
     
+    INCREMENT: 'INCREMENT',
+    DECREMENT: 'DECREMENT',
+    
     ASSIGN: 'ASSIGN',
+    PLUS_ASSIGN: 'PLUS_ASSIGN',
+    MINUS_ASSIGN: 'MINUS_ASSIGN',
+    MULTIPLY_ASSIGN: 'MULTIPLY_ASSIGN',
+    DIVIDE_ASSIGN: 'DIVIDE_ASSIGN',
+    MODULO_ASSIGN: 'MODULO_ASSIGN',
+    
     EQUAL: 'EQUAL',
     NOT_EQUAL: 'NOT_EQUAL',
+    STRICT_EQUAL: 'STRICT_EQUAL',
+    STRICT_NOT_EQUAL: 'STRICT_NOT_EQUAL',
     LESS_THAN: 'LESS_THAN',
     GREATER_THAN: 'GREATER_THAN',
     LESS_EQUAL: 'LESS_EQUAL',
@@ -46,27 +62,87 @@ var TokenType = {
     LOGICAL_OR: 'LOGICAL_OR',
     LOGICAL_NOT: 'LOGICAL_NOT',
     
+    BITWISE_AND: 'BITWISE_AND',
+    BITWISE_OR: 'BITWISE_OR',
+    BITWISE_XOR: 'BITWISE_XOR',
+    BITWISE_NOT: 'BITWISE_NOT',
+    SHIFT_LEFT: 'SHIFT_LEFT',
+    SHIFT_RIGHT: 'SHIFT_RIGHT',
+    UNSIGNED_SHIFT_RIGHT: 'UNSIGNED_SHIFT_RIGHT',
+    
+    ARROW: 'ARROW',
+    QUESTION: 'QUESTION',
+    COLON: 'COLON',
+    
     // Пунктуация
     LPAREN: 'LPAREN',
     RPAREN: 'RPAREN',
     LBRACE: 'LBRACE',
     RBRACE: 'RBRACE',
+    LBRACKET: 'LBRACKET',
+    RBRACKET: 'RBRACKET',
     SEMICOLON: 'SEMICOLON',
     COMMA: 'COMMA',
+    DOT: 'DOT',
     
     // Специальные
     EOF: 'EOF',
     NEWLINE: 'NEWLINE'
 };
 
+/**
+ * Многосимвольные операторы.
+ * 
+ * Порядок важен: трёхсимвольные операторы идут первыми, чтобы ">>>" не
+ * распознался как ">>" и ">", а "===" - как "==" и "=". Так лексер
+ * выбирает самое длинное совпадение (maximal munch), как и настоящий JS.
+ * 
+ * Составных присваиваний со сдвигами и битовыми операциями (>>=, <<=,
+ * &=, |=, ^=) в языке нет: такая запись распадается на оператор и "=",
+ * и парсер сообщает о неожиданном токене.
+ */
+var MULTI_CHAR_OPERATORS = [
+    ['>>>', TokenType.UNSIGNED_SHIFT_RIGHT],
+    ['===', TokenType.STRICT_EQUAL],
+    ['!==', TokenType.STRICT_NOT_EQUAL],
+    ['==', TokenType.EQUAL],
+    ['!=', TokenType.NOT_EQUAL],
+    ['<=', TokenType.LESS_EQUAL],
+    ['>=', TokenType.GREATER_EQUAL],
+    ['&&', TokenType.LOGICAL_AND],
+    ['||', TokenType.LOGICAL_OR],
+    ['<<', TokenType.SHIFT_LEFT],
+    ['>>', TokenType.SHIFT_RIGHT],
+    ['=>', TokenType.ARROW],
+    ['++', TokenType.INCREMENT],
+    ['--', TokenType.DECREMENT],
+    ['+=', TokenType.PLUS_ASSIGN],
+    ['-=', TokenType.MINUS_ASSIGN],
+    ['*=', TokenType.MULTIPLY_ASSIGN],
+    ['/=', TokenType.DIVIDE_ASSIGN],
+    ['%=', TokenType.MODULO_ASSIGN]
+];
+
 /**
  * Token - представляет один токен в исходном коде
+ * 
+ * line/column - позиция первого символа токена, endLine/endColumn - позиция
+ * сразу после последнего (конец не включается). Парсер строит из них
+ * диапазоны loc для узлов AST.
+ * 
+ * comments - комментарии между предыдущим токеном и этим:
+ * { type: 'Line' | 'Block', value: текст без ограничителей, line, column,
+ * ownLine: начинается ли комментарий с новой строки }. Парсер прикрепляет
+ * их к операторам, чтобы CodePrinter мог их напечатать.
  */
-function Token(type, value, line, column) {
+function Token(type, value, line, column, endLine, endColumn) {
     this.type = type;
     this.value = value;
     this.line = line;
     this.column = column;
+    this.endLine = endLine !== undefined ? endLine : line;
+    this.endColumn = endColumn !== undefined ? endColumn : column;
+    this.comments = [];
 }
 
 Token.prototype.toString = function() {
@@ -85,6 +161,14 @@ function Lexer(source) {
     this.line = 1;
     this.column = 1;
     
+    // Строка конца предыдущего токена (null - токенов ещё не было) и
+    // комментарии, прочитанные после него
+    this.lastTokenLine = null;
+    this.comments = [];
+    
+    // Ошибки лексера (Diagnostic): лексер их запоминает и читает дальше
+    this.diagnostics = [];
+    
     // Ключевые слова
     this.keywords = {
         'function': TokenType.FUNCTION,
@@ -93,13 +177,36 @@ function Lexer(source) {
         'else': TokenType.ELSE,
         'for': TokenType.FOR,
         'while': TokenType.WHILE,
+        'break': TokenType.BREAK,
+        'continue': TokenType.CONTINUE,
+        'var': TokenType.VAR,
         'let': TokenType.LET,
         'const': TokenType.CONST,
+        'import': TokenType.IMPORT,
         'true': TokenType.TRUE,
-        'false': TokenType.FALSE
+        'false': TokenType.FALSE,
+        'null': TokenType.NULL
     };
 }
 
+/**
+ * Запоминает ошибку лексера.
+ * 
+ * Диапазон - один символ в указанной позиции. Разбор не прерывается:
+ * лексер пропускает то, что не смог разобрать, и парсер по остальным
+ * токенам строит AST и находит следующие ошибки.
+ */
+Lexer.prototype.report = function(code, message, line, column) {
+    var Stage5 = globalThis.CompilerStage5;
+    this.diagnostics.push(new Stage5.Diagnostic(
+        code,
+        Stage5.DiagnosticSeverity.ERROR,
+        message,
+        Stage5.Diagnostic.span(line, column),
+        'lexer'
+    ));
+};
+
 /**
  * Возвращает текущий символ без продвижения позиции
  */
@@ -157,15 +264,65 @@ Lexer.prototype.skipWhitespace = function() {
 };
 
 /**
- * Пропускает однострочный комментарий
+ * Пропускает однострочный комментарий и запоминает его
  */
 Lexer.prototype.skipSingleLineComment = function() {
+    var startLine = this.line;
+    var startColumn = this.column;
+    var start = this.position + 2;
+    
     this.advance();  // Первый /
     this.advance();  // Второй /
     
     while (this.peek() !== null && this.peek() !== '\n') {
         this.advance();
     }
+    
+    this.addComment('Line', this.source.slice(start, this.position).replace(/\r$/, ''), startLine, startColumn);
+};
+
+/**
+ * Пропускает блочный (многострочный) комментарий в стиле C
+ * 
+ * Комментарий может занимать несколько строк - advance() сам обновляет
+ * номер строки и колонки, поэтому позиции следующих токенов остаются верными.
+ */
+Lexer.prototype.skipBlockComment = function() {
+    var startLine = this.line;
+    var startColumn = this.column;
+    
+    var start = this.position + 2;
+    
+    this.advance();  // /
+    this.advance();  // *
+    
+    while (this.peek() !== null) {
+        if (this.peek() === '*' && this.peekAhead(1) === '/') {
+            this.addComment('Block', this.source.slice(start, this.position), startLine, startColumn);
+            this.advance();
+            this.advance();
+            return;
+        }
+        this.advance();
+    }
+    
+    // Незакрытый комментарий идёт до конца файла
+    this.addComment('Block', this.source.slice(start, this.position), startLine, startColumn);
+    this.report(globalThis.CompilerStage5.DiagnosticCode.UNTERMINATED_COMMENT,
+                'Незакрытый комментарий', startLine, startColumn);
+};
+
+/**
+ * Запоминает комментарий - он достанется следующему токену (см. Token)
+ */
+Lexer.prototype.addComment = function(type, value, line, column) {
+    this.comments.push({
+        type: type,
+        value: value,
+        line: line,
+        column: column,
+        ownLine: this.lastTokenLine === null || line > this.lastTokenLine
+    });
 };
 
 /**
@@ -235,6 +392,9 @@ Lexer.prototype.readIdentifier = function() {
 
 /**
  * Читает строковый литерал
+ * 
+ * Строка, как и в JavaScript, не может занимать несколько строк кода:
+ * незакрытая строка заканчивается в конце строки кода.
  */
 Lexer.prototype.readString = function() {
     var startLine = this.line;
@@ -242,7 +402,7 @@ Lexer.prototype.readString = function() {
     var quote = this.advance();
     var str = '';
     
-    while (this.peek() !== null && this.peek() !== quote) {
+    while (this.peek() !== null && this.peek() !== quote && this.peek() !== '\n') {
         var char = this.advance();
         
         if (char === '\\') {
@@ -257,7 +417,7 @@ Lexer.prototype.readString = function() {
                 str += '\\';
             } else if (nextChar === quote) {
                 str += quote;
-            } else {
+            } else if (nextChar !== null) {
                 str += nextChar;
             }
         } else {
@@ -268,7 +428,8 @@ Lexer.prototype.readString = function() {
     if (this.peek() === quote) {
         this.advance();
     } else {
-        throw new Error('Незакрытая строка на строке ' + startLine + ':' + startColumn);
+        this.report(globalThis.CompilerStage5.DiagnosticCode.UNTERMINATED_STRING,
+                    'Незакрытая строка', startLine, startColumn);
     }
     
     return new Token(TokenType.STRING, str, startLine, startColumn);
@@ -276,13 +437,37 @@ Lexer.prototype.readString = function() {
 
 /**
  * Возвращает следующий токен
+ * 
+ * После чтения токена текущая позиция лексера - как раз конец токена.
  */
 Lexer.prototype.nextToken = function() {
+    var token = this.scanToken();
+    while (token === null) {
+        token = this.scanToken();
+    }
+    token.endLine = this.line;
+    token.endColumn = this.column;
+    
+    token.comments = this.comments;
+    this.comments = [];
+    this.lastTokenLine = token.endLine;
+    
+    return token;
+};
+
+/**
+ * Читает следующий токен (без позиции конца)
+ * 
+ * Неизвестный символ пропускается с ошибкой - тогда возвращается null.
+ */
+Lexer.prototype.scanToken = function() {
     while (true) {
         this.skipWhitespace();
         
         if (this.peek() === '/' && this.peekAhead(1) === '/') {
             this.skipSingleLineComment();
+        } else if (this.peek() === '/' && this.peekAhead(1) === '*') {
+            this.skipBlockComment();
         } else {
             break;
         }
@@ -296,8 +481,8 @@ Lexer.prototype.nextToken = function() {
     var startColumn = this.column;
     var char = this.peek();
     
-    // Числа
-    if (this.isDigit(char)) {
+    // Числа (включая запись без целой части: .5)
+    if (this.isDigit(char) || (char === '.' && this.peekAhead(1) && this.isDigit(this.peekAhead(1)))) {
         return this.readNumber();
     }
     
@@ -311,41 +496,16 @@ Lexer.prototype.nextToken = function() {
         return this.readString();
     }
     
-    // Двухсимвольные операторы
-    if (char === '=' && this.peekAhead(1) === '=') {
-        this.advance();
-        this.advance();
-        return new Token(TokenType.EQUAL, '==', startLine, startColumn);
-    }
-    
-    if (char === '!' && this.peekAhead(1) === '=') {
-        this.advance();
-        this.advance();
-        return new Token(TokenType.NOT_EQUAL, '!=', startLine, startColumn);
-    }
-    
-    if (char === '<' && this.peekAhead(1) === '=') {
-        this.advance();
-        this.advance();
-        return new Token(TokenType.LESS_EQUAL, '<=', startLine, startColumn);
-    }
-    
-    if (char === '>' && this.peekAhead(1) === '=') {
-        this.advance();
-        this.advance();
-        return new Token(TokenType.GREATER_EQUAL, '>=', startLine, startColumn);
-    }
-    
-    if (char === '&' && this.peekAhead(1) === '&') {
-        this.advance();
-        this.advance();
-        return new Token(TokenType.LOGICAL_AND, '&&', startLine, startColumn);
-    }
-    
-    if (char === '|' && this.peekAhead(1) === '|') {
-        this.advance();
-        this.advance();
-        return new Token(TokenType.LOGICAL_OR, '||', startLine, startColumn);
+    // Многосимвольные операторы
+    for (var i = 0; i < MULTI_CHAR_OPERATORS.length; i++) {
+        var operator = MULTI_CHAR_OPERATORS[i][0];
+        
+        if (this.source.substr(this.position, operator.length) === operator) {
+            for (var j = 0; j < operator.length; j++) {
+                this.advance();
+            }
+            return new Token(MULTI_CHAR_OPERATORS[i][1], operator, startLine, startColumn);
+        }
     }
     
     // Односимвольные операторы и пунктуация
@@ -360,14 +520,25 @@ Lexer.prototype.nextToken = function() {
     if (char === '<') return new Token(TokenType.LESS_THAN, '<', startLine, startColumn);
     if (char === '>') return new Token(TokenType.GREATER_THAN, '>', startLine, startColumn);
     if (char === '!') return new Token(TokenType.LOGICAL_NOT, '!', startLine, startColumn);
+    if (char === '&') return new Token(TokenType.BITWISE_AND, '&', startLine, startColumn);
+    if (char === '|') return new Token(TokenType.BITWISE_OR, '|', startLine, startColumn);
+    if (char === '^') return new Token(TokenType.BITWISE_XOR, '^', startLine, startColumn);
+    if (char === '~') return new Token(TokenType.BITWISE_NOT, '~', startLine, startColumn);
+    if (char === '?') return new Token(TokenType.QUESTION, '?', startLine, startColumn);
+    if (char === ':') return new Token(TokenType.COLON, ':', startLine, startColumn);
+    if (char === '.') return new Token(TokenType.DOT, '.', startLine, startColumn);
     if (char === '(') return new Token(TokenType.LPAREN, '(', startLine, startColumn);
     if (char === ')') return new Token(TokenType.RPAREN, ')', startLine, startColumn);
     if (char === '{') return new Token(TokenType.LBRACE, '{', startLine, startColumn);
     if (char === '}') return new Token(TokenType.RBRACE, '}', startLine, startColumn);
+    if (char === '[') return new Token(TokenType.LBRACKET, '[', startLine, startColumn);
+    if (char === ']') return new Token(TokenType.RBRACKET, ']', startLine, startColumn);
     if (char === ';') return new Token(TokenType.SEMICOLON, ';', startLine, startColumn);
     if (char === ',') return new Token(TokenType.COMMA, ',', startLine, startColumn);
     
-    throw new Error('Неизвестный символ "' + char + '" на строке ' + startLine + ':' + startColumn);
+    this.report(globalThis.CompilerStage5.DiagnosticCode.UNKNOWN_CHARACTER,
+                'Неизвестный символ "' + char + '"', startLine, startColumn);
+    return null;
 };
 
 /**
@@ -388,15 +559,16 @@ Lexer.prototype.tokenize = function() {
     return tokens;
 };
 
-// Экспорт для использования в браузере
-if (typeof window !== 'undefined') {
-    window.CompilerStage5 = window.CompilerStage5 || {};
-    window.CompilerStage5.Lexer = Lexer;
-    window.CompilerStage5.Token = Token;
-    window.CompilerStage5.TokenType = TokenType;
-}
+// Реестр фаз компилятора (в браузере globalThis - это window)
+globalThis.CompilerStage5 = globalThis.CompilerStage5 || {};
+globalThis.CompilerStage5.Lexer = Lexer;
+globalThis.CompilerStage5.Token = Token;
+globalThis.CompilerStage5.TokenType = TokenType;
 
 // Экспорт для Node.js (если используется)
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = { Lexer: Lexer, Token: Token, TokenType: TokenType };
+
+    // Коды ошибок лексер берёт из реестра
+    require('./stage5-diagnostics.js');
 }
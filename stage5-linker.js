@@ -0,0 +1,1050 @@
+/**
+ * ============================================================================
+ * WASM LINKER - STAGE 5: REAL WASM COMPILATION
+ * ============================================================================
+ *
+ * Статический линкер: объединяет несколько готовых модулей .wasm в один.
+ *
+ * Каждый модуль компилируется отдельно и живёт в своих индексных
+ * пространствах: его функции, типы и глобальные переменные нумеруются с
+ * нуля, его строки лежат с адреса 8, его таблица функций начинается с
+ * ячейки 0. В объединённом модуле эти пространства становятся общими,
+ * поэтому линкер переписывает всё, что на них ссылается:
+ *
+ *   типы        - одинаковые сигнатуры сливаются в один тип (internType)
+ *   импорты     - импорт из другого модуля этой же компоновки ("math"
+ *                 "square") становится обычным call его функции;
+ *                 одинаковые внешние импорты (env.log) объявляются один раз
+ *   функции     - call, ref.func и экспорты получают новые индексы
+ *   глобальные  - global.get/set получают новые индексы; указатели кучи
+ *                 (__heap_ptr) всех модулей сливаются в один
+ *   память      - одна на всех; сегменты данных модулей лежат друг за
+ *                 другом, за последним начинается общая куча
+ *   таблица     - одна на всех; сегменты элементов лежат друг за другом
+ *   экспорты    - объединяются; memory и одинаковые функции (__alloc
+ *                 каждого модуля) экспортируются один раз
+ *   start       - если их несколько, вызываются по порядку модулей
+ *
+ * ПЕРЕМЕЩЕНИЯ:
+ *
+ * Индексы функций и глобальных видны в кодировке инструкций, а адреса -
+ * нет: "i32.const 8" может быть и адресом строки, и числом 8. Поэтому
+ * модуль, который займёт не начало памяти или таблицы, должен нести
+ * пользовательскую секцию "stage5.reloc" со списком таких констант. Её
+ * пишет WasmBinaryGenerator, если компилировать с опцией relocatable:
+ *
+ *   u32 количество
+ *   запись: u8 вид    0 - адрес в памяти, 1 - индекс в таблице,
+ *                     2 - указатель кучи
+ *           u8 цель   0 - код функции, 1 - сегмент данных,
+ *                     2 - глобальная переменная
+ *           u32 индекс    функции / сегмента данных / глобальной
+ *           u32 смещение  LEB128 после i32.const (от начала инструкций
+ *                         функции) или i32 в сегменте; у глобальной 0
+ *
+ * Модуль без секции перемещений можно компоновать, только если он
+ * единственный с памятью (и единственный с таблицей): тогда его адреса
+ * не меняются. Остальные пользовательские секции (например, name)
+ * в результат не попадают - индексы в них устарели бы.
+ */
+
+/**
+ * WasmBinaryReader - чтение бинарного формата: байты, LEB128, имена.
+ */
+class WasmBinaryReader {
+    constructor(bytes, pos = 0, end = bytes.length) {
+        this.bytes = bytes;
+        this.pos = pos;
+        this.end = end;
+    }
+
+    get done() {
+        return this.pos >= this.end;
+    }
+
+    byte() {
+        if (this.pos >= this.end) {
+            throw new Error('Неожиданный конец модуля WASM');
+        }
+        return this.bytes[this.pos++];
+    }
+
+    /**
+     * Беззнаковый LEB128.
+     */
+    u32() {
+        let result = 0;
+        let shift = 0;
+        let byte;
+        do {
+            byte = this.byte();
+            result |= (byte & 0x7f) << shift;
+            shift += 7;
+        } while (byte & 0x80);
+        return result >>> 0;
+    }
+
+    /**
+     * Знаковый LEB128 (i32.const, тип блока).
+     */
+    s32() {
+        let result = 0;
+        let shift = 0;
+        let byte;
+        do {
+            byte = this.byte();
+            result |= (byte & 0x7f) << shift;
+            shift += 7;
+        } while (byte & 0x80);
+        if (shift < 32 && (byte & 0x40)) {
+            result |= -1 << shift;
+        }
+        return result | 0;
+    }
+
+    /**
+     * Пропускает LEB128 любой длины (i64.const).
+     */
+    skipLeb() {
+        while (this.byte() & 0x80);
+    }
+
+    slice(length) {
+        if (this.pos + length > this.end) {
+            throw new Error('Неожиданный конец модуля WASM');
+        }
+        const result = this.bytes.subarray(this.pos, this.pos + length);
+        this.pos += length;
+        return result;
+    }
+
+    name() {
+        return new TextDecoder().decode(this.slice(this.u32()));
+    }
+}
+
+/**
+ * Виды и цели перемещений в порядке их кодов в секции stage5.reloc.
+ */
+const RelocationKinds = ['memory', 'table', 'heap'];
+const RelocationTargets = ['code', 'data', 'global'];
+
+/**
+ * WasmLinker - статическая компоновка модулей.
+ *
+ *   const linker = new WasmLinker();
+ *   const bytes = linker.link([
+ *       { name: 'math', wasm: mathBytes },
+ *       { name: 'main', wasm: mainBytes }
+ *   ]);
+ *
+ * Имя модуля - это имя, под которым его импортируют другие модули:
+ * (import "math" "square" ...) в main разрешается в экспорт square
+ * модуля math.
+ */
+class WasmLinker {
+    /**
+     * @param {Array<Object>} modules - { name, wasm: Uint8Array|ArrayBuffer }
+     * @returns {Uint8Array} - Объединённый модуль
+     */
+    link(modules) {
+        const { WasmModuleBuilder } = globalThis.CompilerStage5;
+
+        const parsed = modules.map(entry => this.parseModule(entry.name, entry.wasm));
+        const byName = new Map();
+        for (const module of parsed) {
+            if (byName.has(module.name)) {
+                throw new Error(`Модуль ${module.name} передан линкеру дважды`);
+            }
+            byName.set(module.name, module);
+        }
+
+        const builder = new WasmModuleBuilder();
+        this.builder = builder;
+        this.modules = byName;
+        this.heapGlobal = null;
+
+        for (const module of parsed) {
+            module.typeMap = module.types.map(type => builder.internType(type.params, type.results));
+        }
+
+        this.linkImports(parsed);
+        this.layoutMemory(parsed);
+        this.layoutTable(parsed);
+
+        // Определённые функции и глобальные переменные следуют за импортами
+        for (const module of parsed) {
+            module.functions.forEach((typeIndex, i) => {
+                module.funcMap[module.importedFuncs + i] = builder.addFunction(null, module.typeMap[typeIndex]);
+            });
+        }
+        for (const module of parsed) {
+            module.globals.forEach((global, i) => {
+                const index = module.importedGlobals + i;
+                if (this.heapGlobal !== null && module.heapGlobals.has(index)) {
+                    module.globalMap[index] = this.heapGlobal;
+                    return;
+                }
+                module.globalMap[index] = builder.addGlobal(null, global.globalType, null);
+                if (module.heapGlobals.has(index)) {
+                    this.heapGlobal = module.globalMap[index];
+                }
+            });
+        }
+
+        // Индексы известны - теперь можно разрешить импорты между модулями
+        for (const module of parsed) {
+            this.resolveLinkedImports(module);
+        }
+
+        this.emitGlobals(parsed);
+        this.emitFunctions(parsed);
+        this.emitSegments(parsed);
+        this.emitExports(parsed);
+        this.emitStart(parsed);
+
+        return builder.toBytes();
+    }
+
+    // ========================================================================
+    // РАЗБОР МОДУЛЯ
+    // ========================================================================
+
+    /**
+     * Разбирает .wasm в списки секций. Тела функций, начальные значения
+     * глобальных и смещения сегментов остаются байтами - их переписывает
+     * relinkCode.
+     */
+    parseModule(name, wasm) {
+        const { WasmSection } = globalThis.CompilerStage5;
+        const bytes = wasm instanceof Uint8Array ? wasm : new Uint8Array(wasm);
+        const reader = new WasmBinaryReader(bytes);
+
+        const magic = reader.slice(8);
+        if (magic[0] !== 0x00 || magic[1] !== 0x61 || magic[2] !== 0x73 || magic[3] !== 0x6d || magic[4] !== 0x01) {
+            throw new Error(`Модуль ${name} не является модулем WASM версии 1`);
+        }
+
+        const module = {
+            name,
+            types: [],
+            imports: [],
+            functions: [],
+            tables: [],
+            memories: [],
+            globals: [],
+            exports: [],
+            start: null,
+            elems: [],
+            code: [],
+            datas: [],
+            relocations: null,
+
+            // Заполняет линкер: старый индекс → индекс в результате
+            typeMap: [],
+            funcMap: [],
+            globalMap: [],
+            importedFuncs: 0,
+            importedGlobals: 0,
+            heapGlobals: new Set(),
+            memoryDelta: 0,
+            tableDelta: 0
+        };
+
+        while (!reader.done) {
+            const id = reader.byte();
+            const size = reader.u32();
+            const section = new WasmBinaryReader(bytes, reader.pos, reader.pos + size);
+            reader.pos += size;
+
+            // У секции start нет вектора - только индекс функции
+            if (id === WasmSection.START) {
+                module.start = section.u32();
+                continue;
+            }
+
+            if (id === WasmSection.CUSTOM) {
+                const sectionName = section.name();
+                if (sectionName === 'stage5.reloc') {
+                    module.relocations = this.parseRelocations(section);
+                }
+                continue;
+            }
+
+            const count = section.u32();
+            for (let i = 0; i < count; i++) {
+                this.parseEntry(id, section, module);
+            }
+        }
+
+        module.importedFuncs = module.imports.filter(entry => entry.kind === 'func').length;
+        module.importedGlobals = module.imports.filter(entry => entry.kind === 'global').length;
+        for (const relocation of module.relocations || []) {
+            if (relocation.kind === 'heap') {
+                module.heapGlobals.add(relocation.index);
+            }
+        }
+        return module;
+    }
+
+    parseEntry(id, r, module) {
+        const { WasmSection } = globalThis.CompilerStage5;
+
+        switch (id) {
+            case WasmSection.TYPE: {
+                if (r.byte() !== 0x60) {
+                    throw new Error(`Модуль ${module.name}: неизвестная форма типа`);
+                }
+                const params = this.readValTypes(r);
+                const results = this.readValTypes(r);
+                module.types.push({ params, results });
+                return;
+            }
+
+            case WasmSection.IMPORT: {
+                const entry = { module: r.name(), name: r.name(), kind: this.externalKind(r.byte()) };
+                switch (entry.kind) {
+                    case 'func':
+                        entry.typeIndex = r.u32();
+                        break;
+                    case 'global':
+                        entry.globalType = this.readGlobalType(r);
+                        break;
+                    default:
+                        throw new Error(`Модуль ${module.name}: импорт ${entry.kind} не поддерживается линкером`);
+                }
+                module.imports.push(entry);
+                return;
+            }
+
+            case WasmSection.FUNCTION:
+                module.functions.push(r.u32());
+                return;
+
+            case WasmSection.TABLE: {
+                const refType = this.valTypeName(r.byte());
+                module.tables.push({ refType, limits: this.readLimits(r) });
+                return;
+            }
+
+            case WasmSection.MEMORY:
+                module.memories.push({ limits: this.readLimits(r) });
+                return;
+
+            case WasmSection.GLOBAL: {
+                const globalType = this.readGlobalType(r);
+                module.globals.push({ globalType, init: this.readConstExpr(r) });
+                return;
+            }
+
+            case WasmSection.EXPORT:
+                module.exports.push({ name: r.name(), kind: this.externalKind(r.byte()), index: r.u32() });
+                return;
+
+            case WasmSection.ELEMENT: {
+                const flags = r.u32();
+                if (flags !== 0 && flags !== 2) {
+                    throw new Error(`Модуль ${module.name}: сегмент элементов вида ${flags} не поддерживается`);
+                }
+                const tableIndex = flags === 2 ? r.u32() : 0;
+                const offset = this.constOffset(this.readConstExpr(r), module);
+                if (flags === 2 && r.byte() !== 0x00) {
+                    throw new Error(`Модуль ${module.name}: поддерживаются только сегменты funcref`);
+                }
+                const funcIndices = [];
+                for (let n = r.u32(); n > 0; n--) {
+                    funcIndices.push(r.u32());
+                }
+                module.elems.push({ tableIndex, offset, funcIndices });
+                return;
+            }
+
+            case WasmSection.CODE: {
+                const size = r.u32();
+                const body = new WasmBinaryReader(r.bytes, r.pos, r.pos + size);
+                r.pos += size;
+
+                const locals = [];
+                for (let groups = body.u32(); groups > 0; groups--) {
+                    const n = body.u32();
+                    const type = this.valTypeName(body.byte());
+                    for (let k = 0; k < n; k++) locals.push(type);
+                }
+                module.code.push({ locals, code: body.slice(body.end - body.pos) });
+                return;
+            }
+
+            case WasmSection.DATA: {
+                const flags = r.u32();
+                let offset = null;
+                if (flags === 0 || flags === 2) {
+                    if (flags === 2 && r.u32() !== 0) {
+                        throw new Error(`Модуль ${module.name}: больше одной памяти`);
+                    }
+                    offset = this.constOffset(this.readConstExpr(r), module);
+                }
+                module.datas.push({ offset, bytes: r.slice(r.u32()) });
+                return;
+            }
+
+            default:
+                throw new Error(`Модуль ${module.name}: неизвестная секция ${id}`);
+        }
+    }
+
+    parseRelocations(r) {
+        const relocations = [];
+        for (let n = r.u32(); n > 0; n--) {
+            relocations.push({
+                kind: RelocationKinds[r.byte()],
+                target: RelocationTargets[r.byte()],
+                index: r.u32(),
+                offset: r.u32()
+            });
+        }
+        return relocations;
+    }
+
+    readValTypes(r) {
+        const types = [];
+        for (let n = r.u32(); n > 0; n--) {
+            types.push(this.valTypeName(r.byte()));
+        }
+        return types;
+    }
+
+    readGlobalType(r) {
+        const valType = this.valTypeName(r.byte());
+        return { valType, mutable: r.byte() === 1 };
+    }
+
+    readLimits(r) {
+        const flags = r.byte();
+        const min = r.u32();
+        return { min, max: flags & 1 ? r.u32() : null };
+    }
+
+    /**
+     * Константное выражение вместе с завершающим end.
+     */
+    readConstExpr(r) {
+        const start = r.pos;
+        this.skipInstructions(r);
+        return r.bytes.subarray(start, r.pos);
+    }
+
+    /**
+     * Значение смещения сегмента: линкер сдвигает сегменты и должен знать,
+     * где они лежат, поэтому смещение обязано быть i32.const.
+     */
+    constOffset(expr, module) {
+        const { WasmOpcode } = globalThis.CompilerStage5;
+        if (expr[0] !== WasmOpcode['i32.const']) {
+            throw new Error(`Модуль ${module.name}: смещение сегмента должно быть константой i32.const`);
+        }
+        return new WasmBinaryReader(expr, 1).s32();
+    }
+
+    valTypeName(code) {
+        const { WasmValType } = globalThis.CompilerStage5;
+        const name = Object.keys(WasmValType).find(key => WasmValType[key] === code);
+        if (!name) {
+            throw new Error(`Неизвестный тип значения 0x${code.toString(16)}`);
+        }
+        return name;
+    }
+
+    externalKind(code) {
+        const { WasmExternalKind } = globalThis.CompilerStage5;
+        const kind = Object.keys(WasmExternalKind).find(key => WasmExternalKind[key] === code);
+        if (!kind) {
+            throw new Error(`Неизвестный вид импорта или экспорта: ${code}`);
+        }
+        return kind;
+    }
+
+    // ========================================================================
+    // ИМПОРТЫ
+    // ========================================================================
+
+    /**
+     * Объявляет внешние импорты (дубликаты - один раз) и откладывает
+     * импорты из модулей компоновки до того, как станут известны индексы
+     * их функций.
+     */
+    linkImports(parsed) {
+        const builder = this.builder;
+        const external = new Map();
+
+        for (const module of parsed) {
+            let funcIndex = 0;
+            let globalIndex = 0;
+            module.linkedImports = [];
+
+            for (const entry of module.imports) {
+                const index = entry.kind === 'func' ? funcIndex++ : globalIndex++;
+
+                if (this.modules.has(entry.module)) {
+                    module.linkedImports.push({ entry, index });
+                    continue;
+                }
+
+                const desc = entry.kind === 'func'
+                    ? { typeIndex: module.typeMap[entry.typeIndex] }
+                    : { globalType: entry.globalType };
+                const key = [entry.module, entry.name, entry.kind, JSON.stringify(desc)].join('\u0000');
+                if (!external.has(key)) {
+                    external.set(key, builder.addImport(entry.kind, entry.module, entry.name, null, desc));
+                }
+
+                const map = entry.kind === 'func' ? module.funcMap : module.globalMap;
+                map[index] = external.get(key);
+            }
+        }
+    }
+
+    /**
+     * Импорт из другого модуля компоновки указывает прямо на его функцию
+     * или глобальную переменную.
+     */
+    resolveLinkedImports(module) {
+        for (const { entry, index } of module.linkedImports) {
+            const target = this.resolveExport(entry.module, entry.name, entry.kind, new Set());
+
+            if (entry.kind === 'func') {
+                const expected = module.types[entry.typeIndex];
+                const actual = this.builder.types[this.funcType(target)];
+                if (!this.sameType(expected, actual)) {
+                    throw new Error(`Импорт ${entry.module}.${entry.name} в модуле ${module.name}: ` +
+                                    `сигнатура не совпадает с экспортом`);
+                }
+                module.funcMap[index] = target;
+            } else {
+                const globalType = this.globalType(target);
+                if (globalType.valType !== entry.globalType.valType || globalType.mutable !== entry.globalType.mutable) {
+                    throw new Error(`Импорт ${entry.module}.${entry.name} в модуле ${module.name}: ` +
+                                    `тип глобальной переменной не совпадает с экспортом`);
+                }
+                module.globalMap[index] = target;
+            }
+        }
+    }
+
+    /**
+     * Индекс в результате для экспорта name модуля moduleName. Экспорт
+     * может сам быть импортом из третьего модуля - цепочка проходится до
+     * определения.
+     */
+    resolveExport(moduleName, name, kind, visiting) {
+        const key = `${moduleName}.${name}`;
+        if (visiting.has(key)) {
+            throw new Error(`Циклический импорт ${key}`);
+        }
+        visiting.add(key);
+
+        const module = this.modules.get(moduleName);
+        const entry = module.exports.find(item => item.name === name);
+        if (!entry) {
+            throw new Error(`Модуль ${moduleName} не экспортирует ${name}`);
+        }
+        if (entry.kind !== kind) {
+            throw new Error(`Экспорт ${key} - это ${entry.kind}, а импортируется ${kind}`);
+        }
+
+        const imported = kind === 'func' ? module.importedFuncs : module.importedGlobals;
+        if (entry.index < imported) {
+            const linked = module.linkedImports.find(item => item.entry.kind === kind && item.index === entry.index);
+            if (linked) {
+                return this.resolveExport(linked.entry.module, linked.entry.name, kind, visiting);
+            }
+        }
+        return (kind === 'func' ? module.funcMap : module.globalMap)[entry.index];
+    }
+
+    funcType(index) {
+        const imports = this.builder.imports.filter(item => item.kind === 'func');
+        return index < imports.length ? imports[index].typeIndex
+                                      : this.builder.funcs[index - imports.length].typeIndex;
+    }
+
+    globalType(index) {
+        const imports = this.builder.imports.filter(item => item.kind === 'global');
+        return index < imports.length ? imports[index].globalType
+                                      : this.builder.globals[index - imports.length].globalType;
+    }
+
+    sameType(a, b) {
+        return a.params.join(',') === b.params.join(',') && a.results.join(',') === b.results.join(',');
+    }
+
+    // ========================================================================
+    // ПАМЯТЬ И ТАБЛИЦА
+    // ========================================================================
+
+    /**
+     * Раскладывает данные модулей в общей памяти: данные первого модуля
+     * остаются на месте, данные каждого следующего начинаются за концом
+     * предыдущего (выравнивание 8). Конец данных модуля - начальное
+     * значение его указателя кучи, а без него - конец последнего сегмента.
+     */
+    layoutMemory(parsed) {
+        const users = parsed.filter(module => module.memories.length > 0);
+        this.heapStart = null;
+        if (users.length === 0) return;
+
+        for (const module of users) {
+            if (module.memories.length > 1) {
+                throw new Error(`Модуль ${module.name}: больше одной памяти`);
+            }
+            if (users.length > 1 && !module.relocations) {
+                throw new Error(`Модуль ${module.name} без перемещений (stage5.reloc) ` +
+                                `нельзя компоновать с другими модулями, использующими память`);
+            }
+        }
+
+        const align = (value) => (value + 7) & ~7;
+        let cursor = 0;
+        let pages = 1;
+        let maxPages = null;
+
+        for (const module of users) {
+            const active = module.datas.filter(data => data.offset !== null);
+            const limits = module.memories[0].limits;
+            pages = Math.max(pages, limits.min);
+            if (limits.max !== null) {
+                maxPages = Math.max(maxPages || 0, limits.max);
+            }
+
+            const start = active.length > 0 ? Math.min(...active.map(data => data.offset)) : cursor;
+            let end = active.length > 0 ? Math.max(...active.map(data => data.offset + data.bytes.length)) : start;
+            for (const index of module.heapGlobals) {
+                const init = module.globals[index - module.importedGlobals].init;
+                end = Math.max(end, this.constOffset(init, module));
+            }
+
+            // Первый модуль остаётся на месте: его адреса не меняются
+            module.memoryDelta = cursor === 0 ? 0 : cursor - start;
+            cursor = align(Math.max(cursor, end + module.memoryDelta));
+        }
+
+        this.heapStart = cursor;
+        pages = Math.max(pages, Math.ceil(cursor / 65536));
+        this.builder.addMemory(null, { min: pages, max: maxPages === null ? null : Math.max(maxPages, pages) });
+    }
+
+    /**
+     * Таблицы модулей склеиваются в одну: таблица каждого следующего
+     * модуля начинается за последней ячейкой предыдущего.
+     */
+    layoutTable(parsed) {
+        const users = parsed.filter(module => module.tables.length > 0);
+        if (users.length === 0) return;
+
+        let size = 0;
+        for (const module of users) {
+            if (module.tables.length > 1) {
+                throw new Error(`Модуль ${module.name}: больше одной таблицы`);
+            }
+            if (users.length > 1 && !module.relocations) {
+                throw new Error(`Модуль ${module.name} без перемещений (stage5.reloc) ` +
+                                `нельзя компоновать с другими модулями, использующими таблицу`);
+            }
+            module.tableDelta = size;
+            size += module.tables[0].limits.min;
+        }
+
+        this.builder.addTable(null, { min: size, max: null }, 'funcref');
+    }
+
+    // ========================================================================
+    // ПЕРЕПИСЫВАНИЕ КОДА
+    // ========================================================================
+
+    /**
+     * Копирует инструкции, заменяя индексы функций, типов и глобальных
+     * переменных на новые, а константы из перемещений - на сдвинутые.
+     *
+     * @param {Uint8Array} bytes - Инструкции с завершающим end
+     * @param {Object} module - Разобранный модуль с таблицами индексов
+     * @param {Map<number, string>} relocations - Смещение LEB128 → вид
+     * @returns {WasmBinaryWriter}
+     */
+    relinkCode(bytes, module, relocations) {
+        const { WasmBinaryWriter } = globalThis.CompilerStage5;
+
+        const reader = new WasmBinaryReader(bytes);
+        const out = new WasmBinaryWriter(bytes.length + 16);
+        let copied = 0;
+
+        // Переписывает LEB128 в текущей позиции, копируя всё, что до него
+        const replace = (read, write) => {
+            const start = reader.pos;
+            const value = read();
+            out.bytes(bytes.subarray(copied, start));
+            write(value, start);
+            copied = reader.pos;
+        };
+
+        const remap = (map) => replace(() => reader.u32(), value => {
+            if (map[value] === undefined) {
+                throw new Error(`Модуль ${module.name}: неизвестный индекс ${value}`);
+            }
+            out.u32(map[value]);
+        });
+
+        this.skipInstructions(reader, {
+            type: () => remap(module.typeMap),
+            func: () => remap(module.funcMap),
+            global: () => remap(module.globalMap),
+            table: () => replace(() => reader.u32(), () => out.u32(0)),
+            blockType: () => replace(() => reader.s32(), value => out.s32(module.typeMap[value])),
+            i32: () => replace(() => reader.s32(), (value, start) => {
+                const kind = relocations.get(start);
+                out.s32(kind ? value + this.relocationDelta(kind, module) : value);
+            })
+        });
+
+        out.bytes(bytes.subarray(copied));
+        return out;
+    }
+
+    relocationDelta(kind, module) {
+        if (kind === 'table') return module.tableDelta;
+        return module.memoryDelta;
+    }
+
+    /**
+     * Проходит инструкции до end, который закрывает тело функции или
+     * константное выражение. Для непосредственных операндов, которые
+     * линкер переписывает, вызываются обработчики hooks; остальные
+     * пропускаются.
+     */
+    skipInstructions(r, hooks = null) {
+        const skip = (name, fallback) => hooks && hooks[name] ? hooks[name]() : fallback();
+        const memarg = () => { r.u32(); r.u32(); };
+        let depth = 0;
+
+        while (true) {
+            const op = r.byte();
+
+            switch (op) {
+                case 0x02: case 0x03: case 0x04: {   // block, loop, if
+                    const type = r.bytes[r.pos];
+                    if (type === 0x40 || (type >= 0x6f && type <= 0x7f)) {
+                        r.pos++;
+                    } else {
+                        skip('blockType', () => r.s32());
+                    }
+                    depth++;
+                    break;
+                }
+
+                case 0x0b:                           // end
+                    if (depth === 0) return;
+                    depth--;
+                    break;
+
+                case 0x0c: case 0x0d:                // br, br_if
+                case 0x20: case 0x21: case 0x22:     // local.*
+                    r.u32();
+                    break;
+
+                case 0x0e:                           // br_table
+                    for (let n = r.u32(); n >= 0; n--) r.u32();
+                    break;
+
+                case 0x10: case 0xd2:                // call, ref.func
+                    skip('func', () => r.u32());
+                    break;
+
+                case 0x11:                           // call_indirect
+                    skip('type', () => r.u32());
+                    skip('table', () => r.u32());
+                    break;
+
+                case 0x1c:                           // select t*
+                    for (let n = r.u32(); n > 0; n--) r.byte();
+                    break;
+
+                case 0x23: case 0x24:                // global.get, global.set
+                    skip('global', () => r.u32());
+                    break;
+
+                case 0x25: case 0x26:                // table.get, table.set
+                    skip('table', () => r.u32());
+                    break;
+
+                case 0x3f: case 0x40:                // memory.size, memory.grow
+                case 0xd0:                           // ref.null
+                    r.byte();
+                    break;
+
+                case 0x41:                           // i32.const
+                    skip('i32', () => r.s32());
+                    break;
+
+                case 0x42:                           // i64.const
+                    r.skipLeb();
+                    break;
+
+                case 0x43:                           // f32.const
+                    r.slice(4);
+                    break;
+
+                case 0x44:                           // f64.const
+                    r.slice(8);
+                    break;
+
+                case 0xfc:
+                    this.skipMiscOperands(r.u32(), r, skip);
+                    break;
+
+                case 0xfd:
+                    this.skipSimdOperands(r.u32(), r, memarg);
+                    break;
+
+                default:
+                    if (op >= 0x28 && op <= 0x3e) {  // загрузки и сохранения
+                        memarg();
+                    } else if ([0x06, 0x07, 0x08, 0x09, 0x12, 0x13, 0x18, 0x19].includes(op) || op >= 0xd3) {
+                        // Исключения, хвостовые вызовы, типизированные ссылки
+                        throw new Error(`Инструкция 0x${op.toString(16)} не поддерживается линкером`);
+                    }
+                    break;
+            }
+        }
+    }
+
+    /**
+     * Операнды инструкций с префиксом 0xfc (насыщающие преобразования,
+     * массовые операции с памятью и таблицами).
+     */
+    skipMiscOperands(sub, r, skip) {
+        switch (sub) {
+            case 8:                                  // memory.init
+                r.u32();
+                r.byte();
+                break;
+            case 9:                                  // data.drop
+            case 13:                                 // elem.drop
+                r.u32();
+                break;
+            case 10:                                 // memory.copy
+                r.byte();
+                r.byte();
+                break;
+            case 11:                                 // memory.fill
+                r.byte();
+                break;
+            case 12:                                 // table.init
+                r.u32();
+                skip('table', () => r.u32());
+                break;
+            case 14:                                 // table.copy
+                skip('table', () => r.u32());
+                skip('table', () => r.u32());
+                break;
+            case 15: case 16: case 17:               // table.grow, table.size, table.fill
+                skip('table', () => r.u32());
+                break;
+        }
+    }
+
+    /**
+     * Операнды инструкций SIMD (префикс 0xfd).
+     */
+    skipSimdOperands(sub, r, memarg) {
+        if (sub <= 11 || sub === 92 || sub === 93) {
+            memarg();                                // v128.load*, v128.store
+        } else if (sub === 12 || sub === 13) {
+            r.slice(16);                             // v128.const, i8x16.shuffle
+        } else if (sub >= 21 && sub <= 34) {
+            r.byte();                                // extract_lane, replace_lane
+        } else if (sub >= 84 && sub <= 91) {
+            memarg();                                // load_lane, store_lane
+            r.byte();
+        }
+    }
+
+    // ========================================================================
+    // ВЫВОД
+    // ========================================================================
+
+    /**
+     * Перемещения цели target в виде Map: индекс → (смещение → вид).
+     */
+    relocationsOf(module, target) {
+        const result = new Map();
+        for (const relocation of module.relocations || []) {
+            if (relocation.target !== target) continue;
+            if (!result.has(relocation.index)) {
+                result.set(relocation.index, new Map());
+            }
+            result.get(relocation.index).set(relocation.offset, relocation.kind);
+        }
+        return result;
+    }
+
+    emitGlobals(parsed) {
+        const { WasmBinaryWriter, WasmOpcode } = globalThis.CompilerStage5;
+
+        for (const module of parsed) {
+            const relocations = this.relocationsOf(module, 'global');
+
+            module.globals.forEach((global, i) => {
+                const index = module.importedGlobals + i;
+                if (module.heapGlobals.has(index)) {
+                    // Общая куча начинается за данными всех модулей
+                    const init = new WasmBinaryWriter();
+                    init.byte(WasmOpcode['i32.const']);
+                    init.s32(this.heapStart);
+                    init.byte(WasmOpcode.end);
+                    this.builder.setGlobalInit(this.heapGlobal, init);
+                    return;
+                }
+
+                // Смещение перемещения у глобальной - сразу за опкодом
+                const kinds = new Map();
+                if (relocations.has(index)) {
+                    kinds.set(1, relocations.get(index).get(0));
+                }
+                this.builder.setGlobalInit(module.globalMap[index], this.relinkCode(global.init, module, kinds));
+            });
+        }
+    }
+
+    emitFunctions(parsed) {
+        for (const module of parsed) {
+            const relocations = this.relocationsOf(module, 'code');
+
+            module.code.forEach((body, i) => {
+                const index = module.importedFuncs + i;
+                const code = this.relinkCode(body.code, module, relocations.get(index) || new Map());
+                this.builder.setFunctionBody(module.funcMap[index], body.locals, code);
+            });
+        }
+    }
+
+    /**
+     * Сегменты данных и элементов со сдвинутыми смещениями. В данных
+     * перемещения - это i32 little-endian (например, индекс функции в
+     * записи замыкания).
+     */
+    emitSegments(parsed) {
+        const { WasmBinaryWriter, WasmOpcode } = globalThis.CompilerStage5;
+
+        const offset = (value) => {
+            const writer = new WasmBinaryWriter();
+            writer.byte(WasmOpcode['i32.const']);
+            writer.s32(value);
+            writer.byte(WasmOpcode.end);
+            return writer;
+        };
+
+        for (const module of parsed) {
+            for (const elem of module.elems) {
+                const indices = elem.funcIndices.map(index => module.funcMap[index]);
+                this.builder.addElem(0, offset(elem.offset + module.tableDelta), indices);
+            }
+
+            const relocations = this.relocationsOf(module, 'data');
+            module.datas.forEach((data, i) => {
+                const bytes = data.bytes.slice();
+                const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+                for (const [at, kind] of relocations.get(i) || []) {
+                    view.setInt32(at, view.getInt32(at, true) + this.relocationDelta(kind, module), true);
+                }
+                this.builder.addData(data.offset === null ? null : offset(data.offset + module.memoryDelta), bytes);
+            });
+        }
+    }
+
+    /**
+     * Объединяет экспорты. Одно имя может экспортироваться несколькими
+     * модулями, только если это одна и та же сущность: общая память или
+     * функции с одинаковыми (после перенумерации) телами, как __alloc.
+     */
+    emitExports(parsed) {
+        const exported = new Map();
+
+        for (const module of parsed) {
+            for (const entry of module.exports) {
+                let index;
+                switch (entry.kind) {
+                    case 'func':
+                        index = module.funcMap[entry.index];
+                        break;
+                    case 'global':
+                        index = module.globalMap[entry.index];
+                        break;
+                    default:
+                        index = 0;  // память и таблица - общие
+                        break;
+                }
+
+                const previous = exported.get(entry.name);
+                if (previous) {
+                    if (previous.kind === entry.kind &&
+                        (previous.index === index || (entry.kind === 'func' && this.sameFunction(previous.index, index)))) {
+                        continue;
+                    }
+                    throw new Error(`Экспорт ${entry.name} есть и в модуле ${previous.module}, и в модуле ${module.name}`);
+                }
+
+                exported.set(entry.name, { kind: entry.kind, index, module: module.name });
+                this.builder.addExport(entry.name, entry.kind, index);
+            }
+        }
+    }
+
+    sameFunction(a, b) {
+        const imported = this.builder.importCount('func');
+        if (a < imported || b < imported) return false;
+
+        const first = this.builder.funcs[a - imported];
+        const second = this.builder.funcs[b - imported];
+        if (first.typeIndex !== second.typeIndex || first.locals.join(',') !== second.locals.join(',')) {
+            return false;
+        }
+
+        const x = first.code.toBytes();
+        const y = second.code.toBytes();
+        return x.length === y.length && x.every((byte, i) => byte === y[i]);
+    }
+
+    /**
+     * Несколько функций start вызываются из новой функции по порядку
+     * модулей - так же, как модули инициализировались бы по отдельности.
+     */
+    emitStart(parsed) {
+        const { WasmBinaryWriter, WasmOpcode } = globalThis.CompilerStage5;
+
+        const starts = parsed.filter(module => module.start !== null)
+                             .map(module => module.funcMap[module.start]);
+        if (starts.length === 0) return;
+        if (starts.length === 1) {
+            this.builder.setStart(starts[0]);
+            return;
+        }
+
+        const index = this.builder.addFunction(null, this.builder.internType([], []));
+        const code = new WasmBinaryWriter();
+        for (const start of starts) {
+            code.byte(WasmOpcode.call);
+            code.u32(start);
+        }
+        code.byte(WasmOpcode.end);
+        this.builder.setFunctionBody(index, [], code);
+        this.builder.setStart(index);
+    }
+}
+
+// Экспорт
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { WasmLinker, WasmBinaryReader };
+    require('./stage5-wat-assembler.js');
+}
+
+globalThis.CompilerStage5 = globalThis.CompilerStage5 || {};
+globalThis.CompilerStage5.WasmLinker = WasmLinker;
+globalThis.CompilerStage5.WasmBinaryReader = WasmBinaryReader;
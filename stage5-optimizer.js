@@ -0,0 +1,1662 @@
+/**
+ * ============================================================================
+ * AST OPTIMIZER - STAGE 5: REAL WASM COMPILATION
+ * ============================================================================
+ *
+ * Селекторы Stage 6 и Stage 7 выбирают, какие оптимизации применить к коду,
+ * но выбрать мало - оптимизацию нужно выполнить. Этот модуль - менеджер
+ * проходов (PassManager) и сами проходы: преобразования типизированного
+ * AST между анализатором типов и генератором кода.
+ *
+ *   Типизированный AST → [PassManager: проход 1 → проход 2 → ...] → генератор
+ *
+ * ГЛАВНОЕ ПРАВИЛО: ПОВЕДЕНИЕ НЕ МЕНЯЕТСЯ
+ *
+ * Оптимизированная программа обязана вести себя так же, как исходная,
+ * скомпилированная без оптимизаций: те же результаты, те же trap'ы.
+ * "Так же" - значит с семантикой WASM, которую даёт генератор: сложение
+ * integer - это i32.add с переполнением, a[i] за границей массива - trap,
+ * f64 - IEEE 754 со всеми NaN и -0. Поэтому каждый проход смотрит на
+ * inferredType узлов и преобразует только то, что может доказать:
+ *
+ *   x * 1      → x       верно и для i32, и для f64
+ *   x + 0      → x       только для i32: для f64 -0 + 0 даёт 0, а не -0
+ *   x * 8      → x << 3  только для i32
+ *
+ * Проверка - Compiler.compareOptimizations(): компилирует код с проходами
+ * и без и сравнивает результаты вызовов, как compareBackends сравнивает
+ * бэкенды.
+ *
+ * ТИПИЗИРОВАННЫЙ AST ПОСЛЕ ПРОХОДОВ
+ *
+ * Анализатор типов второй раз не запускается: литерал 2, полученный из
+ * 4 / 2, должен остаться number (f64), а повторный анализ сделал бы его
+ * integer. Поэтому каждый новый узел сразу получает inferredType - тот же
+ * Type, что у узла, который он заменяет, или тип переменной, которую он
+ * читает. Проходы работают с копией AST: дерево анализатора остаётся
+ * нетронутым (Compiler сохраняет оба).
+ *
+ * ЧИСТЫЕ ВЫРАЖЕНИЯ
+ *
+ * Почти все проходы опираются на понятие "чистого" выражения (isPure):
+ * у него нет побочных эффектов и оно не может вызвать trap. Такое
+ * выражение можно вычислить раньше, дважды или не вычислять вовсе.
+ * Вызовы (могут менять глобальные переменные), присваивания, литералы
+ * массивов и объектов (выделяют память), a[i] (trap за границей) и
+ * целочисленный % (trap при делении на 0) - не чистые.
+ *
+ * ПРОХОДЫ (в порядке выполнения):
+ *
+ * - functionInlining: f(a, b) → тело f, если тело - один return без
+ *   вызовов и присваиваний, а аргументы - литералы и переменные
+ * - loopUnrolling: for с постоянным числом итераций (до 8) разворачивается
+ *   в последовательность копий тела с подставленным счётчиком
+ * - constantFolding: 2 * 3 + 1 → 7, "a" + 1 → "a1", !true → false,
+ *   true ? x : y → x - вычисление с семантикой WASM
+ * - strengthReduction: x * 8 → x << 3, x / 4 → x * 0.25, x * 2 → x + x
+ * - commonSubexpressionElimination: повторяющееся чистое подвыражение
+ *   оператора вычисляется один раз во временную переменную
+ * - vectorization: поэлементный цикл по массивам обрабатывает за итерацию
+ *   столько элементов, сколько помещается в вектор SIMD (2 f64 или
+ *   4 i32), остаток - скалярным циклом
+ * - deadCodeElimination: if/while с постоянным условием, код после
+ *   return/break/continue, неиспользуемые локальные переменные и
+ *   чистые операторы-выражения
+ *
+ * Проходы выполняются в этом порядке, в каком бы порядке их ни выбрал
+ * селектор: инлайнинг и развёртка открывают возможности для свёртки
+ * констант, а свёртка - для удаления мёртвого кода.
+ */
+
+/**
+ * Проходы оптимизации. Ключ - имя прохода (как в Stage 6
+ * OptimizationStrategySelector), aliases - имена той же оптимизации
+ * в Stage 7 OptimizationSelector (ключ и displayName).
+ *
+ * Порядок ключей - порядок выполнения (см. заголовок файла).
+ */
+const OptimizationPasses = {
+    functionInlining: {
+        aliases: ['inlining', 'Function Inlining'],
+        description: 'Встраивает тела маленьких функций вместо вызовов'
+    },
+    loopUnrolling: {
+        aliases: ['loop_unrolling', 'Loop Unrolling'],
+        description: 'Разворачивает циклы с постоянным числом итераций'
+    },
+    constantFolding: {
+        aliases: ['constant_folding', 'Constant Folding'],
+        description: 'Вычисляет константные выражения на этапе компиляции'
+    },
+    strengthReduction: {
+        aliases: ['strength_reduction', 'Strength Reduction'],
+        description: 'Заменяет дорогие операции эквивалентными дешёвыми'
+    },
+    commonSubexpressionElimination: {
+        aliases: ['common_subexpression', 'Common Subexpression Elimination'],
+        description: 'Вычисляет повторяющиеся выражения только один раз'
+    },
+    vectorization: {
+        aliases: ['Auto-vectorization'],
+        description: 'Группирует итерации поэлементных циклов по ширине вектора SIMD'
+    },
+    deadCodeElimination: {
+        aliases: ['dead_code_elimination', 'Dead Code Elimination'],
+        description: 'Удаляет недостижимый и неиспользуемый код'
+    }
+};
+
+/**
+ * Пределы, которые не дают проходам раздувать код.
+ */
+const OptimizerLimits = {
+    MAX_UNROLL_ITERATIONS: 8,      // Разворачиваются циклы не длиннее
+    MAX_UNROLL_BODY_NODES: 60,     // ...и с телом не больше (в узлах AST)
+    MAX_CSE_TEMPORARIES: 8,        // Временных переменных CSE на оператор
+    MIN_CSE_NODES: 3               // Подвыражения меньше не стоит выносить
+};
+
+/**
+ * Ключи узла, которые не являются дочерними узлами AST.
+ */
+const NonChildKeys = new Set([
+    'inferredType', 'loc', 'typeAnnotation', 'returnType',
+    'leadingComments', 'trailingComments', 'innerComments'
+]);
+
+/**
+ * AstOptimizer - проходы оптимизации и общие для них средства анализа.
+ *
+ * Каждый проход - метод с именем из OptimizationPasses: принимает
+ * программу, меняет её на месте и возвращает число выполненных
+ * преобразований.
+ */
+class AstOptimizer {
+    constructor() {
+        // Счётчик для имён временных переменных (__cse0, __cse1, ...)
+        this.temporaryCounter = 0;
+    }
+
+    // ========================================================================
+    // ОБХОД И КОПИРОВАНИЕ AST
+    // ========================================================================
+
+    /**
+     * Глубокая копия узла. Типы (inferredType) и позиции (loc) не
+     * копируются, а разделяются: проходы их не меняют.
+     */
+    clone(node) {
+        if (Array.isArray(node)) {
+            return node.map(item => this.clone(item));
+        }
+        if (!node || typeof node !== 'object') {
+            return node;
+        }
+
+        const copy = {};
+        for (const key in node) {
+            copy[key] = NonChildKeys.has(key) ? node[key] : this.clone(node[key]);
+        }
+        return copy;
+    }
+
+    /**
+     * Дочерние узлы AST (без типов, позиций и комментариев).
+     */
+    children(node) {
+        const result = [];
+        for (const key in node) {
+            if (NonChildKeys.has(key)) continue;
+            const child = node[key];
+            if (Array.isArray(child)) {
+                result.push(...child.filter(item => item && typeof item.type === 'string'));
+            } else if (child && typeof child.type === 'string') {
+                result.push(child);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Вызывает visit для узла и всех его потомков (сверху вниз).
+     * Если visit возвращает false, потомки узла пропускаются.
+     */
+    walk(node, visit) {
+        if (visit(node) === false) return;
+        for (const child of this.children(node)) {
+            this.walk(child, visit);
+        }
+    }
+
+    /**
+     * Перестраивает дерево снизу вверх: сначала потомки, затем сам узел.
+     * fn возвращает замену узла или undefined (узел остаётся).
+     */
+    rewrite(node, fn) {
+        for (const key in node) {
+            if (NonChildKeys.has(key)) continue;
+            const child = node[key];
+            if (Array.isArray(child)) {
+                node[key] = child.map(item => item && typeof item.type === 'string' ? this.rewrite(item, fn) : item);
+            } else if (child && typeof child.type === 'string') {
+                node[key] = this.rewrite(child, fn);
+            }
+        }
+        const replacement = fn(node);
+        return replacement === undefined ? node : replacement;
+    }
+
+    /**
+     * Число узлов в поддереве - мера размера кода.
+     */
+    size(node) {
+        let count = 0;
+        this.walk(node, () => { count++; });
+        return count;
+    }
+
+    /**
+     * Содержит ли поддерево узел, для которого predicate истинен.
+     */
+    contains(node, predicate) {
+        let found = false;
+        this.walk(node, (n) => {
+            if (found) return false;
+            if (predicate(n)) {
+                found = true;
+                return false;
+            }
+        });
+        return found;
+    }
+
+    /**
+     * Идентификаторы - ссылки на переменные. Имена свойств (obj.x) и
+     * ключи объектов - тоже Identifier в AST, но переменными не являются.
+     */
+    forEachVariableReference(node, visit) {
+        this.walk(node, (n) => {
+            if (n.type === 'MemberExpression' && !n.computed) {
+                this.forEachVariableReference(n.object, visit);
+                return false;
+            }
+            if (n.type === 'Property') {
+                this.forEachVariableReference(n.value, visit);
+                return false;
+            }
+            if (n.type === 'Identifier') {
+                visit(n);
+            }
+        });
+    }
+
+    /**
+     * Заменяет ссылки на переменные (см. forEachVariableReference):
+     * replace(identifier) возвращает новый узел или undefined.
+     */
+    replaceReferencesIn(node, replace) {
+        if (node.type === 'Identifier') {
+            const replacement = replace(node);
+            return replacement === undefined ? node : replacement;
+        }
+
+        for (const key in node) {
+            if (NonChildKeys.has(key)) continue;
+            if (node.type === 'MemberExpression' && !node.computed && key === 'property') continue;
+            if (node.type === 'Property' && key === 'key') continue;
+
+            const child = node[key];
+            if (Array.isArray(child)) {
+                node[key] = child.map(item => item && typeof item.type === 'string' ? this.replaceReferencesIn(item, replace) : item);
+            } else if (child && typeof child.type === 'string') {
+                node[key] = this.replaceReferencesIn(child, replace);
+            }
+        }
+        return node;
+    }
+
+    /**
+     * Вызывает visit(list, owner) для каждого списка операторов: тела
+     * программы и каждого блока. Список можно менять на месте.
+     */
+    forEachStatementList(node, visit) {
+        this.walk(node, (n) => {
+            if (n.type === 'Program' || n.type === 'BlockStatement') {
+                visit(n.body, n);
+            }
+        });
+    }
+
+    // ========================================================================
+    // ТИПЫ И ЧИСТОТА
+    // ========================================================================
+
+    /**
+     * WASM тип значения узла - так же, как его выбирает генератор
+     * (WasmCodeGenerator.jsTypeToWasm): number - f64, всё остальное - i32.
+     */
+    wasmType(node) {
+        const type = node && node.inferredType;
+        if (!type) return 'i32';
+        if (type.kind === 'number') return 'f64';
+        if (type.kind === 'void') return 'void';
+        return 'i32';
+    }
+
+    kind(node) {
+        return node && node.inferredType ? node.inferredType.kind : null;
+    }
+
+    /**
+     * Одинаково ли генератор обращается со значениями двух узлов: один
+     * WASM тип и один вид (integer и boolean - оба i32, но в конкатенации
+     * строк печатаются по-разному).
+     */
+    sameType(a, b) {
+        return this.kind(a) !== null && this.kind(a) === this.kind(b);
+    }
+
+    /**
+     * Выражение без побочных эффектов, которое не может вызвать trap
+     * (см. заголовок файла).
+     */
+    isPure(node) {
+        switch (node.type) {
+            case 'NumberLiteral':
+            case 'BooleanLiteral':
+            case 'StringLiteral':
+            case 'NullLiteral':
+            case 'Identifier':
+                return true;
+
+            case 'UnaryExpression':
+                return this.isPure(node.argument);
+
+            case 'BinaryExpression':
+                // Конкатенация выделяет память под результат
+                if (this.kind(node) === 'string') return false;
+                if ((node.operator === '%' || node.operator === '/') && this.isIntegerOperation(node) &&
+                    !(node.right.type === 'NumberLiteral' && node.right.value !== 0 && node.right.value !== -1)) {
+                    return false;
+                }
+                return this.isPure(node.left) && this.isPure(node.right);
+
+            case 'ConditionalExpression':
+                return this.isPure(node.condition) && this.isPure(node.then) && this.isPure(node.else);
+
+            case 'MemberExpression':
+                // obj.x и arr.length читают память по известному смещению;
+                // arr[i] проверяет границы
+                return !node.computed && this.isPure(node.object);
+
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Выполняется ли арифметическая операция в i32 (правило генератора:
+     * f64, если f64 хоть один операнд или результат).
+     */
+    isIntegerOperation(node) {
+        return [node.left, node.right, node].every(n => this.wasmType(n) === 'i32');
+    }
+
+    /**
+     * Значение литерала или undefined. boolean и null - тоже числа (i32).
+     */
+    constantValue(node) {
+        switch (node.type) {
+            case 'NumberLiteral':
+                return node.value;
+            case 'BooleanLiteral':
+                return node.value ? 1 : 0;
+            case 'NullLiteral':
+                return 0;
+            default:
+                return undefined;
+        }
+    }
+
+    /**
+     * Литерал со значением value и типом type, или null, если генератор
+     * не может записать такое значение константой (NaN, бесконечность,
+     * -0 и числа в экспоненциальной записи не переживают текст WAT).
+     */
+    makeLiteral(value, type, loc) {
+        if (type.kind === 'boolean') {
+            return { type: 'BooleanLiteral', value: value !== 0, inferredType: type, loc };
+        }
+        if (type.kind !== 'integer' && type.kind !== 'number') {
+            return null;
+        }
+        if (!Number.isFinite(value) || Object.is(value, -0) || /e/.test(String(value))) {
+            return null;
+        }
+        if (type.kind === 'integer' && (value | 0) !== value) {
+            return null;
+        }
+        return { type: 'NumberLiteral', value, inferredType: type, loc };
+    }
+
+    /**
+     * Истинность значения по правилам генератора (generateTruthiness):
+     * 0, -0 и NaN ложны.
+     */
+    isTruthy(value) {
+        return Math.abs(value) > 0;
+    }
+
+    /**
+     * Приведение значения к типу переменной или результата: i32 → f64
+     * точно, f64 → i32 отбрасывает дробную часть (i32.trunc_f64_s, trap
+     * за пределами i32 - тогда undefined).
+     */
+    convertConstant(value, fromType, toType) {
+        if (fromType === 'f64' && toType === 'i32') {
+            const truncated = Math.trunc(value);
+            if (!Number.isFinite(value) || truncated < -2147483648 || truncated > 2147483647) {
+                return undefined;
+            }
+            return truncated | 0;
+        }
+        return value;
+    }
+
+    /**
+     * Имена, объявленные внутри узла: переменные и параметры функций и
+     * стрелочных функций.
+     */
+    declaredNames(node) {
+        const names = new Set();
+        this.walk(node, (n) => {
+            if (n.type === 'VariableDeclaration') {
+                names.add(n.name);
+            }
+            if (n.type === 'FunctionDeclaration' || n.type === 'ArrowFunctionExpression') {
+                n.params.forEach(param => names.add(param.name));
+            }
+        });
+        return names;
+    }
+
+    /**
+     * Присваивается ли переменной name где-нибудь внутри узла.
+     */
+    assigns(node, name) {
+        return this.contains(node, n =>
+            (n.type === 'AssignmentExpression' && n.left.type === 'Identifier' && n.left.name === name) ||
+            (n.type === 'VariableDeclaration' && n.name === name)
+        );
+    }
+
+    /**
+     * Новое имя временной переменной, не занятое в программе.
+     */
+    temporaryName(prefix, usedNames) {
+        let name;
+        do {
+            name = `__${prefix}${this.temporaryCounter++}`;
+        } while (usedNames.has(name));
+        usedNames.add(name);
+        return name;
+    }
+
+    /**
+     * Объявленные в поддереве переменные, которые понадобятся, даже если
+     * само поддерево удаляется: генератор заводит локальную переменную
+     * по объявлению, и ссылка на неё в остальном коде без объявления
+     * стала бы недействительной. Возвращает объявления без
+     * инициализатора - они не генерируют кода.
+     */
+    declarationStubs(node) {
+        const stubs = [];
+        this.walk(node, (n) => {
+            if (n.type === 'ArrowFunctionExpression') return false;
+            if (n.type === 'VariableDeclaration') {
+                stubs.push({ ...n, init: null, leadingComments: undefined, trailingComments: undefined });
+            }
+        });
+        return stubs;
+    }
+
+    // ========================================================================
+    // СВЁРТКА КОНСТАНТ
+    // ========================================================================
+
+    /**
+     * constantFolding: выражения из литералов вычисляются при компиляции.
+     *
+     * Вычисление повторяет инструкции, которые выдал бы генератор: i32
+     * арифметика с переполнением (Math.imul, | 0), f64 - обычная
+     * арифметика JavaScript, результат приводится к типу узла. Операции,
+     * которые дали бы trap (целое деление на 0), не сворачиваются -
+     * trap должен остаться.
+     */
+    constantFolding(ast) {
+        let changes = 0;
+
+        this.rewrite(ast, (node) => {
+            let folded;
+            switch (node.type) {
+                case 'BinaryExpression':
+                    folded = node.operator === '&&' || node.operator === '||'
+                        ? this.foldLogical(node)
+                        : this.foldBinary(node);
+                    break;
+                case 'UnaryExpression':
+                    folded = this.foldUnary(node);
+                    break;
+                case 'ConditionalExpression':
+                    folded = this.foldConditional(node);
+                    break;
+            }
+
+            if (folded) {
+                changes++;
+                return folded;
+            }
+            return undefined;
+        });
+
+        return changes;
+    }
+
+    foldBinary(node) {
+        if (!node.inferredType) return null;
+
+        if (this.kind(node) === 'string') {
+            return this.foldConcat(node);
+        }
+
+        const left = this.constantValue(node.left);
+        const right = this.constantValue(node.right);
+        if (left === undefined || right === undefined) return null;
+
+        const op = node.operator;
+
+        // Сравнения: тип операции по операндам, результат - boolean
+        if (['<', '>', '<=', '>=', '==', '===', '!=', '!=='].includes(op)) {
+            const results = {
+                '<': left < right, '>': left > right, '<=': left <= right, '>=': left >= right,
+                '==': left === right, '===': left === right, '!=': left !== right, '!==': left !== right
+            };
+            return this.makeLiteral(results[op] ? 1 : 0, node.inferredType, node.loc);
+        }
+
+        let value;
+        let opType = 'f64';
+        if (this.isIntegerOperation(node)) {
+            opType = 'i32';
+            switch (op) {
+                case '+': value = (left + right) | 0; break;
+                case '-': value = (left - right) | 0; break;
+                case '*': value = Math.imul(left, right); break;
+                case '/':
+                    // i32.div_s: trap при делении на 0 и -2^31 / -1
+                    if (right === 0 || (left === -2147483648 && right === -1)) return null;
+                    value = Math.trunc(left / right) | 0;
+                    break;
+                case '%':
+                    if (right === 0) return null;
+                    value = (left % right) | 0;
+                    break;
+                default:
+                    return null;
+            }
+        } else {
+            switch (op) {
+                case '+': value = left + right; break;
+                case '-': value = left - right; break;
+                case '*': value = left * right; break;
+                case '/': value = left / right; break;
+                case '%': value = left % right; break;
+                default:
+                    return null;
+            }
+        }
+
+        value = this.convertConstant(value, opType, this.wasmType(node));
+        return value === undefined ? null : this.makeLiteral(value, node.inferredType, node.loc);
+    }
+
+    /**
+     * "a" + "b", "n = " + 5, "ok: " + true. Дробные числа генератор
+     * в строку не переводит (см. generateStringConcat) - их не трогаем.
+     */
+    foldConcat(node) {
+        if (node.operator !== '+') return null;
+
+        const text = (operand) => {
+            if (operand.type === 'StringLiteral') return operand.value;
+            if (operand.type === 'BooleanLiteral') return String(operand.value);
+            if (operand.type === 'NumberLiteral' && this.kind(operand) === 'integer') return String(operand.value);
+            return undefined;
+        };
+
+        const left = text(node.left);
+        const right = text(node.right);
+        if (left === undefined || right === undefined) return null;
+
+        return { type: 'StringLiteral', value: left + right, inferredType: node.inferredType, loc: node.loc };
+    }
+
+    foldUnary(node) {
+        const value = this.constantValue(node.argument);
+        if (value === undefined || !node.inferredType) return null;
+
+        switch (node.operator) {
+            case '-': {
+                const negated = this.wasmType(node.argument) === 'i32' ? (0 - value) | 0 : -value;
+                return this.makeLiteral(negated, node.inferredType, node.loc);
+            }
+            case '+':
+                return this.sameType(node, node.argument) ? node.argument : null;
+            case '!':
+                return this.makeLiteral(this.isTruthy(value) ? 0 : 1, node.inferredType, node.loc);
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * a && b, a || b с литералом слева: результат - либо левый операнд
+     * (приведённый к типу выражения), либо правый.
+     */
+    foldLogical(node) {
+        const left = this.constantValue(node.left);
+        if (left === undefined || !node.inferredType) return null;
+
+        const takeLeft = node.operator === '&&' ? !this.isTruthy(left) : this.isTruthy(left);
+        if (takeLeft) {
+            const value = this.convertConstant(left, this.wasmType(node.left), this.wasmType(node));
+            return value === undefined ? null : this.makeLiteral(value, node.inferredType, node.loc);
+        }
+        return this.sameType(node, node.right) ? node.right : null;
+    }
+
+    foldConditional(node) {
+        const condition = this.constantValue(node.condition);
+        if (condition === undefined) return null;
+
+        const branch = this.isTruthy(condition) ? node.then : node.else;
+        if (this.sameType(node, branch)) {
+            return branch;
+        }
+
+        // Ветка другого типа (целая ветка number-выражения) - только литерал
+        const value = this.constantValue(branch);
+        if (value === undefined || !node.inferredType) return null;
+        const converted = this.convertConstant(value, this.wasmType(branch), this.wasmType(node));
+        return converted === undefined ? null : this.makeLiteral(converted, node.inferredType, node.loc);
+    }
+
+    // ========================================================================
+    // УДАЛЕНИЕ МЁРТВОГО КОДА
+    // ========================================================================
+
+    /**
+     * deadCodeElimination:
+     * - if/while/for с постоянным условием заменяются выполняемой веткой
+     * - операторы после return, break и continue в том же блоке удаляются
+     * - удаляются чистые операторы-выражения (x + 1;)
+     * - удаляются локальные переменные, которые нигде не читаются, вместе
+     *   с присваиваниями им (значение присваивания сохраняется, если
+     *   у него есть побочные эффекты)
+     *
+     * Объявления из удалённого кода остаются пустыми объявлениями
+     * (см. declarationStubs).
+     */
+    deadCodeElimination(ast) {
+        let changes = 0;
+
+        // Постоянные условия
+        this.rewrite(ast, (node) => {
+            const replacement = this.eliminateConstantBranch(node);
+            if (replacement) {
+                changes++;
+                return replacement;
+            }
+            return undefined;
+        });
+
+        // Недостижимый код
+        this.forEachStatementList(ast, (list) => {
+            const jump = list.findIndex(s =>
+                ['ReturnStatement', 'BreakStatement', 'ContinueStatement'].includes(s.type));
+            const isStub = (s) => s.type === 'VariableDeclaration' && !s.init;
+            if (jump !== -1 && list.slice(jump + 1).some(s => !isStub(s))) {
+                const removed = list.splice(jump + 1);
+                list.push(...removed.flatMap(statement => this.declarationStubs(statement)));
+                changes += removed.filter(s => !isStub(s)).length;
+            }
+        });
+
+        // Неиспользуемые локальные переменные
+        for (const node of ast.body) {
+            if (node.type === 'FunctionDeclaration') {
+                changes += this.eliminateUnusedLocals(node);
+            }
+        }
+
+        // Чистые операторы-выражения и блоки, от которых ничего не
+        // осталось. Обход снизу вверх: блок, опустевший внутри другого
+        // блока, удаляется до того, как проверяется внешний
+        this.rewrite(ast, (node) => {
+            if (node.type !== 'Program' && node.type !== 'BlockStatement') return undefined;
+            const kept = node.body.filter(statement =>
+                !(statement.type === 'ExpressionStatement' && this.isPure(statement.expression)) &&
+                !(statement.type === 'BlockStatement' && statement.body.length === 0 && !statement.innerComments)
+            );
+            changes += node.body.length - kept.length;
+            node.body = kept;
+            return undefined;
+        });
+
+        return changes;
+    }
+
+    /**
+     * Замена для if/while/for с литералом в условии или null.
+     */
+    eliminateConstantBranch(node) {
+        const block = (body) => ({ type: 'BlockStatement', body, loc: node.loc });
+
+        if (node.type === 'IfStatement') {
+            const condition = this.constantValue(node.condition);
+            if (condition === undefined) return null;
+
+            const taken = this.isTruthy(condition) ? node.then : node.else;
+            const dropped = this.isTruthy(condition) ? node.else : node.then;
+            const stubs = dropped ? this.declarationStubs(dropped) : [];
+            return block([...(taken ? [taken] : []), ...stubs]);
+        }
+
+        if (node.type === 'WhileStatement' || node.type === 'ForStatement') {
+            // Цикл без условия или с истинным условием не трогаем
+            if (!node.condition) return null;
+            const condition = this.constantValue(node.condition);
+            if (condition === undefined || this.isTruthy(condition)) return null;
+
+            const statements = [];
+            if (node.type === 'ForStatement' && node.init) {
+                statements.push(node.init.type === 'VariableDeclaration'
+                    ? node.init
+                    : { type: 'ExpressionStatement', expression: node.init, loc: node.init.loc });
+            }
+            return block([...statements, ...this.declarationStubs(node.body)]);
+        }
+
+        return null;
+    }
+
+    /**
+     * Удаляет локальные переменные функции, значение которых никто не
+     * читает. Чтение - любая ссылка, кроме левой части присваивания,
+     * которое само является оператором (x = 5;). Стрелочные функции тоже
+     * считаются: если они читают переменную, она нужна.
+     */
+    eliminateUnusedLocals(fn) {
+        const params = new Set(fn.params.map(param => param.name));
+        const declared = new Set();
+        this.walk(fn.body, (n) => {
+            if (n.type === 'VariableDeclaration' && !params.has(n.name)) {
+                declared.add(n.name);
+            }
+        });
+
+        // Присваивания-операторы не считаются чтением
+        const writes = new Set();
+        this.walk(fn.body, (n) => {
+            if (n.type === 'ExpressionStatement' && n.expression.type === 'AssignmentExpression' &&
+                n.expression.left.type === 'Identifier') {
+                writes.add(n.expression.left);
+            }
+        });
+
+        const read = new Set();
+        this.forEachVariableReference(fn.body, (identifier) => {
+            if (!writes.has(identifier)) {
+                read.add(identifier.name);
+            }
+        });
+
+        const unused = new Set([...declared].filter(name => !read.has(name)));
+        if (unused.size === 0) return 0;
+
+        let changes = 0;
+        this.forEachStatementList(fn.body, (list) => {
+            for (let i = list.length - 1; i >= 0; i--) {
+                const statement = list[i];
+                let value;
+                if (statement.type === 'VariableDeclaration' && unused.has(statement.name)) {
+                    value = statement.init;
+                } else if (statement.type === 'ExpressionStatement' &&
+                           statement.expression.type === 'AssignmentExpression' &&
+                           statement.expression.left.type === 'Identifier' &&
+                           unused.has(statement.expression.left.name)) {
+                    value = statement.expression.right;
+                } else {
+                    continue;
+                }
+
+                // Значение с побочными эффектами всё равно нужно вычислить
+                if (value && !this.isPure(value)) {
+                    list[i] = { type: 'ExpressionStatement', expression: value, loc: statement.loc };
+                } else {
+                    list.splice(i, 1);
+                }
+                changes++;
+            }
+        });
+
+        // Объявления в заголовках for (for (let i = 0; ...)) остаются:
+        // переменная там нужна циклу, даже если тело её не читает
+        return changes;
+    }
+
+    // ========================================================================
+    // ВСТРАИВАНИЕ ФУНКЦИЙ
+    // ========================================================================
+
+    /**
+     * functionInlining: вызов f(args) заменяется телом f.
+     *
+     * Встраиваются функции верхнего уровня, тело которых - один return
+     * выражения без вызовов, присваиваний и стрелочных функций. Аргументы
+     * должны быть литералами или переменными: их значение не меняется,
+     * пока вычисляется тело, поэтому подстановка вместо параметра (даже
+     * двойная или в другом порядке) не меняет результат.
+     *
+     * Сама функция остаётся - она экспортируется из модуля.
+     */
+    functionInlining(ast) {
+        const functions = new Map();
+        const globals = new Set();
+        for (const node of ast.body) {
+            if (node.type === 'FunctionDeclaration') functions.set(node.name, node);
+            if (node.type === 'VariableDeclaration') globals.add(node.name);
+        }
+
+        const candidates = new Map();
+        for (const [name, fn] of functions) {
+            const body = this.inlinableBody(fn, functions, globals);
+            if (body) candidates.set(name, body);
+        }
+        if (candidates.size === 0) return 0;
+
+        let changes = 0;
+        const inlineIn = (root, localNames) => {
+            this.rewrite(root, (node) => {
+                if (node.type !== 'CallExpression' || node.callee.type !== 'Identifier' ||
+                    localNames.has(node.callee.name) || !candidates.has(node.callee.name)) {
+                    return undefined;
+                }
+                const inlined = this.inlineCall(node, functions.get(node.callee.name),
+                                                candidates.get(node.callee.name), localNames);
+                if (inlined) {
+                    changes++;
+                    return inlined;
+                }
+                return undefined;
+            });
+        };
+
+        for (const node of ast.body) {
+            if (node.type === 'FunctionDeclaration') {
+                inlineIn(node.body, this.declaredNames(node));
+            } else {
+                // Код верхнего уровня: переменные вложенных блоков и
+                // параметры стрелочных функций перекрывают глобальные
+                const names = this.declaredNames(node);
+                if (node.type === 'VariableDeclaration') names.delete(node.name);
+                inlineIn(node, names);
+            }
+        }
+
+        return changes;
+    }
+
+    /**
+     * Выражение из return функции, если её можно встраивать, иначе null.
+     */
+    inlinableBody(fn, functions, globals) {
+        const statements = fn.body.body;
+        if (statements.length !== 1 || statements[0].type !== 'ReturnStatement' || !statements[0].value) {
+            return null;
+        }
+
+        const value = statements[0].value;
+        const forbidden = ['CallExpression', 'AssignmentExpression', 'ArrowFunctionExpression',
+                           'ArrayExpression', 'ObjectExpression'];
+        if (this.contains(value, n => forbidden.includes(n.type))) {
+            return null;
+        }
+
+        // Результат приводится к объявленному типу (function f(): f64) -
+        // выражение должно иметь тот же тип
+        const returnType = fn.inferredType && fn.inferredType.returnType;
+        if (!returnType || returnType.kind !== this.kind(value) ||
+            (fn.returnType && fn.returnType.type === 'TypeReference' &&
+             ['i32', 'f64'].includes(fn.returnType.name) && fn.returnType.name !== this.wasmType(value))) {
+            return null;
+        }
+
+        // Свободные переменные тела - только глобальные (не функции:
+        // функция как значение - это замыкание)
+        const params = new Set(fn.params.map(param => param.name));
+        let valid = true;
+        this.forEachVariableReference(value, (identifier) => {
+            if (!params.has(identifier.name) && !globals.has(identifier.name)) {
+                valid = false;
+            }
+        });
+
+        return valid ? value : null;
+    }
+
+    /**
+     * Тело функции с подставленными аргументами или null.
+     */
+    inlineCall(call, fn, body, localNames) {
+        if (call.arguments.length !== fn.params.length) return null;
+
+        // Локальная переменная вызывающей функции не должна перекрыть
+        // глобальную, которую читает тело
+        const params = new Set(fn.params.map(param => param.name));
+        let shadowed = false;
+        this.forEachVariableReference(body, (identifier) => {
+            if (!params.has(identifier.name) && localNames.has(identifier.name)) {
+                shadowed = true;
+            }
+        });
+        if (shadowed) return null;
+
+        const values = new Map();
+        for (let i = 0; i < fn.params.length; i++) {
+            const value = this.argumentValue(call.arguments[i], fn.params[i]);
+            if (!value) return null;
+            values.set(fn.params[i].name, value);
+        }
+
+        const inlined = this.replaceReferencesIn(this.clone(body), (identifier) =>
+            values.has(identifier.name) ? this.clone(values.get(identifier.name)) : undefined
+        );
+
+        // Результат вызова используется там же, где вызов: тип тот же
+        return this.sameType(inlined, call) ? inlined : null;
+    }
+
+    /**
+     * Аргумент в виде, пригодном для подстановки вместо параметра, или null.
+     *
+     * Переменная подставляется, если её тип совпадает с типом параметра.
+     * Литерал приводится к типу параметра, как это сделал бы вызов.
+     */
+    argumentValue(arg, param) {
+        const paramType = this.jsParamType(param);
+        if (!paramType) return null;
+
+        if (arg.type === 'Identifier') {
+            return this.kind(arg) === paramType.kind && this.kind(arg) !== 'function' ? arg : null;
+        }
+
+        const value = this.constantValue(arg);
+        if (value === undefined) {
+            return arg.type === 'StringLiteral' && paramType.kind === 'string' ? arg : null;
+        }
+        if (arg.type === 'BooleanLiteral' || paramType.kind === 'boolean') {
+            return this.kind(arg) === paramType.kind ? arg : null;
+        }
+
+        const converted = this.convertConstant(value, this.wasmType(arg), paramType.kind === 'number' ? 'f64' : 'i32');
+        return converted === undefined ? null : this.makeLiteral(converted, paramType, arg.loc);
+    }
+
+    /**
+     * Тип параметра с учётом машинной аннотации (x: f64).
+     */
+    jsParamType(param) {
+        const type = param.inferredType;
+        if (!type) return null;
+
+        const annotation = param.typeAnnotation;
+        if (annotation && annotation.type === 'TypeReference' && ['i32', 'f64'].includes(annotation.name) &&
+            annotation.name !== (type.kind === 'number' ? 'f64' : 'i32')) {
+            return null;
+        }
+        return type;
+    }
+
+    // ========================================================================
+    // РАЗВЁРТКА ЦИКЛОВ
+    // ========================================================================
+
+    /**
+     * loopUnrolling: цикл
+     *
+     *   for (let i = 0; i < 3; i = i + 1) { s = s + a[i]; }
+     *
+     * с постоянными границами и шагом становится последовательностью
+     * копий тела, в которых счётчик заменён своим значением:
+     *
+     *   { { s = s + a[0]; } { s = s + a[1]; } { s = s + a[2]; } let i = 3; }
+     *
+     * Последнее присваивание оставляет счётчику значение, которое он
+     * получил бы после цикла. Тело не должно менять счётчик, выходить из
+     * цикла (break/continue) и создавать замыкания.
+     */
+    loopUnrolling(ast) {
+        let changes = 0;
+
+        this.rewrite(ast, (node) => {
+            if (node.type !== 'ForStatement') return undefined;
+
+            const loop = this.countedLoop(node);
+            if (!loop || !this.isLiteral(loop.start) || !this.isLiteral(loop.bound) ||
+                this.size(node.body) > OptimizerLimits.MAX_UNROLL_BODY_NODES) {
+                return undefined;
+            }
+
+            // Значения счётчика по итерациям
+            const values = [];
+            let value = loop.start.value;
+            while (loop.test(value, loop.bound.value)) {
+                if (values.length === OptimizerLimits.MAX_UNROLL_ITERATIONS) return undefined;
+                values.push(value);
+                value = (value + loop.step) | 0;
+            }
+
+            const copies = values.map(v => this.replaceReferencesIn(this.clone(node.body), (identifier) =>
+                identifier.name === loop.counter.name
+                    ? this.makeLiteral(v, loop.counter.inferredType, identifier.loc)
+                    : undefined
+            ));
+
+            const final = this.makeLiteral(value, loop.counter.inferredType, node.loc);
+            const last = loop.declaration
+                ? { ...loop.declaration, init: final }
+                : {
+                    type: 'ExpressionStatement',
+                    expression: {
+                        type: 'AssignmentExpression',
+                        left: this.clone(loop.counter),
+                        right: final,
+                        inferredType: loop.counter.inferredType,
+                        loc: node.loc
+                    },
+                    loc: node.loc
+                };
+
+            changes++;
+            return { type: 'BlockStatement', body: [...copies, last], loc: node.loc };
+        });
+
+        return changes;
+    }
+
+    isLiteral(node) {
+        return node.type === 'NumberLiteral' && this.kind(node) === 'integer';
+    }
+
+    /**
+     * Разбирает цикл со счётчиком:
+     *
+     *   for (let i = start; i < bound; i = i + step) body
+     *
+     * (также i = start, сравнения <=, >, >=, !=, шаг i - step). Счётчик -
+     * integer переменная, которую тело не меняет; bound не меняется в
+     * теле; тело без break/continue этого цикла и без замыканий.
+     *
+     * @returns {Object|null} - { counter, declaration, start, bound, step, test }
+     */
+    countedLoop(node) {
+        let counter = null;
+        let declaration = null;
+        let start = null;
+
+        if (node.init && node.init.type === 'VariableDeclaration' && node.init.init) {
+            declaration = node.init;
+            counter = { type: 'Identifier', name: declaration.name, inferredType: declaration.inferredType, loc: declaration.loc };
+            start = declaration.init;
+        } else if (node.init && node.init.type === 'AssignmentExpression' && node.init.left.type === 'Identifier') {
+            // Анализатор не типизирует левую часть присваивания - тип
+            // переменной у самого присваивания
+            counter = { ...node.init.left, inferredType: node.init.inferredType };
+            start = node.init.right;
+        }
+        if (!counter || this.kind(counter) !== 'integer' || this.kind(start) !== 'integer' || !this.isPure(start)) {
+            return null;
+        }
+        if (declaration && declaration.typeAnnotation && this.wasmType(declaration) !== 'i32') {
+            return null;
+        }
+
+        const name = counter.name;
+        const isCounter = (n) => n.type === 'Identifier' && n.name === name;
+
+        // Условие: i op bound
+        const condition = node.condition;
+        const comparisons = {
+            '<': (a, b) => a < b, '<=': (a, b) => a <= b,
+            '>': (a, b) => a > b, '>=': (a, b) => a >= b,
+            '!=': (a, b) => a !== b, '!==': (a, b) => a !== b
+        };
+        if (!condition || condition.type !== 'BinaryExpression' || !comparisons[condition.operator] ||
+            !isCounter(condition.left) || this.wasmType(condition.right) !== 'i32' ||
+            !this.isPure(condition.right) || this.kind(condition.right) !== 'integer') {
+            return null;
+        }
+        const bound = condition.right;
+
+        // Обновление: i = i + step или i = i - step
+        const update = node.update;
+        if (!update || update.type !== 'AssignmentExpression' || !isCounter(update.left) ||
+            update.right.type !== 'BinaryExpression' || !['+', '-'].includes(update.right.operator) ||
+            !isCounter(update.right.left) || !this.isLiteral(update.right.right) ||
+            this.kind(update.right) !== 'integer') {
+            return null;
+        }
+        const step = update.right.operator === '+' ? update.right.right.value : -update.right.right.value;
+        if (step === 0) return null;
+
+        // Тело: счётчик и граница не меняются, нет выхода из цикла и замыканий
+        const body = node.body;
+        if (this.assigns(body, name) ||
+            this.contains(body, n => n.type === 'ArrowFunctionExpression' || n.type === 'FunctionDeclaration') ||
+            this.hasLoopExit(body)) {
+            return null;
+        }
+        let boundChanges = false;
+        this.forEachVariableReference(bound, (identifier) => {
+            if (this.assigns(body, identifier.name)) boundChanges = true;
+        });
+        if (boundChanges) return null;
+
+        return { counter, declaration, start, bound, step, test: comparisons[condition.operator] };
+    }
+
+    /**
+     * Есть ли в теле цикла break или continue, относящиеся к нему (не
+     * к вложенному циклу).
+     */
+    hasLoopExit(body) {
+        let found = false;
+        this.walk(body, (n) => {
+            if (n.type === 'WhileStatement' || n.type === 'ForStatement' ||
+                n.type === 'ArrowFunctionExpression') {
+                return false;
+            }
+            if (n.type === 'BreakStatement' || n.type === 'ContinueStatement') {
+                found = true;
+            }
+        });
+        return found;
+    }
+
+    // ========================================================================
+    // УПРОЩЕНИЕ ОПЕРАЦИЙ
+    // ========================================================================
+
+    /**
+     * strengthReduction: дорогая операция заменяется дешёвой с тем же
+     * результатом (точно тем же - включая переполнение i32 и -0 у f64):
+     *
+     *   x * 2^k  → x << k      (i32: умножение на степень двойки - сдвиг)
+     *   x / 2^k  → x * 2^-k    (f64: обратная степени двойки точна)
+     *   x * 2    → x + x       (f64, x - переменная)
+     *   x * 1, x - 0 → x       (x + 0 → x только для i32)
+     */
+    strengthReduction(ast) {
+        let changes = 0;
+
+        this.rewrite(ast, (node) => {
+            if (node.type !== 'BinaryExpression' || !node.inferredType) return undefined;
+            const reduced = this.reduceBinary(node);
+            if (reduced) {
+                changes++;
+                return reduced;
+            }
+            return undefined;
+        });
+
+        return changes;
+    }
+
+    reduceBinary(node) {
+        const op = node.operator;
+        const left = node.left;
+        const right = node.right;
+        const integer = this.isIntegerOperation(node) && this.kind(node) === 'integer';
+        const float = this.wasmType(node) === 'f64' && this.wasmType(left) === 'f64';
+        const literal = (n) => n.type === 'NumberLiteral' ? n.value : undefined;
+
+        // Нейтральные элементы: результат - сам операнд того же типа
+        if (this.sameType(node, left) && (integer || float)) {
+            if ((op === '*' && literal(right) === 1) || (op === '-' && literal(right) === 0) ||
+                (op === '+' && integer && literal(right) === 0)) {
+                return left;
+            }
+        }
+        if (this.sameType(node, right) && (integer || (float && this.wasmType(right) === 'f64'))) {
+            if ((op === '*' && literal(left) === 1) || (op === '+' && integer && literal(left) === 0)) {
+                return right;
+            }
+        }
+
+        // Умножение на степень двойки - сдвиг
+        if (integer && op === '*') {
+            const [value, other] = this.isLiteral(right) ? [right.value, left] : [literal(left), right];
+            const shift = this.powerOfTwo(value);
+            if (shift > 0 && shift < 31 && this.kind(other) === 'integer') {
+                return {
+                    type: 'BinaryExpression',
+                    operator: '<<',
+                    left: other,
+                    right: this.makeLiteral(shift, other.inferredType, node.loc),
+                    inferredType: node.inferredType,
+                    loc: node.loc
+                };
+            }
+        }
+
+        // Деление на степень двойки - умножение на обратную
+        if (op === '/' && this.wasmType(node) === 'f64' && right.type === 'NumberLiteral') {
+            const shift = this.powerOfTwo(right.value);
+            if (shift > 0 && shift <= 1022) {
+                const reciprocal = this.makeLiteral(1 / right.value, node.inferredType, right.loc);
+                if (reciprocal) {
+                    return { ...node, operator: '*', right: reciprocal };
+                }
+            }
+        }
+
+        // 2 * x → x + x
+        if (op === '*' && float) {
+            const [value, other] = literal(right) !== undefined ? [literal(right), left] : [literal(left), right];
+            if (value === 2 && other.type === 'Identifier' && this.wasmType(other) === 'f64') {
+                return { ...node, operator: '+', left: other, right: this.clone(other) };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * k, если value = 2^k (k ≥ 0), иначе -1.
+     */
+    powerOfTwo(value) {
+        if (typeof value !== 'number' || !(value > 0) || !Number.isFinite(value)) return -1;
+        const k = Math.log2(value);
+        return Number.isInteger(k) && Math.pow(2, k) === value ? k : -1;
+    }
+
+    // ========================================================================
+    // ОБЩИЕ ПОДВЫРАЖЕНИЯ
+    // ========================================================================
+
+    /**
+     * commonSubexpressionElimination: подвыражение, которое встречается
+     * в операторе больше одного раза, вычисляется один раз:
+     *
+     *   return (a + b) * (a + b);   →   let __cse0 = a + b;
+     *                                   return __cse0 * __cse0;
+     *
+     * Работает в пределах одного оператора функции (выражение-оператор,
+     * return, объявление, условие if), в котором нет вызовов и
+     * присваиваний, кроме внешнего: между вычислением временной
+     * переменной и местами, где было подвыражение, значения переменных
+     * измениться не могут. Выносятся только чистые подвыражения, поэтому
+     * вычисление раньше или вне ветки ?: не добавляет эффектов и trap'ов.
+     */
+    commonSubexpressionElimination(ast) {
+        let changes = 0;
+        const usedNames = this.declaredNames(ast);
+
+        for (const fn of ast.body) {
+            if (fn.type !== 'FunctionDeclaration') continue;
+
+            this.walk(fn.body, (node) => {
+                if (node.type === 'ArrowFunctionExpression') return false;
+                if (node.type !== 'BlockStatement') return undefined;
+
+                const result = [];
+                for (const statement of node.body) {
+                    const temporaries = this.eliminateCommonSubexpressions(statement, usedNames);
+                    changes += temporaries.length;
+                    result.push(...temporaries, statement);
+                }
+                node.body = result;
+            });
+        }
+
+        return changes;
+    }
+
+    /**
+     * Выносит общие подвыражения оператора; возвращает объявления
+     * временных переменных, которые нужно поставить перед ним.
+     */
+    eliminateCommonSubexpressions(statement, usedNames) {
+        const slot = this.expressionSlot(statement);
+        if (!slot) return [];
+
+        const root = slot.get();
+        if (this.contains(root, n => n.type === 'CallExpression' || n.type === 'AssignmentExpression' ||
+                                     n.type === 'ArrowFunctionExpression')) {
+            return [];
+        }
+
+        const temporaries = [];
+        while (temporaries.length < OptimizerLimits.MAX_CSE_TEMPORARIES) {
+            const candidate = this.largestRepeatedSubexpression(slot.get());
+            if (!candidate) break;
+
+            const name = this.temporaryName('cse', usedNames);
+            temporaries.push({
+                type: 'VariableDeclaration',
+                kind: 'let',
+                name,
+                typeAnnotation: null,
+                init: this.clone(candidate.node),
+                inferredType: candidate.node.inferredType,
+                loc: candidate.node.loc
+            });
+
+            slot.set(this.rewrite(slot.get(), (n) =>
+                this.expressionKey(n) === candidate.key
+                    ? { type: 'Identifier', name, inferredType: n.inferredType, loc: n.loc }
+                    : undefined
+            ));
+        }
+
+        return temporaries;
+    }
+
+    /**
+     * Выражение оператора, в котором ищутся общие подвыражения, как
+     * пара get/set. У присваивания a[i] = v - только правая часть.
+     */
+    expressionSlot(statement) {
+        const field = (object, key) => ({ get: () => object[key], set: (value) => { object[key] = value; } });
+
+        switch (statement.type) {
+            case 'ExpressionStatement':
+                return statement.expression.type === 'AssignmentExpression'
+                    ? (this.contains(statement.expression.left, n => n.type === 'CallExpression' ||
+                                                                     n.type === 'AssignmentExpression')
+                        ? null
+                        : field(statement.expression, 'right'))
+                    : field(statement, 'expression');
+            case 'ReturnStatement':
+                return statement.value ? field(statement, 'value') : null;
+            case 'VariableDeclaration':
+                return statement.init ? field(statement, 'init') : null;
+            case 'IfStatement':
+                return field(statement, 'condition');
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Самое большое чистое подвыражение, которое встречается хотя бы
+     * дважды, или null.
+     */
+    largestRepeatedSubexpression(root) {
+        const counts = new Map();
+        this.walk(root, (n) => {
+            const key = this.expressionKey(n);
+            if (key === null) return undefined;
+            const entry = counts.get(key) || { node: n, count: 0 };
+            entry.count++;
+            counts.set(key, entry);
+        });
+
+        let best = null;
+        for (const [key, entry] of counts) {
+            if (entry.count < 2) continue;
+            const size = this.size(entry.node);
+            if (size >= OptimizerLimits.MIN_CSE_NODES && (!best || size > best.size)) {
+                best = { key, node: entry.node, size };
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Структурный ключ выражения-кандидата (одинаковый у одинаковых
+     * выражений одного типа) или null, если выносить его нельзя.
+     */
+    expressionKey(node) {
+        if (!['BinaryExpression', 'UnaryExpression', 'MemberExpression'].includes(node.type)) {
+            return null;
+        }
+        const kind = this.kind(node);
+        if (!['integer', 'number', 'boolean'].includes(kind) || !this.isPure(node)) {
+            return null;
+        }
+
+        const key = (n) => {
+            const type = n.inferredType ? n.inferredType.kind : '?';
+            switch (n.type) {
+                case 'Identifier': return `${n.name}:${type}`;
+                case 'NumberLiteral': return `${n.value}:${type}`;
+                case 'BooleanLiteral': return `${n.value}`;
+                case 'NullLiteral': return 'null';
+                case 'StringLiteral': return JSON.stringify(n.value);
+                case 'UnaryExpression': return `(${n.operator}${key(n.argument)}):${type}`;
+                case 'BinaryExpression': return `(${key(n.left)}${n.operator}${key(n.right)}):${type}`;
+                case 'ConditionalExpression': return `(${key(n.condition)}?${key(n.then)}:${key(n.else)}):${type}`;
+                case 'MemberExpression': return `(${key(n.object)}.${n.property.name}):${type}`;
+                default: return `#${n.type}`;
+            }
+        };
+        return key(node);
+    }
+
+    // ========================================================================
+    // ВЕКТОРИЗАЦИЯ
+    // ========================================================================
+
+    /**
+     * vectorization: поэлементный цикл по массивам
+     *
+     *   for (let i = 0; i < n; i = i + 1) { c[i] = a[i] * b[i]; }
+     *
+     * обрабатывает за итерацию столько элементов, сколько помещается
+     * в 128-битный вектор SIMD - 2 для f64, 4 для i32 (lanes), а
+     * оставшиеся элементы - прежним скалярным циклом:
+     *
+     *   let i = 0;
+     *   for (; i + 1 < n; i = i + 2) { c[i] = a[i] * b[i]; c[i + 1] = a[i + 1] * b[i + 1]; }
+     *   for (; i < n; i = i + 1) { c[i] = a[i] * b[i]; }
+     *
+     * Операции выполняются в том же порядке, что и в исходном цикле,
+     * поэтому результат (включая округление f64 в суммах и trap на
+     * границе массива) не меняется. AST не умеет выражать векторные
+     * типы: проход готовит форму цикла, в которой итерации одной группы
+     * независимы и идут подряд, а генератор выполняет такую группу
+     * инструкциями v128 (WasmCodeGenerator.vectorPlan).
+     *
+     * Условие группы i + (lanes - 1) < n вычисляется в f64, чтобы
+     * сложение не переполнилось у границы i32.
+     *
+     * Тело должно состоять из присваиваний элементам массивов и
+     * переменным (не счётчику и не границе), без вызовов и замыканий.
+     */
+    vectorization(ast) {
+        let changes = 0;
+        const { Type, TypeKind } = globalThis.CompilerStage5;
+
+        this.rewrite(ast, (node) => {
+            if (node.type !== 'ForStatement' || node.vectorized) return undefined;
+
+            const loop = this.countedLoop(node);
+            if (!loop || loop.step !== 1 || node.condition.operator !== '<') return undefined;
+
+            const statements = node.body.type === 'BlockStatement' ? node.body.body : [node.body];
+            const lanes = this.vectorLanes(statements, loop);
+            if (!lanes) return undefined;
+
+            const counter = loop.counter;
+            const integerLiteral = (value) => this.makeLiteral(value, counter.inferredType, node.loc);
+            const counterPlus = (k) => k === 0
+                ? this.clone(counter)
+                : {
+                    type: 'BinaryExpression',
+                    operator: '+',
+                    left: this.clone(counter),
+                    right: integerLiteral(k),
+                    inferredType: counter.inferredType,
+                    loc: node.loc
+                };
+
+            // Тело группы: копии тела для i, i + 1, ..., i + lanes - 1
+            const group = [];
+            for (let k = 0; k < lanes; k++) {
+                for (const statement of statements) {
+                    group.push(this.replaceReferencesIn(this.clone(statement), (identifier) =>
+                        identifier.name === counter.name ? counterPlus(k) : undefined
+                    ));
+                }
+            }
+
+            const vectorLoop = {
+                type: 'ForStatement',
+                init: null,
+                condition: {
+                    type: 'BinaryExpression',
+                    operator: '<',
+                    left: {
+                        type: 'BinaryExpression',
+                        operator: '+',
+                        left: this.clone(counter),
+                        right: integerLiteral(lanes - 1),
+                        inferredType: new Type(TypeKind.NUMBER),
+                        loc: node.loc
+                    },
+                    right: this.clone(loop.bound),
+                    inferredType: node.condition.inferredType,
+                    loc: node.loc
+                },
+                update: {
+                    type: 'AssignmentExpression',
+                    left: this.clone(counter),
+                    right: counterPlus(lanes),
+                    inferredType: counter.inferredType,
+                    loc: node.loc
+                },
+                body: { type: 'BlockStatement', body: group, loc: node.body.loc },
+                vectorized: lanes,
+                loc: node.loc
+            };
+
+            const init = node.init.type === 'VariableDeclaration'
+                ? node.init
+                : { type: 'ExpressionStatement', expression: node.init, loc: node.init.loc };
+            const epilogue = { ...node, init: null, vectorized: 1 };
+
+            changes++;
+            return { type: 'BlockStatement', body: [init, vectorLoop, epilogue], loc: node.loc };
+        });
+
+        return changes;
+    }
+
+    /**
+     * Ширина вектора для тела цикла или 0, если цикл не поэлементный.
+     */
+    vectorLanes(statements, loop) {
+        // Ширину задаёт тип элементов первого массива, индексируемого
+        // счётчиком (запись c[i] или чтение a[i])
+        let elementType = null;
+        for (const statement of statements) {
+            this.walk(statement, (n) => {
+                if (!elementType && n.type === 'MemberExpression' && n.computed &&
+                    this.kind(n.object) === 'array' && n.object.inferredType.elementType &&
+                    n.property.type === 'Identifier' && n.property.name === loop.counter.name) {
+                    elementType = this.wasmType({ inferredType: n.object.inferredType.elementType });
+                }
+            });
+        }
+        if (!elementType) return 0;
+
+        for (const statement of statements) {
+            if (statement.type !== 'ExpressionStatement' ||
+                statement.expression.type !== 'AssignmentExpression') {
+                return 0;
+            }
+
+            const { left, right } = statement.expression;
+            if (this.contains(right, n => ['CallExpression', 'AssignmentExpression', 'ArrowFunctionExpression',
+                                          'ArrayExpression', 'ObjectExpression'].includes(n.type))) {
+                return 0;
+            }
+
+            if (left.type === 'MemberExpression' && left.computed) {
+                if (left.object.type !== 'Identifier' || this.kind(left.object) !== 'array' ||
+                    this.contains(left.property, n => n.type === 'CallExpression' || n.type === 'AssignmentExpression')) {
+                    return 0;
+                }
+            } else if (left.type !== 'Identifier') {
+                return 0;
+            }
+        }
+
+        return elementType === 'f64' ? 2 : 4;
+    }
+}
+
+/**
+ * PassManager - выполняет выбранные проходы оптимизации.
+ *
+ * Принимает выбор в любом виде, который дают селекторы:
+ *
+ *   new PassManager(['constantFolding', 'deadCodeElimination'])
+ *   new PassManager(stage6Selector.selectOptimizations(extractor, network))   // { selectedOptimizations }
+ *   new PassManager(stage7Selector.selectOptimizations(features))             // [{ name: 'inlining' }, ...]
+ *
+ * Без аргумента выполняются все проходы. Оптимизации, для которых нет
+ * прохода (branchPredictionOptimization из Stage 6), попадают в
+ * skipped отчёта.
+ */
+class PassManager {
+    constructor(selection = Object.keys(OptimizationPasses)) {
+        const { passes, skipped } = PassManager.normalize(selection);
+        this.passes = passes;
+        this.skipped = skipped;
+    }
+
+    /**
+     * Приводит выбор селектора к списку имён проходов в порядке выполнения.
+     *
+     * @returns {Object} - { passes: [имя], skipped: [имя без прохода] }
+     */
+    static normalize(selection) {
+        const items = Array.isArray(selection)
+            ? selection
+            : (selection && selection.selectedOptimizations) || [];
+
+        const selected = new Set();
+        const skipped = [];
+        for (const item of items) {
+            const name = typeof item === 'string' ? item : item && item.name;
+            const pass = PassManager.resolve(name);
+            if (pass) {
+                selected.add(pass);
+            } else {
+                skipped.push(name);
+            }
+        }
+
+        return {
+            passes: Object.keys(OptimizationPasses).filter(name => selected.has(name)),
+            skipped
+        };
+    }
+
+    /**
+     * Имя прохода по имени оптимизации из Stage 6 или Stage 7, или null.
+     */
+    static resolve(name) {
+        for (const [pass, info] of Object.entries(OptimizationPasses)) {
+            if (name === pass || info.aliases.includes(name)) {
+                return pass;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Выполняет проходы над копией типизированного AST.
+     *
+     * @param {Object} typedAst - AST после TypeAnalyzer.analyze
+     * @returns {Object} - { ast: оптимизированный AST,
+     *                       applied: [{ name, changes }], skipped: [имя] }
+     */
+    run(typedAst) {
+        const optimizer = new AstOptimizer();
+        const ast = optimizer.clone(typedAst);
+
+        const applied = this.passes.map(name => ({
+            name,
+            changes: optimizer[name](ast)
+        }));
+
+        return { ast, applied, skipped: this.skipped };
+    }
+}
+
+// Экспорт
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PassManager, AstOptimizer, OptimizationPasses };
+
+    // Проходы пересчитывают типы узлов (Type, TypeKind)
+    require('./stage5-type-analyzer.js');
+}
+
+globalThis.CompilerStage5 = globalThis.CompilerStage5 || {};
+globalThis.CompilerStage5.PassManager = PassManager;
+globalThis.CompilerStage5.AstOptimizer = AstOptimizer;
+globalThis.CompilerStage5.OptimizationPasses = OptimizationPasses;
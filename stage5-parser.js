@@ -101,6 +101,7 @@ const ASTNodeType = {
     // Объявления
     FUNCTION_DECLARATION: 'FunctionDeclaration',
     VARIABLE_DECLARATION: 'VariableDeclaration',
+    IMPORT_DECLARATION: 'ImportDeclaration',
     
     // Операторы (statements)
     BLOCK_STATEMENT: 'BlockStatement',
@@ -108,25 +109,47 @@ const ASTNodeType = {
     IF_STATEMENT: 'IfStatement',
     WHILE_STATEMENT: 'WhileStatement',
     FOR_STATEMENT: 'ForStatement',
+    BREAK_STATEMENT: 'BreakStatement',
+    CONTINUE_STATEMENT: 'ContinueStatement',
     EXPRESSION_STATEMENT: 'ExpressionStatement',
     
     // Выражения (expressions)
     BINARY_EXPRESSION: 'BinaryExpression',
     UNARY_EXPRESSION: 'UnaryExpression',
     ASSIGNMENT_EXPRESSION: 'AssignmentExpression',
+    UPDATE_EXPRESSION: 'UpdateExpression',
     CALL_EXPRESSION: 'CallExpression',
     MEMBER_EXPRESSION: 'MemberExpression',
     CONDITIONAL_EXPRESSION: 'ConditionalExpression',
     ARROW_FUNCTION_EXPRESSION: 'ArrowFunctionExpression',
+    ARRAY_EXPRESSION: 'ArrayExpression',
+    OBJECT_EXPRESSION: 'ObjectExpression',
+    PROPERTY: 'Property',
+    
+    // Аннотации типов: i32, f64[], {x: f64}
+    TYPE_REFERENCE: 'TypeReference',
+    ARRAY_TYPE: 'ArrayType',
+    OBJECT_TYPE: 'ObjectType',
     
     // Литералы и идентификаторы
     IDENTIFIER: 'Identifier',
     NUMBER_LITERAL: 'NumberLiteral',
     STRING_LITERAL: 'StringLiteral',
     BOOLEAN_LITERAL: 'BooleanLiteral',
-    NULL_LITERAL: 'NullLiteral'
+    NULL_LITERAL: 'NullLiteral',
+    
+    // Место в коде, которое не удалось разобрать (см. Parser.recover)
+    ERROR_NODE: 'ErrorNode'
 };
 
+/**
+ * Ключевые слова, с которых начинается оператор или объявление. После
+ * синтаксической ошибки разбор продолжается с такого слова.
+ */
+const StatementKeywords = [
+    'FUNCTION', 'VAR', 'LET', 'CONST', 'IMPORT', 'IF', 'WHILE', 'FOR', 'RETURN', 'BREAK', 'CONTINUE'
+];
+
 /**
  * Parser - синтаксический анализатор.
  * 
@@ -142,6 +165,12 @@ class Parser {
     constructor(tokens) {
         this.tokens = tokens;
         this.current = 0;  // Текущая позиция в списке токенов
+        
+        // Глубина вложенности блоков { ... }, которые сейчас разбираются
+        this.blockDepth = 0;
+        
+        // Синтаксические ошибки (Diagnostic), найденные во время разбора
+        this.diagnostics = [];
     }
     
     /**
@@ -207,14 +236,50 @@ class Parser {
     expect(type, message) {
         const token = this.peek();
         if (token.type !== type) {
-            throw new Error(
-                `${message || 'Неожиданный токен'}: ожидался ${type}, ` +
-                `получен ${token.type} на строке ${token.line}:${token.column}`
+            throw this.error(
+                globalThis.CompilerStage5.DiagnosticCode.EXPECTED_TOKEN,
+                `${message || 'Неожиданный токен'}: ожидался ${type}, получен ${token.type}`,
+                token
             );
         }
         return this.advance();
     }
     
+    /**
+     * Создаёт исключение с диагностикой, указывающей на токен.
+     * 
+     * Исключение прерывает разбор текущей конструкции; его ловит
+     * ближайший оператор (см. recover), сохраняет диагностику и
+     * синхронизируется.
+     */
+    error(code, message, token = this.peek()) {
+        const { Diagnostic, DiagnosticSeverity, CompilerError } = globalThis.CompilerStage5;
+        
+        // У EOF нет длины - подчёркиваем один символ на его месте
+        const loc = token.endLine === token.line && token.endColumn <= token.column
+            ? Diagnostic.span(token.line, token.column)
+            : Diagnostic.span(token.line, token.column, token.endLine, token.endColumn);
+        
+        return new CompilerError(
+            new Diagnostic(code, DiagnosticSeverity.ERROR, message, loc, 'parser')
+        );
+    }
+    
+    /**
+     * Диапазон исходного кода от начала токена start до конца последнего
+     * потреблённого токена. Каждый узел AST получает такой диапазон в loc.
+     * 
+     * Функции разбора запоминают первый токен конструкции до её разбора
+     * и вызывают locFrom(start) при создании узла.
+     */
+    locFrom(start) {
+        const end = this.current > 0 ? this.tokens[this.current - 1] : start;
+        return {
+            start: { line: start.line, column: start.column },
+            end: { line: end.endLine, column: end.endColumn }
+        };
+    }
+    
     /**
      * Проверяет, достигли ли мы конца файла.
      */
@@ -228,24 +293,128 @@ class Parser {
      * Программа состоит из последовательности объявлений (функций, переменных)
      * и операторов. Мы разбираем их один за другим, пока не достигнем конца файла.
      * 
+     * Синтаксическая ошибка не останавливает разбор: она попадает в
+     * diagnostics, а на месте неразобранного оператора в AST остаётся
+     * ErrorNode. Так за один проход находятся все ошибки, а анализатор
+     * типов получает всё, что удалось разобрать.
+     * 
      * @returns {Object} - Узел Program, корень всего AST
      */
     parse() {
         const body = [];
         
         while (!this.isAtEnd()) {
-            try {
-                body.push(this.parseDeclarationOrStatement());
-            } catch (error) {
-                // Обработка ошибок: пытаемся восстановиться и продолжить разбор
-                console.error('Ошибка парсинга:', error.message);
-                this.synchronize();
-            }
+            body.push(this.parseListItem());
         }
         
-        return {
+        return this.attachInnerComments({
             type: ASTNodeType.PROGRAM,
-            body: body
+            body: body,
+            loc: this.locFrom(this.tokens[0])
+        });
+    }
+    
+    /**
+     * Разбирает один элемент списка операторов (программы или блока)
+     * вместе с его комментариями.
+     * 
+     * Лексер отдаёт комментарии вместе со следующим токеном (Token.comments).
+     * Комментарии перед первым токеном оператора становятся
+     * node.leadingComments, а комментарии, начатые на той же строке, где
+     * оператор закончился (x = 1; // пояснение), - node.trailingComments.
+     * Комментарии внутри выражений к узлам не прикрепляются.
+     */
+    parseListItem() {
+        const token = this.peek();
+        const leading = token.comments;
+        token.comments = [];
+        
+        const node = this.parseRecovering(() => this.parseDeclarationOrStatement());
+        if (leading.length > 0) {
+            node.leadingComments = leading;
+        }
+        
+        const comments = this.peek().comments;
+        let count = 0;
+        while (count < comments.length && !comments[count].ownLine) {
+            count++;
+        }
+        if (count > 0) {
+            node.trailingComments = comments.splice(0, count);
+        }
+        
+        return node;
+    }
+    
+    /**
+     * Комментарии перед } блока или концом файла не относятся ни к одному
+     * оператору - они сохраняются в node.innerComments списка.
+     */
+    attachInnerComments(node) {
+        const token = this.peek();
+        if (token.comments.length > 0) {
+            node.innerComments = token.comments;
+            token.comments = [];
+        }
+        return node;
+    }
+    
+    /**
+     * Комментарии, которые после разбора не достались ни одному узлу:
+     * внутри выражения, в списке параметров, в объекте, перед else.
+     * В AST их нет, и принтер их не напечатает.
+     * 
+     * @returns {Array} - Комментарии в порядке исходного кода
+     */
+    detachedComments() {
+        return this.tokens.flatMap(token => token.comments);
+    }
+    
+    /**
+     * Разбирает конструкцию функцией parseFn, а если в ней синтаксическая
+     * ошибка - восстанавливается и возвращает ErrorNode.
+     */
+    parseRecovering(parseFn) {
+        const start = this.current;
+        try {
+            return parseFn();
+        } catch (error) {
+            return this.recover(error, start);
+        }
+    }
+    
+    /**
+     * Восстановление после синтаксической ошибки (panic mode).
+     * 
+     * Запоминает диагностику ошибки, пропускает токены до границы
+     * оператора (synchronize) и возвращает ErrorNode, который занимает
+     * место конструкции, начатой с токена start, вместе с пропущенными
+     * токенами:
+     * 
+     *   let x = ;          VariableDeclaration x, init: ErrorNode
+     *   if (a > ) { ... }  ErrorNode на месте всего if
+     *   return x;          разбор продолжается отсюда
+     * 
+     * @param {Error} error - Исключение из error() (или внутренняя ошибка парсера)
+     * @param {number} start - Индекс первого токена конструкции
+     * @returns {Object} - Узел ErrorNode
+     */
+    recover(error, start) {
+        console.error('Ошибка парсинга:', error.message);
+        this.diagnostics.push(error.diagnostic || this.error(
+            globalThis.CompilerStage5.DiagnosticCode.INTERNAL, error.message
+        ).diagnostic);
+        
+        this.synchronize(start);
+        
+        const first = this.tokens[start];
+        const last = this.current > start ? this.tokens[this.current - 1] : first;
+        return {
+            type: ASTNodeType.ERROR_NODE,
+            loc: {
+                start: { line: first.line, column: first.column },
+                end: { line: last.endLine, column: last.endColumn }
+            }
         };
     }
     
@@ -255,23 +424,52 @@ class Parser {
      * Когда мы встречаем синтаксическую ошибку, мы не хотим останавливать
      * весь разбор. Вместо этого мы пытаемся "синхронизироваться" - найти
      * точку, где можем продолжить разбор. Обычно это граница операторов
-     * (точка с запятой) или начало новой конструкции (ключевое слово).
+     * (точка с запятой, конец блока) или начало новой конструкции
+     * (ключевое слово из StatementKeywords).
+     * 
+     * Пропуская токены, парсер следит за скобками: блок { ... } внутри
+     * пропускается целиком, точка с запятой внутри незакрытых круглых
+     * скобок (for (i = 0; i < ; i++)) не граница, а } охватывающего блока
+     * не пропускается - его ждёт parseBlockStatement.
+     * 
+     * @param {number} start - Индекс первого токена конструкции с ошибкой
      */
-    synchronize() {
-        this.advance();
+    synchronize(start = this.current) {
+        // Круглые скобки, открытые в конструкции до ошибки
+        let parens = 0;
+        for (let i = start; i < this.current; i++) {
+            if (this.tokens[i].type === 'LPAREN') parens++;
+            if (this.tokens[i].type === 'RPAREN') parens = Math.max(0, parens - 1);
+        }
+        
+        const from = this.current;
+        let braces = 0;
         
         while (!this.isAtEnd()) {
-            // Если предыдущий токен был точкой с запятой, мы на границе оператора
-            if (this.tokens[this.current - 1].type === 'SEMICOLON') {
-                return;
+            const type = this.peek().type;
+            
+            if (braces === 0 && this.current > from) {
+                // Если текущий токен - начало новой конструкции
+                if (StatementKeywords.includes(type)) {
+                    return;
+                }
+                
+                // Если предыдущий токен закончил оператор или блок
+                const previous = this.tokens[this.current - 1].type;
+                if ((previous === 'SEMICOLON' && parens === 0) || previous === 'RBRACE') {
+                    return;
+                }
             }
             
-            // Если текущий токен - начало новой конструкции
-            const currentType = this.peek().type;
-            if (['FUNCTION', 'VAR', 'LET', 'CONST', 'IF', 'WHILE', 'FOR', 'RETURN'].includes(currentType)) {
+            if (type === 'RBRACE' && braces === 0 && this.blockDepth > 0) {
                 return;
             }
             
+            if (type === 'LBRACE') braces++;
+            if (type === 'RBRACE') braces = Math.max(0, braces - 1);
+            if (type === 'LPAREN') parens++;
+            if (type === 'RPAREN') parens = Math.max(0, parens - 1);
+            
             this.advance();
         }
     }
@@ -289,6 +487,11 @@ class Parser {
             return this.parseFunctionDeclaration();
         }
         
+        // Функция другого модуля
+        if (this.check('IMPORT')) {
+            return this.parseImportDeclaration();
+        }
+        
         // Объявление переменной
         if (this.check('VAR') || this.check('LET') || this.check('CONST')) {
             return this.parseVariableDeclaration();
@@ -302,40 +505,106 @@ class Parser {
      * Разбирает объявление функции.
      * 
      * Грамматика:
-     *   function identifier(parameters) { body }
+     *   function identifier(parameters) (: type)? { body }
      * 
      * Где parameters - это список идентификаторов, разделённых запятыми,
-     * а body - это блок операторов.
+     * а body - это блок операторов. У параметра и у функции может быть
+     * аннотация типа, как в TypeScript:
+     * 
+     *   function add(a: i32, b: f64): f64 { return a + b; }
+     * 
+     * Аннотация попадает в typeAnnotation параметра и returnType функции.
      */
     parseFunctionDeclaration() {
-        this.expect('FUNCTION');
+        const start = this.expect('FUNCTION');
         
         const name = this.expect('IDENTIFIER', 'Ожидается имя функции');
+        const params = this.parseParameters();
+        const returnType = this.parseOptionalTypeAnnotation();
         
+        // Разбираем тело функции
+        const body = this.parseBlockStatement();
+        
+        return {
+            type: ASTNodeType.FUNCTION_DECLARATION,
+            name: name.value,
+            params: params,
+            returnType: returnType,
+            body: body,
+            loc: this.locFrom(start)
+        };
+    }
+    
+    /**
+     * Разбирает список параметров функции в скобках.
+     */
+    parseParameters() {
         this.expect('LPAREN', 'Ожидается ( после имени функции');
         
-        // Разбираем параметры
         const params = [];
         if (!this.check('RPAREN')) {
             do {
                 const param = this.expect('IDENTIFIER', 'Ожидается имя параметра');
+                const typeAnnotation = this.parseOptionalTypeAnnotation();
                 params.push({
                     type: ASTNodeType.IDENTIFIER,
-                    name: param.value
+                    name: param.value,
+                    typeAnnotation: typeAnnotation,
+                    loc: this.locFrom(param)
                 });
             } while (this.match('COMMA'));
         }
         
         this.expect('RPAREN', 'Ожидается ) после параметров');
+        return params;
+    }
+    
+    /**
+     * Разбирает объявление функции другого модуля.
+     * 
+     * Грамматика:
+     *   import function identifier(parameters): type from "module";
+     * 
+     * Тела у такой функции нет: модуль импортирует её как
+     * (import "module" "identifier"), а линкер (stage5-linker.js)
+     * связывает импорт с экспортом модуля с этим именем. Типы параметров
+     * и результата обязательны - проверяет их анализатор типов.
+     */
+    parseImportDeclaration() {
+        const start = this.expect('IMPORT');
+        
+        if (this.blockDepth > 0) {
+            throw this.error(
+                globalThis.CompilerStage5.DiagnosticCode.INVALID_SYNTAX,
+                'import допустим только на верхнем уровне программы',
+                start
+            );
+        }
         
-        // Разбираем тело функции
-        const body = this.parseBlockStatement();
+        this.expect('FUNCTION', 'Ожидается function после import');
+        const name = this.expect('IDENTIFIER', 'Ожидается имя функции');
+        const params = this.parseParameters();
+        const returnType = this.parseOptionalTypeAnnotation();
+        
+        const from = this.expect('IDENTIFIER', 'Ожидается from и имя модуля');
+        if (from.value !== 'from') {
+            throw this.error(
+                globalThis.CompilerStage5.DiagnosticCode.EXPECTED_TOKEN,
+                `Ожидается from, получен ${from.value}`,
+                from
+            );
+        }
+        const module = this.expect('STRING', 'Ожидается имя модуля в кавычках');
+        
+        this.match('SEMICOLON');
         
         return {
-            type: ASTNodeType.FUNCTION_DECLARATION,
+            type: ASTNodeType.IMPORT_DECLARATION,
             name: name.value,
             params: params,
-            body: body
+            returnType: returnType,
+            module: module.value,
+            loc: this.locFrom(start)
         };
     }
     
@@ -343,18 +612,22 @@ class Parser {
      * Разбирает объявление переменной.
      * 
      * Грамматика:
-     *   (var|let|const) identifier = expression;
+     *   (var|let|const) identifier (: type)? (= expression)?;
      * 
-     * В JavaScript переменная может быть объявлена без инициализации.
-     * Для простоты мы требуем инициализацию для всех переменных.
+     * Инициализация необязательна, как в JavaScript. Аннотация типа
+     * (let xs: f64[] = []) попадает в typeAnnotation.
      */
     parseVariableDeclaration() {
-        const kind = this.advance(); // var, let или const
+        const kind = this.advance(); // var, let или const (и начало узла)
         const name = this.expect('IDENTIFIER', 'Ожидается имя переменной');
+        const typeAnnotation = this.parseOptionalTypeAnnotation();
         
+        // Ошибка в инициализаторе не отменяет объявление: иначе каждое
+        // использование переменной дало бы ещё и ошибку "неопределённая
+        // переменная"
         let init = null;
         if (this.match('ASSIGN')) {
-            init = this.parseExpression();
+            init = this.parseRecovering(() => this.parseExpression());
         }
         
         this.match('SEMICOLON'); // Точка с запятой опциональна в JS
@@ -363,10 +636,83 @@ class Parser {
             type: ASTNodeType.VARIABLE_DECLARATION,
             kind: kind.value,
             name: name.value,
-            init: init
+            typeAnnotation: typeAnnotation,
+            init: init,
+            loc: this.locFrom(kind)
         };
     }
     
+    /**
+     * Разбирает аннотацию типа после двоеточия, если она есть
+     * (иначе возвращает null).
+     */
+    parseOptionalTypeAnnotation() {
+        return this.match('COLON') ? this.parseTypeAnnotation() : null;
+    }
+    
+    /**
+     * Разбирает тип в аннотации.
+     * 
+     * Грамматика:
+     *   type = (identifier | "{" (identifier ":" type ("," | ";")?)* "}") ("[" "]")*
+     * 
+     * Имена типов (i32, f64, string...) здесь не проверяются - это обычные
+     * идентификаторы, а знает их анализатор типов.
+     */
+    parseTypeAnnotation() {
+        const start = this.peek();
+        let annotation;
+        
+        if (this.match('LBRACE')) {
+            const properties = [];
+            while (!this.check('RBRACE')) {
+                const keyToken = this.expect('IDENTIFIER', 'Ожидается имя свойства');
+                this.expect('COLON', 'Ожидается : после имени свойства');
+                const value = this.parseTypeAnnotation();
+                
+                properties.push({
+                    type: ASTNodeType.PROPERTY,
+                    key: {
+                        type: ASTNodeType.IDENTIFIER,
+                        name: keyToken.value,
+                        loc: this.locFrom(keyToken)
+                    },
+                    value: value,
+                    loc: this.locFrom(keyToken)
+                });
+                
+                if (!this.match('COMMA', 'SEMICOLON')) break;
+            }
+            this.expect('RBRACE', 'Ожидается } после свойств типа');
+            
+            annotation = {
+                type: ASTNodeType.OBJECT_TYPE,
+                properties: properties,
+                loc: this.locFrom(start)
+            };
+        } else {
+            const name = this.expect('IDENTIFIER', 'Ожидается имя типа');
+            annotation = {
+                type: ASTNodeType.TYPE_REFERENCE,
+                name: name.value,
+                loc: this.locFrom(name)
+            };
+        }
+        
+        // f64[][] - массив массивов
+        while (this.check('LBRACKET') && this.peek(1).type === 'RBRACKET') {
+            this.advance();
+            this.advance();
+            annotation = {
+                type: ASTNodeType.ARRAY_TYPE,
+                elementType: annotation,
+                loc: this.locFrom(start)
+            };
+        }
+        
+        return annotation;
+    }
+    
     /**
      * Разбирает оператор.
      * 
@@ -395,6 +741,10 @@ class Parser {
             return this.parseForStatement();
         }
         
+        if (this.check('BREAK') || this.check('CONTINUE')) {
+            return this.parseJumpStatement();
+        }
+        
         // Если ничего из вышеперечисленного, это оператор-выражение
         return this.parseExpressionStatement();
     }
@@ -406,21 +756,37 @@ class Parser {
      * Блоки создают новую область видимости в JavaScript.
      * 
      * Грамматика: { statement* }
+     * 
+     * Ошибка в операторе блока не прерывает разбор блока: оператор
+     * заменяется на ErrorNode (см. recover). Незакрытый до конца файла
+     * блок - тоже ошибка, но всё, что в нём разобрано, остаётся в AST.
      */
     parseBlockStatement() {
-        this.expect('LBRACE');
+        const start = this.expect('LBRACE');
         
         const statements = [];
+        this.blockDepth++;
         while (!this.check('RBRACE') && !this.isAtEnd()) {
-            statements.push(this.parseDeclarationOrStatement());
+            statements.push(this.parseListItem());
         }
+        this.blockDepth--;
         
-        this.expect('RBRACE', 'Ожидается } в конце блока');
-        
-        return {
+        const block = this.attachInnerComments({
             type: ASTNodeType.BLOCK_STATEMENT,
             body: statements
-        };
+        });
+        
+        if (this.isAtEnd()) {
+            this.diagnostics.push(this.error(
+                globalThis.CompilerStage5.DiagnosticCode.EXPECTED_TOKEN,
+                'Ожидается } в конце блока: ожидался RBRACE, получен EOF'
+            ).diagnostic);
+        } else {
+            this.advance();
+        }
+        
+        block.loc = this.locFrom(start);
+        return block;
     }
     
     /**
@@ -431,7 +797,7 @@ class Parser {
      * Return может быть без выражения (возвращает undefined) или с выражением.
      */
     parseReturnStatement() {
-        this.expect('RETURN');
+        const start = this.expect('RETURN');
         
         let value = null;
         if (!this.check('SEMICOLON') && !this.isAtEnd()) {
@@ -442,7 +808,8 @@ class Parser {
         
         return {
             type: ASTNodeType.RETURN_STATEMENT,
-            value: value
+            value: value,
+            loc: this.locFrom(start)
         };
     }
     
@@ -452,7 +819,7 @@ class Parser {
      * Грамматика: if (condition) thenBranch else? elseBranch
      */
     parseIfStatement() {
-        this.expect('IF');
+        const start = this.expect('IF');
         this.expect('LPAREN');
         
         const condition = this.parseExpression();
@@ -470,7 +837,8 @@ class Parser {
             type: ASTNodeType.IF_STATEMENT,
             condition: condition,
             then: thenBranch,
-            else: elseBranch
+            else: elseBranch,
+            loc: this.locFrom(start)
         };
     }
     
@@ -480,7 +848,7 @@ class Parser {
      * Грамматика: while (condition) body
      */
     parseWhileStatement() {
-        this.expect('WHILE');
+        const start = this.expect('WHILE');
         this.expect('LPAREN');
         
         const condition = this.parseExpression();
@@ -492,7 +860,8 @@ class Parser {
         return {
             type: ASTNodeType.WHILE_STATEMENT,
             condition: condition,
-            body: body
+            body: body,
+            loc: this.locFrom(start)
         };
     }
     
@@ -505,7 +874,7 @@ class Parser {
      * Для простоты мы поддерживаем только классический C-style for.
      */
     parseForStatement() {
-        this.expect('FOR');
+        const start = this.expect('FOR');
         this.expect('LPAREN');
         
         // Инициализация (может быть объявлением или выражением)
@@ -541,7 +910,29 @@ class Parser {
             init: init,
             condition: condition,
             update: update,
-            body: body
+            body: body,
+            loc: this.locFrom(start)
+        };
+    }
+    
+    /**
+     * Разбирает операторы break и continue.
+     * 
+     * Грамматика: break; | continue;
+     * 
+     * Метки (break outer;) не поддерживаются - оператор всегда относится
+     * к ближайшему охватывающему циклу. Проверка, что цикл вообще есть,
+     * выполняется в анализаторе типов.
+     */
+    parseJumpStatement() {
+        const start = this.advance();
+        this.match('SEMICOLON');
+        
+        return {
+            type: start.type === 'BREAK'
+                ? ASTNodeType.BREAK_STATEMENT
+                : ASTNodeType.CONTINUE_STATEMENT,
+            loc: this.locFrom(start)
         };
     }
     
@@ -556,12 +947,14 @@ class Parser {
      * Все это выражения, которые стоят сами по себе как операторы.
      */
     parseExpressionStatement() {
+        const start = this.peek();
         const expr = this.parseExpression();
         this.match('SEMICOLON');
         
         return {
             type: ASTNodeType.EXPRESSION_STATEMENT,
-            expression: expr
+            expression: expr,
+            loc: this.locFrom(start)
         };
     }
     
@@ -580,32 +973,70 @@ class Parser {
      * Разбирает выражение присваивания.
      * 
      * Присваивание имеет самый низкий приоритет среди бинарных операторов.
-     * Грамматика: identifier = expression
+     * Грамматика: identifier (= | += | -= | *= | /= | %=) expression
      * 
      * Правоассоциативность: a = b = c разбирается как a = (b = c)
+     * 
+     * Составное присваивание (x += 1) сохраняет свой оператор в operator,
+     * чтобы форматирование вернуло код как есть; анализатор типов сводит
+     * его к обычному присваиванию (см. TypeAnalyzer.lowerAssignments).
      */
     parseAssignmentExpression() {
-        const left = this.parseLogicalOrExpression();
+        const start = this.peek();
+        const left = this.parseConditionalExpression();
         
-        if (this.match('ASSIGN')) {
+        const operator = this.match('ASSIGN', 'PLUS_ASSIGN', 'MINUS_ASSIGN',
+                                    'MULTIPLY_ASSIGN', 'DIVIDE_ASSIGN', 'MODULO_ASSIGN');
+        if (operator) {
             const right = this.parseAssignmentExpression(); // Правоассоциативность
             
             return {
                 type: ASTNodeType.ASSIGNMENT_EXPRESSION,
+                operator: operator.value,
                 left: left,
-                right: right
+                right: right,
+                loc: this.locFrom(start)
             };
         }
         
         return left;
     }
     
+    /**
+     * Разбирает тернарный оператор (condition ? then : else).
+     * 
+     * Приоритет: ниже, чем ||, но выше, чем присваивание.
+     * Правоассоциативность: a ? b : c ? d : e разбирается как a ? b : (c ? d : e).
+     * Ветки разбираются как присваивания, как и в JavaScript: x ? y = 1 : z = 2.
+     */
+    parseConditionalExpression() {
+        const start = this.peek();
+        const condition = this.parseLogicalOrExpression();
+        
+        if (this.match('QUESTION')) {
+            const thenBranch = this.parseAssignmentExpression();
+            this.expect('COLON', 'Ожидается : в тернарном операторе');
+            const elseBranch = this.parseAssignmentExpression();
+            
+            return {
+                type: ASTNodeType.CONDITIONAL_EXPRESSION,
+                condition: condition,
+                then: thenBranch,
+                else: elseBranch,
+                loc: this.locFrom(start)
+            };
+        }
+        
+        return condition;
+    }
+    
     /**
      * Разбирает логическое ИЛИ (||).
      * 
      * Приоритет: ниже, чем && (логическое И)
      */
     parseLogicalOrExpression() {
+        const start = this.peek();
         let left = this.parseLogicalAndExpression();
         
         while (this.match('LOGICAL_OR')) {
@@ -616,7 +1047,8 @@ class Parser {
                 type: ASTNodeType.BINARY_EXPRESSION,
                 operator: operator,
                 left: left,
-                right: right
+                right: right,
+                loc: this.locFrom(start)
             };
         }
         
@@ -629,6 +1061,7 @@ class Parser {
      * Приоритет: ниже, чем операторы сравнения
      */
     parseLogicalAndExpression() {
+        const start = this.peek();
         let left = this.parseEqualityExpression();
         
         while (this.match('LOGICAL_AND')) {
@@ -639,7 +1072,8 @@ class Parser {
                 type: ASTNodeType.BINARY_EXPRESSION,
                 operator: operator,
                 left: left,
-                right: right
+                right: right,
+                loc: this.locFrom(start)
             };
         }
         
@@ -652,6 +1086,7 @@ class Parser {
      * Приоритет: ниже, чем операторы отношения (<, >, <=, >=)
      */
     parseEqualityExpression() {
+        const start = this.peek();
         let left = this.parseRelationalExpression();
         
         while (this.match('EQUAL', 'STRICT_EQUAL', 'NOT_EQUAL', 'STRICT_NOT_EQUAL')) {
@@ -662,7 +1097,8 @@ class Parser {
                 type: ASTNodeType.BINARY_EXPRESSION,
                 operator: operator,
                 left: left,
-                right: right
+                right: right,
+                loc: this.locFrom(start)
             };
         }
         
@@ -675,6 +1111,7 @@ class Parser {
      * Приоритет: ниже, чем арифметические операторы
      */
     parseRelationalExpression() {
+        const start = this.peek();
         let left = this.parseAdditiveExpression();
         
         while (this.match('LESS_THAN', 'GREATER_THAN', 'LESS_EQUAL', 'GREATER_EQUAL')) {
@@ -685,7 +1122,8 @@ class Parser {
                 type: ASTNodeType.BINARY_EXPRESSION,
                 operator: operator,
                 left: left,
-                right: right
+                right: right,
+                loc: this.locFrom(start)
             };
         }
         
@@ -698,6 +1136,7 @@ class Parser {
      * Приоритет: ниже, чем мультипликативные (* / %)
      */
     parseAdditiveExpression() {
+        const start = this.peek();
         let left = this.parseMultiplicativeExpression();
         
         while (this.match('PLUS', 'MINUS')) {
@@ -708,7 +1147,8 @@ class Parser {
                 type: ASTNodeType.BINARY_EXPRESSION,
                 operator: operator,
                 left: left,
-                right: right
+                right: right,
+                loc: this.locFrom(start)
             };
         }
         
@@ -721,6 +1161,7 @@ class Parser {
      * Приоритет: ниже, чем унарные операторы
      */
     parseMultiplicativeExpression() {
+        const start = this.peek();
         let left = this.parseUnaryExpression();
         
         while (this.match('MULTIPLY', 'DIVIDE', 'MODULO')) {
@@ -731,7 +1172,8 @@ class Parser {
                 type: ASTNodeType.BINARY_EXPRESSION,
                 operator: operator,
                 left: left,
-                right: right
+                right: right,
+                loc: this.locFrom(start)
             };
         }
         
@@ -739,11 +1181,22 @@ class Parser {
     }
     
     /**
-     * Разбирает унарные выражения (!, -, +).
+     * Разбирает унарные выражения (!, -, +, ++x, --x).
      * 
      * Унарные операторы применяются к одному операнду и имеют высокий приоритет.
      */
     parseUnaryExpression() {
+        const start = this.peek();
+        if (this.match('INCREMENT', 'DECREMENT')) {
+            return {
+                type: ASTNodeType.UPDATE_EXPRESSION,
+                operator: start.value,
+                prefix: true,
+                argument: this.parseUnaryExpression(),
+                loc: this.locFrom(start)
+            };
+        }
+        
         if (this.match('LOGICAL_NOT', 'MINUS', 'PLUS')) {
             const operator = this.tokens[this.current - 1].value;
             const argument = this.parseUnaryExpression(); // Рекурсия для цепочек унарных операторов
@@ -751,7 +1204,8 @@ class Parser {
             return {
                 type: ASTNodeType.UNARY_EXPRESSION,
                 operator: operator,
-                argument: argument
+                argument: argument,
+                loc: this.locFrom(start)
             };
         }
         
@@ -764,10 +1218,12 @@ class Parser {
      * foo.bar - доступ к члену
      * foo() - вызов функции
      * foo[bar] - индексация
+     * foo++ - постфиксный инкремент (и декремент)
      * 
      * Эти операторы могут быть цепочными: foo.bar().baz[0]
      */
     parsePostfixExpression() {
+        const start = this.peek();
         let expr = this.parsePrimaryExpression();
         
         while (true) {
@@ -786,7 +1242,8 @@ class Parser {
                 expr = {
                     type: ASTNodeType.CALL_EXPRESSION,
                     callee: expr,
-                    arguments: args
+                    arguments: args,
+                    loc: this.locFrom(start)
                 };
             } else if (this.match('DOT')) {
                 // Доступ к члену: obj.property
@@ -797,9 +1254,11 @@ class Parser {
                     object: expr,
                     property: {
                         type: ASTNodeType.IDENTIFIER,
-                        name: property.value
+                        name: property.value,
+                        loc: this.locFrom(property)
                     },
-                    computed: false // Не вычисляемое (obj.prop, не obj[prop])
+                    computed: false, // Не вычисляемое (obj.prop, не obj[prop])
+                    loc: this.locFrom(start)
                 };
             } else if (this.match('LBRACKET')) {
                 // Индексация: obj[index]
@@ -810,13 +1269,28 @@ class Parser {
                     type: ASTNodeType.MEMBER_EXPRESSION,
                     object: expr,
                     property: index,
-                    computed: true // Вычисляемое (obj[prop])
+                    computed: true, // Вычисляемое (obj[prop])
+                    loc: this.locFrom(start)
                 };
             } else {
                 break;
             }
         }
         
+        // Как в JavaScript, ++ на следующей строке к выражению не относится:
+        // a \n ++b - это два оператора
+        const previous = this.tokens[this.current - 1];
+        if ((this.check('INCREMENT') || this.check('DECREMENT')) && this.peek().line === previous.endLine) {
+            const operator = this.advance();
+            expr = {
+                type: ASTNodeType.UPDATE_EXPRESSION,
+                operator: operator.value,
+                prefix: false,
+                argument: expr,
+                loc: this.locFrom(start)
+            };
+        }
+        
         return expr;
     }
     
@@ -832,7 +1306,8 @@ class Parser {
             const token = this.advance();
             return {
                 type: ASTNodeType.NUMBER_LITERAL,
-                value: token.value
+                value: token.value,
+                loc: this.locFrom(token)
             };
         }
         
@@ -840,7 +1315,8 @@ class Parser {
             const token = this.advance();
             return {
                 type: ASTNodeType.STRING_LITERAL,
-                value: token.value
+                value: token.value,
+                loc: this.locFrom(token)
             };
         }
         
@@ -848,24 +1324,35 @@ class Parser {
             const token = this.advance();
             return {
                 type: ASTNodeType.BOOLEAN_LITERAL,
-                value: token.value
+                // Значение - само логическое значение, а не текст токена:
+                // строка 'false' была бы истинной
+                value: token.type === 'TRUE',
+                loc: this.locFrom(token)
             };
         }
         
         if (this.check('NULL')) {
-            this.advance();
+            const token = this.advance();
             return {
                 type: ASTNodeType.NULL_LITERAL,
-                value: null
+                value: null,
+                loc: this.locFrom(token)
             };
         }
         
+        // Стрелочная функция: x => ..., (a, b) => ... Её начало выглядит как
+        // идентификатор или выражение в скобках, поэтому проверяется первой
+        if (this.isArrowFunctionStart()) {
+            return this.parseArrowFunction();
+        }
+        
         // Идентификатор
         if (this.check('IDENTIFIER')) {
             const token = this.advance();
             return {
                 type: ASTNodeType.IDENTIFIER,
-                name: token.value
+                name: token.value,
+                loc: this.locFrom(token)
             };
         }
         
@@ -876,19 +1363,110 @@ class Parser {
             return expr;
         }
         
-        // Стрелочная функция (упрощённая версия)
-        if (this.check('LPAREN') || this.check('IDENTIFIER')) {
-            // Попытка разобрать как стрелочную функцию
-            // Это упрощение - полный парсинг стрелочных функций сложнее
-            return this.parseArrowFunction();
+        // Литералы массива и объекта. { в начале оператора - это блок,
+        // поэтому здесь (в позиции выражения) это всегда объект
+        if (this.check('LBRACKET')) {
+            return this.parseArrayLiteral();
         }
         
-        throw new Error(
-            `Неожиданный токен: ${this.peek().type} ` +
-            `на строке ${this.peek().line}:${this.peek().column}`
+        if (this.check('LBRACE')) {
+            return this.parseObjectLiteral();
+        }
+        
+        throw this.error(
+            globalThis.CompilerStage5.DiagnosticCode.UNEXPECTED_TOKEN,
+            `Неожиданный токен: ${this.peek().type}`
         );
     }
     
+    /**
+     * Разбирает литерал массива: [a, b, c]. Допускается запятая после
+     * последнего элемента.
+     */
+    parseArrayLiteral() {
+        const start = this.expect('LBRACKET');
+        const elements = [];
+        
+        while (!this.check('RBRACKET')) {
+            elements.push(this.parseAssignmentExpression());
+            if (!this.match('COMMA')) break;
+        }
+        
+        this.expect('RBRACKET', 'Ожидается ] после элементов массива');
+        
+        return {
+            type: ASTNodeType.ARRAY_EXPRESSION,
+            elements: elements,
+            loc: this.locFrom(start)
+        };
+    }
+    
+    /**
+     * Разбирает литерал объекта: {x: 1, "y": 2}. Ключ - имя или строка.
+     * Допускается запятая после последнего свойства.
+     */
+    parseObjectLiteral() {
+        const start = this.expect('LBRACE');
+        const properties = [];
+        
+        while (!this.check('RBRACE')) {
+            const keyToken = this.check('STRING')
+                ? this.advance()
+                : this.expect('IDENTIFIER', 'Ожидается имя свойства');
+            const key = {
+                type: ASTNodeType.IDENTIFIER,
+                name: keyToken.value,
+                loc: this.locFrom(keyToken)
+            };
+            
+            this.expect('COLON', 'Ожидается : после имени свойства');
+            const value = this.parseAssignmentExpression();
+            
+            properties.push({
+                type: ASTNodeType.PROPERTY,
+                key: key,
+                value: value,
+                loc: this.locFrom(keyToken)
+            });
+            
+            if (!this.match('COMMA')) break;
+        }
+        
+        this.expect('RBRACE', 'Ожидается } после свойств объекта');
+        
+        return {
+            type: ASTNodeType.OBJECT_EXPRESSION,
+            properties: properties,
+            loc: this.locFrom(start)
+        };
+    }
+    
+    /**
+     * Начинается ли с текущего токена стрелочная функция.
+     * 
+     * x => ... узнаётся по следующему токену. Для (a, b) => ... нужно
+     * заглянуть за закрывающую скобку: до неё это не отличить от выражения
+     * в скобках (a, b может оказаться чем угодно). Токены не потребляются.
+     */
+    isArrowFunctionStart() {
+        if (this.check('IDENTIFIER')) {
+            return this.peek(1).type === 'ARROW';
+        }
+        if (!this.check('LPAREN')) {
+            return false;
+        }
+        
+        let depth = 0;
+        for (let offset = 0; ; offset++) {
+            const type = this.peek(offset).type;
+            if (type === 'EOF') return false;
+            if (type === 'LPAREN') depth++;
+            if (type === 'RPAREN' && --depth === 0) {
+                return this.peek(offset + 1).type === 'ARROW';
+            }
+        }
+    }
+    
     /**
      * Разбирает стрелочную функцию (упрощённая версия).
      * 
@@ -896,8 +1474,10 @@ class Parser {
      * неоднозначности. Мы поддерживаем только простые случаи:
      * - x => x * 2
      * - (x, y) => x + y
+     * - (x: f64) => x * 2 - параметры в скобках могут иметь аннотации типов
      */
     parseArrowFunction() {
+        const start = this.peek();
         const params = [];
         
         if (this.check('IDENTIFIER')) {
@@ -905,16 +1485,21 @@ class Parser {
             const param = this.advance();
             params.push({
                 type: ASTNodeType.IDENTIFIER,
-                name: param.value
+                name: param.value,
+                typeAnnotation: null,
+                loc: this.locFrom(param)
             });
         } else if (this.match('LPAREN')) {
             // Параметры в скобках
             if (!this.check('RPAREN')) {
                 do {
                     const param = this.expect('IDENTIFIER', 'Ожидается имя параметра');
+                    const typeAnnotation = this.parseOptionalTypeAnnotation();
                     params.push({
                         type: ASTNodeType.IDENTIFIER,
-                        name: param.value
+                        name: param.value,
+                        typeAnnotation: typeAnnotation,
+                        loc: this.locFrom(param)
                     });
                 } while (this.match('COMMA'));
             }
@@ -933,15 +1518,18 @@ class Parser {
                     type: ASTNodeType.BLOCK_STATEMENT,
                     body: [{
                         type: ASTNodeType.RETURN_STATEMENT,
-                        value: expr
-                    }]
+                        value: expr,
+                        loc: expr.loc
+                    }],
+                    loc: expr.loc
                 };
             }
             
             return {
                 type: ASTNodeType.ARROW_FUNCTION_EXPRESSION,
                 params: params,
-                body: body
+                body: body,
+                loc: this.locFrom(start)
             };
         }
         
@@ -950,17 +1538,23 @@ class Parser {
             return params[0];
         }
         
-        throw new Error('Неожиданная конструкция');
+        throw this.error(
+            globalThis.CompilerStage5.DiagnosticCode.INVALID_SYNTAX,
+            'Неожиданная конструкция',
+            start
+        );
     }
 }
 
 // Экспорт для использования в других модулях
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = { Parser, ASTNodeType };
-}
 
-if (typeof window !== 'undefined') {
-    window.CompilerStage5 = window.CompilerStage5 || {};
-    window.CompilerStage5.Parser = Parser;
-    window.CompilerStage5.ASTNodeType = ASTNodeType;
+    // Диагностики и токены лексера
+    require('./stage5-diagnostics.js');
+    require('./stage5-lexer.js');
 }
+
+globalThis.CompilerStage5 = globalThis.CompilerStage5 || {};
+globalThis.CompilerStage5.Parser = Parser;
+globalThis.CompilerStage5.ASTNodeType = ASTNodeType;
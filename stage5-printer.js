@@ -0,0 +1,592 @@
+/**
+ * ============================================================================
+ * CODE PRINTER - STAGE 5: REAL WASM COMPILATION
+ * ============================================================================
+ *
+ * Принтер - обратная сторона парсера: он превращает AST снова в исходный
+ * код. Парсер забывает о коде всё, что не влияет на смысл (пробелы,
+ * переносы, лишние скобки), поэтому напечатанный код - это не копия
+ * исходного, а его каноническая форма:
+ *
+ *   let   x=(1+2)*  3          let x = (1 + 2) * 3;
+ *   if(x>5)return x             if (x > 5)
+ *                                   return x;
+ *
+ * Где это нужно:
+ * - Compiler.format() - автоформатирование: parse → print
+ * - оптимизирующие проходы меняют AST, и результат удобно показать
+ *   кодом, а не деревом
+ * - тесты: parse → print → parse должен давать то же дерево, а повторная
+ *   печать - тот же текст
+ *
+ * СКОБКИ:
+ *
+ * В AST скобок нет - порядок вычисления задан формой дерева. Принтер
+ * ставит скобки только там, где без них парсер построил бы другое дерево.
+ * Для этого у каждого выражения есть приоритет (чем больше, тем сильнее
+ * связывание), и операнд берётся в скобки, если его приоритет ниже, чем
+ * требует место, где он стоит:
+ *
+ *   BinaryExpression(*)              (1 + 2) * 3
+ *   ├── BinaryExpression(+)          ↑ приоритет + (11) ниже, чем * (12)
+ *   └── 3
+ *
+ * Бинарные операторы левоассоциативны: правому операнду с тем же
+ * приоритетом скобки нужны (a - (b - c)), левому - нет ((a - b) - c
+ * печатается как a - b - c).
+ *
+ * КОММЕНТАРИИ:
+ *
+ * Парсер прикрепляет комментарии к операторам (Parser.parseListItem):
+ * leadingComments печатаются на отдельных строках перед оператором,
+ * trailingComments - в конце его последней строки, innerComments блока
+ * или программы - перед закрывающей } (или в конце файла). Комментарии
+ * внутри выражений парсер не сохраняет, и Compiler.format такой код не
+ * форматирует (Parser.detachedComments).
+ *
+ * Пустые строки между операторами, которые были в исходном коде,
+ * сохраняются (одна вместо нескольких). Функции верхнего уровня всегда
+ * отделяются пустой строкой.
+ */
+
+/**
+ * Приоритеты выражений - те же уровни, что у методов парсера
+ * parseAssignmentExpression ... parsePrimaryExpression.
+ */
+const Precedence = {
+    ASSIGNMENT: 1,     // = и стрелочные функции
+    CONDITIONAL: 2,    // ?:
+    UNARY: 13,         // ! - + и ++/--
+    POSTFIX: 14,       // вызов, obj.prop, arr[i]
+    PRIMARY: 15        // литералы, идентификаторы, [..], {..}
+};
+
+/**
+ * Приоритеты бинарных операторов. Побитовые операторы и сдвиги парсер
+ * не разбирает, но оптимизирующие проходы могут их создать - печатаются
+ * они с приоритетами JavaScript.
+ */
+const BinaryPrecedence = {
+    '||': 3,
+    '&&': 4,
+    '|': 5,
+    '^': 6,
+    '&': 7,
+    '==': 8, '!=': 8, '===': 8, '!==': 8,
+    '<': 9, '>': 9, '<=': 9, '>=': 9,
+    '<<': 10, '>>': 10, '>>>': 10,
+    '+': 11, '-': 11,
+    '*': 12, '/': 12, '%': 12
+};
+
+/**
+ * Слова, которые лексер считает ключевыми: ключ объекта с таким именем
+ * печатается строкой.
+ */
+const ReservedWords = new Set([
+    'function', 'return', 'if', 'else', 'for', 'while', 'break', 'continue',
+    'var', 'let', 'const', 'import', 'true', 'false', 'null'
+]);
+
+/**
+ * CodePrinter - печатает AST в исходный код.
+ */
+class CodePrinter {
+    /**
+     * @param {Object} options
+     * @param {string} options.indent - Один уровень отступа (4 пробела)
+     */
+    constructor(options = {}) {
+        this.indentUnit = options.indent !== undefined ? options.indent : '    ';
+    }
+
+    /**
+     * Печатает программу (или отдельный оператор/выражение).
+     *
+     * @param {Object} ast - Узел Program или любой другой узел AST
+     * @returns {string} - Исходный код; программа заканчивается переводом строки
+     */
+    print(ast) {
+        if (ast.type === 'Program') {
+            const code = this.printStatementList(ast.body, ast.innerComments, 0);
+            return code ? code + '\n' : '';
+        }
+
+        if (this.isStatement(ast)) {
+            return this.printStatement(ast, 0);
+        }
+
+        return this.printExpression(ast, 0);
+    }
+
+    isStatement(node) {
+        return node.type.endsWith('Statement') || node.type.endsWith('Declaration');
+    }
+
+    indent(depth) {
+        return this.indentUnit.repeat(depth);
+    }
+
+    // ========================================================================
+    // ОПЕРАТОРЫ
+    // ========================================================================
+
+    /**
+     * Печатает операторы блока или программы - каждый с новой строки,
+     * с отступом depth. Комментарии без оператора (innerComments) идут
+     * последними.
+     */
+    printStatementList(statements, innerComments, depth) {
+        const lines = [];
+        let previous = null;
+
+        for (const statement of statements) {
+            if (previous && this.needsBlankLine(previous, statement, depth)) {
+                lines.push('');
+            }
+            lines.push(this.printStatement(statement, depth));
+            previous = statement;
+        }
+
+        for (const comment of innerComments || []) {
+            if (previous && this.lineGap(previous, comment.line) > 1) {
+                lines.push('');
+            }
+            lines.push(this.indent(depth) + this.printComment(comment));
+            previous = { loc: { end: { line: comment.line } } };
+        }
+
+        return lines.join('\n');
+    }
+
+    needsBlankLine(previous, statement, depth) {
+        if (depth === 0 &&
+            (previous.type === 'FunctionDeclaration' || statement.type === 'FunctionDeclaration')) {
+            return true;
+        }
+
+        const comments = statement.leadingComments;
+        if (comments && comments.length > 0) {
+            return this.lineGap(previous, comments[0].line) > 1;
+        }
+        return statement.loc ? this.lineGap(previous, statement.loc.start.line) > 1 : false;
+    }
+
+    /**
+     * Сколько строк между концом узла и строкой line (1 - соседние строки).
+     * Узлы, созданные проходами оптимизации, могут не иметь loc.
+     */
+    lineGap(previous, line) {
+        return previous.loc ? line - previous.loc.end.line : 0;
+    }
+
+    printComment(comment) {
+        return comment.type === 'Line' ? `//${comment.value}` : `/*${comment.value}*/`;
+    }
+
+    /**
+     * Печатает оператор вместе с его комментариями. Каждая строка
+     * результата (и первая тоже) начинается с отступа depth.
+     */
+    printStatement(node, depth) {
+        const indent = this.indent(depth);
+        const lines = (node.leadingComments || []).map(comment => indent + this.printComment(comment));
+
+        let code = indent + this.printStatementBody(node, depth);
+        for (const comment of node.trailingComments || []) {
+            code += ' ' + this.printComment(comment);
+        }
+        lines.push(code);
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Печатает сам оператор, без отступа первой строки.
+     */
+    printStatementBody(node, depth) {
+        switch (node.type) {
+            case 'VariableDeclaration':
+                return this.printVariableDeclaration(node, depth) + ';';
+
+            case 'FunctionDeclaration': {
+                const params = node.params.map(param => this.printParam(param)).join(', ');
+                const returnType = node.returnType ? ': ' + this.printType(node.returnType) : '';
+                return `function ${node.name}(${params})${returnType} ` + this.printBlock(node.body, depth);
+            }
+
+            case 'ImportDeclaration': {
+                const params = node.params.map(param => this.printParam(param)).join(', ');
+                const returnType = node.returnType ? ': ' + this.printType(node.returnType) : '';
+                return `import function ${node.name}(${params})${returnType} from ${this.printString(node.module)};`;
+            }
+
+            case 'BlockStatement':
+                return this.printBlock(node, depth);
+
+            case 'ReturnStatement':
+                return node.value ? `return ${this.printExpression(node.value, depth)};` : 'return;';
+
+            case 'IfStatement':
+                return this.printIfStatement(node, depth);
+
+            case 'WhileStatement':
+                return `while (${this.printExpression(node.condition, depth)})` +
+                       this.printBody(node.body, depth);
+
+            case 'ForStatement': {
+                let init = '';
+                if (node.init) {
+                    init = node.init.type === 'VariableDeclaration'
+                        ? this.printVariableDeclaration(node.init, depth)
+                        : this.printExpression(node.init, depth);
+                }
+                const condition = node.condition ? ' ' + this.printExpression(node.condition, depth) : '';
+                const update = node.update ? ' ' + this.printExpression(node.update, depth) : '';
+                return `for (${init};${condition};${update})` + this.printBody(node.body, depth);
+            }
+
+            case 'BreakStatement':
+                return 'break;';
+
+            case 'ContinueStatement':
+                return 'continue;';
+
+            case 'ExpressionStatement': {
+                // { в начале оператора парсер прочитал бы как блок
+                const expression = this.printExpression(node.expression, depth);
+                return (expression.startsWith('{') ? `(${expression})` : expression) + ';';
+            }
+
+            case 'ErrorNode':
+                throw new Error(
+                    `Нельзя напечатать код с синтаксической ошибкой (строка ${node.loc.start.line})`
+                );
+
+            default:
+                throw new Error(`Принтер не поддерживает узел: ${node.type}`);
+        }
+    }
+
+    printVariableDeclaration(node, depth) {
+        const annotation = node.typeAnnotation ? ': ' + this.printType(node.typeAnnotation) : '';
+        const init = node.init ? ' = ' + this.printOperand(node.init, Precedence.ASSIGNMENT, depth) : '';
+        return `${node.kind} ${node.name}${annotation}${init}`;
+    }
+
+    /**
+     * if/else. Цепочка else if печатается без лишней вложенности.
+     */
+    printIfStatement(node, depth) {
+        let thenBranch = node.then;
+
+        // if (a) if (b) x; else y - else достался бы внутреннему if.
+        // Если AST говорит иначе, внутренний if нужно взять в блок.
+        if (node.else && this.endsWithOpenIf(thenBranch)) {
+            thenBranch = { type: 'BlockStatement', body: [thenBranch] };
+        }
+
+        let code = `if (${this.printExpression(node.condition, depth)})` + this.printBody(thenBranch, depth);
+
+        if (node.else) {
+            code += thenBranch.type === 'BlockStatement' ? ' else' : '\n' + this.indent(depth) + 'else';
+            if (node.else.type === 'IfStatement' && !node.else.leadingComments) {
+                code += ' ' + this.printStatement(node.else, depth).trimStart();
+            } else {
+                code += this.printBody(node.else, depth);
+            }
+        }
+
+        return code;
+    }
+
+    /**
+     * Заканчивается ли оператор if без else, к которому прилип бы
+     * следующий else.
+     */
+    endsWithOpenIf(node) {
+        switch (node.type) {
+            case 'IfStatement':
+                return !node.else || this.endsWithOpenIf(node.else);
+            case 'WhileStatement':
+            case 'ForStatement':
+                return this.endsWithOpenIf(node.body);
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Тело if/while/for: блок - на той же строке, одиночный оператор -
+     * на следующей с дополнительным отступом.
+     */
+    printBody(node, depth) {
+        if (node.type === 'BlockStatement' && !node.leadingComments) {
+            return ' ' + this.printStatement(node, depth).trimStart();
+        }
+        return '\n' + this.printStatement(node, depth + 1);
+    }
+
+    printBlock(node, depth) {
+        if (node.body.length === 0 && !node.innerComments) {
+            return '{}';
+        }
+        return '{\n' +
+               this.printStatementList(node.body, node.innerComments, depth + 1) + '\n' +
+               this.indent(depth) + '}';
+    }
+
+    printParam(param) {
+        return param.typeAnnotation ? `${param.name}: ${this.printType(param.typeAnnotation)}` : param.name;
+    }
+
+    /**
+     * Аннотации типов: f64, f64[], { x: f64, y: f64 }.
+     */
+    printType(node) {
+        switch (node.type) {
+            case 'TypeReference':
+                return node.name;
+            case 'ArrayType':
+                return this.printType(node.elementType) + '[]';
+            case 'ObjectType': {
+                if (node.properties.length === 0) {
+                    return '{}';
+                }
+                const properties = node.properties.map(property =>
+                    `${this.printKey(property.key.name)}: ${this.printType(property.value)}`
+                );
+                return `{ ${properties.join(', ')} }`;
+            }
+            default:
+                throw new Error(`Принтер не поддерживает аннотацию: ${node.type}`);
+        }
+    }
+
+    // ========================================================================
+    // ВЫРАЖЕНИЯ
+    // ========================================================================
+
+    /**
+     * Приоритет выражения (см. Precedence и BinaryPrecedence).
+     */
+    precedence(node) {
+        switch (node.type) {
+            case 'AssignmentExpression':
+            case 'ArrowFunctionExpression':
+                return Precedence.ASSIGNMENT;
+            case 'ConditionalExpression':
+                return Precedence.CONDITIONAL;
+            case 'BinaryExpression':
+                return BinaryPrecedence[node.operator];
+            case 'UnaryExpression':
+            case 'UpdateExpression':
+                return Precedence.UNARY;
+            case 'CallExpression':
+            case 'MemberExpression':
+                return Precedence.POSTFIX;
+            case 'NumberLiteral':
+                // NaN и бесконечности печатаются делением (0 / 0),
+                // отрицательные числа - унарным минусом
+                if (!Number.isFinite(node.value)) {
+                    return BinaryPrecedence['/'];
+                }
+                return node.value < 0 || Object.is(node.value, -0) ? Precedence.UNARY : Precedence.PRIMARY;
+            default:
+                return Precedence.PRIMARY;
+        }
+    }
+
+    /**
+     * Печатает выражение на месте, где нужен приоритет не ниже minPrecedence,
+     * при необходимости в скобках.
+     */
+    printOperand(node, minPrecedence, depth) {
+        const code = this.printExpression(node, depth);
+        return this.precedence(node) < minPrecedence ? `(${code})` : code;
+    }
+
+    /**
+     * Печатает выражение. depth нужен стрелочным функциям с блоком.
+     */
+    printExpression(node, depth) {
+        switch (node.type) {
+            case 'NumberLiteral':
+                return this.printNumber(node.value);
+
+            case 'StringLiteral':
+                return this.printString(node.value);
+
+            case 'BooleanLiteral':
+                return String(node.value);
+
+            case 'NullLiteral':
+                return 'null';
+
+            case 'Identifier':
+                return node.name;
+
+            case 'BinaryExpression': {
+                const precedence = BinaryPrecedence[node.operator];
+                if (precedence === undefined) {
+                    throw new Error(`Принтер не поддерживает оператор: ${node.operator}`);
+                }
+                const left = this.printOperand(node.left, precedence, depth);
+                const right = this.printOperand(node.right, precedence + 1, depth);
+                return `${left} ${node.operator} ${right}`;
+            }
+
+            case 'UnaryExpression': {
+                const argument = this.printOperand(node.argument, Precedence.UNARY, depth);
+                // - -x, а не --x: лексер прочитал бы декремент
+                const space = (node.operator === '-' || node.operator === '+') &&
+                              argument.startsWith(node.operator) ? ' ' : '';
+                return node.operator + space + argument;
+            }
+
+            case 'UpdateExpression': {
+                const argument = this.printOperand(node.argument, Precedence.POSTFIX, depth);
+                return node.prefix ? node.operator + argument : argument + node.operator;
+            }
+
+            case 'AssignmentExpression':
+                return `${this.printOperand(node.left, Precedence.POSTFIX, depth)} ${node.operator || '='} ` +
+                       this.printOperand(node.right, Precedence.ASSIGNMENT, depth);
+
+            case 'ConditionalExpression':
+                // Условие парсер читает как ||-выражение, ветки - как присваивания
+                return `${this.printOperand(node.condition, Precedence.CONDITIONAL + 1, depth)} ? ` +
+                       `${this.printOperand(node.then, Precedence.ASSIGNMENT, depth)} : ` +
+                       this.printOperand(node.else, Precedence.ASSIGNMENT, depth);
+
+            case 'CallExpression': {
+                const args = node.arguments.map(arg => this.printOperand(arg, Precedence.ASSIGNMENT, depth));
+                return `${this.printOperand(node.callee, Precedence.POSTFIX, depth)}(${args.join(', ')})`;
+            }
+
+            case 'MemberExpression': {
+                const object = this.printOperand(node.object, Precedence.POSTFIX, depth);
+                return node.computed
+                    ? `${object}[${this.printExpression(node.property, depth)}]`
+                    : `${object}.${node.property.name}`;
+            }
+
+            case 'ArrayExpression': {
+                const elements = node.elements.map(element => this.printOperand(element, Precedence.ASSIGNMENT, depth));
+                return `[${elements.join(', ')}]`;
+            }
+
+            case 'ObjectExpression': {
+                if (node.properties.length === 0) {
+                    return '{}';
+                }
+                const properties = node.properties.map(property =>
+                    `${this.printKey(property.key.name)}: ` +
+                    this.printOperand(property.value, Precedence.ASSIGNMENT, depth)
+                );
+                return `{ ${properties.join(', ')} }`;
+            }
+
+            case 'ArrowFunctionExpression':
+                return this.printArrowFunction(node, depth);
+
+            case 'ErrorNode':
+                throw new Error(
+                    `Нельзя напечатать код с синтаксической ошибкой (строка ${node.loc.start.line})`
+                );
+
+            default:
+                throw new Error(`Принтер не поддерживает узел: ${node.type}`);
+        }
+    }
+
+    /**
+     * Стрелочная функция. Парсер превращает тело-выражение (x => x * 2) в
+     * блок из одного return, поэтому такой блок печатается обратно
+     * выражением - оба варианта дают одно и то же дерево.
+     */
+    printArrowFunction(node, depth) {
+        const simpleParam = node.params.length === 1 && !node.params[0].typeAnnotation;
+        const params = simpleParam
+            ? node.params[0].name
+            : `(${node.params.map(param => this.printParam(param)).join(', ')})`;
+
+        const body = node.body;
+        const statement = body.body.length === 1 ? body.body[0] : null;
+        if (statement && statement.type === 'ReturnStatement' && statement.value &&
+            !body.innerComments && !statement.leadingComments && !statement.trailingComments) {
+            // Тело-объект пришлось бы читать как блок: x => ({ a: x })
+            const expression = this.printOperand(statement.value, Precedence.ASSIGNMENT, depth);
+            return `${params} => ${expression.startsWith('{') ? `(${expression})` : expression}`;
+        }
+
+        return `${params} => ${this.printBlock(body, depth)}`;
+    }
+
+    /**
+     * Ключ объекта: идентификатор как есть, остальное - строкой.
+     */
+    printKey(name) {
+        return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name) && !ReservedWords.has(name)
+            ? name
+            : this.printString(name);
+    }
+
+    /**
+     * Строка в двойных кавычках. Лексер понимает только экранирование
+     * \n \t \r \\ и кавычек - остальные символы печатаются как есть.
+     */
+    printString(value) {
+        const escaped = value
+            .replace(/\\/g, '\\\\')
+            .replace(/"/g, '\\"')
+            .replace(/\n/g, '\\n')
+            .replace(/\r/g, '\\r')
+            .replace(/\t/g, '\\t');
+        return `"${escaped}"`;
+    }
+
+    /**
+     * Число в виде, который понимает лексер: только цифры и точка, без
+     * знака и экспоненты. 1e21 печатается всеми цифрами, 1e-7 - как
+     * 0.0000001; NaN и бесконечности - делением, которое их даёт.
+     */
+    printNumber(value) {
+        if (Number.isNaN(value)) {
+            return '0 / 0';
+        }
+        if (!Number.isFinite(value)) {
+            return value > 0 ? '1 / 0' : '-1 / 0';
+        }
+
+        const sign = value < 0 || Object.is(value, -0) ? '-' : '';
+        const text = String(Math.abs(value));
+        const exponentAt = text.indexOf('e');
+        if (exponentAt === -1) {
+            return sign + text;
+        }
+
+        // Разворачиваем мантиссу d.ddd и экспоненту в обычную запись
+        const mantissa = text.slice(0, exponentAt);
+        const exponent = Number(text.slice(exponentAt + 1));
+        const pointAt = mantissa.indexOf('.');
+        const digits = mantissa.replace('.', '');
+        const integerLength = (pointAt === -1 ? mantissa.length : pointAt) + exponent;
+
+        if (integerLength <= 0) {
+            return `${sign}0.${'0'.repeat(-integerLength)}${digits}`;
+        }
+        if (integerLength >= digits.length) {
+            return sign + digits + '0'.repeat(integerLength - digits.length);
+        }
+        return `${sign}${digits.slice(0, integerLength)}.${digits.slice(integerLength)}`;
+    }
+}
+
+// Экспорт
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CodePrinter, Precedence, BinaryPrecedence };
+}
+
+globalThis.CompilerStage5 = globalThis.CompilerStage5 || {};
+globalThis.CompilerStage5.CodePrinter = CodePrinter;
@@ -0,0 +1,922 @@
+/**
+ * ============================================================================
+ * PROGRAM GENERATOR - STAGE 5: REAL WASM COMPILATION
+ * ============================================================================
+ *
+ * Генератор случайных корректно типизированных программ на языке Stage 5.
+ * Его программы проверяют все фазы компилятора сразу: лексер и парсер
+ * читают их текст, анализатор выводит типы, генератор кода переводит в
+ * WASM, а FuzzHarness сравнивает результат с эталонным интерпретатором.
+ *
+ * ГРАММАТИКА:
+ *
+ * Программа строится не как текст, а как AST - из тех же узлов
+ * (ASTNodeType) и в той же форме, что строит Parser, - и печатается
+ * CodePrinter. Поэтому в программу попадают только конструкции, которые
+ * парсер умеет разбирать, скобки расставляет принтер, а разбор
+ * напечатанного текста даёт то же дерево (отрицательные числа - это
+ * унарный минус над литералом, как у парсера).
+ *
+ * ТИПЫ:
+ *
+ * Каждое выражение порождается для заданного типа (Type с видом из
+ * TypeKind): выбирается одна из продукций, которые дают этот тип.
+ *
+ *   integer   + - * %, унарный минус, Math.abs/sign/min/max/imul/clz32
+ *             и Math.floor/ceil/round/trunc целого, s.length,
+ *             s.charCodeAt(i), a[i], a.length
+ *   number    арифметика с операндом number, деление целых,
+ *             Math.sqrt/sin/pow/floor/round/hypot/..., Math.PI/E/...,
+ *             parseInt(s) и parseInt(s, r)
+ *   boolean   сравнения чисел и строк, && || !, Number.isInteger
+ *   string    конкатенация со строкой, целым или boolean
+ *   array     литерал массива integer[] или number[]
+ *
+ * Для любого типа есть ещё переменная этого типа, литерал, тернарный
+ * оператор и вызов функции программы с таким результатом. Операторы -
+ * объявления let, присваивания переменным и элементам массивов, if/else,
+ * for и while, break и continue в циклах, вызовы функций и return.
+ *
+ * ЗАВЕРШЕНИЕ:
+ *
+ * Программа всегда завершается: функции вызывают только объявленные
+ * раньше (рекурсии нет), а у каждого цикла есть счётчик, который тело не
+ * меняет, - не больше maxIterations итераций. Остановиться (trap)
+ * программа может: целое деление на ноль, индекс за границей массива.
+ * Это тоже поведение, которое компилятор должен воспроизвести.
+ *
+ * НАСТРОЙКИ:
+ *
+ * Глубина выражений (maxDepth) и вложенность операторов (maxNesting),
+ * число итераций циклов (maxIterations), набор типов (types) и смесь
+ * операторов (operators - веса категорий продукций, вес 0 выключает
+ * категорию). Одно и то же зерно (seed) даёт одни и те же программы.
+ *
+ * Кроме проверки компилятора, программы - синтетический корпус для
+ * моделей Stage 6 и Stage 7 (см. trainingData).
+ */
+
+/**
+ * Генератор псевдослучайных чисел mulberry32: одно и то же зерно - одна
+ * и та же последовательность.
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+
+    const next = () => {
+        state = (state + 0x6d2b79f5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    return {
+        next,
+        // Целое из [min, max]
+        int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+        pick: (items) => items[Math.floor(next() * items.length)],
+        chance: (probability) => next() < probability
+    };
+}
+
+/**
+ * Веса категорий продукций выражений по умолчанию.
+ */
+const DefaultOperatorMix = {
+    arithmetic: 4,   // + - * / %
+    comparison: 3,   // < > <= >= == !=
+    logical: 2,      // && || !
+    unary: 1,        // -x, +x
+    conditional: 1,  // c ? a : b
+    call: 1,         // вызовы функций программы
+    builtin: 2,      // Math.*, Number.isInteger, parseInt
+    string: 1,       // конкатенация, length, charCodeAt
+    array: 1         // литералы массивов, a[i], a.length
+};
+
+/**
+ * Веса операторов в блоке.
+ */
+const StatementMix = {
+    declaration: 3,
+    assignment: 3,
+    element: 1,      // a[i] = x
+    if: 2,
+    for: 1.5,
+    while: 1,
+    call: 0.5,       // f(x); - ради побочных эффектов на глобальные переменные
+    jump: 0.5,       // if (c) break; или continue - только в цикле
+    return: 0.3      // if (c) return x;
+};
+
+// Имена типов в аннотациях (AnnotationKinds анализатора)
+const AnnotationNames = {
+    integer: 'i32',
+    number: 'f64',
+    boolean: 'boolean',
+    string: 'string'
+};
+
+// Ключи - виды TypeKind: параметры функций бывают только этих видов
+const ScalarKinds = ['integer', 'number', 'boolean'];
+
+/**
+ * Интересные аргументы вызовов: границы i32, -0, NaN, бесконечности.
+ */
+const ArgumentPool = {
+    integer: [0, 1, -1, 2, 7, -13, 100, 65536, 2147483647, -2147483648],
+    number: [0, -0, 0.5, -2.25, 3.75, 1e10, -1e-7, NaN, Infinity, -Infinity],
+    boolean: [0, 1]
+};
+
+// Строковые литералы: пустая строка, не-ASCII символы (длина в UTF-16 и
+// UTF-8 различается; символ за пределами BMP и символ из U+E000-U+FFFF
+// сравниваются по-разному в UTF-16 и по кодовым точкам) и строки,
+// которые понимает parseInt
+const StringPool = ['', 'a', 'ab', 'xyz', 'héllo', '€5', '\u{1F600}!', '\uFF01', ' 42', '-17', '0x1f', '3.9'];
+
+/**
+ * Оптимизации корпуса trainingData по умолчанию - ключи
+ * availableOptimizations из Stage 7 OptimizationSelector: по ним
+ * trainEffectivenessPredictor строит one-hot. Компилятор понимает эти
+ * имена через aliases OptimizationPasses.
+ */
+const EffectivenessOptimizations = [
+    'inlining', 'loop_unrolling', 'constant_folding', 'dead_code_elimination',
+    'common_subexpression', 'vectorization', 'strength_reduction'
+];
+
+class ProgramGenerator {
+    /**
+     * @param {Object} options
+     * @param {number} options.seed - Зерно (по умолчанию 1)
+     * @param {number} options.functions - Наибольшее число функций
+     * @param {number} options.params - Наибольшее число параметров функции
+     * @param {number} options.statements - Наибольшее число операторов в
+     *        теле функции (в блоке if и цикла - вдвое меньше)
+     * @param {number} options.maxDepth - Глубина выражений
+     * @param {number} options.maxNesting - Вложенность if и циклов
+     * @param {number} options.maxIterations - Наибольшее число итераций цикла
+     * @param {Array<string>} options.types - Виды TypeKind переменных и
+     *        результатов: integer, number, boolean, string, array
+     * @param {Object} options.operators - Веса категорий выражений
+     *        (см. DefaultOperatorMix); недостающие берутся по умолчанию
+     */
+    constructor(options = {}) {
+        const { TypeKind, CodePrinter } = globalThis.CompilerStage5;
+
+        this.seed = options.seed !== undefined ? options.seed : 1;
+        this.random = createRandom(this.seed);
+
+        this.functions = options.functions !== undefined ? options.functions : 3;
+        this.params = options.params !== undefined ? options.params : 3;
+        this.statements = options.statements !== undefined ? options.statements : 4;
+        this.maxDepth = options.maxDepth !== undefined ? options.maxDepth : 3;
+        this.maxNesting = options.maxNesting !== undefined ? options.maxNesting : 2;
+        this.maxIterations = options.maxIterations !== undefined ? options.maxIterations : 5;
+        this.types = options.types || [
+            TypeKind.INTEGER, TypeKind.NUMBER, TypeKind.BOOLEAN, TypeKind.STRING, TypeKind.ARRAY
+        ];
+        this.operators = { ...DefaultOperatorMix, ...options.operators };
+
+        for (const kind of this.types) {
+            if (kind !== TypeKind.ARRAY && !AnnotationNames[kind]) {
+                throw new Error(`Генератор программ не поддерживает тип: ${kind}`);
+            }
+        }
+
+        // Параметры - скаляры: так функции можно вызвать из JavaScript
+        this.scalarKinds = this.types.filter(kind => ScalarKinds.includes(kind));
+        if (this.scalarKinds.length === 0) {
+            this.scalarKinds = [TypeKind.INTEGER];
+        }
+
+        this.printer = new CodePrinter();
+    }
+
+    /**
+     * Порождает следующую программу.
+     *
+     * @returns {Object} - { source, ast, functions }: functions - подписи
+     *          функций { name, params: [{ name, type }], result } (Type)
+     */
+    generate() {
+
+        const scope = {
+            vars: [],
+            functions: [],
+            counter: 0,
+            nesting: 0,
+            loops: 0,
+            result: null
+        };
+        const body = [];
+
+        // Глобальные переменные: функции меняют их, и следующие вызовы
+        // видят изменения
+        for (let i = 0; i < this.random.int(1, 2); i++) {
+            const type = this.scalarType();
+            const name = `g${i}`;
+            body.push(this.declaration(name, type, this.generateLiteral(type)));
+            scope.vars.push({ name, type, assignable: true });
+        }
+
+        const count = this.random.int(1, Math.max(1, this.functions));
+        for (let i = 0; i < count; i++) {
+            const { node, signature } = this.generateFunction(scope, `f${i}`);
+            body.push(node);
+            scope.functions.push(signature);
+        }
+
+        const ast = { type: 'Program', body };
+        return { source: this.printer.print(ast), ast, functions: scope.functions };
+    }
+
+    /**
+     * Вызовы функций программы: count вызовов каждой, аргументы - из
+     * ArgumentPool или случайные.
+     *
+     * @param {Array<Object>} functions - Подписи из generate
+     * @param {number} count - Вызовов каждой функции
+     * @returns {Array<Object>} - [{ name, args }]
+     */
+    generateCalls(functions, count) {
+        const { random } = this;
+        const calls = [];
+
+        for (const fn of functions) {
+            for (let i = 0; i < count; i++) {
+                calls.push({
+                    name: fn.name,
+                    args: fn.params.map(param => {
+                        const kind = param.type.kind;
+                        if (random.chance(0.6)) return random.pick(ArgumentPool[kind]);
+                        if (kind === 'integer') return random.int(-1000, 1000);
+                        if (kind === 'number') return random.int(-10000, 10000) / 64;
+                        return random.int(0, 1);
+                    })
+                });
+            }
+        }
+
+        return calls;
+    }
+
+    /**
+     * Синтетический корпус для моделей: порождает count программ, замеряет
+     * время их вызовов без оптимизаций и с каждой оптимизацией отдельно.
+     *
+     * - performance - примеры NeuralNetwork.train: { input, target, code },
+     *   input - вектор характеристик, target - время вызовов в мс
+     * - effectiveness - примеры OptimizationSelector.trainEffectivenessPredictor:
+     *   { features, optimization, improvement }, improvement - доля
+     *   времени, которую сэкономила оптимизация (меньше нуля - замедлила)
+     *
+     * Один замер вызовов длится доли миллисекунды, и шум (сборка мусора,
+     * JIT, другие процессы) больше разницы между модулями. Поэтому время -
+     * медиана rounds замеров, а модуль без оптимизации замеряется заново
+     * вместе с каждым оптимизированным, раунды чередуются: медленный
+     * момент достаётся обоим модулям, а не одному.
+     *
+     * Stage 5 не зависит от Stage 6 и 7: экстрактор характеристик передаёт
+     * вызывающий.
+     *
+     * @param {number} count - Сколько программ
+     * @param {Object} options
+     * @param {Object} options.featureExtractor - CodeFeatureExtractor
+     *        (Stage 6); характеристики берутся из типизированного AST
+     * @param {Array<string>} options.optimizations - Имена оптимизаций, как
+     *        их знает модель: ключи OptimizationPasses или их aliases
+     *        (по умолчанию - ключи Stage 7, EffectivenessOptimizations)
+     * @param {number} options.calls - Вызовов каждой функции
+     * @param {number} options.repeats - Сколько раз повторить вызовы в одном замере
+     * @param {number} options.rounds - Сколько замеров взять для медианы
+     * @returns {Promise<Object>} - { performance, effectiveness }
+     */
+    async trainingData(count, options = {}) {
+        const { Compiler } = globalThis.CompilerStage5;
+
+        const extractor = options.featureExtractor;
+        if (!extractor) {
+            throw new Error('Для корпуса нужен featureExtractor (CodeFeatureExtractor из Stage 6)');
+        }
+        const optimizations = options.optimizations || EffectivenessOptimizations;
+        const callCount = options.calls !== undefined ? options.calls : 4;
+        const repeats = options.repeats !== undefined ? options.repeats : 100;
+        const rounds = options.rounds !== undefined ? options.rounds : 9;
+
+        const compiler = new Compiler();
+        const data = { performance: [], effectiveness: [] };
+
+        for (let i = 0; i < count; i++) {
+            const program = this.generate();
+            const calls = this.generateCalls(program.functions, callCount);
+
+            const baseline = await compiler.compile(program.source);
+            if (!baseline.wasmModule) continue;
+
+            const [time] = this.measure([baseline.wasmModule.exports], calls, repeats, rounds);
+            const features = extractor.extract(baseline.typedAst);
+            data.performance.push({ input: features, target: time, code: program.source });
+
+            for (const optimization of optimizations) {
+                const optimized = await compiler.compile(program.source, { optimizations: [optimization] });
+                if (!optimized.wasmModule) continue;
+
+                const [baselineTime, optimizedTime] = this.measure(
+                    [baseline.wasmModule.exports, optimized.wasmModule.exports], calls, repeats, rounds);
+                data.effectiveness.push({
+                    features,
+                    optimization,
+                    improvement: baselineTime > 0 ? (baselineTime - optimizedTime) / baselineTime : 0
+                });
+            }
+        }
+
+        return data;
+    }
+
+    /**
+     * Время repeats повторений всех вызовов в мс для каждого модуля из
+     * modules - медиана rounds замеров. Модули замеряются по очереди, в
+     * нечётных раундах в обратном порядке, чтобы ни один не оказывался
+     * всегда первым. Вызов, который остановился (trap), тоже занимает
+     * время - одинаковое в модулях с оптимизацией и без, если компилятор
+     * верен.
+     *
+     * Первый проход не замеряется: движок компилирует функции WASM
+     * лениво, и первый замер оказался бы медленнее остальных.
+     */
+    measure(modules, calls, repeats, rounds) {
+        const run = (exports) => {
+            for (const call of calls) {
+                try {
+                    exports[call.name](...call.args);
+                } catch (error) {
+                    if (!(error instanceof WebAssembly.RuntimeError)) throw error;
+                }
+            }
+        };
+
+        modules.forEach(run);
+        const samples = modules.map(() => []);
+        for (let round = 0; round < rounds; round++) {
+            const order = modules.map((_, index) => index);
+            if (round % 2 === 1) order.reverse();
+
+            for (const index of order) {
+                const start = performance.now();
+                for (let r = 0; r < repeats; r++) {
+                    run(modules[index]);
+                }
+                samples[index].push(performance.now() - start);
+            }
+        }
+
+        return samples.map(times => {
+            const sorted = times.sort((a, b) => a - b);
+            const middle = sorted.length >> 1;
+            return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+        });
+    }
+
+    // ========================================================================
+    // ТИПЫ
+    // ========================================================================
+
+    scalarType() {
+        const { Type } = globalThis.CompilerStage5;
+        return new Type(this.random.pick(this.scalarKinds));
+    }
+
+    /**
+     * Случайный тип переменной или результата: любой из types, у массива -
+     * элементы integer или number.
+     */
+    randomType() {
+        const { Type, TypeKind } = globalThis.CompilerStage5;
+
+        const kind = this.random.pick(this.types);
+        if (kind === TypeKind.ARRAY) {
+            const elementType = new Type(this.random.pick([TypeKind.INTEGER, TypeKind.NUMBER]));
+            return new Type(TypeKind.ARRAY, { elementType });
+        }
+        return new Type(kind);
+    }
+
+    sameType(a, b) {
+        const { TypeKind } = globalThis.CompilerStage5;
+        return a.kind === b.kind && (a.kind !== TypeKind.ARRAY || a.elementType.kind === b.elementType.kind);
+    }
+
+    allows(kind) {
+        return this.types.includes(kind);
+    }
+
+    annotation(type) {
+        const { TypeKind } = globalThis.CompilerStage5;
+
+        if (type.kind === TypeKind.ARRAY) {
+            return { type: 'ArrayType', elementType: this.annotation(type.elementType) };
+        }
+        return { type: 'TypeReference', name: AnnotationNames[type.kind] };
+    }
+
+    // ========================================================================
+    // ОПЕРАТОРЫ
+    // ========================================================================
+
+    generateFunction(scope, name) {
+        const { random } = this;
+
+        const params = [];
+        for (let i = 0; i < random.int(0, this.params); i++) {
+            params.push({ name: `p${i}`, type: this.scalarType() });
+        }
+        const result = this.randomType();
+
+        // Переменные функции видны только в ней
+        const globals = scope.vars.length;
+        scope.counter = 0;
+        scope.result = result;
+        for (const param of params) {
+            scope.vars.push({ name: param.name, type: param.type, assignable: true });
+        }
+
+        const statements = this.generateStatements(scope, random.int(1, Math.max(1, this.statements)));
+        statements.push({ type: 'ReturnStatement', value: this.generateExpression(scope, result, this.maxDepth) });
+        scope.vars.length = globals;
+
+        const node = {
+            type: 'FunctionDeclaration',
+            name,
+            params: params.map(param => ({
+                type: 'Identifier',
+                name: param.name,
+                typeAnnotation: this.annotation(param.type)
+            })),
+            returnType: this.annotation(result),
+            body: this.block(statements)
+        };
+
+        return { node, signature: { name, params, result } };
+    }
+
+    generateStatements(scope, count) {
+        const statements = [];
+        for (let i = 0; i < count; i++) {
+            statements.push(...this.generateStatement(scope));
+        }
+        return statements;
+    }
+
+    /**
+     * Тело if или цикла. Переменные блока за его пределами не видны (как
+     * let в JavaScript).
+     */
+    generateBlock(scope, prefix = []) {
+        const vars = scope.vars.length;
+        scope.nesting++;
+
+        const count = this.random.int(1, Math.max(1, Math.ceil(this.statements / 2)));
+        const statements = [...prefix, ...this.generateStatements(scope, count)];
+
+        scope.nesting--;
+        scope.vars.length = vars;
+        return this.block(statements);
+    }
+
+    /**
+     * Один оператор (массив: у while счётчик объявляется перед циклом).
+     */
+    generateStatement(scope) {
+        const { TypeKind } = globalThis.CompilerStage5;
+        const { random } = this;
+
+        const assignable = scope.vars.filter(v => v.assignable);
+        const arrays = scope.vars.filter(v => v.length !== undefined);
+        const nested = scope.nesting < this.maxNesting;
+
+        const weights = {
+            declaration: StatementMix.declaration,
+            assignment: assignable.length > 0 ? StatementMix.assignment : 0,
+            element: arrays.length > 0 ? StatementMix.element : 0,
+            if: nested ? StatementMix.if : 0,
+            for: nested ? StatementMix.for : 0,
+            while: nested ? StatementMix.while : 0,
+            call: scope.functions.length > 0 ? StatementMix.call : 0,
+            jump: scope.loops > 0 ? StatementMix.jump : 0,
+            return: scope.nesting > 0 ? StatementMix.return : 0
+        };
+        const choice = this.pickWeighted(Object.keys(weights), key => weights[key]);
+        const expression = (type) => this.generateExpression(scope, type, this.maxDepth - 1);
+        const condition = () => this.generateExpression(scope, this.booleanType(), this.maxDepth - 1);
+
+        switch (choice) {
+            case 'declaration': {
+                const type = this.randomType();
+                const name = `v${scope.counter++}`;
+                const init = expression(type);
+                const variable = { name, type, assignable: type.kind !== TypeKind.ARRAY };
+                // Длина известна только у литерала; массив не переприсваивается
+                if (init.type === 'ArrayExpression') {
+                    variable.length = init.elements.length;
+                }
+                scope.vars.push(variable);
+                return [this.declaration(name, type, init)];
+            }
+
+            case 'assignment': {
+                const target = random.pick(assignable);
+                return [this.expressionStatement(this.assignment(this.identifier(target.name), expression(target.type)))];
+            }
+
+            case 'element': {
+                const target = random.pick(arrays);
+                const element = this.member(this.identifier(target.name), this.generateIndex(scope, target.length));
+                return [this.expressionStatement(this.assignment(element, expression(target.type.elementType)))];
+            }
+
+            case 'if': {
+                const node = { type: 'IfStatement', condition: condition(), then: this.generateBlock(scope), else: null };
+                if (random.chance(0.5)) {
+                    // else if - цепочка, else - блок
+                    node.else = random.chance(0.3)
+                        ? { type: 'IfStatement', condition: condition(), then: this.generateBlock(scope), else: null }
+                        : this.generateBlock(scope);
+                }
+                return [node];
+            }
+
+            case 'for': {
+                // Счётчик читается в теле, но не меняется
+                const counter = `i${scope.counter++}`;
+                const bound = random.int(0, this.maxIterations);
+                const vars = scope.vars.length;
+                scope.vars.push({ name: counter, type: this.integerType(), assignable: false });
+                scope.loops++;
+                const body = this.generateBlock(scope);
+                scope.loops--;
+                scope.vars.length = vars;
+
+                return [{
+                    type: 'ForStatement',
+                    init: this.declaration(counter, null, this.number(0)),
+                    condition: this.binary('<', this.identifier(counter), this.number(bound)),
+                    update: this.assignment(this.identifier(counter), this.binary('+', this.identifier(counter), this.number(1))),
+                    body
+                }];
+            }
+
+            case 'while': {
+                // Счётчик увеличивается первым оператором тела: continue
+                // его не пропустит
+                const counter = `w${scope.counter++}`;
+                const bound = random.int(0, this.maxIterations);
+                const increment = this.expressionStatement(
+                    this.assignment(this.identifier(counter), this.binary('+', this.identifier(counter), this.number(1)))
+                );
+                scope.loops++;
+                const body = this.generateBlock(scope, [increment]);
+                scope.loops--;
+
+                return [
+                    this.declaration(counter, null, this.number(0)),
+                    {
+                        type: 'WhileStatement',
+                        condition: this.binary('<', this.identifier(counter), this.number(bound)),
+                        body
+                    }
+                ];
+            }
+
+            case 'call': {
+                const fn = random.pick(scope.functions);
+                return [this.expressionStatement(this.call(this.identifier(fn.name), fn.params.map(param => expression(param.type))))];
+            }
+
+            case 'jump':
+                return [{
+                    type: 'IfStatement',
+                    condition: condition(),
+                    then: { type: random.chance(0.5) ? 'BreakStatement' : 'ContinueStatement' },
+                    else: null
+                }];
+
+            case 'return':
+                return [{
+                    type: 'IfStatement',
+                    condition: condition(),
+                    then: { type: 'ReturnStatement', value: expression(scope.result) },
+                    else: null
+                }];
+        }
+
+        throw new Error(`Неизвестный оператор генератора: ${choice}`);
+    }
+
+    // ========================================================================
+    // ВЫРАЖЕНИЯ
+    // ========================================================================
+
+    /**
+     * Выражение типа type глубиной не больше depth.
+     */
+    generateExpression(scope, type, depth) {
+        if (depth <= 0 || this.random.chance(0.2)) {
+            return this.generateLeaf(scope, type);
+        }
+
+        const productions = this.productions(scope, type, depth - 1)
+            .filter(production => this.operators[production.category] > 0);
+        if (productions.length === 0) {
+            return this.generateLeaf(scope, type);
+        }
+
+        return this.pickWeighted(productions, production => this.operators[production.category]).build();
+    }
+
+    /**
+     * Лист выражения: переменная типа type или литерал.
+     */
+    generateLeaf(scope, type) {
+        const candidates = scope.vars.filter(v => this.sameType(v.type, type));
+        if (candidates.length > 0 && this.random.chance(0.6)) {
+            return this.identifier(this.random.pick(candidates).name);
+        }
+        return this.generateLiteral(type);
+    }
+
+    generateLiteral(type) {
+        const { TypeKind } = globalThis.CompilerStage5;
+        const { random } = this;
+        const negate = (node) => random.chance(0.25) ? this.unary('-', node) : node;
+
+        switch (type.kind) {
+            case TypeKind.INTEGER:
+                return negate(this.number(random.int(0, 100)));
+            case TypeKind.NUMBER:
+                // Дробная часть не нулевая: 3.0 лексер прочитал бы как целое
+                return negate(this.number(random.int(0, 99) + random.int(1, 7) / 8));
+            case TypeKind.BOOLEAN:
+                return { type: 'BooleanLiteral', value: random.chance(0.5) };
+            case TypeKind.STRING:
+                return { type: 'StringLiteral', value: random.pick(StringPool) };
+            case TypeKind.ARRAY: {
+                const elements = [];
+                for (let i = 0; i < random.int(1, 4); i++) {
+                    elements.push(this.generateLiteral(type.elementType));
+                }
+                return { type: 'ArrayExpression', elements };
+            }
+        }
+
+        throw new Error(`Генератор программ не поддерживает тип: ${type.kind}`);
+    }
+
+    /**
+     * Индекс массива известной длины: чаще всего в границах, иначе -
+     * любое целое выражение (может остановить программу).
+     */
+    generateIndex(scope, length) {
+        if (length !== undefined && this.random.chance(0.8)) {
+            return this.number(this.random.int(0, length - 1));
+        }
+        return this.generateExpression(scope, this.integerType(), 1);
+    }
+
+    /**
+     * Продукции, дающие тип type: { category, build }. Операнды
+     * порождаются с глубиной depth.
+     */
+    productions(scope, type, depth) {
+        const { Type, TypeKind } = globalThis.CompilerStage5;
+        const { random } = this;
+
+        const expression = (t) => this.generateExpression(scope, t, depth);
+        const integer = this.integerType();
+        const number = new Type(TypeKind.NUMBER);
+        const boolean = this.booleanType();
+        const string = new Type(TypeKind.STRING);
+        const numeric = () => random.pick([integer, number]);
+        const math = (name, args) => this.call(this.member(this.identifier('Math'), name), args);
+
+        const productions = [
+            {
+                category: 'conditional',
+                build: () => ({
+                    type: 'ConditionalExpression',
+                    condition: expression(boolean),
+                    then: expression(type),
+                    else: expression(type)
+                })
+            }
+        ];
+
+        const callable = scope.functions.filter(fn => this.sameType(fn.result, type));
+        if (callable.length > 0) {
+            productions.push({
+                category: 'call',
+                build: () => {
+                    const fn = random.pick(callable);
+                    return this.call(this.identifier(fn.name), fn.params.map(param => expression(param.type)));
+                }
+            });
+        }
+
+        // Массивы известной длины с элементами нужного типа
+        const arrays = scope.vars.filter(v => v.length !== undefined);
+        const elementsOf = (kind) => arrays.filter(v => v.type.elementType.kind === kind);
+        const element = (kind) => ({
+            category: 'array',
+            build: () => {
+                const target = random.pick(elementsOf(kind));
+                return this.member(this.identifier(target.name), this.generateIndex(scope, target.length));
+            }
+        });
+
+        switch (type.kind) {
+            case TypeKind.INTEGER:
+                productions.push(
+                    { category: 'arithmetic', build: () => this.binary(random.pick(['+', '-', '*', '%']), expression(integer), expression(integer)) },
+                    { category: 'unary', build: () => this.unary(random.pick(['-', '+']), expression(integer)) },
+                    { category: 'builtin', build: () => math(random.pick(['abs', 'sign', 'clz32', 'floor', 'ceil', 'round', 'trunc']), [expression(integer)]) },
+                    { category: 'builtin', build: () => math(random.pick(['min', 'max', 'imul']), [expression(integer), expression(integer)]) },
+                    { category: 'builtin', build: () => math(random.pick(['min', 'max']), [expression(integer), expression(integer), expression(integer)]) }
+                );
+                if (this.allows(TypeKind.STRING)) {
+                    productions.push(
+                        { category: 'string', build: () => this.member(this.generateLeaf(scope, string), 'length') },
+                        {
+                            category: 'string',
+                            build: () => this.call(this.member(this.generateLeaf(scope, string), 'charCodeAt'), [this.generateIndex(scope, 3)])
+                        }
+                    );
+                }
+                if (arrays.length > 0) {
+                    productions.push({ category: 'array', build: () => this.member(this.identifier(random.pick(arrays).name), 'length') });
+                }
+                if (elementsOf(TypeKind.INTEGER).length > 0) {
+                    productions.push(element(TypeKind.INTEGER));
+                }
+                break;
+
+            case TypeKind.NUMBER:
+                productions.push(
+                    {
+                        category: 'arithmetic',
+                        build: () => {
+                            // Хотя бы один операнд number - иначе результат целый
+                            const operands = [expression(number), expression(numeric())];
+                            if (random.chance(0.5)) operands.reverse();
+                            return this.binary(random.pick(['+', '-', '*', '/', '%']), operands[0], operands[1]);
+                        }
+                    },
+                    { category: 'arithmetic', build: () => this.binary('/', expression(integer), expression(integer)) },
+                    { category: 'unary', build: () => this.unary('-', expression(number)) },
+                    { category: 'builtin', build: () => math(random.pick(['sqrt', 'abs', 'sign', 'floor', 'ceil', 'round', 'trunc', 'sin', 'cos', 'exp', 'log', 'atan']), [expression(number)]) },
+                    { category: 'builtin', build: () => math(random.pick(['cbrt', 'tanh', 'asinh', 'log2', 'log10', 'expm1', 'log1p', 'fround']), [expression(number)]) },
+                    { category: 'builtin', build: () => math(random.pick(['min', 'max', 'pow', 'hypot', 'atan2']), [expression(number), expression(number)]) },
+                    { category: 'builtin', build: () => math(random.pick(['min', 'max', 'hypot']), [expression(number), expression(numeric()), expression(numeric())]) },
+                    { category: 'builtin', build: () => this.member(this.identifier('Math'), random.pick(['PI', 'E', 'SQRT2', 'LN2'])) }
+                );
+                if (this.allows(TypeKind.STRING)) {
+                    productions.push(
+                        { category: 'builtin', build: () => this.call(this.identifier('parseInt'), [this.generateLeaf(scope, string)]) },
+                        { category: 'builtin', build: () => this.call(this.identifier('parseInt'), [this.generateLeaf(scope, string), this.number(random.pick([2, 16, 36]))]) }
+                    );
+                }
+                if (elementsOf(TypeKind.NUMBER).length > 0) {
+                    productions.push(element(TypeKind.NUMBER));
+                }
+                break;
+
+            case TypeKind.BOOLEAN:
+                productions.push(
+                    { category: 'comparison', build: () => this.binary(random.pick(['<', '>', '<=', '>=', '==', '!=']), expression(numeric()), expression(numeric())) },
+                    { category: 'logical', build: () => this.binary(random.pick(['&&', '||']), expression(boolean), expression(boolean)) },
+                    { category: 'logical', build: () => this.unary('!', expression(boolean)) },
+                    { category: 'builtin', build: () => this.call(this.member(this.identifier('Number'), 'isInteger'), [expression(number)]) }
+                );
+                if (this.allows(TypeKind.STRING)) {
+                    productions.push({ category: 'string', build: () => this.binary(random.pick(['<', '>', '==', '!=']), expression(string), expression(string)) });
+                }
+                break;
+
+            case TypeKind.STRING:
+                productions.push({
+                    category: 'string',
+                    build: () => {
+                        // Строка с целым или boolean - их десятичная запись или true/false
+                        const operands = [expression(string), expression(random.pick([string, integer, boolean]))];
+                        if (random.chance(0.3)) operands.reverse();
+                        return this.binary('+', operands[0], operands[1]);
+                    }
+                });
+                break;
+
+            case TypeKind.ARRAY:
+                productions.push({
+                    category: 'array',
+                    build: () => {
+                        const elements = [];
+                        for (let i = 0; i < random.int(1, 4); i++) {
+                            elements.push(expression(type.elementType));
+                        }
+                        return { type: 'ArrayExpression', elements };
+                    }
+                });
+                break;
+        }
+
+        return productions;
+    }
+
+    // ========================================================================
+    // УЗЛЫ AST
+    // ========================================================================
+
+    integerType() {
+        const { Type, TypeKind } = globalThis.CompilerStage5;
+        return new Type(TypeKind.INTEGER);
+    }
+
+    booleanType() {
+        const { Type, TypeKind } = globalThis.CompilerStage5;
+        return new Type(TypeKind.BOOLEAN);
+    }
+
+    pickWeighted(items, weight) {
+        const total = items.reduce((sum, item) => sum + weight(item), 0);
+        let point = this.random.next() * total;
+        for (const item of items) {
+            point -= weight(item);
+            if (point < 0 && weight(item) > 0) return item;
+        }
+        return items.filter(item => weight(item) > 0).pop();
+    }
+
+    block(statements) {
+        return { type: 'BlockStatement', body: statements };
+    }
+
+    /**
+     * let name: type = init (без аннотации, если type - null).
+     */
+    declaration(name, type, init) {
+        return {
+            type: 'VariableDeclaration',
+            kind: 'let',
+            name,
+            typeAnnotation: type ? this.annotation(type) : null,
+            init
+        };
+    }
+
+    expressionStatement(expression) {
+        return { type: 'ExpressionStatement', expression };
+    }
+
+    identifier(name) {
+        return { type: 'Identifier', name };
+    }
+
+    number(value) {
+        return { type: 'NumberLiteral', value };
+    }
+
+    binary(operator, left, right) {
+        return { type: 'BinaryExpression', operator, left, right };
+    }
+
+    unary(operator, argument) {
+        return { type: 'UnaryExpression', operator, argument };
+    }
+
+    assignment(left, right) {
+        return { type: 'AssignmentExpression', left, right };
+    }
+
+    call(callee, args) {
+        return { type: 'CallExpression', callee, arguments: args };
+    }
+
+    /**
+     * object.name (name - строка) или object[index] (index - узел).
+     */
+    member(object, property) {
+        return typeof property === 'string'
+            ? { type: 'MemberExpression', object, property: this.identifier(property), computed: false }
+            : { type: 'MemberExpression', object, property, computed: true };
+    }
+}
+
+// Экспорт
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ProgramGenerator };
+    require('./stage5-printer.js');
+    require('./stage5-type-analyzer.js');
+}
+
+globalThis.CompilerStage5 = globalThis.CompilerStage5 || {};
+globalThis.CompilerStage5.ProgramGenerator = ProgramGenerator;
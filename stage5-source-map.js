@@ -0,0 +1,254 @@
+/**
+ * ============================================================================
+ * SOURCE MAPS - STAGE 5: REAL WASM COMPILATION
+ * ============================================================================
+ *
+ * Когда функция в скомпилированном модуле падает (trap) или ведёт себя
+ * не так, как ожидалось, браузер показывает только смещение инструкции в
+ * байтах .wasm. SourceMap связывает эти смещения с местами в исходном
+ * JavaScript - опция sourceMap у Compiler.compile.
+ *
+ * ОТКУДА БЕРУТСЯ МЕСТА:
+ *
+ * Генератор кода помнит узел AST, код которого генерирует сейчас
+ * (WasmCodeGenerator.currentLoc), и записывает его loc для каждой
+ * инструкции: бэкенд wat - для каждой строки текста, бэкенд binary -
+ * для смещения в теле функции. Ассемблер узнаёт, с какой строки текста
+ * пришла каждая инструкция, и получает те же пары "смещение в теле -
+ * loc". Смещения тел функций в модуле известны построителю модуля только
+ * при кодировании (WasmModuleBuilder.toBytes), там карта и заполняется.
+ *
+ * ФОРМАТ:
+ *
+ * Карта - стандартный Source Map v3 (JSON), как его понимают инструменты
+ * разработчика браузеров для WebAssembly: у модуля одна "строка", столбец
+ * - смещение инструкции от начала модуля в байтах. Модуль ссылается на
+ * карту из пользовательской секции sourceMappingURL (адрес файла карты
+ * или data: URL с самой картой), а секция name даёт функциям и локальным
+ * переменным их имена из исходного кода.
+ */
+
+const Base64Digits = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Число в Base64 VLQ (поле сегмента mappings): знак в младшем бите,
+ * дальше группы по 5 бит, старший бит цифры - "будет продолжение".
+ */
+function encodeVlq(value) {
+    let vlq = value < 0 ? ((-value) << 1) | 1 : value << 1;
+    let text = '';
+    do {
+        let digit = vlq & 0x1f;
+        vlq >>>= 5;
+        if (vlq !== 0) digit |= 0x20;
+        text += Base64Digits[digit];
+    } while (vlq !== 0);
+    return text;
+}
+
+/**
+ * Разбирает один сегмент mappings в массив чисел.
+ */
+function decodeVlqSegment(text) {
+    const values = [];
+    let value = 0;
+    let shift = 0;
+    for (const char of text) {
+        const digit = Base64Digits.indexOf(char);
+        if (digit < 0) {
+            throw new Error(`Некорректный символ в mappings: ${char}`);
+        }
+        value += (digit & 0x1f) << shift;
+        if (digit & 0x20) {
+            shift += 5;
+        } else {
+            values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+            value = 0;
+            shift = 0;
+        }
+    }
+    return values;
+}
+
+/**
+ * Base64 строки в UTF-8 (btoa понимает только Latin-1).
+ */
+function base64Utf8(text) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * SourceMap - карта "смещение в модуле → место в исходном коде".
+ *
+ * mappings - записи { offset, line, column } по возрастанию offset
+ * (line и column с 1, как в loc); запись без места (line === null)
+ * отмечает код, у которого исходного кода нет, например служебные
+ * функции. Запись действует до следующей.
+ */
+class SourceMap {
+    /**
+     * @param {Object} options
+     * @param {string} options.fileName - Имя исходного файла в карте
+     * @param {string|null} options.source - Исходный код (sourcesContent):
+     *        с ним инструменты показывают код, не загружая файл
+     * @param {string|null} options.url - Адрес карты для секции
+     *        sourceMappingURL; без него карта встраивается в модуль как
+     *        data: URL
+     */
+    constructor(options = {}) {
+        this.fileName = options.fileName || 'program.js';
+        this.source = options.source !== undefined ? options.source : null;
+        this.url = options.url || null;
+        this.mappings = [];
+    }
+
+    /**
+     * Заполняет карту по местам инструкций.
+     *
+     * @param {Array<Object>} entries - { offset, loc } по возрастанию
+     *        offset; loc - узла AST или null. Подряд идущие инструкции
+     *        с одним местом дают одну запись
+     */
+    setLocations(entries) {
+        this.mappings = [];
+        for (const { offset, loc } of entries) {
+            const line = loc ? loc.start.line : null;
+            const column = loc ? loc.start.column : null;
+
+            // У одного смещения одно место - последнее записанное
+            const previous = this.mappings[this.mappings.length - 1];
+            if (previous && previous.offset === offset) {
+                this.mappings.pop();
+            }
+
+            const last = this.mappings[this.mappings.length - 1];
+            if (last ? last.line === line && last.column === column : line === null) continue;
+            this.mappings.push({ offset, line, column });
+        }
+    }
+
+    /**
+     * Место в исходном коде для смещения в модуле.
+     *
+     * @param {number} offset - Смещение инструкции от начала модуля
+     * @returns {Object|null} - { fileName, line, column } или null
+     */
+    lookup(offset) {
+        let low = 0;
+        let high = this.mappings.length - 1;
+        let found = null;
+        while (low <= high) {
+            const middle = (low + high) >> 1;
+            if (this.mappings[middle].offset <= offset) {
+                found = this.mappings[middle];
+                low = middle + 1;
+            } else {
+                high = middle - 1;
+            }
+        }
+
+        if (!found || found.line === null) return null;
+        return { fileName: this.fileName, line: found.line, column: found.column };
+    }
+
+    /**
+     * Карта в формате Source Map v3. Поля сегмента: столбец (смещение),
+     * номер источника, строка и столбец в нём - все с 0 и относительно
+     * предыдущего сегмента. У записи без места только первое поле.
+     */
+    toJSON() {
+        const segments = [];
+        let offset = 0;
+        let line = 0;
+        let column = 0;
+        let sourceIndex = 0;
+
+        for (const mapping of this.mappings) {
+            let segment = encodeVlq(mapping.offset - offset);
+            offset = mapping.offset;
+
+            if (mapping.line !== null) {
+                segment += encodeVlq(0 - sourceIndex);
+                segment += encodeVlq(mapping.line - 1 - line);
+                segment += encodeVlq(mapping.column - 1 - column);
+                sourceIndex = 0;
+                line = mapping.line - 1;
+                column = mapping.column - 1;
+            }
+            segments.push(segment);
+        }
+
+        const json = {
+            version: 3,
+            sources: [this.fileName],
+            names: [],
+            mappings: segments.join(',')
+        };
+        if (this.source !== null) {
+            json.sourcesContent = [this.source];
+        }
+        return json;
+    }
+
+    toString() {
+        return JSON.stringify(this.toJSON());
+    }
+
+    /**
+     * Содержимое секции sourceMappingURL: адрес карты или сама карта.
+     */
+    mappingURL() {
+        return this.url || `data:application/json;charset=utf-8;base64,${base64Utf8(this.toString())}`;
+    }
+
+    /**
+     * Читает карту, записанную toJSON (например, загруженную из файла
+     * .wasm.map), чтобы искать в ней места через lookup.
+     *
+     * @param {Object|string} json - Карта или её текст
+     * @returns {SourceMap}
+     */
+    static fromJSON(json) {
+        if (typeof json === 'string') {
+            json = JSON.parse(json);
+        }
+        if (json.version !== 3) {
+            throw new Error(`Неподдерживаемая версия карты кода: ${json.version}`);
+        }
+
+        const map = new SourceMap({
+            fileName: json.sources[0],
+            source: json.sourcesContent ? json.sourcesContent[0] : null
+        });
+
+        // У модуля WASM одна строка, поэтому ';' в mappings не встречается
+        let offset = 0;
+        let line = 0;
+        let column = 0;
+        for (const segment of json.mappings ? json.mappings.split(',') : []) {
+            const fields = decodeVlqSegment(segment);
+            offset += fields[0];
+            if (fields.length < 4) {
+                map.mappings.push({ offset, line: null, column: null });
+                continue;
+            }
+            line += fields[2];
+            column += fields[3];
+            map.mappings.push({ offset, line: line + 1, column: column + 1 });
+        }
+        return map;
+    }
+}
+
+// Экспорт
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SourceMap };
+}
+
+globalThis.CompilerStage5 = globalThis.CompilerStage5 || {};
+globalThis.CompilerStage5.SourceMap = SourceMap;
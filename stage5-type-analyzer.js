@@ -43,7 +43,7 @@
  * Для наших целей мы будем использовать в основном:
  * - i32 для целых чисел и булевых значений (0 = false, 1 = true)
  * - f64 для чисел с плавающей точкой
- * - externref для строк и объектов (они остаются в JavaScript)
+ * - i32 для строк, массивов и объектов (адрес в линейной памяти модуля)
  * 
  * АЛГОРИТМ ВЫВОДА ТИПОВ:
  * 
@@ -64,12 +64,18 @@
  *   let x = add(5, 10);
  * 
  * Мы создаём ограничения:
- * - a используется в +, значит a - число
- * - b используется в +, значит b - число
- * - a + b даёт число, значит add возвращает число
- * - x = add(...), значит x - число
+ * - в a и b попадают 5 и 10 из вызова, значит a и b - integer
+ * - a + b для двух integer даёт integer, значит add возвращает integer
+ * - x = add(...), значит x - integer
  * 
- * Решая эту систему, мы выводим: a: number, b: number, x: number
+ * Решая эту систему, мы выводим: a: integer, b: integer, x: integer.
+ * Вызов add(5, 10.5) расширил бы b, результат и x до number.
+ * 
+ * Анализ идёт в два прохода. TypeInference собирает и решает ограничения
+ * для всей программы сразу и выводит типы параметров, переменных и
+ * результатов функций. Затем TypeAnalyzer обходит AST с этими типами,
+ * аннотирует каждый узел и сообщает об ошибках в тех местах, где типы
+ * не сошлись.
  */
 
 /**
@@ -82,7 +88,7 @@
 const TypeKind = {
     // Примитивные типы
     NUMBER: 'number',       // JavaScript number (может быть i32 или f64 в WASM)
-    STRING: 'string',       // Строка (externref в WASM)
+    STRING: 'string',       // Строка (адрес в линейной памяти, i32 в WASM)
     BOOLEAN: 'boolean',     // Булево значение (i32 в WASM, 0 или 1)
     NULL: 'null',           // null
     UNDEFINED: 'undefined', // undefined
@@ -101,6 +107,141 @@ const TypeKind = {
     INTEGER: 'integer'      // Целое число (будет i32 в WASM)
 };
 
+/**
+ * Виды типов, которые проверяются вместе.
+ */
+const NumericKinds = [TypeKind.INTEGER, TypeKind.NUMBER];
+const LogicalKinds = [TypeKind.BOOLEAN, TypeKind.INTEGER, TypeKind.NUMBER];
+const ScalarKinds = [TypeKind.BOOLEAN, TypeKind.INTEGER, TypeKind.NUMBER, TypeKind.STRING];
+
+/**
+ * Вид числового литерала. integer хранится в i32, поэтому целые за
+ * пределами 32 бит (10000000000) - это number.
+ */
+function numberLiteralKind(value) {
+    return Number.isInteger(value) && (value | 0) === value ? TypeKind.INTEGER : TypeKind.NUMBER;
+}
+
+/**
+ * Имена типов в аннотациях (let x: i32). Машинные имена i32 и f64 -
+ * синонимы integer и number: именно в эти типы WASM они и компилируются.
+ */
+const AnnotationKinds = {
+    i32: TypeKind.INTEGER,
+    integer: TypeKind.INTEGER,
+    f64: TypeKind.NUMBER,
+    number: TypeKind.NUMBER,
+    boolean: TypeKind.BOOLEAN,
+    string: TypeKind.STRING,
+    void: TypeKind.VOID
+};
+
+/**
+ * Встроенные функции, которые понимает компилятор: имя → виды типов
+ * параметров и результата.
+ * 
+ * keepsInteger - результат целый, если целые все аргументы: Math.abs(-3)
+ * и Math.max(i, j) для integer остаются integer и не требуют перехода
+ * через f64. Иначе результат - result.
+ * 
+ * Math.floor, ceil, round и trunc тоже сохраняют целые, а над number
+ * возвращают number: их результат (NaN, Infinity, 3e9, -0) в i32 может
+ * не поместиться.
+ * 
+ * rest - вид типа всех аргументов функции с любым их числом (Math.min,
+ * Math.max, Math.hypot), optional - сколько последних параметров можно
+ * не передавать (основание parseInt).
+ * 
+ * Math.random нет: результат программы должен зависеть только от
+ * аргументов, иначе его не с чем сравнить (Compiler.checkConformance).
+ * 
+ * Как вызовы переводятся в WASM, описано в Intrinsics генератора.
+ */
+const BuiltinFunctions = {
+    'Math.abs': { params: [TypeKind.NUMBER], result: TypeKind.NUMBER, keepsInteger: true },
+    'Math.sign': { params: [TypeKind.NUMBER], result: TypeKind.NUMBER, keepsInteger: true },
+    'Math.min': { params: [], rest: TypeKind.NUMBER, result: TypeKind.NUMBER, keepsInteger: true },
+    'Math.max': { params: [], rest: TypeKind.NUMBER, result: TypeKind.NUMBER, keepsInteger: true },
+    'Math.floor': { params: [TypeKind.NUMBER], result: TypeKind.NUMBER, keepsInteger: true },
+    'Math.ceil': { params: [TypeKind.NUMBER], result: TypeKind.NUMBER, keepsInteger: true },
+    'Math.round': { params: [TypeKind.NUMBER], result: TypeKind.NUMBER, keepsInteger: true },
+    'Math.trunc': { params: [TypeKind.NUMBER], result: TypeKind.NUMBER, keepsInteger: true },
+    'Math.sqrt': { params: [TypeKind.NUMBER], result: TypeKind.NUMBER },
+    'Math.cbrt': { params: [TypeKind.NUMBER], result: TypeKind.NUMBER },
+    'Math.hypot': { params: [], rest: TypeKind.NUMBER, result: TypeKind.NUMBER },
+    'Math.pow': { params: [TypeKind.NUMBER, TypeKind.NUMBER], result: TypeKind.NUMBER },
+    'Math.sin': { params: [TypeKind.NUMBER], result: TypeKind.NUMBER },
+    'Math.cos': { params: [TypeKind.NUMBER], result: TypeKind.NUMBER },
+    'Math.tan': { params: [TypeKind.NUMBER], result: TypeKind.NUMBER },
+    'Math.asin': { params: [TypeKind.NUMBER], result: TypeKind.NUMBER },
+    'Math.acos': { params: [TypeKind.NUMBER], result: TypeKind.NUMBER },
+    'Math.atan': { params: [TypeKind.NUMBER], result: TypeKind.NUMBER },
+    'Math.atan2': { params: [TypeKind.NUMBER, TypeKind.NUMBER], result: TypeKind.NUMBER },
+    'Math.sinh': { params: [TypeKind.NUMBER], result: TypeKind.NUMBER },
+    'Math.cosh': { params: [TypeKind.NUMBER], result: TypeKind.NUMBER },
+    'Math.tanh': { params: [TypeKind.NUMBER], result: TypeKind.NUMBER },
+    'Math.asinh': { params: [TypeKind.NUMBER], result: TypeKind.NUMBER },
+    'Math.acosh': { params: [TypeKind.NUMBER], result: TypeKind.NUMBER },
+    'Math.atanh': { params: [TypeKind.NUMBER], result: TypeKind.NUMBER },
+    'Math.exp': { params: [TypeKind.NUMBER], result: TypeKind.NUMBER },
+    'Math.expm1': { params: [TypeKind.NUMBER], result: TypeKind.NUMBER },
+    'Math.log': { params: [TypeKind.NUMBER], result: TypeKind.NUMBER },
+    'Math.log1p': { params: [TypeKind.NUMBER], result: TypeKind.NUMBER },
+    'Math.log2': { params: [TypeKind.NUMBER], result: TypeKind.NUMBER },
+    'Math.log10': { params: [TypeKind.NUMBER], result: TypeKind.NUMBER },
+    'Math.fround': { params: [TypeKind.NUMBER], result: TypeKind.NUMBER },
+    'Math.clz32': { params: [TypeKind.INTEGER], result: TypeKind.INTEGER },
+    'Math.imul': { params: [TypeKind.INTEGER, TypeKind.INTEGER], result: TypeKind.INTEGER },
+    'Number.isInteger': { params: [TypeKind.NUMBER], result: TypeKind.BOOLEAN },
+    'parseInt': { params: [TypeKind.STRING, TypeKind.INTEGER], optional: 1, result: TypeKind.NUMBER }
+};
+
+/**
+ * Встроенные константы: имя → значение. Их тип - number, помеченный
+ * именем константы (builtin), и генератор подставляет значение, а не
+ * читает свойство.
+ */
+const BuiltinConstants = {
+    'Math.E': Math.E,
+    'Math.LN2': Math.LN2,
+    'Math.LN10': Math.LN10,
+    'Math.LOG2E': Math.LOG2E,
+    'Math.LOG10E': Math.LOG10E,
+    'Math.PI': Math.PI,
+    'Math.SQRT1_2': Math.SQRT1_2,
+    'Math.SQRT2': Math.SQRT2
+};
+
+/**
+ * Переводит аннотацию из AST (TypeReference, ArrayType, ObjectType)
+ * в Type. Для неизвестного имени типа вызывает onUnknown(узел) и
+ * возвращает null.
+ */
+function typeFromAnnotation(node, onUnknown = () => {}) {
+    if (!node) return null;
+    
+    if (node.type === 'ArrayType') {
+        const elementType = typeFromAnnotation(node.elementType, onUnknown);
+        return elementType ? new Type(TypeKind.ARRAY, { elementType }) : null;
+    }
+    
+    if (node.type === 'ObjectType') {
+        const properties = {};
+        let known = true;
+        for (const property of node.properties) {
+            properties[property.key.name] = typeFromAnnotation(property.value, onUnknown);
+            known = known && properties[property.key.name] !== null;
+        }
+        return known ? new Type(TypeKind.OBJECT, { properties }) : null;
+    }
+    
+    if (!Object.prototype.hasOwnProperty.call(AnnotationKinds, node.name)) {
+        onUnknown(node);
+        return null;
+    }
+    return new Type(AnnotationKinds[node.name]);
+}
+
 /**
  * Type - представление типа.
  * 
@@ -115,6 +256,15 @@ class Type {
         this.paramTypes = extra.paramTypes || [];
         this.returnType = extra.returnType || null;
         
+        // Для встроенных функций: имя из BuiltinFunctions (у встроенных
+        // констант - из BuiltinConstants), сохраняет ли функция целые
+        // аргументы целыми, тип остальных аргументов функции с любым их
+        // числом и сколько последних параметров необязательны
+        this.builtin = extra.builtin || null;
+        this.keepsInteger = extra.keepsInteger || false;
+        this.restType = extra.restType || null;
+        this.optionalParams = extra.optionalParams || 0;
+        
         // Для массивов
         this.elementType = extra.elementType || null;
         
@@ -139,6 +289,16 @@ class Type {
             return true;
         }
         
+        // Массивы и объекты передаются по ссылке и лежат в памяти по
+        // раскладке своего типа, поэтому их элементы и свойства должны
+        // совпадать точно: Array<integer> хранит элементы по 4 байта,
+        // а Array<number> - по 8. Функции вызываются через call_indirect
+        // с сигнатурой своего типа, и она тоже должна совпадать точно
+        if (this.kind === other.kind &&
+            [TypeKind.ARRAY, TypeKind.OBJECT, TypeKind.FUNCTION].includes(this.kind)) {
+            return this.hasSameLayout(other);
+        }
+        
         // Простые типы должны совпадать
         if (this.kind === other.kind) {
             return true;
@@ -153,12 +313,65 @@ class Type {
         return false;
     }
     
+    /**
+     * Можно ли записать значение типа value туда, где ожидается этот тип
+     * (переменная, параметр, результат функции, элемент массива).
+     * 
+     * В отличие от isCompatibleWith, это проверка в одну сторону: number
+     * нельзя записать в integer - i32 отбросил бы дробную часть, и
+     * результат разошёлся бы с JavaScript. TypeInference расширяет такие
+     * места до number сам, поэтому integer остаётся только там, где его
+     * закрепила аннотация (let i: i32).
+     */
+    accepts(value) {
+        if (this.kind === TypeKind.INTEGER && value.kind === TypeKind.NUMBER) {
+            return false;
+        }
+        return this.isCompatibleWith(value);
+    }
+    
+    /**
+     * Проверяет, что значения двух типов устроены в памяти одинаково:
+     * виды совпадают, в том числе у элементов и свойств.
+     */
+    hasSameLayout(other) {
+        const open = [TypeKind.ANY, TypeKind.UNKNOWN];
+        if (open.includes(this.kind) || open.includes(other.kind)) {
+            return true;
+        }
+        if (this.kind !== other.kind) {
+            return false;
+        }
+        
+        if (this.kind === TypeKind.ARRAY) {
+            return !this.elementType || !other.elementType ||
+                this.elementType.hasSameLayout(other.elementType);
+        }
+        
+        if (this.kind === TypeKind.OBJECT) {
+            const names = Object.keys(this.properties);
+            return names.length === Object.keys(other.properties).length &&
+                names.every(name => other.properties[name] &&
+                    this.properties[name].hasSameLayout(other.properties[name]));
+        }
+        
+        if (this.kind === TypeKind.FUNCTION) {
+            const sameResult = !this.returnType || !other.returnType ||
+                this.returnType.hasSameLayout(other.returnType);
+            return sameResult && this.paramTypes.length === other.paramTypes.length &&
+                this.paramTypes.every((type, i) => type.hasSameLayout(other.paramTypes[i]));
+        }
+        
+        return true;
+    }
+    
     /**
      * Возвращает строковое представление типа.
      */
     toString() {
         if (this.kind === TypeKind.FUNCTION) {
-            const params = this.paramTypes.map(t => t.toString()).join(', ');
+            const params = this.paramTypes.map(t => t.toString())
+                .concat(this.restType ? [`...${this.restType}[]`] : []).join(', ');
             const ret = this.returnType ? this.returnType.toString() : 'void';
             return `(${params}) => ${ret}`;
         }
@@ -168,6 +381,12 @@ class Type {
             return `Array<${elem}>`;
         }
         
+        if (this.kind === TypeKind.OBJECT) {
+            const props = Object.keys(this.properties)
+                .map(name => `${name}: ${this.properties[name]}`);
+            return `{${props.join(', ')}}`;
+        }
+        
         return this.kind;
     }
     
@@ -178,6 +397,10 @@ class Type {
         return new Type(this.kind, {
             paramTypes: this.paramTypes.map(t => t.clone()),
             returnType: this.returnType ? this.returnType.clone() : null,
+            builtin: this.builtin,
+            keepsInteger: this.keepsInteger,
+            restType: this.restType ? this.restType.clone() : null,
+            optionalParams: this.optionalParams,
             elementType: this.elementType ? this.elementType.clone() : null,
             properties: { ...this.properties }
         });
@@ -199,13 +422,19 @@ class TypeEnvironment {
     constructor(parent = null) {
         this.parent = parent;      // Родительское окружение
         this.bindings = new Map(); // Переменная -> Тип
+        this.constants = new Set(); // Переменные, объявленные через const
     }
     
     /**
      * Определяет новую переменную в текущем окружении.
      */
-    define(name, type) {
+    define(name, type, constant = false) {
         this.bindings.set(name, type);
+        if (constant) {
+            this.constants.add(name);
+        } else {
+            this.constants.delete(name);
+        }
     }
     
     /**
@@ -226,6 +455,17 @@ class TypeEnvironment {
         return null; // Переменная не найдена
     }
     
+    /**
+     * Объявлена ли видимая здесь переменная через const.
+     */
+    isConstant(name) {
+        if (this.bindings.has(name)) {
+            return this.constants.has(name);
+        }
+        
+        return this.parent ? this.parent.isConstant(name) : false;
+    }
+    
     /**
      * Обновляет тип существующей переменной.
      * 
@@ -242,17 +482,969 @@ class TypeEnvironment {
         if (this.parent) {
             return this.parent.update(name, type);
         }
-        
-        return false;
+        
+        return false;
+    }
+    
+    /**
+     * Создаёт дочернее окружение.
+     * 
+     * Используется при входе в новый блок (функция, цикл, условие).
+     */
+    extend() {
+        return new TypeEnvironment(this);
+    }
+}
+
+/**
+ * TypeVariable - переменная типа: тип, который ещё предстоит вывести.
+ *
+ * Переменные типа заводятся для всего, чей тип нельзя узнать с первого
+ * взгляда: параметров функций, результатов функций, переменных, элементов
+ * массивов и свойств объектов. Их значения находит TypeInference.
+ *
+ * Переменные, которые должны оказаться одним типом (элементы массива
+ * и элементы переменной, в которую этот массив записан), объединяются
+ * в группу - классическая структура union-find: у каждой группы есть
+ * представитель (find), и только он хранит значение.
+ */
+class TypeVariable {
+    constructor(id, declared) {
+        this.id = id;
+        
+        // Ссылка на другую переменную группы (null - это представитель)
+        this.parent = null;
+        
+        // Нижняя граница: объединение всех типов, которые сюда попадают
+        // (null - пока ничего не известно)
+        this.value = null;
+        
+        // Тип нужен генератору (параметр, переменная, результат функции),
+        // и его нельзя оставить невыведенным
+        this.declared = declared;
+        
+        // Использование как массива (a[i]) или объекта (o.x) до того,
+        // как стало известно, массив это или объект
+        this.element = null;
+        this.properties = {};
+        
+        // Тип задан аннотацией (let x: i32) и не расширяется: значение
+        // только подсказывает типы того, что сюда попадает
+        this.fixed = false;
+    }
+}
+
+/**
+ * TypeInference - вывод типов решением системы ограничений.
+ *
+ * Один проход по AST собирает ограничения между типами, затем система
+ * решается целиком. Так тип приходит в параметр функции не только
+ * изнутри функции, но и снаружи - из мест вызова:
+ *
+ *   function f(x) { return x * 0.5; }     x используется с number
+ *   function g(n) { return n + 1; }
+ *   let a = g(2.5);                        n получает number из вызова
+ *
+ * ОГРАНИЧЕНИЯ:
+ *
+ * - поток (flow): значение типа A попадает туда, где тип B - при
+ *   присваивании, инициализации, передаче аргумента, return. B должен
+ *   вмещать A: integer, попавший в number, - это нормально, а number,
+ *   попавший в integer, расширяет integer до number. Поэтому
+ *   `let s = 0; s = s + 0.5;` делает s числом number, а не обрезает 0.5.
+ *
+ * - вычисляемые (derived): тип результата операции зависит от типов
+ *   операндов - integer * integer даёт integer, integer * number даёт
+ *   number, string + что угодно - string.
+ *
+ * - унификация (как в алгоритме Хиндли-Милнера): массивы и объекты
+ *   передаются по ссылке, поэтому тип элементов массива должен быть
+ *   одним и тем же везде, куда попадает массив. Переменные типа его
+ *   элементов объединяются в одну группу (union-find), и в любом месте
+ *   видно одно значение:
+ *
+ *     let a = [1, 2];
+ *     a[0] = 2.5;            элементы a - number, и литерал [1, 2]
+ *                            тоже хранит number
+ *
+ * РЕШЕНИЕ:
+ *
+ * Значение переменной типа только растёт: ничего → integer → number.
+ * Ограничения применяются по кругу, пока значения меняются; вершин
+ * у такой решётки немного, поэтому процесс быстро останавливается.
+ *
+ * После этого остаются переменные, о которых ничего не известно "снизу"
+ * (параметр, в который ничего не передают). Для них тип берётся
+ * "сверху" - из того, как значение используется (двунаправленный вывод):
+ *
+ *   1. куда значение попадает: `let j = 0; j = x;` - x тоже integer;
+ *   2. как оно используется: `x * 0.5` - number, `x < n` - тип n,
+ *      `a[x]` - integer, `if (x)` - boolean;
+ *   3. если не известно ничего - number, как любое число JavaScript.
+ *
+ * После каждого такого шага ограничения снова применяются по кругу.
+ *
+ * КОНФЛИКТЫ:
+ *
+ * Если в одно место попадают несовместимые типы (integer и string),
+ * переменная сохраняет первый тип. Второе место, где тип не совпал,
+ * находит проверка TypeAnalyzer - она сообщает об ошибке именно там,
+ * а не на объявлении переменной.
+ *
+ * АННОТАЦИИ:
+ *
+ * Аннотация типа (function f(a: i32): f64, let xs: f64[]) - жёсткое
+ * ограничение. Переменная типа получает значение из аннотации сразу и
+ * больше не расширяется (fixed): `let i: i32 = 0; i = i + 0.5;` оставляет
+ * i целым, а TypeAnalyzer сообщает об ошибке в присваивании. Остальные
+ * типы выводятся вокруг аннотации как обычно: литерал [1, 2],
+ * записанный в f64[], хранит number.
+ */
+class TypeInference {
+    /**
+     * @param {TypeEnvironment} globalEnv - Окружение со встроенными функциями
+     */
+    constructor(globalEnv) {
+        this.env = globalEnv.extend();
+        this.variables = [];
+        
+        this.flows = [];     // { from, to }: тип from попадает в to
+        this.derived = [];   // { target, compute }: target вмещает compute()
+        this.hints = [];     // { term, compute }: как используется значение term
+        
+        // Типы узлов, которые нужны TypeAnalyzer: узел → переменная/тип
+        this.terms = new Map();
+        
+        // Результат текущей функции: { variable, hasValue }
+        this.returns = [];
+        
+        // Изменилось ли что-то за последний круг применения ограничений
+        this.changed = false;
+    }
+    
+    /**
+     * Выводит типы для программы.
+     *
+     * @param {Object} ast - Корневой узел (Program)
+     * @returns {Map} - Выведенные типы: узел → Type. Ключи - параметры,
+     *                  объявления функций и переменных, литералы массивов
+     *                  и объектов
+     */
+    infer(ast) {
+        this.visit(ast);
+        this.solve();
+        
+        const solution = new Map();
+        for (const [node, term] of this.terms) {
+            solution.set(node, this.resolve(term, new Set()));
+        }
+        return solution;
+    }
+    
+    // ========================================================================
+    // СБОР ОГРАНИЧЕНИЙ
+    // ========================================================================
+    
+    /**
+     * Обходит узел и возвращает его тип - Type или TypeVariable
+     * (для операторов - null).
+     */
+    visit(node) {
+        if (!node) return null;
+        
+        switch (node.type) {
+            case 'Program':
+                // Объявления функций всплывают: функцию можно вызвать
+                // до её объявления, и аргументы такого вызова тоже
+                // должны попасть в её параметры
+                for (const statement of node.body) {
+                    if (statement.type === 'FunctionDeclaration' || statement.type === 'ImportDeclaration') {
+                        this.declareFunction(statement);
+                    }
+                }
+                // Переменные верхнего уровня видны в телах функций,
+                // даже если объявлены ниже функции
+                for (const statement of node.body) {
+                    if (statement.type === 'VariableDeclaration') {
+                        const variable = this.annotated(statement.typeAnnotation);
+                        this.terms.set(statement, variable);
+                        this.env.define(statement.name, variable);
+                    }
+                }
+                node.body.forEach(statement => this.visit(statement));
+                return null;
+            
+            case 'FunctionDeclaration':
+            case 'ArrowFunctionExpression':
+                return this.visitFunction(node);
+            
+            case 'VariableDeclaration': {
+                const variable = this.terms.get(node) || this.annotated(node.typeAnnotation);
+                this.terms.set(node, variable);
+                if (node.init) {
+                    this.flow(this.visit(node.init), variable);
+                }
+                this.env.define(node.name, variable);
+                return null;
+            }
+            
+            case 'BlockStatement': {
+                const outerEnv = this.env;
+                this.env = outerEnv.extend();
+                node.body.forEach(statement => this.visit(statement));
+                this.env = outerEnv;
+                return null;
+            }
+            
+            case 'ReturnStatement': {
+                const frame = this.returns[this.returns.length - 1];
+                if (!frame) return null;
+                
+                if (node.value) {
+                    this.flow(this.visit(node.value), frame.variable);
+                    frame.hasValue = true;
+                } else {
+                    this.flow(new Type(TypeKind.VOID), frame.variable);
+                }
+                return null;
+            }
+            
+            case 'IfStatement':
+                this.visitCondition(node.condition);
+                this.visit(node.then);
+                this.visit(node.else);
+                return null;
+            
+            case 'WhileStatement':
+                this.visitCondition(node.condition);
+                this.visit(node.body);
+                return null;
+            
+            case 'ForStatement':
+                this.visit(node.init);
+                if (node.condition) this.visitCondition(node.condition);
+                this.visit(node.update);
+                this.visit(node.body);
+                return null;
+            
+            case 'ExpressionStatement':
+                this.visit(node.expression);
+                return null;
+            
+            case 'BinaryExpression':
+                return this.visitBinaryExpression(node);
+            
+            case 'UnaryExpression': {
+                const argument = this.visit(node.argument);
+                if (node.operator === '!') {
+                    this.hint(argument, () => new Type(TypeKind.BOOLEAN));
+                    return new Type(TypeKind.BOOLEAN);
+                }
+                const result = this.fresh(false);
+                this.flow(argument, result);
+                return result;
+            }
+            
+            case 'AssignmentExpression': {
+                const value = this.visit(node.right);
+                const target = node.left.type === 'MemberExpression'
+                    ? this.visitMemberTarget(node.left)
+                    : this.visit(node.left);
+                this.flow(value, target);
+                return value;
+            }
+            
+            case 'ConditionalExpression': {
+                this.visitCondition(node.condition);
+                const result = this.fresh(false);
+                this.flow(this.visit(node.then), result);
+                this.flow(this.visit(node.else), result);
+                return result;
+            }
+            
+            case 'CallExpression':
+                return this.visitCallExpression(node);
+            
+            case 'MemberExpression':
+                return this.visitMemberExpression(node);
+            
+            case 'ArrayExpression': {
+                const element = this.fresh(true);
+                node.elements.forEach(item => this.flow(this.visit(item), element));
+                
+                const type = new Type(TypeKind.ARRAY, { elementType: element });
+                this.terms.set(node, type);
+                return type;
+            }
+            
+            case 'ObjectExpression': {
+                const properties = {};
+                for (const property of node.properties) {
+                    const variable = properties[property.key.name] || this.fresh(true);
+                    this.flow(this.visit(property.value), variable);
+                    properties[property.key.name] = variable;
+                }
+                
+                const type = new Type(TypeKind.OBJECT, { properties });
+                this.terms.set(node, type);
+                return type;
+            }
+            
+            case 'Identifier':
+                return this.env.lookup(node.name) || new Type(TypeKind.UNKNOWN);
+            
+            case 'NumberLiteral':
+                return new Type(numberLiteralKind(node.value));
+            
+            case 'StringLiteral':
+                return new Type(TypeKind.STRING);
+            
+            case 'BooleanLiteral':
+                return new Type(TypeKind.BOOLEAN);
+            
+            case 'NullLiteral':
+                return new Type(TypeKind.NULL);
+            
+            default:
+                return null;
+        }
+    }
+    
+    /**
+     * Заводит переменные типа для параметров и результата функции.
+     */
+    declareFunction(node) {
+        const paramTypes = node.params.map(param => {
+            const variable = this.annotated(param.typeAnnotation);
+            this.terms.set(param, variable);
+            return variable;
+        });
+        
+        const type = new Type(TypeKind.FUNCTION, {
+            paramTypes,
+            returnType: this.annotated(node.returnType)
+        });
+        this.terms.set(node, type);
+        
+        if (node.type !== 'ArrowFunctionExpression') {
+            this.env.define(node.name, type);
+        }
+        return type;
+    }
+    
+    visitFunction(node) {
+        const type = this.terms.get(node) || this.declareFunction(node);
+        
+        const outerEnv = this.env;
+        this.env = outerEnv.extend();
+        node.params.forEach((param, index) => this.env.define(param.name, type.paramTypes[index]));
+        
+        this.returns.push({ variable: type.returnType, hasValue: false });
+        this.visit(node.body);
+        const frame = this.returns.pop();
+        
+        // Функция без return значения ничего не возвращает
+        if (!frame.hasValue) {
+            this.flow(new Type(TypeKind.VOID), type.returnType);
+        }
+        
+        this.env = outerEnv;
+        return type;
+    }
+    
+    /**
+     * Условие if, while, for и тернарного оператора должно быть булевым.
+     */
+    visitCondition(node) {
+        this.hint(this.visit(node), () => new Type(TypeKind.BOOLEAN));
+    }
+    
+    visitBinaryExpression(node) {
+        const left = this.visit(node.left);
+        const right = this.visit(node.right);
+        const op = node.operator;
+        
+        // Арифметика: тип результата зависит от типов операндов, а
+        // операнд без типа, скорее всего, того же типа, что и второй
+        if (['+', '-', '*', '/', '%'].includes(op)) {
+            const result = this.fresh(false);
+            this.derived.push({
+                target: result,
+                compute: () => this.arithmeticResult(op, this.valueOf(left), this.valueOf(right))
+            });
+            this.hint(left, () => this.operandHint(right, NumericKinds));
+            this.hint(right, () => this.operandHint(left, NumericKinds));
+            return result;
+        }
+        
+        // Сравниваются значения одного типа
+        if (['==', '===', '!=', '!==', '<', '>', '<=', '>='].includes(op)) {
+            this.hint(left, () => this.operandHint(right, ScalarKinds));
+            this.hint(right, () => this.operandHint(left, ScalarKinds));
+            return new Type(TypeKind.BOOLEAN);
+        }
+        
+        // && и || возвращают один из операндов - общий тип обоих
+        if (op === '&&' || op === '||') {
+            const result = this.fresh(false);
+            this.derived.push({
+                target: result,
+                compute: () => this.logicalResult(this.valueOf(left), this.valueOf(right))
+            });
+            this.hint(left, () => this.operandHint(right, LogicalKinds));
+            this.hint(right, () => this.operandHint(left, LogicalKinds));
+            return result;
+        }
+        
+        return new Type(TypeKind.UNKNOWN);
+    }
+    
+    visitCallExpression(node) {
+        const callee = node.callee;
+        
+        // s.charCodeAt(i): charCodeAt есть только у строк
+        if (callee.type === 'MemberExpression' && !callee.computed &&
+            callee.property.name === 'charCodeAt') {
+            this.hint(this.visit(callee.object), () => new Type(TypeKind.STRING));
+            node.arguments.forEach(arg => this.hint(this.visit(arg), () => new Type(TypeKind.INTEGER)));
+            return new Type(TypeKind.INTEGER);
+        }
+        
+        const calleeTerm = this.visit(callee);
+        const args = node.arguments.map(arg => this.visit(arg));
+        
+        // Вызов через переменную, тип которой ещё не известен: это
+        // функция с такими параметрами - унификация свяжет их с
+        // параметрами функции, которая окажется в переменной
+        if (calleeTerm instanceof TypeVariable && !this.valueOf(calleeTerm)) {
+            this.unify(calleeTerm, new Type(TypeKind.FUNCTION, {
+                paramTypes: args.map(() => this.fresh(false)),
+                returnType: this.fresh(false)
+            }));
+        }
+        
+        const calleeType = this.valueOf(calleeTerm);
+        if (!calleeType || calleeType.kind !== TypeKind.FUNCTION) {
+            return new Type(TypeKind.UNKNOWN);
+        }
+        
+        // Аргументы попадают в параметры
+        args.forEach((arg, index) => {
+            if (index < calleeType.paramTypes.length) {
+                this.flow(arg, calleeType.paramTypes[index]);
+            } else if (calleeType.restType) {
+                this.flow(arg, calleeType.restType);
+            }
+        });
+        
+        // Math.max(i, j): целый результат для целых аргументов
+        if (calleeType.keepsInteger) {
+            const result = this.fresh(false);
+            this.derived.push({
+                target: result,
+                compute: () => {
+                    const types = args.map(arg => this.valueOf(arg));
+                    if (types.some(type => !type || !NumericKinds.includes(type.kind))) {
+                        return null;
+                    }
+                    return types.length > 0 && types.every(type => type.kind === TypeKind.INTEGER)
+                        ? new Type(TypeKind.INTEGER)
+                        : calleeType.returnType;
+                }
+            });
+            return result;
+        }
+        
+        return calleeType.returnType || new Type(TypeKind.VOID);
+    }
+    
+    visitMemberExpression(node) {
+        const object = this.visit(node.object);
+        
+        if (node.computed) {
+            this.hint(this.visit(node.property), () => new Type(TypeKind.INTEGER));
+            return this.elementOf(object);
+        }
+        
+        // length есть и у строк, и у массивов - ждём, что выяснится
+        if (node.property.name === 'length') {
+            const result = this.fresh(false);
+            this.derived.push({
+                target: result,
+                compute: () => {
+                    const type = this.valueOf(object);
+                    return type && [TypeKind.STRING, TypeKind.ARRAY].includes(type.kind)
+                        ? new Type(TypeKind.INTEGER)
+                        : null;
+                }
+            });
+            return result;
+        }
+        
+        return this.propertyOf(object, node.property.name);
+    }
+    
+    /**
+     * Левая часть присваивания a[i] = v или o.x = v: тип элемента
+     * или свойства, в который попадает значение.
+     */
+    visitMemberTarget(node) {
+        const object = this.visit(node.object);
+        
+        if (node.computed) {
+            this.hint(this.visit(node.property), () => new Type(TypeKind.INTEGER));
+            return this.elementOf(object);
+        }
+        if (node.property.name === 'length') {
+            return new Type(TypeKind.UNKNOWN);
+        }
+        return this.propertyOf(object, node.property.name);
+    }
+    
+    /**
+     * Тип элемента массива term.
+     */
+    elementOf(term) {
+        const type = this.valueOf(term);
+        
+        if (type) {
+            return type.kind === TypeKind.ARRAY && type.elementType
+                ? type.elementType
+                : new Type(TypeKind.UNKNOWN);
+        }
+        if (!(term instanceof TypeVariable)) {
+            return new Type(TypeKind.UNKNOWN);
+        }
+        
+        // Пока не известно, что это за массив, - запоминаем, что элементы
+        // у него есть; когда придёт тип массива, элементы объединятся
+        const root = this.find(term);
+        if (!root.element) {
+            root.element = this.fresh(true);
+        }
+        return root.element;
+    }
+    
+    /**
+     * Тип свойства name объекта term.
+     */
+    propertyOf(term, name) {
+        const type = this.valueOf(term);
+        
+        if (type) {
+            return type.kind === TypeKind.OBJECT && type.properties[name]
+                ? type.properties[name]
+                : new Type(TypeKind.UNKNOWN);
+        }
+        if (!(term instanceof TypeVariable)) {
+            return new Type(TypeKind.UNKNOWN);
+        }
+        
+        const root = this.find(term);
+        if (!root.properties[name]) {
+            root.properties[name] = this.fresh(true);
+        }
+        return root.properties[name];
+    }
+    
+    /**
+     * Тип результата арифметической операции по типам операндов
+     * (null - пока нельзя сказать). Правила те же, что в
+     * TypeAnalyzer.analyzeBinaryExpression.
+     */
+    arithmeticResult(op, left, right) {
+        const isString = type => type && type.kind === TypeKind.STRING;
+        if (op === '+' && (isString(left) || isString(right))) {
+            return new Type(TypeKind.STRING);
+        }
+        
+        // Пока тип операнда неизвестен, + может оказаться конкатенацией
+        if (op === '+' && (!left || !right)) {
+            return null;
+        }
+        
+        const types = [left, right].filter(type => type);
+        if (types.length === 0 || !types.every(type => NumericKinds.includes(type.kind))) {
+            return null;
+        }
+        
+        if (op === '/' || types.some(type => type.kind === TypeKind.NUMBER)) {
+            return new Type(TypeKind.NUMBER);
+        }
+        return new Type(TypeKind.INTEGER);
+    }
+    
+    /**
+     * Тип результата && и ||, когда известны типы обоих операндов.
+     * Правила те же, что в TypeAnalyzer.analyzeLogicalExpression.
+     */
+    logicalResult(left, right) {
+        if (!left || !right || !LogicalKinds.includes(left.kind) || !LogicalKinds.includes(right.kind)) {
+            return null;
+        }
+        if (left.kind === right.kind) {
+            return new Type(left.kind);
+        }
+        if (left.kind === TypeKind.NUMBER || right.kind === TypeKind.NUMBER) {
+            return new Type(TypeKind.NUMBER);
+        }
+        return new Type(TypeKind.INTEGER);
+    }
+    
+    /**
+     * Подсказка для операнда без типа: тип второго операнда, если
+     * он из списка kinds.
+     */
+    operandHint(other, kinds) {
+        const type = this.valueOf(other);
+        return type && kinds.includes(type.kind) ? new Type(type.kind) : null;
+    }
+    
+    // ========================================================================
+    // ПЕРЕМЕННЫЕ ТИПА И ОГРАНИЧЕНИЯ
+    // ========================================================================
+    
+    fresh(declared) {
+        const variable = new TypeVariable(this.variables.length, declared);
+        this.variables.push(variable);
+        return variable;
+    }
+    
+    /**
+     * Переменная типа для параметра, переменной или результата функции.
+     * С аннотацией её значение закреплено; неизвестное имя типа
+     * (о нём сообщит TypeAnalyzer) считается отсутствием аннотации.
+     */
+    annotated(annotation) {
+        const variable = this.fresh(true);
+        const type = typeFromAnnotation(annotation);
+        if (type) {
+            variable.value = type;
+            variable.fixed = true;
+        }
+        return variable;
+    }
+    
+    /**
+     * Представитель группы переменной (со сжатием путей).
+     */
+    find(variable) {
+        while (variable.parent) {
+            if (variable.parent.parent) {
+                variable.parent = variable.parent.parent;
+            }
+            variable = variable.parent;
+        }
+        return variable;
+    }
+    
+    /**
+     * Текущее значение: для переменной - значение её группы,
+     * неизвестный тип - null.
+     */
+    valueOf(term) {
+        const type = term instanceof TypeVariable ? this.find(term).value : term;
+        return type && type.kind !== TypeKind.UNKNOWN ? type : null;
+    }
+    
+    /**
+     * Ограничение "тип from попадает в to".
+     *
+     * Если to - уже известный тип (параметр встроенной функции), менять
+     * его нечего: он только подсказывает тип from.
+     */
+    flow(from, to) {
+        if (!from || !to) return;
+        
+        if (to instanceof TypeVariable) {
+            this.flows.push({ from, to });
+        } else {
+            this.hint(from, () => to);
+        }
+    }
+    
+    /**
+     * Подсказка о типе term по тому, как он используется.
+     */
+    hint(term, compute) {
+        if (term instanceof TypeVariable) {
+            this.hints.push({ term, compute });
+        }
+    }
+    
+    /**
+     * Расширяет значение переменной типом type.
+     */
+    raise(term, type) {
+        if (!(term instanceof TypeVariable)) {
+            // Известный тип не меняется, но у массивов и объектов
+            // нужно объединить элементы и свойства
+            if (term && type) this.join(term, type);
+            return;
+        }
+        
+        const root = this.find(term);
+        const value = this.join(root.value, type);
+        if (value !== root.value && !root.fixed) {
+            root.value = value;
+            this.changed = true;
+            this.attachPending(root);
+        }
+    }
+    
+    /**
+     * Наименьший тип, вмещающий a и b (a - текущее значение).
+     *
+     * integer и number дают number. У массивов, объектов и функций
+     * унифицируются элементы, свойства, параметры. При конфликте
+     * (integer и string) сохраняется a - см. "Конфликты" выше.
+     */
+    join(a, b) {
+        if (!b || [TypeKind.UNKNOWN, TypeKind.ANY].includes(b.kind)) return a;
+        if (!a) return b;
+        
+        if (a.kind === b.kind) {
+            if (a.kind === TypeKind.ARRAY) {
+                this.unify(a.elementType, b.elementType);
+            } else if (a.kind === TypeKind.OBJECT) {
+                const keys = Object.keys(a.properties);
+                if (keys.length === Object.keys(b.properties).length &&
+                    keys.every(key => b.properties[key])) {
+                    keys.forEach(key => this.unify(a.properties[key], b.properties[key]));
+                }
+            } else if (a.kind === TypeKind.FUNCTION) {
+                const count = Math.min(a.paramTypes.length, b.paramTypes.length);
+                for (let i = 0; i < count; i++) {
+                    this.unify(a.paramTypes[i], b.paramTypes[i]);
+                }
+                this.unify(a.returnType, b.returnType);
+            }
+            return a;
+        }
+        
+        if (NumericKinds.includes(a.kind) && NumericKinds.includes(b.kind)) {
+            return new Type(TypeKind.NUMBER);
+        }
+        
+        return a;
+    }
+    
+    /**
+     * Унификация: x и y должны быть одним типом.
+     */
+    unify(x, y) {
+        if (!x || !y) return;
+        
+        if (!(x instanceof TypeVariable) || !(y instanceof TypeVariable)) {
+            if (x instanceof TypeVariable) this.raise(x, y);
+            else if (y instanceof TypeVariable) this.raise(y, x);
+            else this.join(x, y);
+            return;
+        }
+        
+        let root = this.find(x);
+        let other = this.find(y);
+        if (root === other) return;
+        
+        // Закреплённое аннотацией значение остаётся значением группы
+        if (other.fixed && !root.fixed) {
+            [root, other] = [other, root];
+        }
+        
+        other.parent = root;
+        root.declared = root.declared || other.declared;
+        const value = this.join(root.value, other.value);
+        if (!root.fixed) root.value = value;
+        this.changed = true;
+        
+        if (other.element) {
+            if (root.element) this.unify(root.element, other.element);
+            else root.element = other.element;
+        }
+        for (const name in other.properties) {
+            if (root.properties[name]) this.unify(root.properties[name], other.properties[name]);
+            else root.properties[name] = other.properties[name];
+        }
+        
+        this.attachPending(root);
+    }
+    
+    /**
+     * Когда стало известно, что переменная - массив или объект,
+     * элементы и свойства, к которым обращались раньше, объединяются
+     * с элементами и свойствами её типа.
+     */
+    attachPending(root) {
+        const type = root.value;
+        if (!type) return;
+        
+        if (root.element && type.kind === TypeKind.ARRAY) {
+            this.unify(root.element, type.elementType);
+        }
+        if (type.kind === TypeKind.OBJECT) {
+            for (const name in root.properties) {
+                if (type.properties[name]) {
+                    this.unify(root.properties[name], type.properties[name]);
+                }
+            }
+        }
+    }
+    
+    // ========================================================================
+    // РЕШЕНИЕ
+    // ========================================================================
+    
+    solve() {
+        for (;;) {
+            this.propagate();
+            
+            // Переменные без значения получают тип по использованию -
+            // по одному правилу за раз, и снова распространяем
+            if (this.defaultFromSinks() || this.defaultFromHints() || this.defaultRemaining()) {
+                continue;
+            }
+            break;
+        }
+    }
+    
+    /**
+     * Применяет потоки и вычисляемые ограничения, пока значения меняются.
+     */
+    propagate() {
+        // Каждый круг поднимает хотя бы одно значение по конечной решётке,
+        // предел - страховка от ошибки в правилах
+        const limit = 4 * this.variables.length + 16;
+        
+        for (let round = 0; round < limit; round++) {
+            this.changed = false;
+            
+            for (const { from, to } of this.flows) {
+                this.raise(to, this.valueOf(from));
+            }
+            for (const { target, compute } of this.derived) {
+                this.raise(target, compute());
+            }
+            
+            if (!this.changed) return;
+        }
+    }
+    
+    /**
+     * Группы, которым нужен тип, но о которых ничего не известно.
+     */
+    unresolvedRoots() {
+        return this.variables.filter(variable =>
+            !variable.parent && variable.declared && !variable.value);
+    }
+    
+    /**
+     * Правило 1: тип того, куда значение попадает.
+     */
+    defaultFromSinks() {
+        let changed = false;
+        
+        for (const root of this.unresolvedRoots()) {
+            let type = null;
+            for (const { from, to } of this.flows) {
+                if (from instanceof TypeVariable && this.find(from) === root) {
+                    type = this.join(type, this.valueOf(to));
+                }
+            }
+            if (type) {
+                this.raise(root, type);
+                changed = true;
+            }
+        }
+        
+        return changed;
+    }
+    
+    /**
+     * Правило 2: тип по тому, как значение используется.
+     */
+    defaultFromHints() {
+        let changed = false;
+        
+        for (const root of this.unresolvedRoots()) {
+            let type = null;
+            for (const { term, compute } of this.hints) {
+                if (this.find(term) === root) {
+                    type = this.join(type, compute());
+                }
+            }
+            if (type) {
+                this.raise(root, type);
+                changed = true;
+            }
+        }
+        
+        return changed;
+    }
+    
+    /**
+     * Правило 3: о переменной не известно ничего, кроме обращений
+     * к элементам или свойствам. По одной переменной за раз: её тип
+     * может дойти потоками до остальных.
+     */
+    defaultRemaining() {
+        const root = this.unresolvedRoots()[0];
+        if (!root) return false;
+        
+        if (root.element) {
+            this.raise(root, new Type(TypeKind.ARRAY, { elementType: root.element }));
+        } else if (Object.keys(root.properties).length > 0) {
+            this.raise(root, new Type(TypeKind.OBJECT, { properties: { ...root.properties } }));
+        } else {
+            this.raise(root, new Type(TypeKind.NUMBER));
+        }
+        return true;
     }
     
     /**
-     * Создаёт дочернее окружение.
-     * 
-     * Используется при входе в новый блок (функция, цикл, условие).
+     * Переводит решение в обычный Type без переменных типа.
      */
-    extend() {
-        return new TypeEnvironment(this);
+    resolve(term, resolving) {
+        const type = this.valueOf(term);
+        if (!type) {
+            return new Type(TypeKind.UNKNOWN);
+        }
+        
+        // Тип, содержащий сам себя (o.self = o), не выразить конечным Type
+        const root = term instanceof TypeVariable ? this.find(term) : term;
+        if (resolving.has(root)) {
+            return new Type(TypeKind.ANY);
+        }
+        resolving.add(root);
+        
+        let result;
+        switch (type.kind) {
+            case TypeKind.ARRAY:
+                result = new Type(TypeKind.ARRAY, {
+                    elementType: this.resolve(type.elementType, resolving)
+                });
+                break;
+            case TypeKind.OBJECT: {
+                const properties = {};
+                for (const name in type.properties) {
+                    properties[name] = this.resolve(type.properties[name], resolving);
+                }
+                result = new Type(TypeKind.OBJECT, { properties });
+                break;
+            }
+            case TypeKind.FUNCTION:
+                result = new Type(TypeKind.FUNCTION, {
+                    paramTypes: type.paramTypes.map(param => this.resolve(param, resolving)),
+                    returnType: type.returnType
+                        ? this.resolve(type.returnType, resolving)
+                        : new Type(TypeKind.VOID)
+                });
+                break;
+            default:
+                result = new Type(type.kind);
+        }
+        
+        resolving.delete(root);
+        return result;
     }
 }
 
@@ -271,8 +1463,38 @@ class TypeAnalyzer {
         // Текущее окружение (изменяется при входе/выходе из блоков)
         this.currentEnv = this.globalEnv;
         
-        // Ошибки типов, найденные во время анализа
+        // Ошибки типов (Diagnostic), найденные во время анализа
         this.errors = [];
+        
+        // Глубина вложенности циклов в текущей функции (для break/continue)
+        this.loopDepth = 0;
+        
+        // Типы, выведенные TypeInference: узел → Type
+        this.solution = new Map();
+        
+        // Тип результата текущей функции (для проверки return)
+        this.currentReturnType = null;
+        
+        // Окружение и объявления переменных верхнего уровня программы
+        this.programEnv = null;
+        this.programVariables = [];
+    }
+    
+    /**
+     * Сообщает об ошибке типов в узле AST.
+     * 
+     * Диагностика получает диапазон узла (node.loc), поэтому редактор может
+     * подчеркнуть именно то выражение, в котором ошибка.
+     */
+    report(code, message, node) {
+        const { Diagnostic, DiagnosticSeverity, DiagnosticCode } = globalThis.CompilerStage5;
+        this.errors.push(new Diagnostic(
+            DiagnosticCode[code],
+            DiagnosticSeverity.ERROR,
+            message,
+            node && node.loc ? node.loc : null,
+            'type'
+        ));
     }
     
     /**
@@ -280,7 +1502,10 @@ class TypeAnalyzer {
      * 
      * JavaScript имеет множество встроенных функций и объектов (console, Math,
      * Array и т.д.). Мы добавляем некоторые из них в глобальное окружение,
-     * чтобы анализатор знал их типы.
+     * чтобы анализатор знал их типы: console.log, функции из
+     * BuiltinFunctions и константы из BuiltinConstants. Math.abs
+     * становится свойством abs объекта Math, parseInt - глобальной
+     * функцией.
      */
     initializeGlobalEnvironment() {
         // console.log принимает любые аргументы и ничего не возвращает
@@ -293,23 +1518,35 @@ class TypeAnalyzer {
             }
         }));
         
-        // Math объект с математическими функциями
-        this.globalEnv.define('Math', new Type(TypeKind.OBJECT, {
-            properties: {
-                abs: new Type(TypeKind.FUNCTION, {
-                    paramTypes: [new Type(TypeKind.NUMBER)],
-                    returnType: new Type(TypeKind.NUMBER)
-                }),
-                floor: new Type(TypeKind.FUNCTION, {
-                    paramTypes: [new Type(TypeKind.NUMBER)],
-                    returnType: new Type(TypeKind.INTEGER)
-                }),
-                sqrt: new Type(TypeKind.FUNCTION, {
-                    paramTypes: [new Type(TypeKind.NUMBER)],
-                    returnType: new Type(TypeKind.NUMBER)
-                })
+        // Math, Number и глобальные функции
+        const builtins = Object.entries(BuiltinFunctions).map(([name, signature]) => [name, new Type(TypeKind.FUNCTION, {
+            paramTypes: signature.params.map(kind => new Type(kind)),
+            returnType: new Type(signature.result),
+            builtin: name,
+            keepsInteger: signature.keepsInteger,
+            restType: signature.rest && new Type(signature.rest),
+            optionalParams: signature.optional
+        })]);
+        for (const name of Object.keys(BuiltinConstants)) {
+            builtins.push([name, new Type(TypeKind.NUMBER, { builtin: name })]);
+        }
+        
+        const objects = new Map();
+        for (const [name, type] of builtins) {
+            const [objectName, property] = name.split('.');
+            if (!property) {
+                this.globalEnv.define(name, type);
+                continue;
             }
-        }));
+            if (!objects.has(objectName)) {
+                objects.set(objectName, {});
+            }
+            objects.get(objectName)[property] = type;
+        }
+        
+        for (const [name, properties] of objects) {
+            this.globalEnv.define(name, new Type(TypeKind.OBJECT, { properties }));
+        }
     }
     
     /**
@@ -323,7 +1560,18 @@ class TypeAnalyzer {
      */
     analyze(ast) {
         this.errors = [];
+        this.loopDepth = 0;
+        this.currentReturnType = null;
+        
+        // x += e и x++ дальше - обычные присваивания
+        const updates = this.lowerAssignments(ast);
+        
+        // Сначала типы параметров, переменных и результатов функций
+        // выводятся по всей программе сразу (TypeInference), затем обход
+        // ниже аннотирует каждый узел и сообщает об ошибках
+        this.solution = new TypeInference(this.globalEnv).infer(ast);
         this.analyzeNode(ast);
+        this.checkUpdates(updates);
         
         if (this.errors.length > 0) {
             console.warn(`Найдено ${this.errors.length} ошибок типов:`);
@@ -333,6 +1581,147 @@ class TypeAnalyzer {
         return ast;
     }
     
+    /**
+     * Сводит составные присваивания и ++/-- к обычному присваиванию:
+     * 
+     *   x += e    →  x = x + e
+     *   ++x, x++  →  x = x + 1          (значение не используется или ++x)
+     *   x++       →  (x = x + 1) - 1    (значение старое)
+     * 
+     * Остальные фазы (вывод типов, оптимизации, генерация) знают только
+     * обычное присваивание. Цель читается ещё раз, поэтому у a[i] += 1
+     * в объекте и индексе не должно быть вызовов и присваиваний.
+     * 
+     * Узлы заменяются на месте. Возвращает присваивания, полученные из
+     * ++/--: их цель должна оказаться числом (см. checkUpdates).
+     */
+    lowerAssignments(root) {
+        const updates = [];
+        
+        const one = (loc) => ({ type: 'NumberLiteral', value: 1, loc });
+        const lowerNode = (node, discarded) => {
+            if (node.type === 'AssignmentExpression' && node.operator && node.operator !== '=') {
+                return {
+                    type: 'AssignmentExpression',
+                    operator: '=',
+                    left: node.left,
+                    right: {
+                        type: 'BinaryExpression',
+                        operator: node.operator.slice(0, -1),
+                        left: this.rereadTarget(node.left),
+                        right: node.right,
+                        loc: node.loc
+                    },
+                    loc: node.loc
+                };
+            }
+            
+            if (node.type === 'UpdateExpression') {
+                const operator = node.operator === '++' ? '+' : '-';
+                const assignment = {
+                    type: 'AssignmentExpression',
+                    operator: '=',
+                    left: node.argument,
+                    right: {
+                        type: 'BinaryExpression',
+                        operator,
+                        left: this.rereadTarget(node.argument),
+                        right: one(node.loc),
+                        loc: node.loc
+                    },
+                    loc: node.loc
+                };
+                
+                if (node.prefix || discarded) {
+                    updates.push({ node, assignment, oldValue: null });
+                    return assignment;
+                }
+                
+                const oldValue = {
+                    type: 'BinaryExpression',
+                    operator: operator === '+' ? '-' : '+',
+                    left: assignment,
+                    right: one(node.loc),
+                    loc: node.loc
+                };
+                updates.push({ node, assignment, oldValue });
+                return oldValue;
+            }
+            
+            return node;
+        };
+        
+        const visit = (node, discarded) => {
+            const lowered = lowerNode(node, discarded);
+            
+            for (const key in lowered) {
+                if (['loc', 'inferredType', 'typeAnnotation', 'returnType'].includes(key)) continue;
+                
+                const child = lowered[key];
+                const childDiscarded = (lowered.type === 'ExpressionStatement' && key === 'expression') ||
+                                       (lowered.type === 'ForStatement' && key === 'update');
+                if (Array.isArray(child)) {
+                    for (let i = 0; i < child.length; i++) {
+                        if (child[i] && typeof child[i].type === 'string') {
+                            child[i] = visit(child[i], false);
+                        }
+                    }
+                } else if (child && typeof child.type === 'string') {
+                    lowered[key] = visit(child, childDiscarded);
+                }
+            }
+            return lowered;
+        };
+        
+        visit(root, false);
+        return updates;
+    }
+    
+    /**
+     * Копия цели присваивания для чтения её значения (см. lowerAssignments).
+     */
+    rereadTarget(target) {
+        if (target.type !== 'MemberExpression') {
+            return JSON.parse(JSON.stringify(target));
+        }
+        
+        const sideEffects = (node) => node && typeof node === 'object' && (
+            ['CallExpression', 'AssignmentExpression', 'UpdateExpression'].includes(node.type) ||
+            Object.keys(node).some(key => key !== 'loc' && sideEffects(node[key]))
+        );
+        if (sideEffects(target.object) || (target.computed && sideEffects(target.property))) {
+            this.report(
+                'INVALID_MEMBER_ACCESS',
+                'Составное присваивание элементу, адрес которого вычисляется с побочными эффектами, не поддерживается',
+                target
+            );
+        }
+        return JSON.parse(JSON.stringify(target));
+    }
+    
+    /**
+     * ++ и -- определены только для чисел. Старое значение x++ получается
+     * вычитанием единицы, что точно только для целых: у дробного числа
+     * (0.1 + 1) - 1 !== 0.1.
+     */
+    checkUpdates(updates) {
+        for (const { node, assignment, oldValue } of updates) {
+            // Тип значения цели - у её копии, прочитанной в x + 1
+            const type = assignment.right.left.inferredType;
+            if (!type || type.kind === TypeKind.UNKNOWN) continue;
+            
+            if (!NumericKinds.includes(type.kind)) {
+                this.report('INVALID_OPERANDS', `Оператор ${node.operator} применим только к числам, получен ${type}`, node);
+            } else if (oldValue && type.kind !== TypeKind.INTEGER) {
+                this.report(
+                    'INVALID_OPERANDS',
+                    `Значение постфиксного ${node.operator} у дробного числа не поддерживается: используйте префиксный ${node.operator}`,
+                    node
+                );
+            }
+        }
+    }
+    
     /**
      * Анализирует отдельный узел AST.
      * 
@@ -349,6 +1738,9 @@ class TypeAnalyzer {
             case 'FunctionDeclaration':
                 return this.analyzeFunctionDeclaration(node);
             
+            case 'ImportDeclaration':
+                return this.analyzeImportDeclaration(node);
+            
             case 'VariableDeclaration':
                 return this.analyzeVariableDeclaration(node);
             
@@ -367,6 +1759,10 @@ class TypeAnalyzer {
             case 'ForStatement':
                 return this.analyzeForStatement(node);
             
+            case 'BreakStatement':
+            case 'ContinueStatement':
+                return this.analyzeJumpStatement(node);
+            
             case 'ExpressionStatement':
                 return this.analyzeNode(node.expression);
             
@@ -379,12 +1775,21 @@ class TypeAnalyzer {
             case 'AssignmentExpression':
                 return this.analyzeAssignmentExpression(node);
             
+            case 'ConditionalExpression':
+                return this.analyzeConditionalExpression(node);
+            
             case 'CallExpression':
                 return this.analyzeCallExpression(node);
             
             case 'MemberExpression':
                 return this.analyzeMemberExpression(node);
             
+            case 'ArrayExpression':
+                return this.analyzeArrayExpression(node);
+            
+            case 'ObjectExpression':
+                return this.analyzeObjectExpression(node);
+            
             case 'Identifier':
                 return this.analyzeIdentifier(node);
             
@@ -404,6 +1809,11 @@ class TypeAnalyzer {
             case 'ArrowFunctionExpression':
                 return this.analyzeArrowFunction(node);
             
+            case 'ErrorNode':
+                // Код с синтаксической ошибкой: о нём уже сообщил парсер
+                node.inferredType = new Type(TypeKind.UNKNOWN);
+                return node.inferredType;
+            
             default:
                 console.warn(`Неизвестный тип узла: ${node.type}`);
                 return new Type(TypeKind.UNKNOWN);
@@ -414,27 +1824,72 @@ class TypeAnalyzer {
      * Анализирует программу (корневой узел).
      */
     analyzeProgram(node) {
+        // Объявления функций всплывают, как в JavaScript: функцию можно
+        // вызвать выше её объявления (и импортированную тоже)
+        for (const statement of node.body) {
+            if (statement.type === 'FunctionDeclaration' || statement.type === 'ImportDeclaration') {
+                this.currentEnv.define(statement.name, this.functionType(statement));
+            }
+        }
+        
+        // Тело функции выполняется только при вызове, поэтому в нём видны
+        // и переменные верхнего уровня, объявленные ниже функции (см.
+        // defineProgramVariables)
+        this.programEnv = this.currentEnv;
+        this.programVariables = node.body.filter(statement => statement.type === 'VariableDeclaration');
+        
         for (const statement of node.body) {
             this.analyzeNode(statement);
         }
         return new Type(TypeKind.VOID);
     }
     
+    /**
+     * Определяет в окружении функции верхнего уровня переменные
+     * программы, которые ещё не объявлены к этому месту.
+     */
+    defineProgramVariables(functionEnv, outerEnv) {
+        if (outerEnv !== this.programEnv) return;
+        
+        for (const declaration of this.programVariables) {
+            if (!outerEnv.bindings.has(declaration.name)) {
+                const type = this.solvedType(declaration) || new Type(TypeKind.UNKNOWN);
+                functionEnv.define(declaration.name, type, declaration.kind === 'const');
+            }
+        }
+    }
+    
+    /**
+     * Тип узла, выведенный TypeInference, или null, если вывести его
+     * не удалось.
+     */
+    solvedType(node) {
+        const type = this.solution.get(node);
+        return type && type.kind !== TypeKind.UNKNOWN ? type : null;
+    }
+    
+    /**
+     * Тип функции с выведенными типами параметров и результата.
+     */
+    functionType(node) {
+        return this.solvedType(node) || new Type(TypeKind.FUNCTION, {
+            paramTypes: node.params.map(() => new Type(TypeKind.UNKNOWN)),
+            returnType: new Type(TypeKind.UNKNOWN)
+        });
+    }
+    
     /**
      * Анализирует объявление функции.
      * 
      * Для функции нам нужно:
-     * 1. Определить типы параметров (изначально UNKNOWN)
+     * 1. Взять типы параметров и результата, выведенные TypeInference
+     *    (в том числе из мест вызова функции)
      * 2. Проанализировать тело функции в новом окружении
-     * 3. Вывести тип возвращаемого значения из return операторов
+     * 3. Проверить, что каждый return возвращает тип результата
      */
     analyzeFunctionDeclaration(node) {
-        // Создаём тип функции с неизвестными типами параметров
-        const paramTypes = node.params.map(() => new Type(TypeKind.UNKNOWN));
-        const funcType = new Type(TypeKind.FUNCTION, {
-            paramTypes: paramTypes,
-            returnType: new Type(TypeKind.UNKNOWN)
-        });
+        const funcType = this.functionType(node);
+        const paramTypes = funcType.paramTypes;
         
         // Определяем функцию в текущем окружении
         this.currentEnv.define(node.name, funcType);
@@ -443,21 +1898,31 @@ class TypeAnalyzer {
         const functionEnv = this.currentEnv.extend();
         const previousEnv = this.currentEnv;
         this.currentEnv = functionEnv;
+        this.defineProgramVariables(functionEnv, previousEnv);
         
         // Определяем параметры в окружении функции
         for (let i = 0; i < node.params.length; i++) {
             const param = node.params[i];
+            this.checkAnnotation(param.typeAnnotation);
             functionEnv.define(param.name, paramTypes[i]);
             param.inferredType = paramTypes[i];
         }
         
-        // Анализируем тело функции
+        // Анализируем тело функции. break/continue не могут выйти за границу
+        // функции, поэтому циклы снаружи не считаются
+        const outerLoopDepth = this.loopDepth;
+        const outerReturnType = this.currentReturnType;
+        this.loopDepth = 0;
+        this.checkAnnotation(node.returnType);
+        this.currentReturnType = this.knownReturnType(funcType);
         this.analyzeNode(node.body);
+        this.loopDepth = outerLoopDepth;
+        this.currentReturnType = outerReturnType;
         
-        // Пытаемся вывести тип возвращаемого значения
-        // Это упрощённая версия - в реальности нужно собрать все return операторы
-        // и объединить их типы
-        funcType.returnType = this.inferReturnType(node.body);
+        // Если тип результата вывести не удалось, берём его из return
+        if (!this.knownReturnType(funcType)) {
+            funcType.returnType = this.inferReturnType(node.body);
+        }
         
         // Возвращаемся к предыдущему окружению
         this.currentEnv = previousEnv;
@@ -466,6 +1931,50 @@ class TypeAnalyzer {
         return funcType;
     }
     
+    /**
+     * Анализирует объявление импортированной функции. Тела, из которого
+     * можно вывести типы, у неё нет, поэтому типы параметров и
+     * результата берутся только из аннотаций.
+     */
+    analyzeImportDeclaration(node) {
+        const funcType = this.functionType(node);
+        
+        node.params.forEach((param, i) => {
+            if (!param.typeAnnotation) {
+                this.report('UNKNOWN_TYPE', `Не указан тип параметра ${param.name} импортированной функции ${node.name}`, param);
+            }
+            this.checkAnnotation(param.typeAnnotation);
+            param.inferredType = funcType.paramTypes[i];
+        });
+        
+        if (!node.returnType) {
+            this.report('UNKNOWN_TYPE', `Не указан тип результата импортированной функции ${node.name} (void, если его нет)`, node);
+        }
+        this.checkAnnotation(node.returnType);
+        
+        this.currentEnv.define(node.name, funcType);
+        node.inferredType = funcType;
+        return funcType;
+    }
+    
+    /**
+     * Сообщает о неизвестных именах типов в аннотации. Сам тип из
+     * аннотации уже учтён в решении TypeInference.
+     */
+    checkAnnotation(annotation) {
+        typeFromAnnotation(annotation, node => {
+            this.report('UNKNOWN_TYPE', `Неизвестный тип: ${node.name}`, node);
+        });
+    }
+    
+    /**
+     * Тип результата функции, если он выведен, иначе null.
+     */
+    knownReturnType(funcType) {
+        const type = funcType.returnType;
+        return type && type.kind !== TypeKind.UNKNOWN ? type : null;
+    }
+    
     /**
      * Выводит тип возвращаемого значения из тела функции.
      * 
@@ -520,17 +2029,24 @@ class TypeAnalyzer {
      * Анализирует объявление переменной.
      */
     analyzeVariableDeclaration(node) {
-        let type;
-        
-        if (node.init) {
-            // Если есть инициализация, тип выводится из инициализирующего выражения
-            type = this.analyzeNode(node.init);
-        } else {
-            // Без инициализации тип неизвестен
-            type = new Type(TypeKind.UNKNOWN);
+        const initType = node.init ? this.analyzeNode(node.init) : null;
+        this.checkAnnotation(node.typeAnnotation);
+        
+        // Тип переменной выведен по всем значениям, которые в неё попадают:
+        // после `let s = 0; s = s + 0.5;` s имеет тип number, а не integer.
+        // Аннотация (let s: i32) закрепляет тип, и тогда s = s + 0.5 -
+        // ошибка. Если вывести не удалось, тип берётся из инициализации
+        const type = this.solvedType(node) || initType || new Type(TypeKind.UNKNOWN);
+        
+        if (initType && !type.accepts(initType)) {
+            this.report(
+                'INCOMPATIBLE_ASSIGNMENT',
+                `Несовместимые типы при присваивании: ${type} = ${initType}`,
+                node
+            );
         }
         
-        this.currentEnv.define(node.name, type);
+        this.currentEnv.define(node.name, type, node.kind === 'const');
         node.inferredType = type;
         
         return type;
@@ -564,6 +2080,15 @@ class TypeAnalyzer {
             node.inferredType = new Type(TypeKind.VOID);
         }
         
+        if (this.currentReturnType && !this.currentReturnType.accepts(node.inferredType)) {
+            this.report(
+                'RETURN_TYPE_MISMATCH',
+                `Несовместимый тип результата: ожидается ${this.currentReturnType.kind}, ` +
+                `получено ${node.inferredType.kind}`,
+                node
+            );
+        }
+        
         return node.inferredType;
     }
     
@@ -576,8 +2101,10 @@ class TypeAnalyzer {
         if (condType.kind !== TypeKind.BOOLEAN && 
             condType.kind !== TypeKind.UNKNOWN && 
             condType.kind !== TypeKind.ANY) {
-            this.errors.push(
-                `Условие if должно быть булевым, получено: ${condType.kind}`
+            this.report(
+                'CONDITION_NOT_BOOLEAN',
+                `Условие if должно быть булевым, получено: ${condType.kind}`,
+                node.condition
             );
         }
         
@@ -596,12 +2123,16 @@ class TypeAnalyzer {
         const condType = this.analyzeNode(node.condition);
         if (condType.kind !== TypeKind.BOOLEAN && 
             condType.kind !== TypeKind.UNKNOWN) {
-            this.errors.push(
-                `Условие while должно быть булевым, получено: ${condType.kind}`
+            this.report(
+                'CONDITION_NOT_BOOLEAN',
+                `Условие while должно быть булевым, получено: ${condType.kind}`,
+                node.condition
             );
         }
         
+        this.loopDepth++;
         this.analyzeNode(node.body);
+        this.loopDepth--;
         
         return new Type(TypeKind.VOID);
     }
@@ -615,14 +2146,30 @@ class TypeAnalyzer {
             const condType = this.analyzeNode(node.condition);
             if (condType.kind !== TypeKind.BOOLEAN && 
                 condType.kind !== TypeKind.UNKNOWN) {
-                this.errors.push(
-                    `Условие for должно быть булевым, получено: ${condType.kind}`
+                this.report(
+                    'CONDITION_NOT_BOOLEAN',
+                    `Условие for должно быть булевым, получено: ${condType.kind}`,
+                    node.condition
                 );
             }
         }
         if (node.update) this.analyzeNode(node.update);
         
+        this.loopDepth++;
         this.analyzeNode(node.body);
+        this.loopDepth--;
+        
+        return new Type(TypeKind.VOID);
+    }
+    
+    /**
+     * Анализирует break и continue: они допустимы только внутри цикла.
+     */
+    analyzeJumpStatement(node) {
+        if (this.loopDepth === 0) {
+            const keyword = node.type === 'BreakStatement' ? 'break' : 'continue';
+            this.report('JUMP_OUTSIDE_LOOP', `${keyword} вне цикла`, node);
+        }
         
         return new Type(TypeKind.VOID);
     }
@@ -672,8 +2219,10 @@ class TypeAnalyzer {
             }
             
             // Несовместимые типы для арифметики
-            this.errors.push(
-                `Оператор ${op} не применим к типам ${leftType.kind} и ${rightType.kind}`
+            this.report(
+                'INVALID_OPERANDS',
+                `Оператор ${op} не применим к типам ${leftType.kind} и ${rightType.kind}`,
+                node
             );
             node.inferredType = new Type(TypeKind.ANY);
             return node.inferredType;
@@ -687,14 +2236,49 @@ class TypeAnalyzer {
         
         // Логические операторы: &&, ||
         if (['&&', '||'].includes(op)) {
-            node.inferredType = new Type(TypeKind.BOOLEAN);
-            return node.inferredType;
+            return this.analyzeLogicalExpression(node, leftType, rightType);
         }
         
         node.inferredType = new Type(TypeKind.UNKNOWN);
         return node.inferredType;
     }
     
+    /**
+     * Анализирует логические операторы && и ||.
+     * 
+     * В JavaScript они возвращают не true/false, а один из операндов:
+     * 2 && 1 даёт 1, 0 || 5 даёт 5. Поэтому тип результата - общий тип
+     * операндов, как у веток тернарного оператора. boolean и integer оба
+     * представлены в WASM как i32, так что их смесь - integer; с number
+     * всё объединяется в number.
+     * 
+     * Результат && и || должен иметь один WASM тип, а истинность строк,
+     * массивов и объектов генератор не вычисляет, поэтому такие
+     * операнды - ошибка.
+     */
+    analyzeLogicalExpression(node, leftType, rightType) {
+        const scalar = [TypeKind.BOOLEAN, TypeKind.INTEGER, TypeKind.NUMBER];
+        
+        if (leftType.kind === TypeKind.UNKNOWN || rightType.kind === TypeKind.UNKNOWN) {
+            node.inferredType = new Type(TypeKind.UNKNOWN);
+        } else if (!scalar.includes(leftType.kind) || !scalar.includes(rightType.kind)) {
+            this.report(
+                'INVALID_OPERANDS',
+                `Оператор ${node.operator} не применим к типам ${leftType.kind} и ${rightType.kind}`,
+                node
+            );
+            node.inferredType = new Type(TypeKind.ANY);
+        } else if (leftType.kind === rightType.kind) {
+            node.inferredType = leftType;
+        } else if (leftType.kind === TypeKind.NUMBER || rightType.kind === TypeKind.NUMBER) {
+            node.inferredType = new Type(TypeKind.NUMBER);
+        } else {
+            node.inferredType = new Type(TypeKind.INTEGER);
+        }
+        
+        return node.inferredType;
+    }
+    
     /**
      * Анализирует унарное выражение.
      */
@@ -721,12 +2305,16 @@ class TypeAnalyzer {
         if (node.left.type === 'Identifier') {
             const leftType = this.currentEnv.lookup(node.left.name);
             
-            if (leftType) {
+            if (leftType && this.currentEnv.isConstant(node.left.name)) {
+                this.report('ASSIGNMENT_TO_CONSTANT', `Присваивание константе: ${node.left.name}`, node.left);
+            } else if (leftType) {
                 // Проверяем совместимость типов
-                if (!leftType.isCompatibleWith(rightType)) {
-                    this.errors.push(
+                if (!leftType.accepts(rightType)) {
+                    this.report(
+                        'INCOMPATIBLE_ASSIGNMENT',
                         `Несовместимые типы при присваивании: ` +
-                        `${leftType.kind} = ${rightType.kind}`
+                        `${leftType} = ${rightType}`,
+                        node
                     );
                 }
                 
@@ -735,12 +2323,156 @@ class TypeAnalyzer {
                     this.currentEnv.update(node.left.name, rightType);
                 }
             }
+        } else if (node.left.type === 'MemberExpression') {
+            // a[i] = v, obj.x = v
+            const leftType = this.analyzeNode(node.left);
+            const objectType = node.left.object.inferredType;
+            
+            const target = node.left.object.type === 'Identifier' && !node.left.computed
+                ? `${node.left.object.name}.${node.left.property.name}` : null;
+            if (leftType.builtin && leftType.builtin === target) {
+                // Math.PI = 3 в JavaScript ничего не меняет
+                this.report('ASSIGNMENT_TO_CONSTANT', `Присваивание константе: ${leftType.builtin}`, node.left);
+            } else if (!node.left.computed && objectType.kind === TypeKind.ARRAY) {
+                // Массивы имеют фиксированную длину
+                this.report(
+                    'INVALID_MEMBER_ACCESS',
+                    `Свойство ${node.left.property.name} массива только для чтения`,
+                    node.left
+                );
+            } else if (!leftType.accepts(rightType)) {
+                this.report(
+                    'INCOMPATIBLE_ASSIGNMENT',
+                    `Несовместимые типы при присваивании: ` +
+                    `${leftType} = ${rightType}`,
+                    node
+                );
+            }
+        } else {
+            this.report('INVALID_MEMBER_ACCESS', 'Присваивать можно только переменной, элементу или свойству', node.left);
         }
         
         node.inferredType = rightType;
         return rightType;
     }
     
+    /**
+     * Анализирует тернарный оператор.
+     * 
+     * Условие проверяется так же, как в if. Обе ветки должны иметь общий тип:
+     * в WASM результат блока if (result T) имеет один фиксированный тип.
+     * integer и number объединяются в number - целая ветка будет
+     * преобразована в f64 при генерации кода.
+     */
+    analyzeConditionalExpression(node) {
+        const condType = this.analyzeNode(node.condition);
+        if (condType.kind !== TypeKind.BOOLEAN && 
+            condType.kind !== TypeKind.UNKNOWN && 
+            condType.kind !== TypeKind.ANY) {
+            this.report(
+                'CONDITION_NOT_BOOLEAN',
+                `Условие тернарного оператора должно быть булевым, получено: ${condType.kind}`,
+                node.condition
+            );
+        }
+        
+        const thenType = this.analyzeNode(node.then);
+        const elseType = this.analyzeNode(node.else);
+        
+        node.inferredType = this.joinTypes(thenType, elseType);
+        if (!node.inferredType) {
+            this.report(
+                'BRANCH_TYPE_MISMATCH',
+                `Ветки тернарного оператора имеют разные типы: ${thenType.kind} и ${elseType.kind}`,
+                node
+            );
+            node.inferredType = new Type(TypeKind.ANY);
+        }
+        
+        return node.inferredType;
+    }
+    
+    /**
+     * Общий тип двух значений, которые попадают в одно место (ветки
+     * тернарного оператора, элементы массива), или null, если общего
+     * типа нет.
+     * 
+     * Одинаковые типы дают этот тип, integer и number - number (целое
+     * будет преобразовано в f64 при генерации кода), неизвестный тип
+     * делает неизвестным и результат.
+     */
+    joinTypes(a, b) {
+        const numeric = [TypeKind.INTEGER, TypeKind.NUMBER];
+        
+        if (a.kind === b.kind) {
+            return a;
+        }
+        if (numeric.includes(a.kind) && numeric.includes(b.kind)) {
+            return new Type(TypeKind.NUMBER);
+        }
+        if (a.kind === TypeKind.UNKNOWN || b.kind === TypeKind.UNKNOWN) {
+            return new Type(TypeKind.UNKNOWN);
+        }
+        return null;
+    }
+    
+    /**
+     * Анализирует литерал массива.
+     * 
+     * Тип элемента - общий тип всех элементов: [1, 2.5] - Array<number>.
+     * Элементы массива в памяти имеют один размер (4 или 8 байт), поэтому
+     * массив из значений несовместимых типов ([1, "a"]) - ошибка.
+     * 
+     * TypeInference учитывает и то, что записывается в массив потом:
+     * после `let a = [1, 2]; a[0] = 2.5;` литерал [1, 2] - Array<number>.
+     */
+    analyzeArrayExpression(node) {
+        const solved = this.solvedType(node);
+        let elementType = solved ? solved.elementType : null;
+        
+        for (const element of node.elements) {
+            const type = this.analyzeNode(element);
+            
+            if (!elementType) {
+                elementType = type;
+                continue;
+            }
+            
+            const joined = this.joinTypes(elementType, type);
+            if (!joined || (solved && !elementType.isCompatibleWith(type))) {
+                this.report(
+                    'ELEMENT_TYPE_MISMATCH',
+                    `Элементы массива имеют разные типы: ${elementType.kind} и ${type.kind}`,
+                    element
+                );
+                if (!solved) elementType = new Type(TypeKind.ANY);
+            } else if (!solved) {
+                elementType = joined;
+            }
+        }
+        
+        node.inferredType = solved || new Type(TypeKind.ARRAY, {
+            elementType: elementType || new Type(TypeKind.UNKNOWN)
+        });
+        return node.inferredType;
+    }
+    
+    /**
+     * Анализирует литерал объекта: тип объекта - набор типов его свойств
+     * (выведенных TypeInference, как и элементы массива).
+     */
+    analyzeObjectExpression(node) {
+        const properties = {};
+        
+        for (const property of node.properties) {
+            property.inferredType = this.analyzeNode(property.value);
+            properties[property.key.name] = property.inferredType;
+        }
+        
+        node.inferredType = this.solvedType(node) || new Type(TypeKind.OBJECT, { properties });
+        return node.inferredType;
+    }
+    
     /**
      * Анализирует вызов функции.
      */
@@ -751,26 +2483,43 @@ class TypeAnalyzer {
         const argTypes = node.arguments.map(arg => this.analyzeNode(arg));
         
         if (calleeType.kind === TypeKind.FUNCTION) {
-            // Проверяем количество аргументов
-            if (argTypes.length !== calleeType.paramTypes.length) {
-                this.errors.push(
-                    `Неверное количество аргументов: ожидается ${calleeType.paramTypes.length}, ` +
-                    `получено ${argTypes.length}`
+            // Проверяем количество аргументов: необязательные параметры
+            // можно не передавать, а у функции с rest аргументов сколько угодно
+            const params = calleeType.paramTypes;
+            const min = params.length - calleeType.optionalParams;
+            const max = calleeType.restType ? Infinity : params.length;
+            if (argTypes.length < min || argTypes.length > max) {
+                const expected = max === Infinity ? `не меньше ${min}`
+                    : min === max ? `${min}` : `от ${min} до ${max}`;
+                this.report(
+                    'ARGUMENT_COUNT',
+                    `Неверное количество аргументов: ожидается ${expected}, ` +
+                    `получено ${argTypes.length}`,
+                    node
                 );
             }
             
             // Проверяем типы аргументов
-            for (let i = 0; i < Math.min(argTypes.length, calleeType.paramTypes.length); i++) {
-                if (!argTypes[i].isCompatibleWith(calleeType.paramTypes[i])) {
-                    this.errors.push(
+            for (let i = 0; i < Math.min(argTypes.length, max); i++) {
+                const paramType = i < params.length ? params[i] : calleeType.restType;
+                if (!paramType.accepts(argTypes[i])) {
+                    this.report(
+                        'ARGUMENT_TYPE',
                         `Несовместимый тип аргумента ${i + 1}: ` +
-                        `ожидается ${calleeType.paramTypes[i].kind}, ` +
-                        `получено ${argTypes[i].kind}`
+                        `ожидается ${paramType}, ` +
+                        `получено ${argTypes[i]}`,
+                        node.arguments[i]
                     );
                 }
             }
             
             node.inferredType = calleeType.returnType || new Type(TypeKind.VOID);
+            
+            // Math.max() без аргументов - -Infinity, не целое
+            if (calleeType.keepsInteger && argTypes.length > 0 &&
+                argTypes.every(type => type.kind === TypeKind.INTEGER)) {
+                node.inferredType = new Type(TypeKind.INTEGER);
+            }
         } else {
             node.inferredType = new Type(TypeKind.UNKNOWN);
         }
@@ -784,12 +2533,58 @@ class TypeAnalyzer {
     analyzeMemberExpression(node) {
         const objectType = this.analyzeNode(node.object);
         
+        // Индексация массива: a[i]
+        if (node.computed) {
+            const indexType = this.analyzeNode(node.property);
+            
+            if (objectType.kind === TypeKind.ARRAY) {
+                if (![TypeKind.INTEGER, TypeKind.UNKNOWN, TypeKind.ANY].includes(indexType.kind)) {
+                    this.report(
+                        'INVALID_MEMBER_ACCESS',
+                        `Индекс массива должен быть целым числом, получено: ${indexType.kind}`,
+                        node.property
+                    );
+                }
+                node.inferredType = objectType.elementType || new Type(TypeKind.UNKNOWN);
+                return node.inferredType;
+            }
+            
+            node.inferredType = new Type(TypeKind.UNKNOWN);
+            return node.inferredType;
+        }
+        
         if (objectType.kind === TypeKind.OBJECT && node.property.type === 'Identifier') {
             const propName = node.property.name;
             if (objectType.properties[propName]) {
                 node.inferredType = objectType.properties[propName];
                 return node.inferredType;
             }
+            
+            // В JavaScript это undefined, но у скомпилированного объекта
+            // нет места под такое свойство - почти всегда это опечатка
+            this.report('UNKNOWN_PROPERTY', `У объекта нет свойства ${propName}`, node.property);
+            node.inferredType = new Type(TypeKind.ANY);
+            return node.inferredType;
+        }
+        
+        if (objectType.kind === TypeKind.ARRAY && node.property.name === 'length') {
+            node.inferredType = new Type(TypeKind.INTEGER);
+            return node.inferredType;
+        }
+        
+        // Члены строк, которые поддерживает рантайм компилятора
+        if (objectType.kind === TypeKind.STRING && !node.computed) {
+            if (node.property.name === 'length') {
+                node.inferredType = new Type(TypeKind.INTEGER);
+                return node.inferredType;
+            }
+            if (node.property.name === 'charCodeAt') {
+                node.inferredType = new Type(TypeKind.FUNCTION, {
+                    paramTypes: [new Type(TypeKind.INTEGER)],
+                    returnType: new Type(TypeKind.INTEGER)
+                });
+                return node.inferredType;
+            }
         }
         
         node.inferredType = new Type(TypeKind.UNKNOWN);
@@ -803,7 +2598,7 @@ class TypeAnalyzer {
         const type = this.currentEnv.lookup(node.name);
         
         if (!type) {
-            this.errors.push(`Неопределённая переменная: ${node.name}`);
+            this.report('UNDEFINED_VARIABLE', `Неопределённая переменная: ${node.name}`, node);
             node.inferredType = new Type(TypeKind.UNKNOWN);
         } else {
             node.inferredType = type;
@@ -816,13 +2611,7 @@ class TypeAnalyzer {
      * Анализирует числовой литерал.
      */
     analyzeNumberLiteral(node) {
-        // Проверяем, целое ли это число
-        if (Number.isInteger(node.value)) {
-            node.inferredType = new Type(TypeKind.INTEGER);
-        } else {
-            node.inferredType = new Type(TypeKind.NUMBER);
-        }
-        
+        node.inferredType = new Type(numberLiteralKind(node.value));
         return node.inferredType;
     }
     
@@ -846,41 +2635,49 @@ class TypeAnalyzer {
      * Анализирует стрелочную функцию.
      */
     analyzeArrowFunction(node) {
-        const paramTypes = node.params.map(() => new Type(TypeKind.UNKNOWN));
+        const funcType = this.functionType(node);
+        const paramTypes = funcType.paramTypes;
         
         const functionEnv = this.currentEnv.extend();
         const previousEnv = this.currentEnv;
         this.currentEnv = functionEnv;
+        this.defineProgramVariables(functionEnv, previousEnv);
         
         for (let i = 0; i < node.params.length; i++) {
             functionEnv.define(node.params[i].name, paramTypes[i]);
             node.params[i].inferredType = paramTypes[i];
         }
         
+        const outerLoopDepth = this.loopDepth;
+        const outerReturnType = this.currentReturnType;
+        this.loopDepth = 0;
+        this.currentReturnType = this.knownReturnType(funcType);
         this.analyzeNode(node.body);
+        this.loopDepth = outerLoopDepth;
+        this.currentReturnType = outerReturnType;
         
-        const returnType = this.inferReturnType(node.body);
+        if (!this.knownReturnType(funcType)) {
+            funcType.returnType = this.inferReturnType(node.body);
+        }
         
         this.currentEnv = previousEnv;
         
-        node.inferredType = new Type(TypeKind.FUNCTION, {
-            paramTypes: paramTypes,
-            returnType: returnType
-        });
-        
+        node.inferredType = funcType;
         return node.inferredType;
     }
 }
 
 // Экспорт
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { TypeAnalyzer, Type, TypeKind, TypeEnvironment };
+    module.exports = { TypeAnalyzer, Type, TypeKind, TypeEnvironment, TypeVariable, TypeInference, BuiltinConstants };
+    require('./stage5-diagnostics.js');
 }
 
-if (typeof window !== 'undefined') {
-    window.CompilerStage5 = window.CompilerStage5 || {};
-    window.CompilerStage5.TypeAnalyzer = TypeAnalyzer;
-    window.CompilerStage5.Type = Type;
-    window.CompilerStage5.TypeKind = TypeKind;
-    window.CompilerStage5.TypeEnvironment = TypeEnvironment;
-}
+globalThis.CompilerStage5 = globalThis.CompilerStage5 || {};
+globalThis.CompilerStage5.TypeAnalyzer = TypeAnalyzer;
+globalThis.CompilerStage5.Type = Type;
+globalThis.CompilerStage5.TypeKind = TypeKind;
+globalThis.CompilerStage5.TypeEnvironment = TypeEnvironment;
+globalThis.CompilerStage5.TypeVariable = TypeVariable;
+globalThis.CompilerStage5.TypeInference = TypeInference;
+globalThis.CompilerStage5.BuiltinConstants = BuiltinConstants;
@@ -51,9 +51,9 @@
  * JavaScript типы → WASM типы:
  * - number/integer → i32 или f64
  * - boolean → i32 (0 или 1)
- * - string → externref (остаётся в JS)
- * - object → externref
- * - function → funcref
+ * - string → i32 (адрес строки в линейной памяти, см. RuntimeFunctions)
+ * - array, object → i32 (адрес в линейной памяти, см. RuntimeFunctions)
+ * - function → i32 (адрес замыкания, см. collectClosures)
  */
 
 const WasmType = {
@@ -61,10 +61,1263 @@ const WasmType = {
     I64: 'i64',     // 64-битное целое
     F32: 'f32',     // 32-битное float
     F64: 'f64',     // 64-битное float (double)
+    V128: 'v128',   // 128-битный вектор SIMD
     EXTERNREF: 'externref', // Ссылка на JS объект
     FUNCREF: 'funcref'      // Ссылка на функцию
 };
 
+/**
+ * Раскладка линейной памяти модуля.
+ * 
+ *   0 .. 7          не используется: адрес 0 не бывает адресом строки,
+ *                   массива или объекта; там лежат нули, поэтому
+ *                   неинициализированный массив имеет длину 0
+ *   8 .. heapStart  строковые литералы и замыкания функций без
+ *                   окружения (сегмент данных)
+ *   heapStart ..    куча (__alloc)
+ * 
+ * Куча и всё, что в ней выделяется, выровнены на 8 байт - по размеру f64.
+ */
+const MemoryLayout = {
+    DATA_START: 8,
+    PAGE_SIZE: 65536,
+    ALIGN: 8,
+    
+    // Заголовок массива: длина и выравнивание до 8
+    ARRAY_HEADER: 8,
+    
+    // Размер поля объекта: любое значение (i32 или f64) помещается в 8 байт
+    OBJECT_SLOT: 8,
+    
+    // Замыкание: индекс функции в таблице и адрес окружения
+    CLOSURE_SIZE: 8,
+    
+    // Заголовок окружения: адрес внешнего окружения и выравнивание до 8;
+    // переменные занимают по OBJECT_SLOT байт
+    ENV_HEADER: 8
+};
+
+/**
+ * Векторы SIMD для элементов массивов: v128 вмещает 2 f64 или 4 i32.
+ * ops - операторы, у которых есть поэлементная инструкция с той же
+ * семантикой, что у скалярной (i32 / - деление с остатком, у него
+ * векторной инструкции нет).
+ * 
+ * Формы f32x4 здесь нет: массивов f32 в языке нет (number - это f64).
+ */
+const SimdShapes = {
+    f64: { type: 'f64', shape: 'f64x2', lanes: 2, size: 8, ops: { '+': 'add', '-': 'sub', '*': 'mul', '/': 'div' } },
+    i32: { type: 'i32', shape: 'i32x4', lanes: 4, size: 4, ops: { '+': 'add', '-': 'sub', '*': 'mul' } }
+};
+
+/**
+ * Служебные функции времени выполнения.
+ * 
+ * Некоторые операции JavaScript не имеют одной инструкции WASM и слишком
+ * велики, чтобы встраивать их в каждое место использования. Такие
+ * операции реализуются функциями модуля, которые генератор добавляет
+ * только если программа ими пользуется (см. collectRuntimeFunctions).
+ * 
+ * Каждая запись - сигнатура в формате functionSignature(), список
+ * служебных функций, которые она вызывает (requires), и тело в виде
+ * линейного WAT: по инструкции на строку, блоки block/loop/if ... end.
+ * Тело переводится в вызовы instr() и begin/end-методов генератора
+ * (generateRuntimeCode), поэтому работает с обоими бэкендами.
+ * 
+ * СТРОКИ:
+ * 
+ * Строка - это i32 адрес в линейной памяти, по которому лежит заголовок
+ * с длиной в байтах, а сразу за ним - байты UTF-8:
+ * 
+ *   адрес s:  [длина: i32][байты UTF-8 ...]
+ * 
+ * Пара (ptr, len), с которой работают WABridge.readString/writeString, -
+ * это (s + 4, i32.load s). Строки неизменяемы, поэтому одну строку могут
+ * разделять несколько переменных, а конкатенация с пустой строкой просто
+ * возвращает другой операнд. Литералы лежат в сегменте данных, новые
+ * строки выделяются в куче через __alloc.
+ * 
+ * length и charCodeAt работают в единицах UTF-16, как в JavaScript:
+ * символ за пределами BMP (4 байта UTF-8) - это две единицы (суррогатная
+ * пара). Сравнение < и > тоже идёт по единицам UTF-16 (см. __str_compare).
+ * 
+ * МАССИВЫ И ОБЪЕКТЫ:
+ * 
+ * Массив - i32 адрес заголовка с длиной, за которым идут элементы. Все
+ * элементы имеют тип элемента массива и один размер: 8 байт для f64,
+ * 4 байта для остальных (i32 значения и адреса строк, массивов, объектов):
+ * 
+ *   адрес a:  [длина: i32][4 байта выравнивания][a[0]][a[1]] ...
+ * 
+ * Длина массива не меняется, поэтому её не нужно хранить отдельно от
+ * элементов, а индекс проверяется одним сравнением (__array_element).
+ * 
+ * Объект - i32 адрес его полей. Набор свойств известен из типа, поэтому
+ * имена в памяти не хранятся: каждое свойство занимает 8 байт, а поля
+ * упорядочены по имени свойства. Порядок не зависит от порядка свойств
+ * в литерале, так что {x: 1, y: 2} и {y: 2, x: 1} имеют одну раскладку:
+ * 
+ *   адрес o:  [o.x][o.y] ...          смещение o.x = 0, o.y = 8
+ * 
+ * Массивы и объекты создаются литералами в куче через __alloc и, как и
+ * в JavaScript, передаются по ссылке: b = a не копирует элементы.
+ * 
+ * ФУНКЦИИ:
+ * 
+ * Функция как значение - i32 адрес замыкания: индекса функции в таблице
+ * $__functions (её вызывает call_indirect) и адреса окружения - записи
+ * с переменными, которые функция захватила снаружи:
+ * 
+ *   адрес f:    [индекс в таблице: i32][окружение: i32]
+ *   окружение:  [внешнее окружение: i32][4 байта выравнивания][x][y] ...
+ * 
+ * Окружения образуют цепочку по вложенности функций; подробности - в
+ * collectClosures.
+ */
+const RuntimeFunctions = {
+    /**
+     * Остаток от деления f64 по правилам JavaScript (fmod): результат
+     * имеет знак делимого, x % 0, Infinity % y и NaN дают NaN,
+     * x % Infinity даёт x.
+     * 
+     * Формула x - trunc(x / y) * y теряет точность, когда частное больше
+     * 2^53, поэтому используется деление столбиком: |y| удваивается, пока
+     * не превысит половину |x|, затем вычитается из |x| с обратными
+     * делениями пополам. Каждое вычитание точное (t <= ax < 2t), так что
+     * результат совпадает с JavaScript бит в бит.
+     */
+    __f64_rem: {
+        params: [{ name: 'x', type: WasmType.F64 }, { name: 'y', type: WasmType.F64 }],
+        result: WasmType.F64,
+        locals: [
+            { name: 'ax', type: WasmType.F64 },
+            { name: 'ay', type: WasmType.F64 },
+            { name: 't', type: WasmType.F64 }
+        ],
+        requires: [],
+        code: `
+            local.get $x
+            f64.abs
+            local.set $ax
+            local.get $y
+            f64.abs
+            local.set $ay
+            ;; x бесконечен или NaN, y ноль или NaN → NaN
+            local.get $ax
+            f64.const inf
+            f64.lt
+            local.get $ay
+            f64.const 0
+            f64.gt
+            i32.and
+            i32.eqz
+            if
+              f64.const nan
+              return
+            end
+            ;; |x| < |y| (в том числе y = Infinity) → x
+            local.get $ax
+            local.get $ay
+            f64.lt
+            if
+              local.get $x
+              return
+            end
+            ;; t = |y| * 2^k - наибольшее, при котором 2t > |x|
+            local.get $ay
+            local.set $t
+            loop $grow
+              local.get $t
+              local.get $t
+              f64.add
+              local.get $ax
+              f64.le
+              if
+                local.get $t
+                local.get $t
+                f64.add
+                local.set $t
+                br $grow
+              end
+            end
+            ;; Вычитаем t, t/2, ... |y|, пока вычитание возможно
+            loop $reduce
+              local.get $ax
+              local.get $t
+              f64.ge
+              if
+                local.get $ax
+                local.get $t
+                f64.sub
+                local.set $ax
+              end
+              local.get $t
+              f64.const 0.5
+              f64.mul
+              local.tee $t
+              local.get $ay
+              f64.ge
+              br_if $reduce
+            end
+            ;; Знак результата - знак делимого (-5 % 5 === -0)
+            local.get $ax
+            local.get $x
+            f64.copysign
+        `
+    },
+
+    /**
+     * Выделяет size байт в куче (выравнивание 8) и возвращает адрес.
+     * 
+     * Куча - простой bump-аллокатор: $__heap_ptr указывает на первый
+     * свободный байт и только растёт, память не освобождается. Когда
+     * куча выходит за пределы памяти, память увеличивается memory.grow.
+     * Экспортируется, чтобы JavaScript мог создавать строки для
+     * скомпилированного кода (WABridge.writeStringRef).
+     */
+    __alloc: {
+        params: [{ name: 'size', type: WasmType.I32 }],
+        result: WasmType.I32,
+        locals: [{ name: 'ptr', type: WasmType.I32 }],
+        requires: [],
+        code: `
+            global.get $__heap_ptr
+            local.set $ptr
+            global.get $__heap_ptr
+            local.get $size
+            i32.const 7
+            i32.add
+            i32.const -8
+            i32.and
+            i32.add
+            global.set $__heap_ptr
+            block $fits
+              global.get $__heap_ptr
+              memory.size
+              i32.const 16
+              i32.shl
+              i32.le_u
+              br_if $fits
+              ;; Недостающие страницы по 64 КБ, с округлением вверх
+              global.get $__heap_ptr
+              memory.size
+              i32.const 16
+              i32.shl
+              i32.sub
+              i32.const 65535
+              i32.add
+              i32.const 16
+              i32.shr_u
+              memory.grow
+              i32.const -1
+              i32.eq
+              if
+                unreachable
+              end
+            end
+            local.get $ptr
+        `
+    },
+
+    /**
+     * Адрес элемента a[i] размером size байт.
+     * 
+     * Индекс за пределами массива (в том числе отрицательный - при
+     * беззнаковом сравнении он больше любой длины) останавливает программу
+     * через unreachable: в JavaScript чтение даёт undefined, а запись
+     * расширяет массив, но у скомпилированного массива нет ни значения
+     * undefined, ни места для новых элементов.
+     */
+    __array_element: {
+        params: [
+            { name: 'a', type: WasmType.I32 },
+            { name: 'i', type: WasmType.I32 },
+            { name: 'size', type: WasmType.I32 }
+        ],
+        result: WasmType.I32,
+        locals: [],
+        requires: [],
+        code: `
+            local.get $i
+            local.get $a
+            i32.load
+            i32.ge_u
+            if
+              unreachable
+            end
+            local.get $a
+            local.get $i
+            local.get $size
+            i32.mul
+            i32.add
+            i32.const 8
+            i32.add
+        `
+    },
+
+    /**
+     * Конкатенация строк a + b.
+     */
+    __str_concat: {
+        params: [{ name: 'a', type: WasmType.I32 }, { name: 'b', type: WasmType.I32 }],
+        result: WasmType.I32,
+        locals: [
+            { name: 'la', type: WasmType.I32 },
+            { name: 'lb', type: WasmType.I32 },
+            { name: 's', type: WasmType.I32 }
+        ],
+        requires: ['__alloc'],
+        code: `
+            local.get $a
+            i32.load
+            local.tee $la
+            i32.eqz
+            if
+              local.get $b
+              return
+            end
+            local.get $b
+            i32.load
+            local.tee $lb
+            i32.eqz
+            if
+              local.get $a
+              return
+            end
+            local.get $la
+            local.get $lb
+            i32.add
+            i32.const 4
+            i32.add
+            call $__alloc
+            local.tee $s
+            local.get $la
+            local.get $lb
+            i32.add
+            i32.store
+            local.get $s
+            i32.const 4
+            i32.add
+            local.get $a
+            i32.const 4
+            i32.add
+            local.get $la
+            memory.copy
+            local.get $s
+            i32.const 4
+            i32.add
+            local.get $la
+            i32.add
+            local.get $b
+            i32.const 4
+            i32.add
+            local.get $lb
+            memory.copy
+            local.get $s
+        `
+    },
+
+    /**
+     * Равенство строк (== и ===): 1 или 0.
+     */
+    __str_eq: {
+        params: [{ name: 'a', type: WasmType.I32 }, { name: 'b', type: WasmType.I32 }],
+        result: WasmType.I32,
+        locals: [
+            { name: 'len', type: WasmType.I32 },
+            { name: 'i', type: WasmType.I32 }
+        ],
+        requires: [],
+        code: `
+            local.get $a
+            local.get $b
+            i32.eq
+            if
+              i32.const 1
+              return
+            end
+            local.get $a
+            i32.load
+            local.tee $len
+            local.get $b
+            i32.load
+            i32.ne
+            if
+              i32.const 0
+              return
+            end
+            block $done
+              loop $next
+                local.get $i
+                local.get $len
+                i32.ge_u
+                br_if $done
+                local.get $a
+                local.get $i
+                i32.add
+                i32.load8_u offset=4
+                local.get $b
+                local.get $i
+                i32.add
+                i32.load8_u offset=4
+                i32.ne
+                if
+                  i32.const 0
+                  return
+                end
+                local.get $i
+                i32.const 1
+                i32.add
+                local.set $i
+                br $next
+              end
+            end
+            i32.const 1
+        `
+    },
+
+    /**
+     * Сравнение строк для <, >, <=, >=: -1, 0 или 1.
+     * 
+     * Порядок байтов UTF-8 - это порядок кодовых точек, а JavaScript
+     * сравнивает единицы UTF-16: символ за пределами BMP (суррогаты
+     * U+D800-U+DFFF) меньше символов U+E000-U+FFFF. Первые байты этих
+     * символов (0xEE, 0xEF) поэтому сравниваются как 0xFE, 0xFF - выше
+     * первых байтов 4-байтовых символов (0xF0-0xF4). Остальные байты (и
+     * байты продолжения 10xxxxxx) сравниваются как есть.
+     */
+    __str_compare: {
+        params: [{ name: 'a', type: WasmType.I32 }, { name: 'b', type: WasmType.I32 }],
+        result: WasmType.I32,
+        locals: [
+            { name: 'la', type: WasmType.I32 },
+            { name: 'lb', type: WasmType.I32 },
+            { name: 'n', type: WasmType.I32 },
+            { name: 'i', type: WasmType.I32 },
+            { name: 'ca', type: WasmType.I32 },
+            { name: 'cb', type: WasmType.I32 }
+        ],
+        requires: [],
+        code: `
+            local.get $a
+            i32.load
+            local.set $la
+            local.get $b
+            i32.load
+            local.set $lb
+            ;; n = min(la, lb)
+            local.get $la
+            local.get $lb
+            local.get $la
+            local.get $lb
+            i32.lt_u
+            select
+            local.set $n
+            block $done
+              loop $next
+                local.get $i
+                local.get $n
+                i32.ge_u
+                br_if $done
+                local.get $a
+                local.get $i
+                i32.add
+                i32.load8_u offset=4
+                local.tee $ca
+                local.get $b
+                local.get $i
+                i32.add
+                i32.load8_u offset=4
+                local.tee $cb
+                i32.ne
+                if
+                  ;; 0xEE, 0xEF → 0xFE, 0xFF
+                  local.get $ca
+                  i32.const 238
+                  i32.sub
+                  i32.const 2
+                  i32.lt_u
+                  if
+                    local.get $ca
+                    i32.const 16
+                    i32.add
+                    local.set $ca
+                  end
+                  local.get $cb
+                  i32.const 238
+                  i32.sub
+                  i32.const 2
+                  i32.lt_u
+                  if
+                    local.get $cb
+                    i32.const 16
+                    i32.add
+                    local.set $cb
+                  end
+                  ;; (ca > cb) - (ca < cb)
+                  local.get $ca
+                  local.get $cb
+                  i32.gt_u
+                  local.get $ca
+                  local.get $cb
+                  i32.lt_u
+                  i32.sub
+                  return
+                end
+                local.get $i
+                i32.const 1
+                i32.add
+                local.set $i
+                br $next
+              end
+            end
+            ;; Общий префикс: меньше та строка, что короче
+            local.get $la
+            local.get $lb
+            i32.gt_u
+            local.get $la
+            local.get $lb
+            i32.lt_u
+            i32.sub
+        `
+    },
+
+    /**
+     * s.length - длина в единицах UTF-16.
+     * 
+     * Считаются первые байты символов (не 10xxxxxx); первый байт
+     * 4-байтового символа (11110xxx) считается за два.
+     */
+    __str_length: {
+        params: [{ name: 's', type: WasmType.I32 }],
+        result: WasmType.I32,
+        locals: [
+            { name: 'p', type: WasmType.I32 },
+            { name: 'end', type: WasmType.I32 },
+            { name: 'n', type: WasmType.I32 },
+            { name: 'b', type: WasmType.I32 }
+        ],
+        requires: [],
+        code: `
+            local.get $s
+            i32.const 4
+            i32.add
+            local.tee $p
+            local.get $s
+            i32.load
+            i32.add
+            local.set $end
+            block $done
+              loop $next
+                local.get $p
+                local.get $end
+                i32.ge_u
+                br_if $done
+                local.get $p
+                i32.load8_u
+                local.tee $b
+                i32.const 0xC0
+                i32.and
+                i32.const 0x80
+                i32.ne
+                if
+                  local.get $n
+                  i32.const 1
+                  i32.add
+                  local.get $b
+                  i32.const 0xF0
+                  i32.ge_u
+                  i32.add
+                  local.set $n
+                end
+                local.get $p
+                i32.const 1
+                i32.add
+                local.set $p
+                br $next
+              end
+            end
+            local.get $n
+        `
+    },
+
+    /**
+     * s.charCodeAt(i) - единица UTF-16 с индексом i.
+     * 
+     * Байты UTF-8 декодируются в кодовые точки от начала строки, пока не
+     * будет найдена нужная единица; кодовая точка за пределами BMP даёт
+     * две единицы - старший и младший суррогаты. JavaScript для индекса
+     * за пределами строки возвращает NaN, которого нет среди i32, поэтому
+     * такой вызов завершается trap (unreachable).
+     */
+    __str_char_code_at: {
+        params: [{ name: 's', type: WasmType.I32 }, { name: 'i', type: WasmType.I32 }],
+        result: WasmType.I32,
+        locals: [
+            { name: 'p', type: WasmType.I32 },
+            { name: 'end', type: WasmType.I32 },
+            { name: 'k', type: WasmType.I32 },
+            { name: 'b', type: WasmType.I32 },
+            { name: 'cp', type: WasmType.I32 },
+            { name: 'size', type: WasmType.I32 }
+        ],
+        requires: [],
+        code: `
+            local.get $s
+            i32.const 4
+            i32.add
+            local.tee $p
+            local.get $s
+            i32.load
+            i32.add
+            local.set $end
+            loop $next
+              local.get $p
+              local.get $end
+              i32.ge_u
+              if
+                unreachable
+              end
+              local.get $p
+              i32.load8_u
+              local.set $b
+              local.get $b
+              i32.const 0x80
+              i32.lt_u
+              if
+                ;; 0xxxxxxx
+                local.get $b
+                local.set $cp
+                i32.const 1
+                local.set $size
+              else
+                local.get $b
+                i32.const 0xE0
+                i32.lt_u
+                if
+                  ;; 110xxxxx 10xxxxxx
+                  local.get $b
+                  i32.const 0x1F
+                  i32.and
+                  i32.const 6
+                  i32.shl
+                  local.get $p
+                  i32.load8_u offset=1
+                  i32.const 0x3F
+                  i32.and
+                  i32.or
+                  local.set $cp
+                  i32.const 2
+                  local.set $size
+                else
+                  local.get $b
+                  i32.const 0xF0
+                  i32.lt_u
+                  if
+                    ;; 1110xxxx 10xxxxxx 10xxxxxx
+                    local.get $b
+                    i32.const 0x0F
+                    i32.and
+                    i32.const 12
+                    i32.shl
+                    local.get $p
+                    i32.load8_u offset=1
+                    i32.const 0x3F
+                    i32.and
+                    i32.const 6
+                    i32.shl
+                    i32.or
+                    local.get $p
+                    i32.load8_u offset=2
+                    i32.const 0x3F
+                    i32.and
+                    i32.or
+                    local.set $cp
+                    i32.const 3
+                    local.set $size
+                  else
+                    ;; 11110xxx 10xxxxxx 10xxxxxx 10xxxxxx
+                    local.get $b
+                    i32.const 0x07
+                    i32.and
+                    i32.const 18
+                    i32.shl
+                    local.get $p
+                    i32.load8_u offset=1
+                    i32.const 0x3F
+                    i32.and
+                    i32.const 12
+                    i32.shl
+                    i32.or
+                    local.get $p
+                    i32.load8_u offset=2
+                    i32.const 0x3F
+                    i32.and
+                    i32.const 6
+                    i32.shl
+                    i32.or
+                    local.get $p
+                    i32.load8_u offset=3
+                    i32.const 0x3F
+                    i32.and
+                    i32.or
+                    local.set $cp
+                    i32.const 4
+                    local.set $size
+                  end
+                end
+              end
+              local.get $cp
+              i32.const 0x10000
+              i32.ge_u
+              if
+                ;; Суррогатная пара: k - старший, k + 1 - младший
+                local.get $k
+                local.get $i
+                i32.eq
+                if
+                  local.get $cp
+                  i32.const 0x10000
+                  i32.sub
+                  i32.const 10
+                  i32.shr_u
+                  i32.const 0xD800
+                  i32.add
+                  return
+                end
+                local.get $k
+                i32.const 1
+                i32.add
+                local.get $i
+                i32.eq
+                if
+                  local.get $cp
+                  i32.const 0x3FF
+                  i32.and
+                  i32.const 0xDC00
+                  i32.add
+                  return
+                end
+                local.get $k
+                i32.const 2
+                i32.add
+                local.set $k
+              else
+                local.get $k
+                local.get $i
+                i32.eq
+                if
+                  local.get $cp
+                  return
+                end
+                local.get $k
+                i32.const 1
+                i32.add
+                local.set $k
+              end
+              local.get $p
+              local.get $size
+              i32.add
+              local.set $p
+              br $next
+            end
+            unreachable
+        `
+    },
+
+    /**
+     * Десятичная запись целого числа - для конкатенации "n = " + n.
+     * 
+     * Модуль числа берётся без знака, поэтому -2147483648 (у которого
+     * нет положительной пары в i32) тоже печатается правильно.
+     */
+    __str_from_i32: {
+        params: [{ name: 'n', type: WasmType.I32 }],
+        result: WasmType.I32,
+        locals: [
+            { name: 'u', type: WasmType.I32 },
+            { name: 't', type: WasmType.I32 },
+            { name: 'len', type: WasmType.I32 },
+            { name: 'neg', type: WasmType.I32 },
+            { name: 's', type: WasmType.I32 },
+            { name: 'p', type: WasmType.I32 }
+        ],
+        requires: ['__alloc'],
+        code: `
+            local.get $n
+            i32.const 0
+            i32.lt_s
+            local.set $neg
+            local.get $n
+            local.set $u
+            local.get $neg
+            if
+              i32.const 0
+              local.get $n
+              i32.sub
+              local.set $u
+            end
+            ;; Количество цифр
+            local.get $u
+            local.set $t
+            i32.const 1
+            local.set $len
+            loop $count
+              local.get $t
+              i32.const 10
+              i32.div_u
+              local.tee $t
+              if
+                local.get $len
+                i32.const 1
+                i32.add
+                local.set $len
+                br $count
+              end
+            end
+            local.get $len
+            local.get $neg
+            i32.add
+            local.set $len
+            local.get $len
+            i32.const 4
+            i32.add
+            call $__alloc
+            local.tee $s
+            local.get $len
+            i32.store
+            ;; Цифры пишутся с конца
+            local.get $s
+            i32.const 4
+            i32.add
+            local.get $len
+            i32.add
+            local.set $p
+            loop $digits
+              local.get $p
+              i32.const 1
+              i32.sub
+              local.tee $p
+              local.get $u
+              i32.const 10
+              i32.rem_u
+              i32.const 48
+              i32.add
+              i32.store8
+              local.get $u
+              i32.const 10
+              i32.div_u
+              local.tee $u
+              br_if $digits
+            end
+            local.get $neg
+            if
+              local.get $s
+              i32.const 45
+              i32.store8 offset=4
+            end
+            local.get $s
+        `
+    },
+
+    /**
+     * Math.min и Math.max для целых аргументов.
+     */
+    __i32_min: {
+        params: [{ name: 'a', type: WasmType.I32 }, { name: 'b', type: WasmType.I32 }],
+        result: WasmType.I32,
+        locals: [],
+        requires: [],
+        code: `
+            local.get $a
+            local.get $b
+            local.get $a
+            local.get $b
+            i32.lt_s
+            select
+        `
+    },
+
+    __i32_max: {
+        params: [{ name: 'a', type: WasmType.I32 }, { name: 'b', type: WasmType.I32 }],
+        result: WasmType.I32,
+        locals: [],
+        requires: [],
+        code: `
+            local.get $a
+            local.get $b
+            local.get $a
+            local.get $b
+            i32.gt_s
+            select
+        `
+    },
+
+    /**
+     * Math.round: половина округляется вверх (-2.5 → -2), а f64.nearest
+     * округляет её к чётному (2.5 → 2). Поэтому floor(x) + (x - floor(x) >= 0.5);
+     * вычитание точное, а x + 0.5 ошибся бы для 0.49999999999999994.
+     * Знак результата - знак x: Math.round(-0.4) === -0.
+     */
+    __f64_round: {
+        params: [{ name: 'x', type: WasmType.F64 }],
+        result: WasmType.F64,
+        locals: [{ name: 'f', type: WasmType.F64 }],
+        requires: [],
+        code: `
+            local.get $x
+            f64.floor
+            local.tee $f
+            local.get $x
+            local.get $f
+            f64.sub
+            f64.const 0.5
+            f64.ge
+            f64.convert_i32_u
+            f64.add
+            local.get $x
+            f64.copysign
+        `
+    },
+
+    /**
+     * parseInt(s, r) - целое в начале строки, как в JavaScript: пробельные
+     * символы в начале пропускаются, затем знак, префикс 0x/0X
+     * (шестнадцатеричная запись) и цифры до первого символа, который не
+     * цифра. Строка без цифр даёт NaN.
+     * 
+     * Основание r: 0 (parseInt(s)) - 10 или 16 с префиксом 0x, 2-36 -
+     * это основание (префикс 0x пропускается только при 16), остальные -
+     * NaN.
+     * 
+     * Значение накапливается в f64 (v = v * radix + d), поэтому числа
+     * больше 2^53 могут отличаться от JavaScript в последних разрядах.
+     */
+    __str_parse_int: {
+        params: [{ name: 's', type: WasmType.I32 }, { name: 'r', type: WasmType.I32 }],
+        result: WasmType.F64,
+        locals: [
+            { name: 'p', type: WasmType.I32 },
+            { name: 'end', type: WasmType.I32 },
+            { name: 'b', type: WasmType.I32 },
+            { name: 'd', type: WasmType.I32 },
+            { name: 'neg', type: WasmType.I32 },
+            { name: 'radix', type: WasmType.I32 },
+            { name: 'digits', type: WasmType.I32 },
+            { name: 'v', type: WasmType.F64 }
+        ],
+        requires: [],
+        code: `
+            local.get $s
+            i32.const 4
+            i32.add
+            local.tee $p
+            local.get $s
+            i32.load
+            i32.add
+            local.set $end
+            ;; Пробел, \\t \\n \\v \\f \\r
+            block $trimmed
+              loop $trim
+                local.get $p
+                local.get $end
+                i32.ge_u
+                br_if $trimmed
+                local.get $p
+                i32.load8_u
+                local.tee $b
+                i32.const 32
+                i32.eq
+                local.get $b
+                i32.const 9
+                i32.sub
+                i32.const 5
+                i32.lt_u
+                i32.or
+                i32.eqz
+                br_if $trimmed
+                local.get $p
+                i32.const 1
+                i32.add
+                local.set $p
+                br $trim
+              end
+            end
+            ;; Знак
+            local.get $p
+            local.get $end
+            i32.lt_u
+            if
+              local.get $p
+              i32.load8_u
+              local.tee $b
+              i32.const 45
+              i32.eq
+              local.set $neg
+              local.get $neg
+              local.get $b
+              i32.const 43
+              i32.eq
+              i32.or
+              if
+                local.get $p
+                i32.const 1
+                i32.add
+                local.set $p
+              end
+            end
+            ;; Основание: 0 - 10, иначе 2-36
+            local.get $r
+            local.set $radix
+            local.get $r
+            i32.eqz
+            if
+              i32.const 10
+              local.set $radix
+            else
+              local.get $r
+              i32.const 2
+              i32.sub
+              i32.const 34
+              i32.gt_u
+              if
+                f64.const nan
+                return
+              end
+            end
+            ;; Префикс 0x при основании 0 или 16
+            local.get $r
+            i32.eqz
+            local.get $r
+            i32.const 16
+            i32.eq
+            i32.or
+            local.get $p
+            i32.const 1
+            i32.add
+            local.get $end
+            i32.lt_u
+            i32.and
+            if
+              local.get $p
+              i32.load8_u
+              i32.const 48
+              i32.eq
+              local.get $p
+              i32.load8_u offset=1
+              i32.const 32
+              i32.or
+              i32.const 120
+              i32.eq
+              i32.and
+              if
+                i32.const 16
+                local.set $radix
+                local.get $p
+                i32.const 2
+                i32.add
+                local.set $p
+              end
+            end
+            ;; Цифры: 0-9 → 0-9, a-z и A-Z → 10-35
+            block $done
+              loop $digit
+                local.get $p
+                local.get $end
+                i32.ge_u
+                br_if $done
+                local.get $p
+                i32.load8_u
+                local.tee $b
+                i32.const 48
+                i32.sub
+                local.tee $d
+                i32.const 10
+                i32.ge_u
+                if
+                  local.get $b
+                  i32.const 32
+                  i32.or
+                  i32.const 97
+                  i32.sub
+                  local.tee $d
+                  i32.const 26
+                  i32.lt_u
+                  if
+                    local.get $d
+                    i32.const 10
+                    i32.add
+                    local.set $d
+                  else
+                    local.get $radix
+                    local.set $d
+                  end
+                end
+                local.get $d
+                local.get $radix
+                i32.ge_u
+                br_if $done
+                local.get $v
+                local.get $radix
+                f64.convert_i32_u
+                f64.mul
+                local.get $d
+                f64.convert_i32_u
+                f64.add
+                local.set $v
+                local.get $digits
+                i32.const 1
+                i32.add
+                local.set $digits
+                local.get $p
+                i32.const 1
+                i32.add
+                local.set $p
+                br $digit
+              end
+            end
+            local.get $digits
+            i32.eqz
+            if
+              f64.const nan
+              return
+            end
+            ;; -0 для "-0", как в JavaScript
+            local.get $v
+            f64.neg
+            local.get $v
+            local.get $neg
+            select
+        `
+    }
+};
+
+/**
+ * Встроенные функции (BuiltinFunctions анализатора типов) и то, во что
+ * превращается их вызов.
+ * 
+ * У большинства функций Math есть инструкция WASM: Math.sqrt - это
+ * f64.sqrt, Math.clz32 - i32.clz. Такой вызов не стоит ничего: после
+ * аргументов на стеке идёт сама инструкция. Код записан линейным WAT,
+ * как тела RuntimeFunctions, и может вызывать служебные функции и
+ * пользоваться служебными переменными $__tmp_T (генератор добавит их,
+ * найдя в коде).
+ * 
+ * Вариант f64 получает аргументы как f64, вариант i32 - как i32. i32
+ * выбирается, если f64 варианта нет или все аргументы целые (для
+ * функций, сохраняющих целые: Math.max(i, j) - это __i32_max).
+ * result - WASM тип результата, если он отличается от типа варианта.
+ * 
+ * Для функций без инструкции (sin, pow, ...) import: true - модуль
+ * импортирует их из JavaScript под тем же именем: (import "env" "Math.sin").
+ * Импортируются только функции, которые вызывает программа;
+ * Compiler.createImports и WABridge.prepareImports передают их модулю.
+ * 
+ * Функции с любым числом аргументов (rest в BuiltinFunctions): у
+ * импортируемой Math.hypot своя сигнатура импорта на каждое число
+ * аргументов (Math.hypot/3), а Math.min и Math.max сворачивают аргументы
+ * кодом fold - min(min(a, b), c); empty - значение без аргументов.
+ * defaults - код необязательных аргументов, которые не переданы.
+ */
+const Intrinsics = {
+    'Math.abs': {
+        f64: 'f64.abs',
+        i32: `
+            local.set $__tmp_i32
+            i32.const 0
+            local.get $__tmp_i32
+            i32.sub
+            local.get $__tmp_i32
+            local.get $__tmp_i32
+            i32.const 0
+            i32.lt_s
+            select
+        `
+    },
+    
+    // Math.sign(-0) === -0 и Math.sign(NaN) - NaN: x > 0 ? 1 : x < 0 ? -1 : x
+    'Math.sign': {
+        f64: `
+            local.set $__tmp_f64
+            f64.const 1
+            f64.const -1
+            local.get $__tmp_f64
+            local.get $__tmp_f64
+            f64.const 0
+            f64.lt
+            select
+            local.get $__tmp_f64
+            f64.const 0
+            f64.gt
+            select
+        `,
+        i32: `
+            local.tee $__tmp_i32
+            i32.const 0
+            i32.gt_s
+            local.get $__tmp_i32
+            i32.const 0
+            i32.lt_s
+            i32.sub
+        `
+    },
+    
+    'Math.min': { f64: 'f64.min', i32: 'call $__i32_min', fold: true, empty: 'f64.const inf' },
+    'Math.max': { f64: 'f64.max', i32: 'call $__i32_max', fold: true, empty: 'f64.const -inf' },
+    
+    // Целый аргумент уже округлён
+    'Math.floor': { f64: 'f64.floor', i32: '' },
+    'Math.ceil': { f64: 'f64.ceil', i32: '' },
+    'Math.trunc': { f64: 'f64.trunc', i32: '' },
+    'Math.round': { f64: 'call $__f64_round', i32: '' },
+    
+    'Math.sqrt': { f64: 'f64.sqrt' },
+    'Math.clz32': { i32: 'i32.clz' },
+    'Math.imul': { i32: 'i32.mul' },
+    
+    // Сумма квадратов по парам hypot(hypot(a, b), c) округлялась бы иначе
+    'Math.hypot': { import: true, variadic: true },
+    'Math.cbrt': { import: true },
+    'Math.pow': { import: true },
+    'Math.sin': { import: true },
+    'Math.cos': { import: true },
+    'Math.tan': { import: true },
+    'Math.asin': { import: true },
+    'Math.acos': { import: true },
+    'Math.atan': { import: true },
+    'Math.atan2': { import: true },
+    'Math.sinh': { import: true },
+    'Math.cosh': { import: true },
+    'Math.tanh': { import: true },
+    'Math.asinh': { import: true },
+    'Math.acosh': { import: true },
+    'Math.atanh': { import: true },
+    'Math.exp': { import: true },
+    'Math.expm1': { import: true },
+    'Math.log': { import: true },
+    'Math.log1p': { import: true },
+    'Math.log2': { import: true },
+    'Math.log10': { import: true },
+    'Math.fround': { import: true },
+    
+    // Целое: дробная часть равна нулю (для Infinity и NaN разность - NaN)
+    'Number.isInteger': {
+        f64: `
+            local.tee $__tmp_f64
+            local.get $__tmp_f64
+            f64.trunc
+            f64.sub
+            f64.const 0
+            f64.eq
+        `,
+        i32: 'drop\ni32.const 1',
+        result: WasmType.I32
+    },
+    
+    // Строка - i32 адрес; основание 0 - как без основания
+    'parseInt': { i32: 'call $__str_parse_int', result: WasmType.F64, defaults: ['i32.const 0'] }
+};
+
 /**
  * WasmCodeGenerator - генератор WebAssembly кода.
  * 
@@ -83,12 +1336,83 @@ class WasmCodeGenerator {
         // Таблица локальных переменных: имя → индекс
         this.locals = new Map();
         
+        // WASM типы локальных переменных и параметров: имя → тип
+        this.localTypes = new Map();
+        
+        // Имена локальных переменных для объявлений и идентификаторов,
+        // если они отличаются от имени в коде (см. resolveLocalNames)
+        this.localNames = new Map();
+        
+        // Глобальные переменные модуля: имя → { type, mutable, declaration }
+        this.globals = new Map();
+        
+        // Строковые литералы в сегменте данных: текст → адрес
+        this.strings = new Map();
+        
+        // Есть ли у модуля линейная память (нужна строкам, массивам, объектам)
+        this.usesMemory = false;
+        
+        // Глубина вложенности создаваемых литералов массивов и объектов
+        // (номер служебной переменной $__new_N, см. generateArrayExpression)
+        this.literalDepth = 0;
+        
+        // Функции как значения (см. collectClosures): узел функции →
+        // её область видимости
+        this.closures = new Map();
+        
+        // Функции таблицы $__functions в порядке индексов
+        this.tableFunctions = [];
+        
+        // Функции модуля, которые используются как значения: имя → переходник
+        this.functionRefs = new Map();
+        
+        // Замыкания в сегменте данных: индекс функции в таблице → адрес
+        this.closureRecords = new Map();
+        
+        // Область видимости текущей функции (null - код верхнего уровня)
+        this.scope = null;
+        
         // Счётчик для уникальных имён
         this.labelCounter = 0;
         this.funcCounter = 0;
         
-        // Текущая функция (для генерации return)
+        // Текущая функция (для генерации return) и тип её результата
         this.currentFunction = null;
+        this.currentResultType = null;
+        
+        // Сигнатуры функций модуля: имя → functionSignature()
+        this.functionSignatures = new Map();
+        
+        // Сигнатуры импортированных функций: имя → { params, result }
+        this.importSignatures = new Map();
+        
+        // Проходы над SSA IR (stage5-ir.js) или null - функции модуля
+        // генерируются прямо из AST. irFunctions - построенный IR
+        this.irPasses = null;
+        this.irFunctions = [];
+        
+        // Перемещения (см. relocatableConst) или null - модуль не готовят
+        // к статической компоновке. Включает Compiler (опция relocatable)
+        this.relocations = null;
+        
+        // Кэш тел функций (CompilationCache из stage5-incremental.js) или
+        // null. moduleCacheContext - описание модуля для его ключей,
+        // одно на генерацию (см. functionCacheContext)
+        this.functionCache = null;
+        this.moduleCacheContext = null;
+        
+        // Место в исходном коде (loc узла AST), код которого генерируется
+        // сейчас, и места строк вывода: outputLocations[i] - место, из
+        // которого получена строка output[i]. Из мест инструкций строится
+        // карта кода (stage5-source-map.js)
+        this.currentLoc = null;
+        this.outputLocations = [];
+        
+        // Стек охватывающих циклов: { breakLabel, continueLabel }
+        this.loopStack = [];
+        
+        // Конструкции, которые генератор не смог перевести (Diagnostic)
+        this.diagnostics = [];
     }
     
     /**
@@ -99,30 +1423,332 @@ class WasmCodeGenerator {
      */
     generate(ast) {
         this.output = [];
+        this.outputLocations = [];
+        this.currentLoc = null;
         this.indentLevel = 0;
+        this.diagnostics = [];
+        this.globals.clear();
+        this.importSignatures.clear();
+        this.irFunctions = [];
+        this.moduleCacheContext = null;
+        if (this.relocations) {
+            this.relocations = [];
+        }
         
         // Начинаем модуль
-        this.emit('(module');
-        this.indent();
+        this.beginModule();
         
         // Генерируем импорты (для взаимодействия с JavaScript)
-        this.generateImports();
+        this.generateImports(ast);
         
-        // Генерируем функции
-        for (const node of ast.body) {
-            if (node.type === 'FunctionDeclaration') {
+        // Переменные блоков, скрывающие внешние, получают свои имена
+        this.resolveLocalNames(ast);
+        
+        // Стрелочные функции и функции, используемые как значения
+        this.collectClosures(ast);
+        
+        // Память и сегмент данных со строковыми литералами
+        this.generateMemory(ast);
+        
+        // Переменные верхнего уровня становятся глобальными переменными
+        // WASM, а остальной код верхнего уровня - телом функции __init
+        const initFunction = this.generateGlobals(ast);
+        
+        const functions = ast.body.filter(node => node.type === 'FunctionDeclaration');
+        if (initFunction) {
+            functions.push(initFunction);
+        }
+        
+        // Поднятые стрелочные функции и переходники для функций модуля
+        functions.push(...this.tableFunctions);
+        
+        // Служебные функции, которые нужны программе
+        for (const name of this.collectRuntimeFunctions(ast)) {
+            functions.push({ type: 'RuntimeFunction', name });
+        }
+        
+        // Сигнатуры нужны заранее: аргументы вызова приводятся к типам
+        // параметров вызываемой функции (модуля или импортированной)
+        this.functionSignatures.clear();
+        for (const node of ast.body.filter(node => node.type === 'ImportDeclaration').concat(functions)) {
+            this.functionSignatures.set(node.name, this.functionSignature(node));
+        }
+        
+        // Объявляем функции заранее, чтобы вызовы могли ссылаться
+        // на функции, определённые ниже по тексту
+        this.declareFunctions(functions);
+        
+        // Таблица для call_indirect: функция с индексом i лежит в ячейке i
+        if (this.tableFunctions.length > 0) {
+            this.declareTable('__functions', this.tableFunctions.length);
+            this.declareElem(0, this.tableFunctions.map(node => node.name));
+        }
+        
+        // Генерируем функции (функции верхнего уровня - через кэш
+        // инкрементальной компиляции, если он есть)
+        for (const node of functions) {
+            if (this.functionCache && this.functionCache.covers(node)) {
+                this.generateCachedFunction(node);
+            } else {
                 this.generateFunction(node);
             }
         }
+        this.currentLoc = null;
         
         // Генерируем экспорты
         this.generateExports(ast);
         
+        // __init выполняется автоматически при инстанцировании модуля -
+        // так же, как код верхнего уровня выполняется при загрузке скрипта
+        if (initFunction) {
+            this.declareStart(initFunction.name);
+        }
+        
         // Закрываем модуль
-        this.dedent();
-        this.emit(')');
+        return this.endModule();
+    }
+    
+    /**
+     * Объявляет линейную память, если программа работает со строками,
+     * массивами или объектами.
+     * 
+     * Все строковые литералы программы раскладываются в один сегмент
+     * данных (одинаковые литералы - один раз), за ним начинается куча.
+     * Программе без них память не нужна, и модуль остаётся прежним.
+     */
+    generateMemory(ast) {
+        const { TypeKind } = globalThis.CompilerStage5;
         
-        return this.output.join('\n');
+        this.strings.clear();
+        this.usesMemory = false;
+        
+        const data = [];
+        const intern = (text) => {
+            if (this.strings.has(text)) return;
+            
+            const bytes = new TextEncoder().encode(text);
+            this.strings.set(text, MemoryLayout.DATA_START + data.length);
+            
+            // Заголовок [длина: i32 little-endian], байты, выравнивание до 4
+            const length = bytes.length;
+            data.push(length & 0xff, (length >>> 8) & 0xff, (length >>> 16) & 0xff, length >>> 24);
+            data.push(...bytes);
+            while (data.length % 4 !== 0) data.push(0);
+        };
+        
+        const visit = (n) => {
+            if (!n || typeof n !== 'object') return;
+            
+            if (Array.isArray(n)) {
+                n.forEach(visit);
+                return;
+            }
+            
+            if (n.inferredType &&
+                [TypeKind.STRING, TypeKind.ARRAY, TypeKind.OBJECT].includes(n.inferredType.kind)) {
+                this.usesMemory = true;
+            }
+            if (n.type === 'StringLiteral') {
+                intern(n.value);
+            }
+            
+            // "флаг: " + true - булевы значения превращаются в литералы
+            if (this.isStringConcat(n) &&
+                [n.left, n.right].some(operand => this.isKind(operand, TypeKind.BOOLEAN))) {
+                intern('true');
+                intern('false');
+            }
+            
+            for (const key in n) {
+                if (key !== 'inferredType' && key !== 'loc') {
+                    visit(n[key]);
+                }
+            }
+        };
+        
+        visit(ast);
+        
+        // Замыкание без окружения (функция модуля, стрелочная функция,
+        // которой ничего не нужно снаружи) одно на всю программу - оно
+        // создаётся один раз, прямо в сегменте данных
+        this.closureRecords.clear();
+        this.tableFunctions.forEach((node, index) => {
+            const scope = this.closures.get(node);
+            if (scope && scope.needsEnv) return;
+            
+            this.closureRecords.set(index, MemoryLayout.DATA_START + data.length);
+            this.recordRelocation({ kind: 'table', target: 'data', offset: data.length });
+            data.push(index & 0xff, (index >>> 8) & 0xff, (index >>> 16) & 0xff, index >>> 24);
+            data.push(0, 0, 0, 0);
+        });
+        if (this.tableFunctions.length > 0) {
+            this.usesMemory = true;
+        }
+        
+        if (!this.usesMemory) {
+            return;
+        }
+        
+        while (data.length % MemoryLayout.ALIGN !== 0) data.push(0);
+        const heapStart = MemoryLayout.DATA_START + data.length;
+        const pages = Math.max(1, Math.ceil(heapStart / MemoryLayout.PAGE_SIZE));
+        
+        this.declareMemory('memory', pages);
+        if (data.length > 0) {
+            this.declareData(MemoryLayout.DATA_START, data);
+        }
+        this.declareGlobal('__heap_ptr', WasmType.I32, true, ['i32.const', heapStart]);
+        this.recordRelocation({ kind: 'heap', target: 'global', name: '__heap_ptr' });
+    }
+    
+    /**
+     * i32.const с адресом в линейной памяти (kind 'memory') или индексом
+     * в таблице функций (kind 'table').
+     * 
+     * Такие константы верны, только пока модуль стоит в начале памяти и
+     * таблицы. Когда линкер (stage5-linker.js) объединяет несколько
+     * модулей, сегменты данных и элементов второго модуля сдвигаются, и
+     * вместе с ними должны сдвинуться все адреса и индексы, которые на
+     * них указывают. WAT-бэкенд пишет обычную константу;
+     * WasmBinaryGenerator в перемещаемом режиме ещё и запоминает, где она
+     * лежит в теле функции.
+     */
+    relocatableConst(kind, value) {
+        this.instr('i32.const', value);
+    }
+    
+    /**
+     * Запоминает перемещение вне кода функций - в сегменте данных
+     * ({ target: 'data', offset }) или в начальном значении глобальной
+     * переменной ({ target: 'global', name }).
+     */
+    recordRelocation(relocation) {
+        if (this.relocations) {
+            this.relocations.push(relocation);
+        }
+    }
+    
+    /**
+     * Генерирует глобальные переменные и собирает код верхнего уровня.
+     * 
+     * Каждое объявление let/const/var верхнего уровня становится глобальной
+     * переменной WASM: let и var - изменяемой (mut), const - неизменяемой.
+     * 
+     * Начальное значение глобальной переменной в WASM должно быть
+     * константным выражением (i32.const 5), вызвать функцию или прочитать
+     * другую переменную там нельзя. Поэтому:
+     * 
+     *   let a = 5;          (global $a (mut i32) (i32.const 5))
+     *   let b = a * 2;      (global $b (mut i32) (i32.const 0)) + присваивание в __init
+     *   const c = f(1);     (global $c (mut i32) (i32.const 0)) + присваивание в __init
+     * 
+     * const с неконстантным инициализатором приходится объявлять изменяемым:
+     * значение становится известно только при выполнении __init.
+     * 
+     * Все остальные операторы верхнего уровня (вызовы, присваивания, if,
+     * циклы) вместе с такими присваиваниями собираются в функцию __init
+     * в исходном порядке.
+     * 
+     * @param {Object} ast - Корневой узел (Program)
+     * @returns {Object|null} - Синтетический FunctionDeclaration для __init
+     *                          или null, если выполнять при загрузке нечего
+     */
+    generateGlobals(ast) {
+        const initStatements = [];
+        
+        for (const node of ast.body) {
+            if (node.type === 'FunctionDeclaration' || node.type === 'ImportDeclaration') {
+                continue;
+            }
+            
+            if (node.type !== 'VariableDeclaration') {
+                initStatements.push(node);
+                continue;
+            }
+            
+            const type = this.jsTypeToWasm(node.inferredType, node.typeAnnotation);
+            const constant = node.init ? this.constantInitializer(node.init, type) : null;
+            const mutable = node.kind !== 'const' || (node.init !== null && constant === null);
+            
+            this.globals.set(node.name, { type, mutable, declaration: node });
+            this.declareGlobal(node.name, type, mutable, constant || this.zeroInitializer(type));
+            if (constant && node.init.type === 'StringLiteral') {
+                this.recordRelocation({ kind: 'memory', target: 'global', name: node.name });
+            }
+            
+            // Неконстантный инициализатор вычисляется в __init
+            if (node.init && !constant) {
+                initStatements.push(node);
+            }
+        }
+        
+        if (initStatements.length === 0) {
+            return null;
+        }
+        
+        return {
+            type: 'FunctionDeclaration',
+            name: '__init',
+            params: [],
+            body: {
+                type: 'BlockStatement',
+                body: initStatements,
+                loc: ast.loc
+            },
+            inferredType: null,
+            loc: ast.loc
+        };
+    }
+    
+    /**
+     * Возвращает константную инструкцию для инициализатора, если он
+     * является литералом подходящего типа, иначе null.
+     * 
+     * @returns {Array|null} - [мнемоника, значение], например ['i32.const', 5]
+     */
+    constantInitializer(init, wasmType) {
+        if (init.type === 'UnaryExpression' && init.operator === '-' &&
+            init.argument.type === 'NumberLiteral') {
+            const constant = this.constantInitializer(init.argument, wasmType);
+            return constant ? [constant[0], -constant[1]] : null;
+        }
+        
+        if (init.type === 'NumberLiteral') {
+            if (wasmType === WasmType.I32 && Number.isInteger(init.value)) {
+                return ['i32.const', init.value];
+            }
+            if (wasmType === WasmType.F64) {
+                return ['f64.const', init.value];
+            }
+        }
+        
+        if (init.type === 'BooleanLiteral' && wasmType === WasmType.I32) {
+            return ['i32.const', init.value ? 1 : 0];
+        }
+        
+        // Адрес литерала известен заранее - это константа
+        if (init.type === 'StringLiteral' && wasmType === WasmType.I32) {
+            return ['i32.const', this.strings.get(init.value)];
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Нулевое значение типа - начальное значение глобальной переменной,
+     * которая инициализируется в __init.
+     */
+    zeroInitializer(wasmType) {
+        switch (wasmType) {
+            case WasmType.F64:
+                return ['f64.const', 0];
+            case WasmType.EXTERNREF:
+                return ['ref.null', 'extern'];
+            case WasmType.FUNCREF:
+                return ['ref.null', 'func'];
+            default:
+                return ['i32.const', 0];
+        }
     }
     
     /**
@@ -131,10 +1757,27 @@ class WasmCodeGenerator {
      * WASM модули могут импортировать функции из JavaScript. Это позволяет
      * WASM коду вызывать console.log, работать с DOM и так далее.
      */
-    generateImports() {
+    generateImports(ast) {
         // Импортируем console.log для отладки
-        this.emit('(import "env" "log" (func $log (param externref)))');
-        this.emit('');
+        this.declareImportFunction('env', 'log', 'log', [WasmType.EXTERNREF], []);
+        this.importSignatures.set('log', { params: [WasmType.EXTERNREF], result: null });
+        
+        // Встроенные функции без инструкции WASM (Math.sin, Math.pow, ...)
+        for (const [name, { field, arity }] of this.collectIntrinsicImports(ast)) {
+            const params = new Array(arity).fill(WasmType.F64);
+            this.declareImportFunction('env', field, name, params, [WasmType.F64]);
+            this.importSignatures.set(name, { params, result: WasmType.F64 });
+        }
+        
+        // Функции других модулей (import function f(...) from "модуль")
+        for (const node of ast.body) {
+            if (node.type !== 'ImportDeclaration') continue;
+            
+            const { params, result } = this.functionSignature(node);
+            const types = params.map(param => param.type);
+            this.declareImportFunction(node.module, node.name, node.name, types, result ? [result] : []);
+            this.importSignatures.set(node.name, { params: types, result });
+        }
     }
     
     /**
@@ -144,12 +1787,18 @@ class WasmCodeGenerator {
      * JavaScript не сможет вызвать функцию WASM.
      */
     generateExports(ast) {
-        this.emit('');
         for (const node of ast.body) {
             if (node.type === 'FunctionDeclaration') {
-                this.emit(`(export "${node.name}" (func $${node.name}))`);
+                this.declareExport(node.name, 'func', node.name);
             }
         }
+        
+        // Память и аллокатор нужны JavaScript, чтобы читать строки,
+        // которые возвращают функции, и передавать строки в них
+        if (this.usesMemory) {
+            this.declareExport('memory', 'memory', 'memory');
+            this.declareExport('__alloc', 'func', '__alloc');
+        }
     }
     
     /**
@@ -160,74 +1809,411 @@ class WasmCodeGenerator {
      */
     generateFunction(node) {
         this.currentFunction = node;
+        this.currentLoc = node.loc || null;
+        this.scope = this.closures.get(node) || null;
         this.locals.clear();
+        this.localTypes.clear();
+        this.loopStack = [];
         
-        // Определяем параметры
+        const signature = this.functionSignatures.get(node.name);
+        this.currentResultType = signature.result;
+        
+        // Параметры и локальные переменные делят одно индексное пространство:
+        // сначала параметры, затем локальные
         let nextLocalIndex = 0;
-        for (const param of node.params) {
-            this.locals.set(param.name, nextLocalIndex++);
+        for (const local of [...signature.params, ...signature.locals]) {
+            this.locals.set(local.name, nextLocalIndex++);
+            this.localTypes.set(local.name, local.type);
         }
         
-        // Собираем все локальные переменные из тела функции
-        const localVars = this.collectLocalVariables(node.body);
-        for (const varName of localVars) {
-            if (!this.locals.has(varName)) {
-                this.locals.set(varName, nextLocalIndex++);
-            }
+        // Через SSA IR: тело строится в IR, оптимизируется и выдаётся
+        // заново со своими локальными переменными
+        if (this.irPasses && node.type === 'FunctionDeclaration') {
+            this.generateFunctionThroughIr(node, signature);
+            this.currentFunction = null;
+            this.scope = null;
+            return;
         }
         
-        // Начинаем объявление функции
-        this.emit('');
-        this.emit(`(func $${node.name}`);
-        this.indent();
+        this.beginFunction(node.name, signature);
         
-        // Генерируем параметры
-        for (const param of node.params) {
-            const wasmType = this.jsTypeToWasm(param.inferredType);
-            this.emit(`(param $${param.name} ${wasmType})`);
+        if (node.type === 'RuntimeFunction') {
+            this.generateRuntimeCode(RuntimeFunctions[node.name].code);
+            this.endFunction();
+            this.currentFunction = null;
+            return;
         }
         
-        // Генерируем тип возвращаемого значения
-        if (node.inferredType && node.inferredType.returnType) {
-            const returnWasmType = this.jsTypeToWasm(node.inferredType.returnType);
-            if (returnWasmType !== 'void') {
-                this.emit(`(result ${returnWasmType})`);
-            }
+        // Переходник передаёт аргументы функции модуля, окружение не нужно
+        if (node.type === 'FunctionReference') {
+            signature.params.slice(1).forEach(param => this.instr('local.get', `$${param.name}`));
+            this.instr('call', `$${node.target.name}`);
+            this.endFunction();
+            this.currentFunction = null;
+            return;
         }
         
-        // Генерируем объявления локальных переменных
-        for (const [varName, index] of this.locals) {
-            // Пропускаем параметры
-            if (index >= node.params.length) {
-                // Находим объявление переменной для определения типа
-                const varDecl = this.findVariableDeclaration(node.body, varName);
-                if (varDecl && varDecl.inferredType) {
-                    const wasmType = this.jsTypeToWasm(varDecl.inferredType);
-                    this.emit(`(local $${varName} ${wasmType})`);
-                }
-            }
+        if (this.scope && this.scope.frame) {
+            this.generateFrame();
         }
         
         // Генерируем тело функции
         this.generateStatement(node.body);
         
-        this.dedent();
-        this.emit(')');
+        // Если функция что-то возвращает, но тело не заканчивается return
+        // (например, return в обеих ветках if), валидатор WASM требует
+        // значение на стеке в конце. unreachable делает стек полиморфным.
+        const lastStatement = node.body.body[node.body.body.length - 1];
+        if (signature.result !== null &&
+            (!lastStatement || lastStatement.type !== 'ReturnStatement')) {
+            this.instr('unreachable');
+        }
+        
+        this.endFunction();
         
         this.currentFunction = null;
+        this.scope = null;
+    }
+    
+    /**
+     * Генерирует функцию через SSA IR (stage5-ir.js): IrBuilder обходит
+     * тело этим же генератором, проходы irPasses оптимизируют IR, и
+     * IrEmitter выдаёт его обратно инструкциями WASM. IR функции
+     * сохраняется в irFunctions (для анализа и отладки).
+     */
+    generateFunctionThroughIr(node, signature) {
+        const { IrBuilder, IrEmitter, IrPasses } = globalThis.CompilerStage5;
+        
+        const fn = new IrBuilder(this).build(node, signature);
+        for (const pass of this.irPasses) {
+            if (!IrPasses[pass]) {
+                throw new Error(`Неизвестный проход IR: ${pass}`);
+            }
+            IrPasses[pass](fn);
+        }
+        
+        this.irFunctions.push(fn);
+        new IrEmitter(this).emit(fn);
+    }
+    
+    /**
+     * Генерирует функцию верхнего уровня через кэш инкрементальной
+     * компиляции: тело из прошлой компиляции повторяется, если кэш его
+     * узнал, иначе функция генерируется и её тело запоминается.
+     * 
+     * Кроме кода функции, генерация оставляет диагностики, IR и номера
+     * меток - снимок (captureFunction) хранит и их.
+     */
+    generateCachedFunction(node) {
+        const context = this.functionCacheContext(node);
+        const capture = this.functionCache.lookup(node, context);
+        if (capture) {
+            this.replayFunction(node, capture);
+            return;
+        }
+        
+        const mark = {
+            code: this.functionCodeMark(),
+            diagnostics: this.diagnostics.length,
+            irFunctions: this.irFunctions.length,
+            labels: this.labelCounter
+        };
+        this.generateFunction(node);
+        this.functionCache.store(node, context, this.captureFunction(node, mark));
+    }
+    
+    captureFunction(node, mark) {
+        return {
+            code: this.functionCode(node, mark.code),
+            diagnostics: this.diagnostics.slice(mark.diagnostics),
+            irFunctions: this.irFunctions.slice(mark.irFunctions),
+            labels: this.labelCounter - mark.labels
+        };
+    }
+    
+    replayFunction(node, capture) {
+        this.restoreFunctionCode(node, capture.code);
+        this.diagnostics.push(...capture.diagnostics);
+        this.irFunctions.push(...capture.irFunctions);
+        this.labelCounter += capture.labels;
+    }
+    
+    /**
+     * Всё, кроме AST самой функции, от чего зависит её код: с другим
+     * контекстом то же тело дало бы другие инструкции.
+     * 
+     * module - общее для всех функций генерации: адреса строк и записей
+     * замыканий, раскладка таблицы, режимы генерации. own - сигнатура
+     * функции, области видимости её стрелочных функций и то, что
+     * генератор знает об именах из её тела: сигнатуры функций,
+     * типы глобальных переменных, импорты.
+     */
+    functionCacheContext(node) {
+        if (this.moduleCacheContext === null) {
+            this.moduleCacheContext = JSON.stringify(this.describeModuleForCache());
+        }
+        
+        const names = new Set();
+        const scopes = [];
+        const visit = (n) => {
+            if (!n || typeof n !== 'object') return;
+            if (Array.isArray(n)) {
+                n.forEach(visit);
+                return;
+            }
+            
+            if (n.type === 'Identifier') names.add(n.name);
+            const scope = this.closures.get(n);
+            if (scope) {
+                scopes.push([scope.name, scope.tableIndex, scope.frame, scope.needsEnv, [...scope.slots]]);
+            }
+            
+            for (const key in n) {
+                if (key !== 'inferredType' && key !== 'loc') visit(n[key]);
+            }
+        };
+        visit(node);
+        
+        const referenced = [...names].sort().map(name => {
+            const signature = this.functionSignatures.get(name);
+            const global = this.globals.get(name);
+            return [
+                name,
+                signature ? [signature.params, signature.result] : null,
+                global ? [global.type, global.mutable] : null,
+                this.importSignatures.get(name) || null
+            ];
+        });
+        
+        return {
+            module: this.moduleCacheContext,
+            own: JSON.stringify([this.functionSignatures.get(node.name), scopes, referenced])
+        };
+    }
+    
+    describeModuleForCache() {
+        return {
+            strings: [...this.strings],
+            closureRecords: [...this.closureRecords],
+            table: this.tableFunctions.map(fn => fn.name),
+            usesMemory: this.usesMemory,
+            irPasses: this.irPasses,
+            relocatable: this.relocations !== null
+        };
+    }
+    
+    /**
+     * Вычисляет сигнатуру функции по типизированному AST.
+     * 
+     * Возвращает WASM типы параметров, результата (null для void) и
+     * локальных переменных, объявленных в теле. Одна и та же сигнатура
+     * нужна и при объявлении функции, и при генерации её тела.
+     */
+    functionSignature(node) {
+        if (node.type === 'RuntimeFunction') {
+            const { params, result, locals } = RuntimeFunctions[node.name];
+            return { params, result, locals };
+        }
+        
+        if (node.type === 'FunctionReference') {
+            const { params, result } = this.functionSignature(node.target);
+            return { params: [{ name: '__env', type: WasmType.I32 }, ...params], result, locals: [] };
+        }
+        
+        // У импортированной функции нет тела - только параметры и результат
+        if (node.type === 'ImportDeclaration') {
+            const params = node.params.map(param => ({
+                name: param.name,
+                type: this.jsTypeToWasm(param.inferredType, param.typeAnnotation)
+            }));
+            const result = this.jsTypeToWasm(node.inferredType.returnType, node.returnType);
+            return { params, result: result === 'void' ? null : result, locals: [] };
+        }
+        
+        const scope = this.closures.get(node) || null;
+        const params = node.params.map(param => ({
+            name: param.name,
+            type: this.jsTypeToWasm(param.inferredType, param.typeAnnotation)
+        }));
+        
+        // Функции из таблицы первым параметром получают своё окружение
+        if (scope && scope.tableIndex !== null) {
+            params.unshift({ name: '__env', type: WasmType.I32 });
+        }
+        
+        let result = null;
+        if (node.inferredType && node.inferredType.returnType) {
+            const returnWasmType = this.jsTypeToWasm(node.inferredType.returnType, node.returnType);
+            if (returnWasmType !== 'void') {
+                result = returnWasmType;
+            }
+        }
+        
+        // Собираем все локальные переменные из тела функции. Захваченные
+        // вложенными функциями живут в окружении, а не в локальных
+        const locals = [];
+        const paramNames = new Set(node.params.map(param => param.name));
+        for (const varName of this.collectLocalVariables(node.body)) {
+            if (paramNames.has(varName)) continue;
+            if (scope && scope.slots.has(varName)) continue;
+            
+            // Находим объявление переменной для определения типа
+            const varDecl = this.findVariableDeclaration(node.body, varName);
+            locals.push({
+                name: varName,
+                type: this.jsTypeToWasm(varDecl && varDecl.inferredType, varDecl && varDecl.typeAnnotation)
+            });
+        }
+        
+        // Служебные локальные переменные для промежуточных значений
+        for (const type of this.collectScratchTypes(node.body)) {
+            locals.push({ name: this.scratchLocal(type).slice(1), type });
+        }
+        for (let depth = 0; depth < this.maxLiteralDepth(node.body, scope); depth++) {
+            locals.push({ name: this.literalLocal(depth).slice(1), type: WasmType.I32 });
+        }
+        if (scope && scope.frame) {
+            locals.push({ name: '__frame', type: WasmType.I32 });
+        }
+        
+        return { params, result, locals };
+    }
+    
+    /**
+     * Даёт каждому объявлению переменной в функции своё имя локальной
+     * переменной WASM.
+     * 
+     * Локальные переменные функции WASM - одно плоское пространство
+     * имён, а в JavaScript let и const блока скрывают внешнюю
+     * переменную с тем же именем только внутри блока:
+     * 
+     *   let i = 10;                        $i
+     *   for (let i = 0; i < n; i++) {}     $i@1
+     *   return i;                          $i
+     * 
+     * Первое объявление имени сохраняет его, следующие получают суффикс
+     * @N (в именах JavaScript @ не бывает). Имена не повторяются во всей
+     * функции верхнего уровня вместе с вложенными стрелочными функциями
+     * и не совпадают с глобальными переменными, поэтому дальше по имени
+     * всегда однозначно находится своя переменная. Имена объявлений и
+     * идентификаторов, которые на них ссылаются, попадают в localNames
+     * (см. localName).
+     */
+    resolveLocalNames(ast) {
+        this.localNames.clear();
+        
+        const globals = ast.body.filter(node => node.type === 'VariableDeclaration').map(node => node.name);
+        const programScope = { names: new Map(globals.map(name => [name, name])), parent: null };
+        
+        const lookup = (name, scope) => {
+            for (let s = scope; s; s = s.parent) {
+                if (s.names.has(name)) return s.names.get(name);
+            }
+            return null;
+        };
+        
+        const visit = (n, scope, taken) => {
+            if (!n || typeof n !== 'object') return;
+            
+            if (Array.isArray(n)) {
+                n.forEach(item => visit(item, scope, taken));
+                return;
+            }
+            
+            switch (n.type) {
+                case 'FunctionDeclaration':
+                case 'ArrowFunctionExpression': {
+                    // Функция верхнего уровня - своя функция WASM со своими
+                    // именами; стрелочные делят их с охватывающей
+                    const names = n.type === 'FunctionDeclaration' ? new Set(globals) : taken;
+                    const inner = { names: new Map(), parent: scope };
+                    for (const param of n.params) {
+                        inner.names.set(param.name, param.name);
+                        names.add(param.name);
+                    }
+                    visit(n.body, inner, names);
+                    return;
+                }
+                
+                case 'BlockStatement':
+                    visit(n.body, { names: new Map(), parent: scope }, taken);
+                    return;
+                
+                case 'ForStatement': {
+                    // Счётчик for виден в условии, шаге и теле
+                    const inner = { names: new Map(), parent: scope };
+                    for (const key of ['init', 'condition', 'update', 'body']) {
+                        visit(n[key], inner, taken);
+                    }
+                    return;
+                }
+                
+                case 'VariableDeclaration': {
+                    visit(n.init, scope, taken);
+                    if (scope === programScope) return;
+                    
+                    let name = n.name;
+                    for (let k = 1; taken.has(name); k++) {
+                        name = `${n.name}@${k}`;
+                    }
+                    taken.add(name);
+                    scope.names.set(n.name, name);
+                    this.localNames.set(n, name);
+                    return;
+                }
+                
+                case 'Identifier': {
+                    const name = lookup(n.name, scope);
+                    if (name !== null && name !== n.name) {
+                        this.localNames.set(n, name);
+                    }
+                    return;
+                }
+                
+                case 'MemberExpression':
+                    visit(n.object, scope, taken);
+                    if (n.computed) visit(n.property, scope, taken);
+                    return;
+                
+                case 'Property':
+                    visit(n.value, scope, taken);
+                    return;
+            }
+            
+            for (const key in n) {
+                if (!['inferredType', 'loc', 'typeAnnotation', 'returnType'].includes(key)) {
+                    visit(n[key], scope, taken);
+                }
+            }
+        };
+        
+        // Код верхнего уровня (__init) - тоже функция: переменные его
+        // блоков - её локальные переменные
+        visit(ast.body, programScope, new Set(globals));
+    }
+    
+    /**
+     * Имя локальной переменной для объявления или идентификатора (см.
+     * resolveLocalNames). Глобальные переменные, параметры и имена
+     * функций сохраняют имя из кода.
+     */
+    localName(node) {
+        return this.localNames.get(node) || node.name;
     }
     
     /**
-     * Собирает все локальные переменные из тела функции.
+     * Собирает все локальные переменные из тела функции. Переменные
+     * вложенных стрелочных функций принадлежат им.
      */
     collectLocalVariables(node) {
         const vars = new Set();
         
         const visit = (n) => {
-            if (!n) return;
+            if (!n || n.type === 'ArrowFunctionExpression') return;
             
-            if (n.type === 'VariableDeclaration') {
-                vars.add(n.name);
+            // Объявления верхнего уровня (в теле __init) - это глобальные переменные
+            if (n.type === 'VariableDeclaration' && !this.isGlobalDeclaration(n)) {
+                vars.add(this.localName(n));
             }
             
             // Рекурсивно обходим дерево
@@ -247,13 +2233,238 @@ class WasmCodeGenerator {
         return vars;
     }
     
+    /**
+     * Собирает WASM типы служебных локальных переменных, нужных телу функции.
+     * 
+     * Они нужны && и || с небулевым левым операндом: его значение
+     * одновременно проверяется и может стать результатом (см.
+     * generateLogicalExpression), и присваиванию элементу или свойству:
+     * значение одновременно сохраняется и остаётся результатом
+     * (см. generateMemberAssignment).
+     */
+    collectScratchTypes(node) {
+        const types = new Set();
+        
+        const visit = (n) => {
+            if (!n || typeof n !== 'object' || n.type === 'ArrowFunctionExpression') return;
+            
+            if (Array.isArray(n)) {
+                n.forEach(visit);
+                return;
+            }
+            
+            if (n.type === 'BinaryExpression' && this.needsLogicalScratch(n)) {
+                types.add(this.jsTypeToWasm(n.left.inferredType));
+            }
+            if (n.type === 'AssignmentExpression' && n.left.type === 'MemberExpression') {
+                types.add(this.jsTypeToWasm(n.left.inferredType));
+            }
+            // Векторизованная свёртка держит вектор слагаемых (generateVectorizedBody)
+            if (n.type === 'ForStatement' && n.vectorized > 1 && n.body.type === 'BlockStatement' &&
+                n.body.body.some(statement => statement.type === 'ExpressionStatement' &&
+                    statement.expression.type === 'AssignmentExpression' &&
+                    statement.expression.left.type === 'Identifier')) {
+                types.add(WasmType.V128);
+            }
+            if (n.type === 'CallExpression' && this.intrinsicName(n)) {
+                for (const [, type] of this.intrinsicCode(n).code.matchAll(/\$__tmp_(\w+)/g)) {
+                    types.add(type);
+                }
+            }
+            
+            for (const key in n) {
+                if (key !== 'inferredType' && key !== 'loc') {
+                    visit(n[key]);
+                }
+            }
+        };
+        
+        visit(node);
+        return types;
+    }
+    
+    /**
+     * Наибольшая вложенность литералов массивов и объектов в теле
+     * функции: [[1, 2], [3]] - 2. Столько служебных переменных $__new_N
+     * нужно, чтобы создавать вложенные литералы.
+     * 
+     * Замыкание с окружением создаётся как литерал, а косвенный вызов
+     * хранит в такой же переменной вызываемое замыкание, пока вычисляются
+     * аргументы (см. generateIndirectCall). Тело вложенной стрелочной
+     * функции - это отдельная функция со своими переменными.
+     * 
+     * @param {Object} node - Тело функции
+     * @param {Object|null} scope - Область видимости функции
+     */
+    maxLiteralDepth(node, scope = null) {
+        const visit = (n) => {
+            if (!n || typeof n !== 'object') return 0;
+            
+            if (n.type === 'ArrowFunctionExpression') {
+                return this.closures.get(n).needsEnv ? 1 : 0;
+            }
+            
+            let depth = 0;
+            const children = Array.isArray(n) ? n : Object.keys(n)
+                .filter(key => key !== 'inferredType' && key !== 'loc')
+                .map(key => n[key]);
+            for (const child of children) {
+                depth = Math.max(depth, visit(child));
+            }
+            
+            const isLiteral = n.type === 'ArrayExpression' || n.type === 'ObjectExpression' ||
+                (n.type === 'CallExpression' && this.isIndirectCall(n, scope));
+            return isLiteral ? depth + 1 : depth;
+        };
+        
+        return visit(node);
+    }
+    
+    /**
+     * Собирает имена служебных функций (RuntimeFunctions), которые
+     * понадобятся при генерации программы, вместе с функциями, которые
+     * вызывают они сами.
+     */
+    collectRuntimeFunctions(ast) {
+        const { TypeKind } = globalThis.CompilerStage5;
+        const names = new Set();
+        
+        const require = (name) => {
+            if (names.has(name)) return;
+            names.add(name);
+            RuntimeFunctions[name].requires.forEach(require);
+        };
+        
+        // Аллокатор экспортируется вместе с памятью
+        if (this.usesMemory) {
+            require('__alloc');
+        }
+        
+        const visit = (n) => {
+            if (!n || typeof n !== 'object') return;
+            
+            if (Array.isArray(n)) {
+                n.forEach(visit);
+                return;
+            }
+            
+            if (n.type === 'BinaryExpression') {
+                if (this.isStringConcat(n)) {
+                    require('__str_concat');
+                    if ([n.left, n.right].some(operand => this.isIntegerLike(operand))) {
+                        require('__str_from_i32');
+                    }
+                } else if (this.isStringComparison(n)) {
+                    require(['==', '===', '!=', '!=='].includes(n.operator) ? '__str_eq' : '__str_compare');
+                } else if (n.operator === '%' && this.arithmeticType(n) === WasmType.F64) {
+                    require('__f64_rem');
+                }
+            }
+            
+            if (n.type === 'MemberExpression' && this.isKind(n.object, TypeKind.STRING)) {
+                if (n.property.name === 'length') require('__str_length');
+                if (n.property.name === 'charCodeAt') require('__str_char_code_at');
+            }
+            if (n.type === 'MemberExpression' && n.computed && this.isKind(n.object, TypeKind.ARRAY)) {
+                require('__array_element');
+            }
+            if (n.type === 'CallExpression' && this.intrinsicName(n)) {
+                for (const [, name] of this.intrinsicCode(n).code.matchAll(/call \$(__\w+)/g)) {
+                    require(name);
+                }
+            }
+            
+            for (const key in n) {
+                if (key !== 'inferredType' && key !== 'loc') {
+                    visit(n[key]);
+                }
+            }
+        };
+        
+        visit(ast);
+        return names;
+    }
+    
+    /**
+     * Переводит тело служебной функции (линейный WAT из RuntimeFunctions)
+     * в вызовы instr() и begin/end-методов.
+     * 
+     * Условие if к началу блока уже на стеке, поэтому beginIf и beginThen
+     * вызываются подряд - в тексте получается (if (then ...)) без
+     * вложенного условия, что WAT допускает.
+     */
+    generateRuntimeCode(code) {
+        const blocks = [];
+        
+        for (const rawLine of code.split('\n')) {
+            const line = rawLine.replace(/;;.*$/, '').trim();
+            if (!line) continue;
+            
+            const [op, ...immediates] = line.split(/\s+/);
+            switch (op) {
+                case 'block':
+                case 'loop':
+                    this.beginBlock(op, immediates[0] || null);
+                    blocks.push(op);
+                    break;
+                case 'if': {
+                    const result = /\(result (\w+)\)/.exec(line);
+                    this.beginIf(result ? result[1] : null);
+                    this.beginThen();
+                    blocks.push(op);
+                    break;
+                }
+                case 'else':
+                    this.beginElse();
+                    break;
+                case 'end':
+                    if (blocks.pop() === 'if') {
+                        this.endIf();
+                    } else {
+                        this.endBlock();
+                    }
+                    break;
+                default:
+                    this.instr(op, ...immediates);
+            }
+        }
+    }
+    
+    /**
+     * Имя служебной локальной переменной для значения WASM типа type.
+     * 
+     * Одной переменной на тип достаточно: значение живёт от local.tee до
+     * local.get в соседней ветке if, и между ними другой код не выполняется.
+     */
+    scratchLocal(type) {
+        return `$__tmp_${type}`;
+    }
+    
+    /**
+     * Имя служебной переменной для адреса литерала на глубине depth.
+     * 
+     * Адрес нужен после вычисления каждого элемента, а элемент сам может
+     * быть литералом, поэтому у каждого уровня вложенности своя переменная.
+     */
+    literalLocal(depth) {
+        return `$__new_${depth}`;
+    }
+    
+    /**
+     * Проверяет, объявляет ли узел глобальную переменную модуля.
+     */
+    isGlobalDeclaration(node) {
+        const global = this.globals.get(node.name);
+        return global !== undefined && global.declaration === node;
+    }
+    
     /**
      * Находит объявление переменной по имени.
      */
     findVariableDeclaration(node, name) {
-        if (!node) return null;
+        if (!node || node.type === 'ArrowFunctionExpression') return null;
         
-        if (node.type === 'VariableDeclaration' && node.name === name) {
+        if (node.type === 'VariableDeclaration' && this.localName(node) === name) {
             return node;
         }
         
@@ -277,11 +2488,21 @@ class WasmCodeGenerator {
     
     /**
      * Конвертирует JavaScript тип в WASM тип.
+     * 
+     * annotation - аннотация типа из исходного кода (x: f64), если есть.
+     * Машинное имя в ней (i32, f64) и есть WASM тип; TypeAnalyzer
+     * закрепляет за таким узлом integer или number, так что оба пути
+     * дают один результат.
      */
-    jsTypeToWasm(type) {
+    jsTypeToWasm(type, annotation = null) {
+        if (annotation && annotation.type === 'TypeReference' &&
+            (annotation.name === WasmType.I32 || annotation.name === WasmType.F64)) {
+            return annotation.name;
+        }
+        
         if (!type) return WasmType.I32;
         
-        const { TypeKind } = window.CompilerStage5;
+        const { TypeKind } = globalThis.CompilerStage5;
         
         switch (type.kind) {
             case TypeKind.INTEGER:
@@ -291,11 +2512,12 @@ class WasmCodeGenerator {
             case TypeKind.BOOLEAN:
                 return WasmType.I32; // 0 или 1
             case TypeKind.STRING:
+                return WasmType.I32; // Адрес строки в линейной памяти
             case TypeKind.OBJECT:
             case TypeKind.ARRAY:
-                return WasmType.EXTERNREF;
+                return WasmType.I32; // Адрес в линейной памяти
             case TypeKind.FUNCTION:
-                return WasmType.FUNCREF;
+                return WasmType.I32; // Адрес замыкания
             case TypeKind.VOID:
                 return 'void';
             default:
@@ -309,6 +2531,9 @@ class WasmCodeGenerator {
     generateStatement(node) {
         if (!node) return;
         
+        const outerLoc = this.currentLoc;
+        if (node.loc) this.currentLoc = node.loc;
+        
         switch (node.type) {
             case 'BlockStatement':
                 for (const stmt of node.body) {
@@ -318,25 +2543,28 @@ class WasmCodeGenerator {
             
             case 'ReturnStatement':
                 if (node.value) {
-                    this.generateExpression(node.value);
+                    this.generateConverted(node.value, this.currentResultType);
                 }
-                this.emit('return');
+                this.instr('return');
                 break;
             
-            case 'VariableDeclaration':
-                if (node.init) {
-                    this.generateExpression(node.init);
-                    this.emit(`local.set $${node.name}`);
+            case 'VariableDeclaration': {
+                const name = this.localName(node);
+                if (node.init && this.envSlot(name)) {
+                    this.generateEnvSet(name, node.init);
+                } else if (node.init) {
+                    this.generateConverted(node.init, this.variableType(name));
+                    this.instr(this.isGlobalDeclaration(node) ? 'global.set' : 'local.set', `$${name}`);
+                } else if (node.kind !== 'var' && !this.isGlobalDeclaration(node)) {
+                    // let x; в теле цикла на каждой итерации начинается
+                    // с нуля, а не со значения прошлой итерации
+                    this.generateZeroSet(name);
                 }
                 break;
+            }
             
             case 'ExpressionStatement':
-                this.generateExpression(node.expression);
-                // Если выражение оставило значение на стеке, удаляем его
-                if (node.expression.inferredType && 
-                    node.expression.inferredType.kind !== 'void') {
-                    this.emit('drop');
-                }
+                this.generateDiscardedExpression(node.expression);
                 break;
             
             case 'IfStatement':
@@ -347,9 +2575,20 @@ class WasmCodeGenerator {
                 this.generateWhileStatement(node);
                 break;
             
+            case 'ForStatement':
+                this.generateForStatement(node);
+                break;
+            
+            case 'BreakStatement':
+            case 'ContinueStatement':
+                this.generateJumpStatement(node);
+                break;
+            
             default:
-                console.warn(`Неподдерживаемый тип оператора: ${node.type}`);
+                this.report('UNSUPPORTED_STATEMENT', `Неподдерживаемый тип оператора: ${node.type}`, node);
         }
+        
+        this.currentLoc = outerLoc;
     }
     
     /**
@@ -359,30 +2598,22 @@ class WasmCodeGenerator {
      * (if (condition) (then ...) (else ...))
      */
     generateIfStatement(node) {
-        this.emit('(if');
-        this.indent();
+        this.beginIf();
         
         // Генерируем условие (должно оставить i32 на стеке)
         this.generateExpression(node.condition);
         
         // Then ветка
-        this.emit('(then');
-        this.indent();
+        this.beginThen();
         this.generateStatement(node.then);
-        this.dedent();
-        this.emit(')');
         
         // Else ветка (если есть)
         if (node.else) {
-            this.emit('(else');
-            this.indent();
+            this.beginElse();
             this.generateStatement(node.else);
-            this.dedent();
-            this.emit(')');
         }
         
-        this.dedent();
-        this.emit(')');
+        this.endIf();
     }
     
     /**
@@ -395,83 +2626,654 @@ class WasmCodeGenerator {
         const loopLabel = `$loop_${this.labelCounter++}`;
         const blockLabel = `$block_${this.labelCounter++}`;
         
-        this.emit(`(block ${blockLabel}`);
-        this.indent();
-        this.emit(`(loop ${loopLabel}`);
-        this.indent();
+        this.beginBlock('block', blockLabel);
+        this.beginBlock('loop', loopLabel);
         
         // Проверяем условие
         this.generateExpression(node.condition);
-        this.emit('i32.eqz'); // Инвертируем (eqz = equal to zero)
-        this.emit(`br_if ${blockLabel}`); // Выходим из блока если условие false
+        this.instr('i32.eqz'); // Инвертируем (eqz = equal to zero)
+        this.instr('br_if', blockLabel); // Выходим из блока если условие false
         
-        // Тело цикла
+        // Тело цикла. continue возвращает к проверке условия - в начало loop
+        this.loopStack.push({ breakLabel: blockLabel, continueLabel: loopLabel });
         this.generateStatement(node.body);
+        this.loopStack.pop();
         
         // Возвращаемся к началу цикла
-        this.emit(`br ${loopLabel}`);
+        this.instr('br', loopLabel);
         
-        this.dedent();
-        this.emit(')'); // Закрываем loop
-        this.dedent();
-        this.emit(')'); // Закрываем block
+        this.endBlock(); // Закрываем loop
+        this.endBlock(); // Закрываем block
     }
     
     /**
-     * Генерирует выражение.
+     * Генерирует цикл for.
      * 
-     * Выражения оставляют значение на стеке. Мы генерируем код в постфиксном
-     * порядке, что естественным образом соответствует стековой машине.
+     * for (init; condition; update) body переводится так:
+     * 
+     *   init
+     *   (block $block_N
+     *     (loop $loop_N
+     *       condition, i32.eqz, br_if $block_N   ;; выход, если условие false
+     *       (block $continue_N
+     *         body                             ;; continue = br $continue_N
+     *       )
+     *       update
+     *       br $loop_N
+     *     )
+     *   )
+     * 
+     * Тело обёрнуто в отдельный блок, чтобы continue попадал на update,
+     * а не сразу на проверку условия (как в while). break выходит из
+     * внешнего блока. Пустое условие означает бесконечный цикл.
      */
-    generateExpression(node) {
-        if (!node) return;
+    generateForStatement(node) {
+        const loopLabel = `$loop_${this.labelCounter++}`;
+        const blockLabel = `$block_${this.labelCounter++}`;
+        const continueLabel = `$continue_${this.labelCounter++}`;
         
-        switch (node.type) {
-            case 'NumberLiteral':
-                this.generateNumberLiteral(node);
-                break;
-            
-            case 'BooleanLiteral':
-                this.emit(`i32.const ${node.value ? 1 : 0}`);
-                break;
-            
-            case 'Identifier':
-                this.emit(`local.get $${node.name}`);
-                break;
-            
-            case 'BinaryExpression':
-                this.generateBinaryExpression(node);
-                break;
-            
-            case 'UnaryExpression':
-                this.generateUnaryExpression(node);
-                break;
-            
-            case 'AssignmentExpression':
-                this.generateExpression(node.right);
-                this.emit(`local.set $${node.left.name}`);
-                this.emit(`local.get $${node.left.name}`); // Присваивание возвращает значение
-                break;
-            
-            case 'CallExpression':
-                this.generateCallExpression(node);
-                break;
-            
-            default:
-                console.warn(`Неподдерживаемый тип выражения: ${node.type}`);
+        // Инициализация выполняется один раз, до цикла
+        if (node.init) {
+            if (node.init.type === 'VariableDeclaration') {
+                this.generateStatement(node.init);
+            } else {
+                this.generateDiscardedExpression(node.init);
+            }
         }
-    }
-    
-    /**
+        
+        this.beginBlock('block', blockLabel);
+        this.beginBlock('loop', loopLabel);
+        
+        if (node.condition) {
+            this.generateExpression(node.condition);
+            this.instr('i32.eqz');
+            this.instr('br_if', blockLabel);
+        }
+        
+        this.beginBlock('block', continueLabel);
+        this.loopStack.push({ breakLabel: blockLabel, continueLabel: continueLabel });
+        const plan = node.vectorized > 1 ? this.vectorPlan(node) : null;
+        if (plan) {
+            this.generateVectorizedBody(node, plan);
+        } else {
+            this.generateStatement(node.body);
+        }
+        this.loopStack.pop();
+        this.endBlock(); // Закрываем блок тела
+        
+        if (node.update) {
+            this.generateDiscardedExpression(node.update);
+        }
+        
+        this.instr('br', loopLabel);
+        
+        this.endBlock(); // Закрываем loop
+        this.endBlock(); // Закрываем block
+    }
+    
+    /**
+     * План векторизации группы итераций или null.
+     * 
+     * Проход vectorization (stage5-optimizer.js) превращает поэлементный
+     * цикл в цикл по группам: тело группы - lanes копий исходного тела
+     * для i, i + 1, ..., i + lanes - 1 (поле vectorized - ширина). Если
+     * копии действительно одинаковы и каждый оператор исходного тела
+     * выражается инструкциями SIMD, группа выполняется ими:
+     * 
+     * - c[i] = <выражение> - v128.store выражения над векторами
+     * - s = s op <выражение> - скалярная свёртка: выражение вычисляется
+     *   вектором, затем s op= дорожка 0, s op= дорожка 1... - в том же
+     *   порядке, что и скалярный код, поэтому сумма f64 округляется так же
+     * 
+     * В выражении допустимы a[i] (v128.load), +, -, *, / и унарный минус
+     * с векторной инструкцией (SimdShapes) и значения, не зависящие от
+     * итерации (литералы, переменные, которые тело не меняет, a.length), -
+     * они вычисляются скалярно и размножаются по дорожкам (splat).
+     * Индекс всех обращений к массивам - сам счётчик, поэтому дорожки
+     * независимы, и порядок чтений и записей не важен.
+     * 
+     * @returns {Object|null} - { simd, arrays, vectors, statements }:
+     *          форма SIMD, массивы группы, векторные узлы выражений и
+     *          операторы тела
+     */
+    vectorPlan(node) {
+        const { TypeKind } = globalThis.CompilerStage5;
+        
+        const group = node.body.type === 'BlockStatement' ? node.body.body : [];
+        const lanes = node.vectorized;
+        if (group.length === 0 || group.length % lanes !== 0) return null;
+        
+        // Счётчик - переменная из update: i = i + lanes
+        const counter = node.update && node.update.type === 'AssignmentExpression' &&
+            node.update.left.type === 'Identifier' ? this.localName(node.update.left) : null;
+        if (!counter || this.envSlot(counter) || this.valueType(node.update.left) !== WasmType.I32) {
+            return null;
+        }
+        
+        const statements = group.slice(0, group.length / lanes);
+        for (let k = 1; k < lanes; k++) {
+            const copy = group.slice(k * statements.length, (k + 1) * statements.length);
+            if (!statements.every((statement, index) => this.isLaneCopy(statement, copy[index], counter, k))) {
+                return null;
+            }
+        }
+        
+        // Переменные, которые тело меняет, - не инварианты
+        const assigned = new Set([counter]);
+        for (const statement of statements) {
+            const left = statement.type === 'ExpressionStatement' && statement.expression.type === 'AssignmentExpression'
+                ? statement.expression.left
+                : null;
+            if (!left) return null;
+            if (left.type === 'Identifier') assigned.add(this.localName(left));
+        }
+        
+        let simd = null;
+        const arrays = new Map();
+        const vectors = new Set();
+        
+        // a[i]: массив - переменная, которую тело не меняет, индекс - счётчик
+        const element = (n) => {
+            if (n.type !== 'MemberExpression' || !n.computed || n.object.type !== 'Identifier' ||
+                assigned.has(this.localName(n.object)) || !this.isKind(n.object, TypeKind.ARRAY) ||
+                n.property.type !== 'Identifier' || this.localName(n.property) !== counter) {
+                return false;
+            }
+            const shape = SimdShapes[this.jsTypeToWasm(n.object.inferredType.elementType)];
+            if (!shape || shape.lanes !== lanes || (simd && shape !== simd)) return false;
+            simd = shape;
+            arrays.set(this.localName(n.object), n.object);
+            return true;
+        };
+        
+        const invariant = (n) => {
+            switch (n.type) {
+                case 'NumberLiteral':
+                case 'BooleanLiteral':
+                    return true;
+                case 'Identifier':
+                    return !assigned.has(this.localName(n)) && this.isVariable(this.localName(n));
+                case 'MemberExpression':
+                    return !n.computed && n.property.name === 'length' && n.object.type === 'Identifier' &&
+                        this.isKind(n.object, TypeKind.ARRAY);
+                case 'UnaryExpression':
+                    return ['-', '+', '!'].includes(n.operator) && invariant(n.argument);
+                case 'BinaryExpression':
+                    return !this.isStringConcat(n) && !this.isStringComparison(n) &&
+                        invariant(n.left) && invariant(n.right);
+                default:
+                    return false;
+            }
+        };
+        
+        // Векторное выражение: тип каждой операции - тип дорожки, без приведений
+        const isVector = (n) => {
+            if (n.type === 'MemberExpression') {
+                return element(n);
+            }
+            if (n.type === 'UnaryExpression' && n.operator === '-') {
+                return vector(n.argument) && this.valueType(n.argument) === this.jsTypeToWasm(n.inferredType);
+            }
+            if (n.type === 'BinaryExpression' && !this.isStringConcat(n) &&
+                ['+', '-', '*', '/'].includes(n.operator)) {
+                const type = this.arithmeticType(n);
+                const operands = [n.left, n.right];
+                return this.jsTypeToWasm(n.inferredType) === type &&
+                    operands.some(operand => !invariant(operand)) &&
+                    operands.every(operand => invariant(operand) ||
+                        (vector(operand) && this.valueType(operand) === type)) &&
+                    simd !== null && simd.type === type && n.operator in simd.ops;
+            }
+            return false;
+        };
+        const vector = (n) => {
+            if (!isVector(n)) return false;
+            vectors.add(n);
+            return true;
+        };
+        
+        const planned = [];
+        for (const statement of statements) {
+            const { left, right } = statement.expression;
+            
+            if (left.type === 'MemberExpression') {
+                if (!element(left) || !(invariant(right) || (vector(right) && this.valueType(right) === this.valueType(left)))) {
+                    return null;
+                }
+                planned.push({ kind: 'store', target: left, value: right });
+                continue;
+            }
+            
+            // Свёртка s = s op <выражение>: s больше нигде в теле не встречается
+            const name = this.localName(left);
+            const reduction = right.type === 'BinaryExpression' && right.left.type === 'Identifier' &&
+                this.localName(right.left) === name && !this.envSlot(name) &&
+                ['+', '-', '*'].includes(right.operator) && vector(right.right) &&
+                this.arithmeticType(right) === this.variableType(name) &&
+                this.jsTypeToWasm(right.inferredType) === this.variableType(name) &&
+                this.valueType(right.right) === this.variableType(name);
+            const mentions = statements.filter(other => this.mentions(other, name)).length;
+            if (!reduction || mentions !== 1 || this.mentions(right.right, name)) {
+                return null;
+            }
+            planned.push({ kind: 'reduce', target: left, operator: right.operator, value: right.right });
+        }
+        
+        return simd ? { simd, arrays: [...arrays.values()], vectors, statements: planned } : null;
+    }
+    
+    /**
+     * Является ли copy копией statement для дорожки k: там, где в
+     * statement счётчик i, в copy - i + k.
+     */
+    isLaneCopy(statement, copy, counter, k) {
+        if (statement && statement.type === 'Identifier' && this.localName(statement) === counter) {
+            return copy && copy.type === 'BinaryExpression' && copy.operator === '+' &&
+                copy.left.type === 'Identifier' && this.localName(copy.left) === counter &&
+                copy.right.type === 'NumberLiteral' && copy.right.value === k;
+        }
+        if (!statement || typeof statement !== 'object' || !copy || typeof copy !== 'object') {
+            return statement === copy;
+        }
+        if (Array.isArray(statement) !== Array.isArray(copy)) {
+            return false;
+        }
+        
+        const keys = Object.keys(statement).filter(key => key !== 'loc' && key !== 'inferredType');
+        return keys.length === Object.keys(copy).filter(key => key !== 'loc' && key !== 'inferredType').length &&
+            keys.every(key => this.isLaneCopy(statement[key], copy[key], counter, k));
+    }
+    
+    /**
+     * Встречается ли переменная name в поддереве node.
+     */
+    mentions(node, name) {
+        if (!node || typeof node !== 'object') return false;
+        if (node.type === 'Identifier' && this.localName(node) === name) return true;
+        return Object.keys(node).some(key => key !== 'loc' && key !== 'inferredType' && this.mentions(node[key], name));
+    }
+    
+    /**
+     * Тело группы итераций с инструкциями SIMD (план - vectorPlan).
+     * 
+     * Векторные обращения к памяти не проверяют индекс, как
+     * __array_element, поэтому группа выполняется ими, только если все
+     * её элементы в границах всех массивов; иначе выполняются скалярные
+     * копии тела - и trap случается на том же элементе, что и без
+     * векторизации:
+     * 
+     *   i >= 0 && i + lanes - 1 < a.length && ...
+     *   (if
+     *     (then <SIMD>)
+     *     (else <тело группы>))
+     */
+    generateVectorizedBody(node, plan) {
+        const counter = node.update.left;
+        const { simd } = plan;
+        
+        this.beginIf();
+        this.generateExpression(counter);
+        this.instr('i32.const', 0);
+        this.instr('i32.ge_s');
+        for (const array of plan.arrays) {
+            this.generateExpression(counter);
+            this.instr('i32.const', simd.lanes - 1);
+            this.instr('i32.add');
+            this.generateExpression(array);
+            this.instr('i32.load');
+            this.instr('i32.lt_u');
+            this.instr('i32.and');
+        }
+        this.beginThen();
+        
+        for (const statement of plan.statements) {
+            if (statement.kind === 'store') {
+                this.generateVectorAddress(statement.target, counter, simd);
+                this.generateVector(statement.value, plan);
+                this.instr('v128.store', `offset=${MemoryLayout.ARRAY_HEADER}`);
+                continue;
+            }
+            
+            // Свёртка: дорожки добавляются по одной, по порядку
+            const name = this.localName(statement.target);
+            const scope = this.variableScope(name);
+            const type = this.variableType(name);
+            this.generateVector(statement.value, plan);
+            this.instr('local.set', this.scratchLocal(WasmType.V128));
+            for (let lane = 0; lane < simd.lanes; lane++) {
+                this.instr(`${scope}.get`, `$${name}`);
+                this.instr('local.get', this.scratchLocal(WasmType.V128));
+                this.instr(`${simd.shape}.extract_lane`, lane);
+                this.instr(`${type}.${SimdShapes[type].ops[statement.operator]}`);
+                this.instr(`${scope}.set`, `$${name}`);
+            }
+        }
+        
+        this.beginElse();
+        this.generateStatement(node.body);
+        this.endIf();
+    }
+    
+    /**
+     * Адрес первого элемента группы без заголовка массива:
+     * a + i * size (заголовок - смещение инструкции).
+     */
+    generateVectorAddress(node, counter, simd) {
+        this.generateExpression(node.object);
+        this.generateExpression(counter);
+        this.instr('i32.const', simd.size);
+        this.instr('i32.mul');
+        this.instr('i32.add');
+    }
+    
+    /**
+     * Векторное выражение из плана vectorPlan.
+     */
+    generateVector(node, plan) {
+        const { simd } = plan;
+        
+        // Значение, не зависящее от итерации, - во все дорожки
+        if (!plan.vectors.has(node)) {
+            this.generateConverted(node, simd.type);
+            this.instr(`${simd.shape}.splat`);
+            return;
+        }
+        
+        if (node.type === 'MemberExpression') {
+            this.generateVectorAddress(node, node.property, simd);
+            this.instr('v128.load', `offset=${MemoryLayout.ARRAY_HEADER}`);
+            return;
+        }
+        
+        if (node.type === 'UnaryExpression' && node.operator === '-') {
+            this.generateVector(node.argument, plan);
+            this.instr(`${simd.shape}.neg`);
+            return;
+        }
+        
+        this.generateVector(node.left, plan);
+        this.generateVector(node.right, plan);
+        this.instr(`${simd.shape}.${simd.ops[node.operator]}`);
+    }
+    
+    /**
+     * Генерирует break и continue - переход к метке ближайшего цикла.
+     * 
+     * br к метке block продолжает выполнение после блока (выход из цикла),
+     * br к метке loop - в начале цикла. Вне цикла оператор уже отмечен
+     * анализатором типов как ошибка, поэтому здесь он просто пропускается.
+     */
+    generateJumpStatement(node) {
+        const loop = this.loopStack[this.loopStack.length - 1];
+        if (!loop) return;
+        
+        this.instr('br', node.type === 'BreakStatement' ? loop.breakLabel : loop.continueLabel);
+    }
+    
+    /**
+     * Генерирует выражение, значение которого не нужно (оператор-выражение,
+     * update в for). Если выражение оставило значение на стеке, удаляем его.
+     */
+    generateDiscardedExpression(node) {
+        this.generateExpression(node);
+        if (node.inferredType && 
+            node.inferredType.kind !== 'void') {
+            this.instr('drop');
+        }
+    }
+    
+    /**
+     * Генерирует выражение.
+     * 
+     * Выражения оставляют значение на стеке. Мы генерируем код в постфиксном
+     * порядке, что естественным образом соответствует стековой машине.
+     */
+    generateExpression(node) {
+        if (!node) return;
+        
+        const outerLoc = this.currentLoc;
+        if (node.loc) this.currentLoc = node.loc;
+        
+        switch (node.type) {
+            case 'NumberLiteral':
+                this.generateNumberLiteral(node);
+                break;
+            
+            case 'BooleanLiteral':
+                this.instr('i32.const', node.value ? 1 : 0);
+                break;
+            
+            case 'Identifier':
+                this.generateIdentifier(node);
+                break;
+            
+            case 'BinaryExpression':
+                this.generateBinaryExpression(node);
+                break;
+            
+            case 'UnaryExpression':
+                this.generateUnaryExpression(node);
+                break;
+            
+            case 'AssignmentExpression': {
+                if (node.left.type === 'MemberExpression') {
+                    this.generateMemberAssignment(node);
+                    break;
+                }
+                const name = this.localName(node.left);
+                if (this.envSlot(name)) {
+                    this.generateEnvSet(name, node.right);
+                    this.generateIdentifier(node.left); // Присваивание возвращает значение
+                    break;
+                }
+                const scope = this.variableScope(name);
+                this.generateConverted(node.right, this.variableType(name));
+                this.instr(`${scope}.set`, `$${name}`);
+                this.instr(`${scope}.get`, `$${name}`); // Присваивание возвращает значение
+                break;
+            }
+            
+            case 'CallExpression':
+                this.generateCallExpression(node);
+                break;
+            
+            case 'ConditionalExpression':
+                this.generateConditionalExpression(node);
+                break;
+            
+            case 'StringLiteral':
+                this.relocatableConst('memory', this.strings.get(node.value));
+                break;
+            
+            case 'MemberExpression':
+                this.generateMemberExpression(node);
+                break;
+            
+            case 'ArrayExpression':
+                this.generateArrayExpression(node);
+                break;
+            
+            case 'ObjectExpression':
+                this.generateObjectExpression(node);
+                break;
+            
+            case 'ArrowFunctionExpression':
+                this.generateClosure(node);
+                break;
+            
+            default:
+                this.report('UNSUPPORTED_EXPRESSION', `Неподдерживаемый тип выражения: ${node.type}`, node);
+        }
+        
+        this.currentLoc = outerLoc;
+    }
+    
+    /**
+     * Генерирует тернарный оператор.
+     * 
+     * Если обе ветки - литералы или переменные, используем select: он
+     * вычисляет оба значения и выбирает одно без ветвления, что дешевле
+     * для процессора. В остальных случаях нужен if (result T) - ветки могут
+     * иметь побочные эффекты или рекурсию (n <= 1 ? 1 : n * f(n - 1)),
+     * и вычислять можно только выбранную. Условие select вычисляет после
+     * веток, поэтому условие с побочными эффектами (bump() ? t : 0) тоже
+     * требует if: ветка должна увидеть изменённое значение.
+     */
+    generateConditionalExpression(node) {
+        const resultType = this.jsTypeToWasm(node.inferredType);
+        
+        if (this.isTrivialExpression(node.then) && this.isTrivialExpression(node.else) &&
+            !this.hasSideEffects(node.condition)) {
+            // select: [then, else, condition] → выбранное значение
+            this.generateConverted(node.then, resultType);
+            this.generateConverted(node.else, resultType);
+            this.generateExpression(node.condition);
+            this.instr('select', ['result', resultType]);
+            return;
+        }
+        
+        this.beginIf(resultType);
+        this.generateExpression(node.condition);
+        this.beginThen();
+        this.generateConverted(node.then, resultType);
+        this.beginElse();
+        this.generateConverted(node.else, resultType);
+        this.endIf();
+    }
+    
+    /**
+     * Выражение без побочных эффектов, которое дёшево вычислить всегда.
+     */
+    isTrivialExpression(node) {
+        return ['NumberLiteral', 'BooleanLiteral', 'StringLiteral', 'Identifier'].includes(node.type);
+    }
+    
+    /**
+     * Есть ли в выражении вызов или присваивание.
+     */
+    hasSideEffects(node) {
+        if (!node || typeof node !== 'object') return false;
+        if (Array.isArray(node)) return node.some(item => this.hasSideEffects(item));
+        if (['CallExpression', 'AssignmentExpression', 'UpdateExpression'].includes(node.type)) return true;
+        // Тело замыкания при создании не выполняется
+        if (node.type === 'ArrowFunctionExpression') return false;
+        
+        return Object.keys(node).some(key =>
+            !['loc', 'inferredType', 'typeAnnotation', 'returnType'].includes(key) &&
+            this.hasSideEffects(node[key]));
+    }
+    
+    // ========================================================================
+    // ЧИСЛОВЫЕ ПРЕОБРАЗОВАНИЯ
+    // ========================================================================
+    //
+    // В JavaScript одно число, а в WASM два представления: integer - i32,
+    // number - f64. Инструкции WASM не смешивают типы (i32.add не примет
+    // f64), поэтому везде, где типизированный AST сводит integer и number
+    // вместе - операнды, присваивания, return, аргументы вызовов, ветки
+    // тернарного оператора - значение приводится к нужному типу.
+    
+    /**
+     * Генерирует выражение и приводит его значение к WASM типу targetType.
+     * 
+     * targetType null (например, return в void функции) - без приведения.
+     */
+    generateConverted(node, targetType) {
+        this.generateExpression(node);
+        
+        if (targetType) {
+            this.convertValue(this.valueType(node), targetType);
+        }
+    }
+    
+    /**
+     * Приводит значение на вершине стека от типа from к типу to.
+     * 
+     * i32 → f64 точно (f64.convert_i32_s). f64 → i32 отбрасывает дробную
+     * часть (i32.trunc_f64_s) - так number сохраняется в integer переменную.
+     */
+    convertValue(from, to) {
+        if (from === WasmType.I32 && to === WasmType.F64) {
+            this.instr('f64.convert_i32_s');
+        } else if (from === WasmType.F64 && to === WasmType.I32) {
+            this.instr('i32.trunc_f64_s');
+        }
+    }
+    
+    /**
+     * WASM тип значения, которое выражение оставляет на стеке.
+     * 
+     * Для переменной это тип её local/global: анализатор может уточнить
+     * тип переменной после объявления, но WASM переменная свой тип
+     * не меняет.
+     */
+    valueType(node) {
+        if (node.type === 'Identifier' && this.isVariable(this.localName(node))) {
+            return this.variableType(this.localName(node));
+        }
+        return this.jsTypeToWasm(node.inferredType);
+    }
+    
+    /**
+     * WASM тип переменной (локальной, глобальной или из окружения).
+     */
+    variableType(name) {
+        const slot = this.envSlot(name);
+        if (slot) {
+            return slot.type;
+        }
+        if (this.variableScope(name) === 'global') {
+            return this.globals.get(name).type;
+        }
+        return this.localTypes.get(name) || WasmType.I32;
+    }
+    
+    /**
+     * Тип, в котором выполняется арифметическая операция (+, -, *, /, %):
+     * f64, если f64 хоть один операнд или результат (деление целых
+     * в JavaScript даёт дробное число), иначе i32.
+     */
+    arithmeticType(node) {
+        const types = [
+            this.valueType(node.left),
+            this.valueType(node.right),
+            this.jsTypeToWasm(node.inferredType)
+        ];
+        return types.includes(WasmType.F64) ? WasmType.F64 : WasmType.I32;
+    }
+    
+    /**
+     * Тип, в котором выполняется сравнение: f64, если хоть один
+     * операнд f64, иначе i32.
+     */
+    comparisonType(node) {
+        const types = [this.valueType(node.left), this.valueType(node.right)];
+        return types.includes(WasmType.F64) ? WasmType.F64 : WasmType.I32;
+    }
+    
+    /**
+     * Определяет, где живёт переменная: 'local' или 'global'.
+     * 
+     * Локальные переменные и параметры функции перекрывают глобальные
+     * с тем же именем - как в JavaScript.
+     */
+    variableScope(name) {
+        if (!this.locals.has(name) && this.globals.has(name)) {
+            return 'global';
+        }
+        return 'local';
+    }
+    
+    /**
      * Генерирует числовой литерал.
      */
     generateNumberLiteral(node) {
-        const { TypeKind } = window.CompilerStage5;
+        const { TypeKind } = globalThis.CompilerStage5;
         
         if (node.inferredType && node.inferredType.kind === TypeKind.INTEGER) {
-            this.emit(`i32.const ${Math.floor(node.value)}`);
+            this.instr('i32.const', Math.floor(node.value));
         } else {
-            this.emit(`f64.const ${node.value}`);
+            this.instr('f64.const', node.value);
         }
     }
     
@@ -484,132 +3286,1456 @@ class WasmCodeGenerator {
      * 3. Генерируем операцию (снимает два значения, кладёт результат)
      */
     generateBinaryExpression(node) {
-        const { TypeKind } = window.CompilerStage5;
+        if (node.operator === '&&' || node.operator === '||') {
+            this.generateLogicalExpression(node);
+            return;
+        }
         
-        // Генерируем операнды
-        this.generateExpression(node.left);
-        this.generateExpression(node.right);
+        if (this.isStringConcat(node)) {
+            this.generateStringConcat(node);
+            return;
+        }
+        
+        if (this.isStringComparison(node)) {
+            this.generateStringComparison(node);
+            return;
+        }
+        
+        const arithmetic = ['+', '-', '*', '/', '%'].includes(node.operator);
         
-        // Определяем, какой тип операции генерировать
-        const isInteger = node.inferredType && 
-                         node.inferredType.kind === TypeKind.INTEGER;
-        const prefix = isInteger ? 'i32' : 'f64';
+        // Побитовые операции и сдвиги в исходном коде не разбираются - их
+        // создаёт оптимизатор (x * 8 → x << 3) над целыми операндами,
+        // поэтому они всегда выполняются в i32
+        const bitwise = ['<<', '>>', '>>>', '&', '|', '^'].includes(node.operator);
+        
+        // Тип операции определяется операндами, а не только результатом:
+        // сравнение двух f64 даёт boolean (i32), но выполняется как f64.lt.
+        // Операнд другого типа приводится к типу операции.
+        const opType = bitwise ? WasmType.I32
+            : arithmetic ? this.arithmeticType(node) : this.comparisonType(node);
+        const isInteger = opType === WasmType.I32;
+        const prefix = opType;
+        
+        // Генерируем операнды
+        this.generateConverted(node.left, opType);
+        this.generateConverted(node.right, opType);
         
         // Генерируем операцию
         switch (node.operator) {
             case '+':
-                this.emit(`${prefix}.add`);
+                this.instr(`${prefix}.add`);
                 break;
             case '-':
-                this.emit(`${prefix}.sub`);
+                this.instr(`${prefix}.sub`);
                 break;
             case '*':
-                this.emit(`${prefix}.mul`);
+                this.instr(`${prefix}.mul`);
                 break;
             case '/':
                 if (isInteger) {
-                    this.emit('i32.div_s'); // Signed division
+                    this.instr('i32.div_s'); // Signed division
                 } else {
-                    this.emit('f64.div');
+                    this.instr('f64.div');
                 }
                 break;
             case '%':
                 if (isInteger) {
-                    this.emit('i32.rem_s'); // Remainder (signed)
+                    this.instr('i32.rem_s'); // Remainder (signed)
                 } else {
-                    // f64 не имеет rem, нужно использовать формулу
-                    console.warn('Modulo для float не реализовано');
+                    // В WASM нет f64.rem - остаток считает служебная функция
+                    this.instr('call', '$__f64_rem');
                 }
                 break;
             
             // Операторы сравнения
             case '<':
-                this.emit(isInteger ? 'i32.lt_s' : 'f64.lt');
+                this.instr(isInteger ? 'i32.lt_s' : 'f64.lt');
                 break;
             case '>':
-                this.emit(isInteger ? 'i32.gt_s' : 'f64.gt');
+                this.instr(isInteger ? 'i32.gt_s' : 'f64.gt');
                 break;
             case '<=':
-                this.emit(isInteger ? 'i32.le_s' : 'f64.le');
+                this.instr(isInteger ? 'i32.le_s' : 'f64.le');
                 break;
             case '>=':
-                this.emit(isInteger ? 'i32.ge_s' : 'f64.ge');
+                this.instr(isInteger ? 'i32.ge_s' : 'f64.ge');
                 break;
             case '==':
             case '===':
-                this.emit(isInteger ? 'i32.eq' : 'f64.eq');
+                this.instr(isInteger ? 'i32.eq' : 'f64.eq');
                 break;
             case '!=':
             case '!==':
-                this.emit(isInteger ? 'i32.ne' : 'f64.ne');
+                this.instr(isInteger ? 'i32.ne' : 'f64.ne');
                 break;
             
-            // Логические операторы (уже работают с i32)
-            case '&&':
-                this.emit('i32.and');
+            // Побитовые операции и сдвиги (только i32)
+            case '<<':
+                this.instr('i32.shl');
+                break;
+            case '>>':
+                this.instr('i32.shr_s');
                 break;
-            case '||':
-                this.emit('i32.or');
+            case '>>>':
+                this.instr('i32.shr_u');
+                break;
+            case '&':
+                this.instr('i32.and');
+                break;
+            case '|':
+                this.instr('i32.or');
+                break;
+            case '^':
+                this.instr('i32.xor');
                 break;
             
             default:
-                console.warn(`Неподдерживаемый оператор: ${node.operator}`);
+                this.report('UNSUPPORTED_OPERATOR', `Неподдерживаемый оператор: ${node.operator}`, node);
+                return;
+        }
+        
+        // Результат арифметики приводится к типу, который ждут потребители
+        // (например, f64 операция внутри выражения неизвестного типа)
+        if (arithmetic || bitwise) {
+            this.convertValue(opType, this.jsTypeToWasm(node.inferredType));
         }
     }
     
+    // ========================================================================
+    // СТРОКИ
+    // ========================================================================
+    
     /**
-     * Генерирует унарное выражение.
+     * Проверяет, имеет ли выражение тип kind по данным анализатора.
      */
-    generateUnaryExpression(node) {
-        this.generateExpression(node.argument);
-        
-        if (node.operator === '-') {
-            const isInteger = node.inferredType && 
-                             node.inferredType.kind === 'integer';
-            // Унарный минус = 0 - значение
-            if (isInteger) {
-                this.emit('i32.const 0');
-                this.emit('i32.sub');
-            } else {
-                this.emit('f64.const 0');
-                this.emit('f64.sub');
-            }
-        } else if (node.operator === '!') {
-            // Логическое НЕ
-            this.emit('i32.eqz');
-        }
+    isKind(node, kind) {
+        return Boolean(node.inferredType) && node.inferredType.kind === kind;
     }
     
     /**
-     * Генерирует вызов функции.
-     * 
-     * В простейшем случае - просто генерируем аргументы и инструкцию call.
-     * Для вызовов импортированных функций или методов объектов нужна
-     * более сложная логика.
+     * Целое значение (integer или тип, который станет i32, - unknown).
      */
-    generateCallExpression(node) {
-        // Генерируем аргументы (они окажутся на стеке)
-        for (const arg of node.arguments) {
-            this.generateExpression(arg);
-        }
-        
-        // Генерируем вызов
-        if (node.callee.type === 'Identifier') {
-            this.emit(`call $${node.callee.name}`);
-        } else {
-            console.warn('Сложные вызовы функций не реализованы');
-        }
+    isIntegerLike(node) {
+        const { TypeKind } = globalThis.CompilerStage5;
+        return this.isKind(node, TypeKind.INTEGER) || this.isKind(node, TypeKind.UNKNOWN);
     }
     
     /**
-     * Вспомогательные методы для форматирования.
+     * + со строковым результатом - конкатенация.
      */
-    emit(code) {
-        const indent = '  '.repeat(this.indentLevel);
-        this.output.push(indent + code);
+    isStringConcat(node) {
+        const { TypeKind } = globalThis.CompilerStage5;
+        return node.type === 'BinaryExpression' && node.operator === '+' &&
+               this.isKind(node, TypeKind.STRING);
     }
     
-    indent() {
+    /**
+     * Сравнение, в котором участвует строка.
+     */
+    isStringComparison(node) {
+        const { TypeKind } = globalThis.CompilerStage5;
+        return node.type === 'BinaryExpression' &&
+               ['==', '===', '!=', '!==', '<', '>', '<=', '>='].includes(node.operator) &&
+               (this.isKind(node.left, TypeKind.STRING) || this.isKind(node.right, TypeKind.STRING));
+    }
+    
+    /**
+     * Генерирует конкатенацию a + b.
+     * 
+     * Операнд-не-строка превращается в строку, как в JavaScript: целое -
+     * десятичной записью (__str_from_i32), boolean - литералом "true" или
+     * "false". Запись дробных чисел по правилам JavaScript (кратчайшее
+     * представление, экспонента) здесь не реализована.
+     */
+    generateStringConcat(node) {
+        for (const operand of [node.left, node.right]) {
+            if (!this.generateStringOperand(operand)) {
+                return;
+            }
+        }
+        this.instr('call', '$__str_concat');
+    }
+    
+    /**
+     * Генерирует операнд конкатенации как строку. Возвращает false и
+     * сообщает об ошибке, если значение нельзя превратить в строку.
+     */
+    generateStringOperand(node) {
+        const { TypeKind } = globalThis.CompilerStage5;
+        
+        if (this.isKind(node, TypeKind.STRING)) {
+            this.generateExpression(node);
+        } else if (this.isKind(node, TypeKind.BOOLEAN)) {
+            this.relocatableConst('memory', this.strings.get('true'));
+            this.relocatableConst('memory', this.strings.get('false'));
+            this.generateExpression(node);
+            this.instr('select');
+        } else if (this.isIntegerLike(node)) {
+            this.generateConverted(node, WasmType.I32);
+            this.instr('call', '$__str_from_i32');
+        } else {
+            this.report(
+                'UNSUPPORTED_OPERATOR',
+                `Преобразование ${node.inferredType ? node.inferredType.kind : 'значения'} в строку не поддерживается`,
+                node
+            );
+            return false;
+        }
+        return true;
+    }
+    
+    /**
+     * Генерирует сравнение строк.
+     * 
+     * == и === сравнивают содержимое (__str_eq), а не адреса: две
+     * одинаковые строки, собранные конкатенацией, лежат по разным адресам.
+     * <, >, <=, >= сравнивают результат __str_compare (-1, 0, 1) с нулём.
+     * Сравнение строки с не-строкой (в JavaScript - с приведением типов)
+     * не поддерживается.
+     */
+    generateStringComparison(node) {
+        const { TypeKind } = globalThis.CompilerStage5;
+        
+        if (!this.isKind(node.left, TypeKind.STRING) || !this.isKind(node.right, TypeKind.STRING)) {
+            this.report('UNSUPPORTED_OPERATOR', `Сравнение строки с не-строкой не поддерживается`, node);
+            return;
+        }
+        
+        this.generateExpression(node.left);
+        this.generateExpression(node.right);
+        
+        switch (node.operator) {
+            case '==':
+            case '===':
+                this.instr('call', '$__str_eq');
+                break;
+            case '!=':
+            case '!==':
+                this.instr('call', '$__str_eq');
+                this.instr('i32.eqz');
+                break;
+            default: {
+                const ops = { '<': 'i32.lt_s', '>': 'i32.gt_s', '<=': 'i32.le_s', '>=': 'i32.ge_s' };
+                this.instr('call', '$__str_compare');
+                this.instr('i32.const', 0);
+                this.instr(ops[node.operator]);
+            }
+        }
+    }
+    
+    /**
+     * Генерирует доступ к члену: s.length, a.length, a[i] и o.x.
+     */
+    generateMemberExpression(node) {
+        const { TypeKind } = globalThis.CompilerStage5;
+        
+        const constant = this.builtinConstant(node);
+        if (constant !== null) {
+            this.instr('f64.const', constant);
+            return;
+        }
+        
+        if (!node.computed && node.property.name === 'length') {
+            if (this.isKind(node.object, TypeKind.STRING)) {
+                this.generateExpression(node.object);
+                this.instr('call', '$__str_length');
+                return;
+            }
+            if (this.isKind(node.object, TypeKind.ARRAY)) {
+                this.generateExpression(node.object);
+                this.instr('i32.load');
+                return;
+            }
+        }
+        
+        const slot = this.generateMemberAddress(node);
+        if (slot) {
+            this.instr(`${slot.type}.load`, ...slot.offset);
+        }
+    }
+    
+    /**
+     * Генерирует присваивание элементу массива или свойству объекта.
+     * 
+     * Значение нужно и для store, и как результат присваивания
+     * (a[i] = b[j] = 0), поэтому оно сохраняется в служебную переменную:
+     * 
+     *   <адрес>
+     *   <значение>
+     *   local.tee $__tmp_T
+     *   T.store
+     *   local.get $__tmp_T
+     */
+    generateMemberAssignment(node) {
+        const slot = this.generateMemberAddress(node.left);
+        if (!slot) return;
+        
+        this.generateConverted(node.right, slot.type);
+        this.instr('local.tee', this.scratchLocal(slot.type));
+        this.instr(`${slot.type}.store`, ...slot.offset);
+        this.instr('local.get', this.scratchLocal(slot.type));
+        this.convertValue(slot.type, this.jsTypeToWasm(node.inferredType));
+    }
+    
+    /**
+     * Оставляет на стеке адрес элемента массива или свойства объекта и
+     * возвращает, как к нему обращаться: WASM тип значения и смещение
+     * от адреса (операнды load/store - [] или ['offset=8']).
+     * 
+     * Для a[i] адрес вычисляет __array_element, проверяя индекс. Смещение
+     * свойства объекта известно при компиляции и попадает прямо в
+     * инструкцию.
+     * 
+     * @returns {Object|null} - { type, offset } или null, если доступ
+     *                          не поддерживается (об этом уже сообщено)
+     */
+    generateMemberAddress(node) {
+        const { TypeKind } = globalThis.CompilerStage5;
+        const objectType = node.object.inferredType;
+        
+        if (node.computed && this.isKind(node.object, TypeKind.ARRAY)) {
+            const type = this.jsTypeToWasm(objectType.elementType);
+            this.generateExpression(node.object);
+            this.generateConverted(node.property, WasmType.I32);
+            this.instr('i32.const', this.elementSize(type));
+            this.instr('call', '$__array_element');
+            return { type, offset: [] };
+        }
+        
+        if (!node.computed && this.isKind(node.object, TypeKind.OBJECT)) {
+            const slot = this.objectSlots(objectType).indexOf(node.property.name);
+            if (slot !== -1) {
+                const offset = slot * MemoryLayout.OBJECT_SLOT;
+                this.generateExpression(node.object);
+                return {
+                    type: this.jsTypeToWasm(objectType.properties[node.property.name]),
+                    offset: offset > 0 ? [`offset=${offset}`] : []
+                };
+            }
+        }
+        
+        this.report('UNSUPPORTED_EXPRESSION', 'Неподдерживаемый доступ к члену: тип объекта неизвестен', node);
+        return null;
+    }
+    
+    /**
+     * Размер элемента массива в байтах для WASM типа элемента.
+     */
+    elementSize(type) {
+        return type === WasmType.F64 ? 8 : 4;
+    }
+    
+    /**
+     * Имена свойств объекта в порядке полей в памяти - по алфавиту.
+     */
+    objectSlots(objectType) {
+        return Object.keys(objectType.properties).sort();
+    }
+    
+    /**
+     * Генерирует литерал массива: выделяет память, записывает длину
+     * и элементы и оставляет на стеке адрес массива.
+     * 
+     *   i32.const <8 + n * size>
+     *   call $__alloc
+     *   local.set $__new_0
+     *   local.get $__new_0       ;; длина
+     *   i32.const <n>
+     *   i32.store
+     *   local.get $__new_0       ;; a[k]
+     *   <элемент k>
+     *   T.store offset=<8 + k * size>
+     *   ...
+     *   local.get $__new_0
+     * 
+     * Элементы вычисляются по порядку, как в JavaScript, и приводятся
+     * к типу элемента массива ([1, 2.5] хранит 1 как f64).
+     */
+    generateArrayExpression(node) {
+        const type = this.jsTypeToWasm(node.inferredType.elementType);
+        const size = this.elementSize(type);
+        const address = this.beginLiteral(MemoryLayout.ARRAY_HEADER + node.elements.length * size);
+        
+        this.instr('local.get', address);
+        this.instr('i32.const', node.elements.length);
+        this.instr('i32.store');
+        
+        node.elements.forEach((element, index) => {
+            this.instr('local.get', address);
+            this.generateConverted(element, type);
+            this.instr(`${type}.store`, `offset=${MemoryLayout.ARRAY_HEADER + index * size}`);
+        });
+        
+        this.endLiteral(address);
+    }
+    
+    /**
+     * Генерирует литерал объекта - так же, как литерал массива, но без
+     * заголовка: значения свойств записываются в поля по их смещениям.
+     * Значения вычисляются в порядке литерала, а не в порядке полей.
+     */
+    generateObjectExpression(node) {
+        const slots = this.objectSlots(node.inferredType);
+        const address = this.beginLiteral(slots.length * MemoryLayout.OBJECT_SLOT);
+        
+        for (const property of node.properties) {
+            const offset = slots.indexOf(property.key.name) * MemoryLayout.OBJECT_SLOT;
+            const type = this.jsTypeToWasm(node.inferredType.properties[property.key.name]);
+            
+            this.instr('local.get', address);
+            this.generateConverted(property.value, type);
+            this.instr(`${type}.store`, ...(offset > 0 ? [`offset=${offset}`] : []));
+        }
+        
+        this.endLiteral(address);
+    }
+    
+    /**
+     * Выделяет size байт для литерала и сохраняет адрес в служебную
+     * переменную текущего уровня вложенности. Возвращает её имя.
+     */
+    beginLiteral(size) {
+        const address = this.literalLocal(this.literalDepth++);
+        this.instr('i32.const', size);
+        this.instr('call', '$__alloc');
+        this.instr('local.set', address);
+        return address;
+    }
+    
+    /**
+     * Завершает литерал: адрес становится значением выражения.
+     */
+    endLiteral(address) {
+        this.instr('local.get', address);
+        this.literalDepth--;
+    }
+    
+    /**
+     * Генерирует && и || с коротким замыканием.
+     * 
+     * Правый операнд вычисляется, только если от него зависит результат,
+     * а результатом, как в JavaScript, становится один из операндов:
+     * 
+     *   a && b  =  if (a истинно) b else a
+     *   a || b  =  if (a истинно) a else b
+     * 
+     * Значение a нужно дважды - для проверки и как результат, поэтому оно
+     * сохраняется в служебную локальную переменную (local.tee). Для
+     * булевого a значение в ветке, где оно стало результатом, известно
+     * заранее (false для &&, true для ||), и переменная не нужна:
+     * 
+     *   a && b:                      a || b:
+     *     local.get $a                 local.get $a
+     *     if (result i32)              if (result i32)
+     *       <b>                          i32.const 1
+     *     else                         else
+     *       i32.const 0                  <b>
+     *     end                          end
+     */
+    generateLogicalExpression(node) {
+        const resultType = this.jsTypeToWasm(node.inferredType);
+        const leftType = this.jsTypeToWasm(node.left.inferredType);
+        const scratch = this.needsLogicalScratch(node) ? this.scratchLocal(leftType) : null;
+        
+        // Левый операнд в той ветке, где он становится результатом
+        const generateLeft = () => {
+            if (scratch) {
+                this.instr('local.get', scratch);
+                if (leftType === WasmType.I32 && resultType === WasmType.F64) {
+                    this.instr('f64.convert_i32_s');
+                }
+            } else {
+                this.instr(`${resultType}.const`, node.operator === '&&' ? 0 : 1);
+            }
+        };
+        
+        this.beginIf(resultType);
+        this.generateConverted(node.left, leftType);
+        if (scratch) {
+            this.instr('local.tee', scratch);
+            this.generateTruthiness(leftType);
+        }
+        this.beginThen();
+        if (node.operator === '&&') {
+            this.generateConverted(node.right, resultType);
+            this.beginElse();
+            generateLeft();
+        } else {
+            generateLeft();
+            this.beginElse();
+            this.generateConverted(node.right, resultType);
+        }
+        this.endIf();
+    }
+    
+    /**
+     * Нужна ли && / || служебная переменная для левого операнда
+     * (да, если левый операнд не булев).
+     */
+    needsLogicalScratch(node) {
+        if (node.operator !== '&&' && node.operator !== '||') {
+            return false;
+        }
+        
+        const { TypeKind } = globalThis.CompilerStage5;
+        const leftType = node.left.inferredType;
+        return !leftType || leftType.kind !== TypeKind.BOOLEAN;
+    }
+    
+    /**
+     * Превращает значение на стеке в условие i32 по правилам истинности
+     * JavaScript. Для i32 ничего делать не нужно - if и br_if и так считают
+     * ненулевое значение истиной. f64 ложно, если это 0, -0 или NaN: все
+     * три не проходят сравнение |x| > 0.
+     */
+    generateTruthiness(type) {
+        if (type === WasmType.F64) {
+            this.instr('f64.abs');
+            this.instr('f64.const', 0);
+            this.instr('f64.gt');
+        }
+    }
+    
+    /**
+     * Генерирует унарное выражение.
+     */
+    generateUnaryExpression(node) {
+        const type = this.valueType(node.argument);
+        
+        switch (node.operator) {
+            case '-':
+                if (type === WasmType.F64) {
+                    // f64.neg меняет знак, в том числе у 0 (-0) и NaN
+                    this.generateExpression(node.argument);
+                    this.instr('f64.neg');
+                } else {
+                    // У i32 нет neg: -x = 0 - x, ноль кладётся первым
+                    this.instr('i32.const', 0);
+                    this.generateExpression(node.argument);
+                    this.instr('i32.sub');
+                }
+                break;
+            
+            case '+':
+                this.generateExpression(node.argument);
+                break;
+            
+            case '!':
+                // Логическое НЕ: истинность операнда, затем инверсия
+                this.generateExpression(node.argument);
+                this.generateTruthiness(type);
+                this.instr('i32.eqz');
+                break;
+            
+            default:
+                this.report('UNSUPPORTED_OPERATOR', `Неподдерживаемый оператор: ${node.operator}`, node);
+                return;
+        }
+        
+        this.convertValue(node.operator === '!' ? WasmType.I32 : type,
+                          this.jsTypeToWasm(node.inferredType));
+    }
+    
+    /**
+     * Генерирует вызов функции.
+     * 
+     * В простейшем случае - просто генерируем аргументы и инструкцию call.
+     * Для вызовов импортированных функций или методов объектов нужна
+     * более сложная логика.
+     */
+    generateCallExpression(node) {
+        const { TypeKind } = globalThis.CompilerStage5;
+        
+        // Методы строк: s.charCodeAt(i)
+        if (node.callee.type === 'MemberExpression' && !node.callee.computed &&
+            this.isKind(node.callee.object, TypeKind.STRING) &&
+            node.callee.property.name === 'charCodeAt') {
+            this.generateExpression(node.callee.object);
+            this.generateConverted(node.arguments[0], WasmType.I32);
+            this.instr('call', '$__str_char_code_at');
+            return;
+        }
+        
+        // Math.sqrt(x), parseInt(s), ...
+        if (this.intrinsicName(node)) {
+            this.generateIntrinsicCall(node);
+            return;
+        }
+        
+        // Функция как значение: переменная, параметр, свойство, результат
+        // другого вызова
+        if (this.isIndirectCall(node)) {
+            this.generateIndirectCall(node);
+            return;
+        }
+        
+        // Генерируем аргументы (они окажутся на стеке), приводя их к типам
+        // параметров вызываемой функции модуля
+        const signature = node.callee.type === 'Identifier'
+            ? this.functionSignatures.get(node.callee.name)
+            : null;
+        node.arguments.forEach((arg, index) => {
+            const param = signature && signature.params[index];
+            this.generateConverted(arg, param ? param.type : null);
+        });
+        
+        // Генерируем вызов
+        if (node.callee.type === 'Identifier') {
+            this.instr('call', `$${node.callee.name}`);
+        } else {
+            this.report('UNSUPPORTED_CALL', 'Сложные вызовы функций не реализованы', node);
+        }
+    }
+    
+    // ========================================================================
+    // ФУНКЦИИ КАК ЗНАЧЕНИЯ
+    // ========================================================================
+    
+    /**
+     * Находит функции, которые используются как значения, и переменные,
+     * которые нужно хранить в окружениях.
+     * 
+     * В WASM нет вложенных функций: функция видит только свои параметры,
+     * локальные и глобальные переменные. Поэтому каждая стрелочная функция
+     * поднимается на уровень модуля (функция $__arrow_N) и попадает в
+     * таблицу $__functions, откуда её вызывает call_indirect. Первым
+     * параметром она получает окружение.
+     * 
+     * Переменная, которую стрелочная функция захватывает у внешней
+     * функции, не может жить в local: обе функции должны видеть одну и
+     * ту же переменную и её изменения. Такая переменная переносится в
+     * окружение - запись в куче, которую внешняя функция создаёт при
+     * входе (generateFrame), а замыкание хранит её адрес:
+     * 
+     *   function counter(start) {      окружение counter: [внешнее = 0][n]
+     *     let n = start;
+     *     const inc = () => {          замыкание inc: [$__arrow_0][окружение counter]
+     *       n = n + 1;                 n - поле окружения из $__env
+     *       return n;
+     *     };
+     *     ...
+     *   }
+     * 
+     * Окружение хранит адрес внешнего окружения, поэтому функции,
+     * вложенные глубже, доходят до переменных по цепочке. Окружение одно
+     * на вызов функции: замыкания, созданные в разных итерациях цикла,
+     * видят одну переменную (как с var в JavaScript).
+     * 
+     * Функции модуля, которые передаются как значения (reduce(xs, add, 0)),
+     * тоже попадают в таблицу - через переходник $__ref_имя, который
+     * принимает окружение и передаёт остальные аргументы самой функции.
+     * 
+     * Области видимости сохраняются в this.closures: узел функции →
+     * { node, parent, names, slots, frame, needsEnv, name, tableIndex }.
+     * names - параметры и локальные переменные функции, slots -
+     * захваченные из них: имя → { offset, type } в окружении функции,
+     * frame - создаёт ли функция окружение, needsEnv - нужно ли самой
+     * функции окружение снаружи.
+     */
+    collectClosures(ast) {
+        this.closures.clear();
+        this.tableFunctions = [];
+        this.functionRefs.clear();
+        
+        const declarations = new Map();
+        for (const node of ast.body) {
+            if (node.type === 'FunctionDeclaration' || node.type === 'ImportDeclaration') {
+                declarations.set(node.name, node);
+            }
+        }
+        
+        const visit = (n, scope) => {
+            if (!n || typeof n !== 'object') return;
+            
+            if (Array.isArray(n)) {
+                n.forEach(item => visit(item, scope));
+                return;
+            }
+            
+            switch (n.type) {
+                case 'FunctionDeclaration':
+                case 'ArrowFunctionExpression':
+                    visit(n.body, this.createScope(n, scope));
+                    return;
+                
+                case 'ImportDeclaration':
+                    return;
+                
+                case 'Identifier':
+                    if (!this.captureVariable(this.localName(n), scope) && declarations.has(n.name) &&
+                        !this.isVariable(this.localName(n), scope)) {
+                        this.functionReference(declarations.get(n.name));
+                    }
+                    return;
+                
+                case 'MemberExpression':
+                    visit(n.object, scope);
+                    if (n.computed) visit(n.property, scope);
+                    return;
+                
+                case 'Property':
+                    visit(n.value, scope);
+                    return;
+                
+                case 'CallExpression':
+                    // Вызов функции модуля по имени - обычный call
+                    if (n.callee.type !== 'Identifier' || this.isVariable(this.localName(n.callee), scope)) {
+                        visit(n.callee, scope);
+                    }
+                    visit(n.arguments, scope);
+                    return;
+            }
+            
+            for (const key in n) {
+                if (!['inferredType', 'loc', 'typeAnnotation'].includes(key)) {
+                    visit(n[key], scope);
+                }
+            }
+        };
+        
+        // Код верхнего уровня работает с глобальными переменными,
+        // своей области видимости у него нет
+        visit(ast.body, null);
+    }
+    
+    /**
+     * Создаёт область видимости функции. Стрелочная функция получает
+     * имя и место в таблице; поднятая функция - синтетический
+     * FunctionDeclaration с тем же телом, как __init.
+     */
+    createScope(node, parent) {
+        const names = new Set(node.params.map(param => param.name));
+        for (const name of this.collectLocalVariables(node.body)) {
+            names.add(name);
+        }
+        
+        const scope = {
+            node, parent, names,
+            slots: new Map(),
+            frame: false,
+            needsEnv: false,
+            name: node.name,
+            tableIndex: null
+        };
+        this.closures.set(node, scope);
+        
+        if (node.type === 'ArrowFunctionExpression') {
+            const arrows = this.tableFunctions.filter(fn => fn.type !== 'FunctionReference').length;
+            scope.name = `__arrow_${arrows}`;
+            scope.tableIndex = this.tableFunctions.length;
+            
+            const lifted = {
+                type: 'FunctionDeclaration',
+                name: scope.name,
+                params: node.params,
+                body: node.body,
+                inferredType: node.inferredType,
+                loc: node.loc
+            };
+            this.closures.set(lifted, scope);
+            this.tableFunctions.push(lifted);
+        }
+        
+        return scope;
+    }
+    
+    /**
+     * Если name - переменная внешней функции, переносит её в окружение
+     * этой функции и отмечает, что функциям между ними нужно окружение.
+     * Возвращает true, если name - переменная какой-либо функции.
+     */
+    captureVariable(name, scope) {
+        let owner = scope;
+        while (owner && !owner.names.has(name)) {
+            owner = owner.parent;
+        }
+        if (!owner) return false;
+        if (owner === scope) return true;
+        
+        if (!owner.slots.has(name)) {
+            const declaration = owner.node.params.find(param => param.name === name) ||
+                this.findVariableDeclaration(owner.node.body, name);
+            owner.slots.set(name, {
+                offset: MemoryLayout.ENV_HEADER + owner.slots.size * MemoryLayout.OBJECT_SLOT,
+                type: this.jsTypeToWasm(declaration && declaration.inferredType,
+                                        declaration && declaration.typeAnnotation)
+            });
+        }
+        owner.frame = true;
+        
+        for (let inner = scope; inner !== owner; inner = inner.parent) {
+            inner.needsEnv = true;
+        }
+        return true;
+    }
+    
+    /**
+     * Переходник для функции модуля, используемой как значение.
+     */
+    functionReference(declaration) {
+        if (this.functionRefs.has(declaration.name)) return;
+        
+        const adapter = {
+            type: 'FunctionReference',
+            name: `__ref_${declaration.name}`,
+            target: declaration,
+            tableIndex: this.tableFunctions.length
+        };
+        this.functionRefs.set(declaration.name, adapter);
+        this.tableFunctions.push(adapter);
+    }
+    
+    /**
+     * Объявлена ли переменная name в области видимости scope или
+     * глобально (иначе это имя функции модуля или встроенного объекта).
+     */
+    isVariable(name, scope = this.scope) {
+        for (let s = scope; s; s = s.parent) {
+            if (s.names.has(name)) return true;
+        }
+        return this.globals.has(name);
+    }
+    
+    /**
+     * Где в окружении лежит переменная name, если она там: смещение, WASM
+     * тип и сколько раз пройти по цепочке окружений (hops). null - это
+     * локальная, глобальная переменная или не переменная вовсе.
+     */
+    envSlot(name) {
+        let hops = 0;
+        for (let s = this.scope; s; s = s.parent) {
+            if (s.names.has(name)) {
+                const slot = s.slots.get(name);
+                return slot ? { ...slot, hops } : null;
+            }
+            if (s.frame) hops++;
+        }
+        return null;
+    }
+    
+    /**
+     * Оставляет на стеке адрес окружения, в котором лежит slot.
+     * 
+     * Цепочка начинается с окружения текущей функции, а если своего
+     * у неё нет - с полученного в $__env.
+     */
+    generateEnvAddress(slot) {
+        this.instr('local.get', this.scope.frame ? '$__frame' : '$__env');
+        for (let i = 0; i < slot.hops; i++) {
+            this.instr('i32.load');
+        }
+    }
+    
+    /**
+     * Записывает значение выражения value в переменную name из окружения.
+     */
+    generateEnvSet(name, value) {
+        const slot = this.envSlot(name);
+        this.generateEnvAddress(slot);
+        this.generateConverted(value, slot.type);
+        this.instr(`${slot.type}.store`, `offset=${slot.offset}`);
+    }
+    
+    /**
+     * Записывает в локальную переменную name нулевое значение её типа.
+     */
+    generateZeroSet(name) {
+        const slot = this.envSlot(name);
+        if (slot) {
+            this.generateEnvAddress(slot);
+            this.instr(...this.zeroInitializer(slot.type));
+            this.instr(`${slot.type}.store`, `offset=${slot.offset}`);
+            return;
+        }
+        
+        this.instr(...this.zeroInitializer(this.variableType(name)));
+        this.instr('local.set', `$${name}`);
+    }
+    
+    /**
+     * Генерирует чтение переменной или функцию модуля как значение.
+     */
+    generateIdentifier(node) {
+        const name = this.localName(node);
+        const slot = this.envSlot(name);
+        if (slot) {
+            this.generateEnvAddress(slot);
+            this.instr(`${slot.type}.load`, `offset=${slot.offset}`);
+            return;
+        }
+        
+        if (!this.isVariable(name) && this.functionRefs.has(name)) {
+            const adapter = this.functionRefs.get(name);
+            this.relocatableConst('memory', this.closureRecords.get(adapter.tableIndex));
+            return;
+        }
+        
+        this.instr(`${this.variableScope(name)}.get`, `$${name}`);
+    }
+    
+    /**
+     * Создаёт окружение текущей функции при входе в неё:
+     * 
+     *   i32.const <размер>
+     *   call $__alloc
+     *   local.set $__frame
+     *   local.get $__frame        ;; внешнее окружение
+     *   local.get $__env          ;; (i32.const 0 у функции модуля)
+     *   i32.store
+     *   local.get $__frame        ;; захваченные параметры
+     *   local.get $x
+     *   T.store offset=<смещение x>
+     * 
+     * Захваченные локальные переменные записываются в окружение при
+     * объявлении.
+     */
+    generateFrame() {
+        const scope = this.scope;
+        
+        this.instr('i32.const', MemoryLayout.ENV_HEADER + scope.slots.size * MemoryLayout.OBJECT_SLOT);
+        this.instr('call', '$__alloc');
+        this.instr('local.set', '$__frame');
+        
+        this.instr('local.get', '$__frame');
+        if (scope.tableIndex !== null) {
+            this.instr('local.get', '$__env');
+        } else {
+            this.instr('i32.const', 0);
+        }
+        this.instr('i32.store');
+        
+        for (const param of scope.node.params) {
+            const slot = scope.slots.get(param.name);
+            if (!slot) continue;
+            
+            this.instr('local.get', '$__frame');
+            this.instr('local.get', `$${param.name}`);
+            this.instr(`${slot.type}.store`, `offset=${slot.offset}`);
+        }
+    }
+    
+    /**
+     * Генерирует стрелочную функцию как значение - замыкание.
+     * 
+     * Функции без окружения достаточно замыкания из сегмента данных.
+     * Остальным оно создаётся в куче, как литерал, с окружением, которое
+     * видит текущая функция.
+     */
+    generateClosure(node) {
+        const scope = this.closures.get(node);
+        
+        if (!scope.needsEnv) {
+            this.relocatableConst('memory', this.closureRecords.get(scope.tableIndex));
+            return;
+        }
+        
+        const address = this.beginLiteral(MemoryLayout.CLOSURE_SIZE);
+        
+        this.instr('local.get', address);
+        this.relocatableConst('table', scope.tableIndex);
+        this.instr('i32.store');
+        
+        this.instr('local.get', address);
+        if (this.scope && this.scope.frame) {
+            this.instr('local.get', '$__frame');
+        } else if (this.scope && this.scope.tableIndex !== null) {
+            this.instr('local.get', '$__env');
+        } else {
+            this.instr('i32.const', 0);
+        }
+        this.instr('i32.store', 'offset=4');
+        
+        this.endLiteral(address);
+    }
+    
+    /**
+     * Вызывается ли в node функция-значение (замыкание), а не функция
+     * модуля по имени или метод встроенного объекта (console.log).
+     */
+    isIndirectCall(node, scope = this.scope) {
+        const { TypeKind } = globalThis.CompilerStage5;
+        const callee = node.callee;
+        
+        if (!this.isKind(callee, TypeKind.FUNCTION)) {
+            return false;
+        }
+        if (callee.type === 'Identifier') {
+            return this.isVariable(this.localName(callee), scope);
+        }
+        if (callee.type === 'MemberExpression' && callee.object.type === 'Identifier') {
+            return this.isVariable(this.localName(callee.object), scope);
+        }
+        return true;
+    }
+    
+    /**
+     * Генерирует вызов замыкания:
+     * 
+     *   <замыкание>
+     *   local.tee $__new_N
+     *   i32.load offset=4         ;; окружение - первый аргумент
+     *   <аргументы>
+     *   local.get $__new_N
+     *   i32.load                  ;; индекс функции в таблице
+     *   call_indirect (param i32 ...) (result T)
+     * 
+     * Сигнатура берётся из типа функции; call_indirect проверяет, что у
+     * функции в таблице она та же, и иначе прерывает выполнение (trap).
+     */
+    generateIndirectCall(node) {
+        const funcType = node.callee.inferredType;
+        const params = funcType.paramTypes.map(type => this.jsTypeToWasm(type));
+        const result = funcType.returnType ? this.jsTypeToWasm(funcType.returnType) : 'void';
+        
+        const callee = this.literalLocal(this.literalDepth++);
+        this.generateExpression(node.callee);
+        this.instr('local.tee', callee);
+        this.instr('i32.load', 'offset=4');
+        
+        node.arguments.forEach((arg, index) => this.generateConverted(arg, params[index] || null));
+        
+        this.instr('local.get', callee);
+        this.instr('i32.load');
+        
+        const typeUse = [['param', WasmType.I32, ...params]];
+        if (result !== 'void') {
+            typeUse.push(['result', result]);
+        }
+        this.instr('call_indirect', ...typeUse);
+        
+        this.literalDepth--;
+    }
+    
+    // ========================================================================
+    // ВСТРОЕННЫЕ ФУНКЦИИ
+    // ========================================================================
+    
+    /**
+     * Имя встроенной функции (из Intrinsics), которую вызывает node, или null.
+     * 
+     * Встроенную функцию узнаёт анализатор типов: тип вызываемого
+     * выражения помечен её именем. Имя должно совпасть и с записью вызова,
+     * так что переменная с Math.abs внутри или своя функция parseInt
+     * обычными вызовами и останутся.
+     */
+    intrinsicName(node) {
+        const callee = node.callee;
+        const type = callee.inferredType;
+        if (!type || !type.builtin || !Intrinsics[type.builtin]) {
+            return null;
+        }
+        
+        let name = null;
+        if (callee.type === 'Identifier') {
+            name = callee.name;
+        } else if (callee.type === 'MemberExpression' && !callee.computed &&
+                   callee.object.type === 'Identifier') {
+            name = `${callee.object.name}.${callee.property.name}`;
+        }
+        return name === type.builtin ? name : null;
+    }
+    
+    /**
+     * Код вызова встроенной функции node: { code, type, result } - линейный
+     * WAT, WASM тип аргументов и WASM тип результата.
+     */
+    intrinsicCode(node) {
+        const name = this.intrinsicName(node);
+        const intrinsic = Intrinsics[name];
+        
+        if (intrinsic.import) {
+            return { code: `call $${this.intrinsicImportName(node)}`, type: WasmType.F64, result: WasmType.F64 };
+        }
+        
+        // Без аргументов (Math.min()) результат - f64 значение empty
+        const integer = intrinsic.i32 !== undefined && (intrinsic.f64 === undefined ||
+            (node.arguments.length > 0 && node.arguments.every(arg => this.isIntegerLike(arg))));
+        const type = integer ? WasmType.I32 : WasmType.F64;
+        
+        return { code: intrinsic[type], type, result: intrinsic.result || type };
+    }
+    
+    /**
+     * Имя функции импорта встроенной функции: Math.sin, у функций с любым
+     * числом аргументов - с числом аргументов вызова (Math.hypot/3).
+     */
+    intrinsicImportName(node) {
+        const name = this.intrinsicName(node);
+        return Intrinsics[name].variadic ? `${name}/${node.arguments.length}` : name;
+    }
+    
+    /**
+     * Генерирует вызов встроенной функции: аргументы, затем её код.
+     */
+    generateIntrinsicCall(node) {
+        const intrinsic = Intrinsics[this.intrinsicName(node)];
+        const { code, type, result } = this.intrinsicCode(node);
+        
+        if (intrinsic.fold) {
+            if (node.arguments.length === 0) {
+                this.generateRuntimeCode(intrinsic.empty);
+            }
+            node.arguments.forEach((arg, index) => {
+                this.generateConverted(arg, type);
+                if (index > 0) this.generateRuntimeCode(code);
+            });
+        } else {
+            node.arguments.forEach(arg => this.generateConverted(arg, type));
+            const defaults = intrinsic.defaults || [];
+            const omitted = node.callee.inferredType.paramTypes.length - node.arguments.length;
+            defaults.slice(defaults.length - omitted).forEach(value => this.generateRuntimeCode(value));
+            this.generateRuntimeCode(code);
+        }
+        
+        const produced = intrinsic.fold && node.arguments.length === 0 ? WasmType.F64 : result;
+        this.convertValue(produced, this.jsTypeToWasm(node.inferredType));
+    }
+    
+    /**
+     * Встроенная константа (Math.PI), которую читает node, или null.
+     * Как и у функций, имя из типа должно совпасть с записью.
+     */
+    builtinConstant(node) {
+        const { BuiltinConstants } = globalThis.CompilerStage5;
+        const type = node.inferredType;
+        if (!type || !type.builtin || !(type.builtin in BuiltinConstants) ||
+            node.computed || node.object.type !== 'Identifier' ||
+            `${node.object.name}.${node.property.name}` !== type.builtin) {
+            return null;
+        }
+        return BuiltinConstants[type.builtin];
+    }
+    
+    /**
+     * Встроенные функции, которые импортируются из JavaScript, в порядке
+     * первого вызова: имя функции импорта → { field, arity } - имя в env
+     * и число аргументов.
+     */
+    collectIntrinsicImports(ast) {
+        const imports = new Map();
+        
+        const visit = (n) => {
+            if (!n || typeof n !== 'object') return;
+            
+            if (Array.isArray(n)) {
+                n.forEach(visit);
+                return;
+            }
+            
+            if (n.type === 'CallExpression') {
+                const name = this.intrinsicName(n);
+                if (name && Intrinsics[name].import) {
+                    const importName = this.intrinsicImportName(n);
+                    if (!imports.has(importName)) {
+                        imports.set(importName, { field: name, arity: n.arguments.length });
+                    }
+                }
+            }
+            
+            for (const key in n) {
+                if (key !== 'inferredType' && key !== 'loc') {
+                    visit(n[key]);
+                }
+            }
+        };
+        
+        visit(ast);
+        return imports;
+    }
+    
+    // ========================================================================
+    // ВЫВОД МОДУЛЯ
+    // ========================================================================
+    //
+    // Обход AST выше ничего не знает о формате результата: он вызывает
+    // instr() для каждой инструкции и begin/end-методы для структуры модуля.
+    // Здесь они пишут текст WAT; WasmBinaryGenerator переопределяет их и
+    // пишет байты напрямую, поэтому оба бэкенда обходят AST одинаково.
+
+    beginModule() {
+        this.emit('(module');
+        this.indent();
+    }
+
+    /**
+     * Закрывает модуль и возвращает результат генерации.
+     */
+    endModule() {
+        this.dedent();
+        this.emit(')');
+
+        return this.output.join('\n');
+    }
+
+    /**
+     * Объявляет импортируемую функцию.
+     *
+     * @param {string} moduleName - Имя модуля импорта ("env")
+     * @param {string} fieldName - Имя поля в модуле
+     * @param {string} name - Имя функции внутри WASM модуля (без $)
+     * @param {Array<string>} params - WASM типы параметров
+     * @param {Array<string>} results - WASM типы результатов
+     */
+    declareImportFunction(moduleName, fieldName, name, params, results) {
+        const signature = params.map(type => ` (param ${type})`).join('') +
+                          results.map(type => ` (result ${type})`).join('');
+        this.emit(`(import "${moduleName}" "${fieldName}" (func $${name}${signature}))`);
+    }
+
+    /**
+     * Объявляет глобальную переменную.
+     *
+     * @param {string} name - Имя (без $)
+     * @param {string} type - WASM тип
+     * @param {boolean} mutable - Изменяемая ли переменная
+     * @param {Array} init - Константная инструкция [мнемоника, операнды...]
+     */
+    declareGlobal(name, type, mutable, init) {
+        const globalType = mutable ? `(mut ${type})` : type;
+        this.emit(`(global $${name} ${globalType} (${init.join(' ')}))`);
+    }
+
+    /**
+     * Объявляет линейную память модуля.
+     *
+     * @param {string} name - Имя (без $)
+     * @param {number} pages - Начальный размер в страницах по 64 КБ
+     */
+    declareMemory(name, pages) {
+        this.emit(`(memory $${name} ${pages})`);
+    }
+
+    /**
+     * Объявляет активный сегмент данных - байты, которые копируются
+     * в память по адресу offset при инстанцировании.
+     *
+     * @param {number} offset - Адрес в памяти
+     * @param {Array<number>} bytes - Содержимое
+     */
+    declareData(offset, bytes) {
+        // Печатные ASCII символы - как есть, остальное - \hh
+        const text = bytes.map(byte => {
+            if (byte >= 0x20 && byte < 0x7f && byte !== 0x22 && byte !== 0x5c) {
+                return String.fromCharCode(byte);
+            }
+            return '\\' + byte.toString(16).padStart(2, '0');
+        }).join('');
+        this.emit(`(data (i32.const ${offset}) "${text}")`);
+    }
+
+    /**
+     * Объявляет таблицу функций для call_indirect.
+     *
+     * @param {string} name - Имя (без $)
+     * @param {number} size - Число ячеек
+     */
+    declareTable(name, size) {
+        this.emit(`(table $${name} ${size} funcref)`);
+    }
+
+    /**
+     * Объявляет активный сегмент элементов - функции, которые кладутся
+     * в таблицу подряд, начиная с ячейки offset, при инстанцировании.
+     *
+     * @param {number} offset - Первая ячейка
+     * @param {Array<string>} names - Имена функций (без $)
+     */
+    declareElem(offset, names) {
+        this.emit(`(elem (i32.const ${offset}) ${names.map(name => `$${name}`).join(' ')})`);
+    }
+
+    /**
+     * Заранее объявляет функции модуля. В тексте WAT имена разрешаются
+     * ассемблером, поэтому здесь делать нечего.
+     *
+     * @param {Array<Object>} functions - Узлы FunctionDeclaration
+     */
+    declareFunctions(functions) {
+    }
+
+    /**
+     * Объявляет стартовую функцию, которая вызывается при инстанцировании.
+     */
+    declareStart(name) {
+        this.emit(`(start $${name})`);
+    }
+
+    /**
+     * Начинает определение функции.
+     *
+     * @param {string} name - Имя функции (без $)
+     * @param {Object} signature - Результат functionSignature()
+     */
+    beginFunction(name, signature) {
+        this.emit('');
+        this.emit(`(func $${name}`);
+        this.indent();
+
+        // Генерируем параметры
+        for (const param of signature.params) {
+            this.emit(`(param $${param.name} ${param.type})`);
+        }
+
+        // Генерируем тип возвращаемого значения
+        if (signature.result !== null) {
+            this.emit(`(result ${signature.result})`);
+        }
+
+        // Генерируем объявления локальных переменных
+        for (const local of signature.locals) {
+            this.emit(`(local $${local.name} ${local.type})`);
+        }
+    }
+
+    endFunction() {
+        this.dedent();
+        this.emit(')');
+    }
+
+    /**
+     * Код функции для кэша (см. generateCachedFunction): functionCodeMark
+     * запоминает, где он начнётся, functionCode забирает его после
+     * генерации, restoreFunctionCode вставляет в новый модуль.
+     */
+    functionCodeMark() {
+        return this.output.length;
+    }
+
+    functionCode(node, mark) {
+        return {
+            lines: this.output.slice(mark),
+            locations: this.shiftLocations(this.outputLocations.slice(mark), -node.loc.start.line)
+        };
+    }
+
+    restoreFunctionCode(node, code) {
+        this.output.push(...code.lines);
+        this.outputLocations.push(...this.shiftLocations(code.locations, node.loc.start.line));
+    }
+
+    /**
+     * Сдвигает места инструкций на delta строк. В кэше строки мест
+     * отсчитываются от первой строки функции: функция, которая лишь
+     * сдвинулась в исходном коде, повторяется с местами на новых строках.
+     */
+    shiftLocations(locations, delta) {
+        const shifted = new Map();
+        return locations.map(loc => {
+            if (!loc) return null;
+            if (!shifted.has(loc)) {
+                shifted.set(loc, {
+                    start: { line: loc.start.line + delta, column: loc.start.column },
+                    end: { line: loc.end.line + delta, column: loc.end.column }
+                });
+            }
+            return shifted.get(loc);
+        });
+    }
+
+    /**
+     * Объявляет экспорт.
+     *
+     * @param {string} name - Внешнее имя
+     * @param {string} kind - Вид сущности ('func')
+     * @param {string} ref - Имя сущности внутри модуля (без $)
+     */
+    declareExport(name, kind, ref) {
+        // Экспорты отделяются от функций пустой строкой
+        const previous = this.output[this.output.length - 1] || '';
+        if (!previous.trim().startsWith('(export')) {
+            this.emit('');
+        }
+        this.emit(`(export "${name}" (${kind} $${ref}))`);
+    }
+
+    /**
+     * Генерирует одну инструкцию с непосредственными операндами.
+     *
+     * @param {string} op - Мнемоника (i32.add, local.get, ...)
+     * @param {...(string|number)} immediates - Операнды ($x, 42, ...)
+     */
+    instr(op, ...immediates) {
+        // Списки (например, (result i32) у select) печатаются в скобках
+        const text = immediates.map(item => Array.isArray(item) ? `(${item.join(' ')})` : item);
+        this.emit([op, ...text].join(' '));
+    }
+
+    /**
+     * Структурные блоки. Метка - имя с $ или null; resultType - WASM тип
+     * значения, которое блок оставляет на стеке, или null.
+     */
+    beginBlock(kind, label, resultType = null) {
+        const parts = [kind];
+        if (label) parts.push(label);
+        if (resultType) parts.push(`(result ${resultType})`);
+        this.emit(`(${parts.join(' ')}`);
+        this.indent();
+    }
+
+    endBlock() {
+        this.dedent();
+        this.emit(')');
+    }
+
+    /**
+     * Условный оператор: beginIf, условие, beginThen, ветка,
+     * [beginElse, ветка], endIf. resultType - как у beginBlock.
+     */
+    beginIf(resultType = null) {
+        this.emit(resultType ? `(if (result ${resultType})` : '(if');
+        this.indent();
+    }
+
+    beginThen() {
+        this.emit('(then');
+        this.indent();
+    }
+
+    beginElse() {
+        this.dedent();
+        this.emit(')');
+        this.emit('(else');
+        this.indent();
+    }
+
+    endIf() {
+        this.dedent();
+        this.emit(')');
+        this.dedent();
+        this.emit(')');
+    }
+
+    /**
+     * Сообщает о конструкции, которую генератор не умеет переводить.
+     * 
+     * Код для неё не генерируется, поэтому модуль либо не пройдёт валидацию,
+     * либо будет вести себя не так, как исходный JavaScript - это ошибка,
+     * а не предупреждение.
+     */
+    report(code, message, node) {
+        const { Diagnostic, DiagnosticSeverity, DiagnosticCode } = globalThis.CompilerStage5;
+        const diagnostic = new Diagnostic(
+            DiagnosticCode[code],
+            DiagnosticSeverity.ERROR,
+            message,
+            node && node.loc ? node.loc : null,
+            'codegen'
+        );
+        
+        console.warn(diagnostic.toString());
+        this.diagnostics.push(diagnostic);
+    }
+    
+    /**
+     * Вспомогательные методы для форматирования.
+     */
+    emit(code) {
+        const indent = '  '.repeat(this.indentLevel);
+        this.output.push(indent + code);
+        this.outputLocations.push(this.currentLoc);
+    }
+    
+    indent() {
         this.indentLevel++;
     }
     
@@ -620,11 +4746,15 @@ class WasmCodeGenerator {
 
 // Экспорт
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { WasmCodeGenerator, WasmType };
-}
+    module.exports = { WasmCodeGenerator, WasmType, Intrinsics };
 
-if (typeof window !== 'undefined') {
-    window.CompilerStage5 = window.CompilerStage5 || {};
-    window.CompilerStage5.WasmCodeGenerator = WasmCodeGenerator;
-    window.CompilerStage5.WasmType = WasmType;
+    // TypeKind, диагностики и SSA IR (опция irPasses)
+    require('./stage5-diagnostics.js');
+    require('./stage5-type-analyzer.js');
+    require('./stage5-ir.js');
 }
+
+globalThis.CompilerStage5 = globalThis.CompilerStage5 || {};
+globalThis.CompilerStage5.WasmCodeGenerator = WasmCodeGenerator;
+globalThis.CompilerStage5.WasmType = WasmType;
+globalThis.CompilerStage5.Intrinsics = Intrinsics;
@@ -0,0 +1,1928 @@
+/**
+ * ============================================================================
+ * WAT ASSEMBLER - STAGE 5: REAL WASM COMPILATION
+ * ============================================================================
+ *
+ * Ассемблер - это последнее звено конвейера. Генератор кода выдаёт текстовый
+ * формат WebAssembly (.wat), но WebAssembly API браузера и Node.js принимает
+ * только бинарный формат (.wasm). Раньше для этого перехода требовался
+ * wabt.js; теперь у нас есть собственный ассемблер без внешних зависимостей.
+ *
+ * ЧТО ДЕЛАЕТ АССЕМБЛЕР:
+ *
+ * 1. Разбирает WAT на S-выражения: "(func $add (param $a i32) ...)" становится
+ *    вложенными массивами ['func', '$add', ['param', '$a', 'i32'], ...]
+ * 2. Собирает поля модуля: типы, импорты, функции, память, глобальные
+ *    переменные, экспорты, таблицы, сегменты данных
+ * 3. Разрешает символические имена ($add, $loop_0) в числовые индексы
+ * 4. Кодирует всё в секции бинарного формата
+ *
+ * БИНАРНЫЙ ФОРМАТ WASM:
+ *
+ *   00 61 73 6D    магическое число "\0asm"
+ *   01 00 00 00    версия 1
+ *   [секция]*      id секции (1 байт), размер (LEB128), содержимое
+ *
+ * Порядок секций фиксирован: type(1), import(2), function(3), table(4),
+ * memory(5), global(6), export(7), start(8), element(9), code(10), data(11).
+ *
+ * LEB128:
+ *
+ * Все целые числа в бинарном формате кодируются в LEB128 - формате переменной
+ * длины. Каждый байт несёт 7 бит значения, старший бит говорит "дальше есть
+ * ещё байты". Число 624485 занимает 3 байта: E5 8E 26. Маленькие числа
+ * (индексы, размеры) почти всегда укладываются в один байт.
+ */
+
+/**
+ * Коды типов значений в бинарном формате.
+ */
+const WasmValType = {
+    i32: 0x7f,
+    i64: 0x7e,
+    f32: 0x7d,
+    f64: 0x7c,
+    v128: 0x7b,
+    funcref: 0x70,
+    externref: 0x6f
+};
+
+/**
+ * Идентификаторы секций модуля.
+ */
+const WasmSection = {
+    CUSTOM: 0,
+    TYPE: 1,
+    IMPORT: 2,
+    FUNCTION: 3,
+    TABLE: 4,
+    MEMORY: 5,
+    GLOBAL: 6,
+    EXPORT: 7,
+    START: 8,
+    ELEMENT: 9,
+    CODE: 10,
+    DATA: 11
+};
+
+/**
+ * Виды внешних сущностей (для импортов и экспортов).
+ */
+const WasmExternalKind = {
+    func: 0x00,
+    table: 0x01,
+    memory: 0x02,
+    global: 0x03
+};
+
+/**
+ * Таблица опкодов: мнемоника → байт (или массив байт для инструкций с префиксом).
+ *
+ * Какие непосредственные операнды (immediates) нужны инструкции, определяет
+ * WasmModuleBuilder.immediateKind() - здесь только сами коды.
+ */
+const WasmOpcode = {
+    // Управление потоком
+    'unreachable': 0x00, 'nop': 0x01, 'block': 0x02, 'loop': 0x03, 'if': 0x04,
+    'else': 0x05, 'end': 0x0b, 'br': 0x0c, 'br_if': 0x0d, 'br_table': 0x0e,
+    'return': 0x0f, 'call': 0x10, 'call_indirect': 0x11,
+
+    // Параметрические
+    'drop': 0x1a, 'select': 0x1b,
+
+    // Переменные
+    'local.get': 0x20, 'local.set': 0x21, 'local.tee': 0x22,
+    'global.get': 0x23, 'global.set': 0x24,
+
+    // Память
+    'i32.load': 0x28, 'i64.load': 0x29, 'f32.load': 0x2a, 'f64.load': 0x2b,
+    'i32.load8_s': 0x2c, 'i32.load8_u': 0x2d, 'i32.load16_s': 0x2e, 'i32.load16_u': 0x2f,
+    'i64.load8_s': 0x30, 'i64.load8_u': 0x31, 'i64.load16_s': 0x32, 'i64.load16_u': 0x33,
+    'i64.load32_s': 0x34, 'i64.load32_u': 0x35,
+    'i32.store': 0x36, 'i64.store': 0x37, 'f32.store': 0x38, 'f64.store': 0x39,
+    'i32.store8': 0x3a, 'i32.store16': 0x3b,
+    'i64.store8': 0x3c, 'i64.store16': 0x3d, 'i64.store32': 0x3e,
+    'memory.size': 0x3f, 'memory.grow': 0x40,
+
+    // Константы
+    'i32.const': 0x41, 'i64.const': 0x42, 'f32.const': 0x43, 'f64.const': 0x44,
+
+    // Сравнения i32
+    'i32.eqz': 0x45, 'i32.eq': 0x46, 'i32.ne': 0x47, 'i32.lt_s': 0x48, 'i32.lt_u': 0x49,
+    'i32.gt_s': 0x4a, 'i32.gt_u': 0x4b, 'i32.le_s': 0x4c, 'i32.le_u': 0x4d,
+    'i32.ge_s': 0x4e, 'i32.ge_u': 0x4f,
+
+    // Сравнения i64
+    'i64.eqz': 0x50, 'i64.eq': 0x51, 'i64.ne': 0x52, 'i64.lt_s': 0x53, 'i64.lt_u': 0x54,
+    'i64.gt_s': 0x55, 'i64.gt_u': 0x56, 'i64.le_s': 0x57, 'i64.le_u': 0x58,
+    'i64.ge_s': 0x59, 'i64.ge_u': 0x5a,
+
+    // Сравнения f32 / f64
+    'f32.eq': 0x5b, 'f32.ne': 0x5c, 'f32.lt': 0x5d, 'f32.gt': 0x5e, 'f32.le': 0x5f, 'f32.ge': 0x60,
+    'f64.eq': 0x61, 'f64.ne': 0x62, 'f64.lt': 0x63, 'f64.gt': 0x64, 'f64.le': 0x65, 'f64.ge': 0x66,
+
+    // Арифметика i32
+    'i32.clz': 0x67, 'i32.ctz': 0x68, 'i32.popcnt': 0x69, 'i32.add': 0x6a, 'i32.sub': 0x6b,
+    'i32.mul': 0x6c, 'i32.div_s': 0x6d, 'i32.div_u': 0x6e, 'i32.rem_s': 0x6f, 'i32.rem_u': 0x70,
+    'i32.and': 0x71, 'i32.or': 0x72, 'i32.xor': 0x73, 'i32.shl': 0x74, 'i32.shr_s': 0x75,
+    'i32.shr_u': 0x76, 'i32.rotl': 0x77, 'i32.rotr': 0x78,
+
+    // Арифметика i64
+    'i64.clz': 0x79, 'i64.ctz': 0x7a, 'i64.popcnt': 0x7b, 'i64.add': 0x7c, 'i64.sub': 0x7d,
+    'i64.mul': 0x7e, 'i64.div_s': 0x7f, 'i64.div_u': 0x80, 'i64.rem_s': 0x81, 'i64.rem_u': 0x82,
+    'i64.and': 0x83, 'i64.or': 0x84, 'i64.xor': 0x85, 'i64.shl': 0x86, 'i64.shr_s': 0x87,
+    'i64.shr_u': 0x88, 'i64.rotl': 0x89, 'i64.rotr': 0x8a,
+
+    // Арифметика f32
+    'f32.abs': 0x8b, 'f32.neg': 0x8c, 'f32.ceil': 0x8d, 'f32.floor': 0x8e, 'f32.trunc': 0x8f,
+    'f32.nearest': 0x90, 'f32.sqrt': 0x91, 'f32.add': 0x92, 'f32.sub': 0x93, 'f32.mul': 0x94,
+    'f32.div': 0x95, 'f32.min': 0x96, 'f32.max': 0x97, 'f32.copysign': 0x98,
+
+    // Арифметика f64
+    'f64.abs': 0x99, 'f64.neg': 0x9a, 'f64.ceil': 0x9b, 'f64.floor': 0x9c, 'f64.trunc': 0x9d,
+    'f64.nearest': 0x9e, 'f64.sqrt': 0x9f, 'f64.add': 0xa0, 'f64.sub': 0xa1, 'f64.mul': 0xa2,
+    'f64.div': 0xa3, 'f64.min': 0xa4, 'f64.max': 0xa5, 'f64.copysign': 0xa6,
+
+    // Преобразования
+    'i32.wrap_i64': 0xa7, 'i32.trunc_f32_s': 0xa8, 'i32.trunc_f32_u': 0xa9,
+    'i32.trunc_f64_s': 0xaa, 'i32.trunc_f64_u': 0xab, 'i64.extend_i32_s': 0xac,
+    'i64.extend_i32_u': 0xad, 'i64.trunc_f32_s': 0xae, 'i64.trunc_f32_u': 0xaf,
+    'i64.trunc_f64_s': 0xb0, 'i64.trunc_f64_u': 0xb1, 'f32.convert_i32_s': 0xb2,
+    'f32.convert_i32_u': 0xb3, 'f32.convert_i64_s': 0xb4, 'f32.convert_i64_u': 0xb5,
+    'f32.demote_f64': 0xb6, 'f64.convert_i32_s': 0xb7, 'f64.convert_i32_u': 0xb8,
+    'f64.convert_i64_s': 0xb9, 'f64.convert_i64_u': 0xba, 'f64.promote_f32': 0xbb,
+    'i32.reinterpret_f32': 0xbc, 'i64.reinterpret_f64': 0xbd,
+    'f32.reinterpret_i32': 0xbe, 'f64.reinterpret_i64': 0xbf,
+    'i32.extend8_s': 0xc0, 'i32.extend16_s': 0xc1,
+    'i64.extend8_s': 0xc2, 'i64.extend16_s': 0xc3, 'i64.extend32_s': 0xc4,
+
+    // Ссылочные типы
+    'ref.null': 0xd0, 'ref.is_null': 0xd1, 'ref.func': 0xd2,
+
+    // Инструкции с префиксом 0xFC
+    'i32.trunc_sat_f32_s': [0xfc, 0], 'i32.trunc_sat_f32_u': [0xfc, 1],
+    'i32.trunc_sat_f64_s': [0xfc, 2], 'i32.trunc_sat_f64_u': [0xfc, 3],
+    'i64.trunc_sat_f32_s': [0xfc, 4], 'i64.trunc_sat_f32_u': [0xfc, 5],
+    'i64.trunc_sat_f64_s': [0xfc, 6], 'i64.trunc_sat_f64_u': [0xfc, 7],
+    'memory.copy': [0xfc, 10], 'memory.fill': [0xfc, 11],
+
+    // SIMD (префикс 0xFD): память, размножение и извлечение дорожек,
+    // поэлементная арифметика
+    'v128.load': [0xfd, 0], 'v128.store': [0xfd, 11],
+    'i32x4.splat': [0xfd, 17], 'f32x4.splat': [0xfd, 19], 'f64x2.splat': [0xfd, 20],
+    'i32x4.extract_lane': [0xfd, 27], 'f32x4.extract_lane': [0xfd, 31], 'f64x2.extract_lane': [0xfd, 33],
+    'i32x4.neg': [0xfd, 161], 'i32x4.add': [0xfd, 174], 'i32x4.sub': [0xfd, 177], 'i32x4.mul': [0xfd, 181],
+    'f32x4.neg': [0xfd, 225], 'f32x4.add': [0xfd, 228], 'f32x4.sub': [0xfd, 229],
+    'f32x4.mul': [0xfd, 230], 'f32x4.div': [0xfd, 231],
+    'f64x2.neg': [0xfd, 237], 'f64x2.add': [0xfd, 240], 'f64x2.sub': [0xfd, 241],
+    'f64x2.mul': [0xfd, 242], 'f64x2.div': [0xfd, 243]
+};
+
+/**
+ * WasmBinaryWriter - растущий байтовый буфер.
+ *
+ * Все секции и тела функций пишутся в такие буферы. Буфер удваивается при
+ * переполнении, поэтому запись каждого байта амортизированно O(1).
+ */
+class WasmBinaryWriter {
+    constructor(initialCapacity = 256) {
+        this.buffer = new Uint8Array(initialCapacity);
+        this.length = 0;
+    }
+
+    /**
+     * Гарантирует, что в буфере есть место ещё для count байт.
+     */
+    ensureCapacity(count) {
+        if (this.length + count <= this.buffer.length) return;
+
+        let capacity = this.buffer.length * 2;
+        while (capacity < this.length + count) {
+            capacity *= 2;
+        }
+
+        const grown = new Uint8Array(capacity);
+        grown.set(this.buffer.subarray(0, this.length));
+        this.buffer = grown;
+    }
+
+    byte(value) {
+        this.ensureCapacity(1);
+        this.buffer[this.length++] = value & 0xff;
+    }
+
+    bytes(values) {
+        this.ensureCapacity(values.length);
+        for (let i = 0; i < values.length; i++) {
+            this.buffer[this.length++] = values[i] & 0xff;
+        }
+    }
+
+    /**
+     * Беззнаковый LEB128 (индексы, размеры, количества).
+     */
+    u32(value) {
+        value >>>= 0;
+        do {
+            let byte = value & 0x7f;
+            value >>>= 7;
+            if (value !== 0) byte |= 0x80;
+            this.byte(byte);
+        } while (value !== 0);
+    }
+
+    /**
+     * Знаковый LEB128 для 32-битных значений (i32.const).
+     */
+    s32(value) {
+        value |= 0;
+        while (true) {
+            const byte = value & 0x7f;
+            value >>= 7;
+            if ((value === 0 && (byte & 0x40) === 0) ||
+                (value === -1 && (byte & 0x40) !== 0)) {
+                this.byte(byte);
+                return;
+            }
+            this.byte(byte | 0x80);
+        }
+    }
+
+    /**
+     * Знаковый LEB128 для 64-битных значений (i64.const), принимает BigInt.
+     */
+    s64(value) {
+        value = BigInt.asIntN(64, BigInt(value));
+        while (true) {
+            const byte = Number(value & 0x7fn);
+            value >>= 7n;
+            if ((value === 0n && (byte & 0x40) === 0) ||
+                (value === -1n && (byte & 0x40) !== 0)) {
+                this.byte(byte);
+                return;
+            }
+            this.byte(byte | 0x80);
+        }
+    }
+
+    f32(value) {
+        const view = new DataView(new ArrayBuffer(4));
+        view.setFloat32(0, value, true);
+        this.bytes(new Uint8Array(view.buffer));
+    }
+
+    f64(value) {
+        const view = new DataView(new ArrayBuffer(8));
+        view.setFloat64(0, value, true);
+        this.bytes(new Uint8Array(view.buffer));
+    }
+
+    /**
+     * Имя: длина в байтах (LEB128) и UTF-8 байты.
+     */
+    name(value) {
+        const encoded = typeof value === 'string' ? utf8Encode(value) : value;
+        this.u32(encoded.length);
+        this.bytes(encoded);
+    }
+
+    /**
+     * Записывает содержимое другого буфера с префиксом длины.
+     */
+    sized(writer) {
+        this.u32(writer.length);
+        this.bytes(writer.toBytes());
+    }
+
+    toBytes() {
+        return this.buffer.slice(0, this.length);
+    }
+}
+
+/**
+ * Кодирует строку в UTF-8 без зависимости от TextEncoder.
+ */
+function utf8Encode(str) {
+    const out = [];
+    for (const char of str) {
+        appendCodePoint(out, char.codePointAt(0));
+    }
+    return out;
+}
+
+function appendCodePoint(out, cp) {
+    if (cp < 0x80) {
+        out.push(cp);
+    } else if (cp < 0x800) {
+        out.push(0xc0 | (cp >> 6), 0x80 | (cp & 0x3f));
+    } else if (cp < 0x10000) {
+        out.push(0xe0 | (cp >> 12), 0x80 | ((cp >> 6) & 0x3f), 0x80 | (cp & 0x3f));
+    } else {
+        out.push(0xf0 | (cp >> 18), 0x80 | ((cp >> 12) & 0x3f),
+                 0x80 | ((cp >> 6) & 0x3f), 0x80 | (cp & 0x3f));
+    }
+}
+
+/**
+ * Разбирает целочисленный литерал WAT в BigInt: 42, -7, 0xff, 1_000.
+ */
+function parseWatInteger(text) {
+    let str = String(text).replace(/_/g, '');
+    let negative = false;
+    if (str[0] === '-' || str[0] === '+') {
+        negative = str[0] === '-';
+        str = str.slice(1);
+    }
+
+    if (!/^(0x[0-9a-fA-F]+|[0-9]+)$/.test(str)) {
+        throw new Error(`Некорректное целое число в WAT: ${text}`);
+    }
+
+    const value = BigInt(str);
+    return negative ? -value : value;
+}
+
+/**
+ * Разбирает литерал с плавающей точкой: 1.5, -2e10, inf, nan, 0x1.8p3.
+ */
+function parseWatFloat(text) {
+    let str = String(text).replace(/_/g, '');
+    let sign = 1;
+    if (str[0] === '-' || str[0] === '+') {
+        sign = str[0] === '-' ? -1 : 1;
+        str = str.slice(1);
+    }
+
+    if (str === 'inf' || str === 'Infinity') return sign * Infinity;
+    if (str.startsWith('nan') || str === 'NaN') return NaN;
+
+    if (/^0x/i.test(str)) {
+        const match = /^0x([0-9a-f]*)(?:\.([0-9a-f]*))?(?:p([+-]?\d+))?$/i.exec(str);
+        if (!match) {
+            throw new Error(`Некорректное число в WAT: ${text}`);
+        }
+        const intPart = match[1] || '0';
+        const fracPart = match[2] || '';
+        const mantissa = parseInt(intPart + fracPart || '0', 16);
+        const exponent = Number(match[3] || 0) - 4 * fracPart.length;
+        return sign * mantissa * Math.pow(2, exponent);
+    }
+
+    const value = Number(str);
+    if (Number.isNaN(value)) {
+        throw new Error(`Некорректное число в WAT: ${text}`);
+    }
+    return sign * value;
+}
+
+/**
+ * WasmModuleBuilder - модуль WASM в разрешённом (числовом) виде.
+ *
+ * Хранит индексные пространства (типы, функции, таблицы, память, глобальные
+ * переменные) вместе с символическими именами и умеет кодировать отдельные
+ * инструкции и весь модуль в байты. Им пользуются оба бэкенда:
+ * WatAssembler заполняет его из разобранного текста, а WasmBinaryGenerator -
+ * напрямую из типизированного AST, минуя WAT.
+ */
+class WasmModuleBuilder {
+    constructor() {
+        this.types = [];           // { params: [...], results: [...] }
+        this.typeNames = new Map();
+        this.imports = [];         // { module, name, kind, ... }
+        this.funcs = [];           // Определённые (не импортированные) функции
+        this.funcNames = new Map();
+        this.funcCount = 0;
+        this.tables = [];
+        this.tableNames = new Map();
+        this.tableCount = 0;
+        this.memories = [];
+        this.memoryNames = new Map();
+        this.memoryCount = 0;
+        this.globals = [];
+        this.globalNames = new Map();
+        this.globalCount = 0;
+        this.exports = [];
+        this.start = null;
+        this.elems = [];
+        this.datas = [];
+        this.customs = [];         // { name, bytes } - пишутся в конце модуля
+
+        // Смещения инструкций определённых функций от начала модуля -
+        // известны после toBytes
+        this.codeOffsets = [];
+    }
+
+    // ========================================================================
+    // ОБЪЯВЛЕНИЯ
+    // ========================================================================
+
+    /**
+     * Добавляет явный тип функции (без дедупликации - как (type ...) в WAT).
+     */
+    addType(name, params, results) {
+        const index = this.types.length;
+        this.types.push({ params, results });
+        if (name) this.typeNames.set(name, index);
+        return index;
+    }
+
+    /**
+     * Находит или добавляет тип функции с данной сигнатурой.
+     */
+    internType(params, results) {
+        const key = params.join(',') + '->' + results.join(',');
+        for (let i = 0; i < this.types.length; i++) {
+            const type = this.types[i];
+            if (type.params.join(',') + '->' + type.results.join(',') === key) {
+                return i;
+            }
+        }
+        return this.addType(null, params, results);
+    }
+
+    /**
+     * Добавляет импорт. Импорты занимают первые индексы в своём пространстве,
+     * поэтому должны объявляться до определений того же вида.
+     *
+     * @param {string} kind - 'func' | 'memory' | 'global' | 'table'
+     * @param {Object} desc - typeIndex / limits / globalType / refType
+     * @returns {number} - Индекс в пространстве соответствующего вида
+     */
+    addImport(kind, moduleName, fieldName, localName, desc) {
+        const spaces = {
+            func: ['funcs', 'funcNames', 'funcCount'],
+            memory: ['memories', 'memoryNames', 'memoryCount'],
+            global: ['globals', 'globalNames', 'globalCount'],
+            table: ['tables', 'tableNames', 'tableCount']
+        };
+
+        if (!spaces[kind]) {
+            throw new Error(`Неизвестный вид импорта: ${kind}`);
+        }
+
+        const [definitions, names, counter] = spaces[kind];
+        if (this[definitions].length > 0) {
+            throw new Error(`Импорт ${kind} после определений того же вида`);
+        }
+
+        const index = this[counter]++;
+        if (localName) this[names].set(localName, index);
+
+        this.imports.push(Object.assign({ module: moduleName, name: fieldName, kind }, desc));
+        return index;
+    }
+
+    /**
+     * Объявляет функцию. Тело задаётся позже через setFunctionBody -
+     * так на функцию можно сослаться (call) до того, как она сгенерирована.
+     */
+    addFunction(name, typeIndex) {
+        const index = this.funcCount++;
+        if (name) this.funcNames.set(name, index);
+        this.funcs.push({ name, typeIndex, locals: [], localNames: [], code: null });
+        return index;
+    }
+
+    /**
+     * Задаёт тело функции.
+     *
+     * @param {number} index - Индекс функции
+     * @param {Array<string>} locals - Типы локальных (без параметров)
+     * @param {WasmBinaryWriter} code - Инструкции, включая завершающий end
+     * @param {Array<string|null>} localNames - Имена параметров и локальных
+     *        ($x) для секции name; null - локальная без имени
+     */
+    setFunctionBody(index, locals, code, localNames = []) {
+        const func = this.funcs[index - this.importCount('func')];
+        func.locals = locals;
+        func.localNames = localNames;
+        func.code = code;
+    }
+
+    addTable(name, limits, refType) {
+        const index = this.tableCount++;
+        if (name) this.tableNames.set(name, index);
+        this.tables.push({ limits, refType });
+        return index;
+    }
+
+    addMemory(name, limits) {
+        const index = this.memoryCount++;
+        if (name) this.memoryNames.set(name, index);
+        this.memories.push({ limits });
+        return index;
+    }
+
+    /**
+     * @param {Object} globalType - { valType, mutable }
+     * @param {WasmBinaryWriter|null} init - Константное выражение с end
+     */
+    addGlobal(name, globalType, init) {
+        const index = this.globalCount++;
+        if (name) this.globalNames.set(name, index);
+        this.globals.push({ globalType, init });
+        return index;
+    }
+
+    setGlobalInit(index, init) {
+        this.globals[index - this.importCount('global')].init = init;
+    }
+
+    addExport(name, kind, index) {
+        this.exports.push({ name, kind, index });
+    }
+
+    setStart(index) {
+        this.start = index;
+    }
+
+    /**
+     * @param {WasmBinaryWriter} offset - Константное выражение смещения с end
+     */
+    addElem(tableIndex, offset, funcIndices) {
+        this.elems.push({ tableIndex, offset, funcIndices });
+    }
+
+    /**
+     * @param {WasmBinaryWriter|null} offset - null для пассивного сегмента
+     */
+    addData(offset, bytes) {
+        this.datas.push({ offset, bytes });
+    }
+
+    /**
+     * Добавляет пользовательскую секцию (id 0). Движок её не читает;
+     * так в модуле передаются сведения для инструментов - например,
+     * перемещения для линкера.
+     *
+     * Содержимое, которое зависит от раскладки модуля, можно передать
+     * функцией: она вызывается при кодировании, когда codeOffsets уже
+     * известны.
+     */
+    addCustom(name, bytes) {
+        this.customs.push({ name, bytes });
+    }
+
+    /**
+     * Отладочные секции: name (имена функций и локальных) и
+     * sourceMappingURL со ссылкой на карту кода, которая заполняется
+     * при кодировании модуля (см. stage5-source-map.js).
+     *
+     * @param {SourceMap} sourceMap - Карта, которую нужно заполнить
+     * @param {Map} locations - Индекс функции → [{ offset, loc }],
+     *        смещения от начала инструкций функции
+     */
+    addDebugSections(sourceMap, locations) {
+        this.addCustom('name', this.encodeNames());
+        this.addCustom('sourceMappingURL', () => {
+            const entries = [];
+            const imported = this.importCount('func');
+            this.codeOffsets.forEach((start, i) => {
+                for (const { offset, loc } of locations.get(imported + i) || []) {
+                    entries.push({ offset: start + offset, loc });
+                }
+            });
+            sourceMap.setLocations(entries);
+
+            const section = new WasmBinaryWriter();
+            section.name(sourceMap.mappingURL());
+            return section.toBytes();
+        });
+    }
+
+    /**
+     * Секция name: подсекция 1 - имена функций, подсекция 2 - имена
+     * локальных, по возрастанию индексов и без $.
+     */
+    encodeNames() {
+        const out = new WasmBinaryWriter();
+
+        const functions = [...this.funcNames].sort((a, b) => a[1] - b[1]);
+        const functionNames = new WasmBinaryWriter();
+        functionNames.u32(functions.length);
+        for (const [name, index] of functions) {
+            functionNames.u32(index);
+            functionNames.name(name.slice(1));
+        }
+        out.byte(1);
+        out.sized(functionNames);
+
+        const imported = this.importCount('func');
+        const named = [];
+        this.funcs.forEach((func, i) => {
+            const locals = func.localNames
+                .map((name, index) => [name, index])
+                .filter(([name]) => name);
+            if (locals.length > 0) named.push([imported + i, locals]);
+        });
+
+        const localNames = new WasmBinaryWriter();
+        localNames.u32(named.length);
+        for (const [funcIndex, locals] of named) {
+            localNames.u32(funcIndex);
+            localNames.u32(locals.length);
+            for (const [name, index] of locals) {
+                localNames.u32(index);
+                localNames.name(name.slice(1));
+            }
+        }
+        out.byte(2);
+        out.sized(localNames);
+
+        return out.toBytes();
+    }
+
+    importCount(kind) {
+        return this.imports.filter(entry => entry.kind === kind).length;
+    }
+
+    // ========================================================================
+    // ИМЕНА И СИГНАТУРЫ
+    // ========================================================================
+
+    isName(item) {
+        return typeof item === 'string' && item.startsWith('$');
+    }
+
+    valType(name) {
+        if (!(name in WasmValType)) {
+            throw new Error(`Неизвестный тип значения WAT: ${name}`);
+        }
+        return name;
+    }
+
+    /**
+     * Переводит имя ($foo) или число в индекс.
+     */
+    resolveIndex(ref, names, what) {
+        if (this.isName(ref)) {
+            if (!names.has(ref)) {
+                throw new Error(`Неизвестная ссылка (${what}): ${ref}`);
+            }
+            return names.get(ref);
+        }
+
+        const index = Number(ref);
+        if (!Number.isInteger(index) || index < 0) {
+            throw new Error(`Некорректный индекс (${what}): ${ref}`);
+        }
+        return index;
+    }
+
+    /**
+     * Разбирает (param ...) и (result ...) в списке S-выражений начиная с start.
+     * Имена параметров возвращаются отдельно - они нужны для локальных.
+     */
+    parseSignature(list, start) {
+        const params = [];
+        const paramNames = [];
+        const results = [];
+
+        for (let i = start; i < list.length; i++) {
+            const item = list[i];
+            if (!Array.isArray(item)) continue;
+
+            if (item[0] === 'param') {
+                if (this.isName(item[1])) {
+                    paramNames.push(item[1]);
+                    params.push(this.valType(item[2]));
+                } else {
+                    for (let j = 1; j < item.length; j++) {
+                        paramNames.push(null);
+                        params.push(this.valType(item[j]));
+                    }
+                }
+            } else if (item[0] === 'result') {
+                for (let j = 1; j < item.length; j++) {
+                    results.push(this.valType(item[j]));
+                }
+            }
+        }
+
+        return { params, results, paramNames };
+    }
+
+    /**
+     * Разбирает typeuse: (type $t)? (param ...)* (result ...)*.
+     * Возвращает индекс типа и имена параметров.
+     */
+    parseTypeUse(list, start) {
+        let typeIndex = null;
+        for (let i = start; i < list.length; i++) {
+            const item = list[i];
+            if (Array.isArray(item) && item[0] === 'type') {
+                typeIndex = this.resolveIndex(item[1], this.typeNames, 'тип');
+            }
+        }
+
+        const signature = this.parseSignature(list, start);
+
+        if (typeIndex === null) {
+            typeIndex = this.internType(signature.params, signature.results);
+        }
+
+        const type = this.types[typeIndex];
+        const paramNames = signature.paramNames.length > 0
+            ? signature.paramNames
+            : type.params.map(() => null);
+
+        return { typeIndex, paramNames, params: type.params, results: type.results };
+    }
+
+    // ========================================================================
+    // КОДИРОВАНИЕ ИНСТРУКЦИЙ
+    // ========================================================================
+
+    /**
+     * Определяет вид непосредственных операндов инструкции.
+     */
+    immediateKind(op) {
+        if (op.startsWith('local.')) return 'local';
+        if (op.startsWith('global.')) return 'global';
+        if (op === 'call' || op === 'ref.func') return 'func';
+        if (op === 'br' || op === 'br_if') return 'label';
+        if (op === 'br_table') return 'labels';
+        if (op === 'call_indirect') return 'typeuse';
+        if (op === 'select') return 'select';
+        if (op === 'ref.null') return 'reftype';
+        if (op.endsWith('_lane')) return 'lane';
+        if (op.endsWith('.const')) return 'const';
+        if (/\.(load|store)/.test(op)) return 'memarg';
+        if (op === 'memory.size' || op === 'memory.grow' || op === 'memory.fill') return 'memidx';
+        if (op === 'memory.copy') return 'memidx2';
+        return 'none';
+    }
+
+    /**
+     * Естественное выравнивание (log2 размера доступа) для операций с памятью.
+     */
+    naturalAlignment(op) {
+        if (/8(_[su])?$/.test(op)) return 0;
+        if (/16(_[su])?$/.test(op)) return 1;
+        if (/32(_[su])?$/.test(op)) return 2;
+        if (op.startsWith('i64.') || op.startsWith('f64.')) return 3;
+        if (op.startsWith('v128.')) return 4;
+        return 2;
+    }
+
+    /**
+     * Кодирует одну инструкцию (кроме block/loop/if), читая её непосредственные
+     * операнды из items начиная с позиции pos. Возвращает новую позицию.
+     *
+     * @param {string} op - Мнемоника (i32.add, local.get, ...)
+     * @param {Array} items - Атомы и списки, среди которых лежат операнды
+     * @param {number} pos - Позиция первого операнда в items
+     * @param {WasmBinaryWriter} out - Куда писать байты
+     * @param {Object} ctx - { localNames: Map, labels: Array } текущей функции
+     */
+    encodeInstruction(op, items, pos, out, ctx) {
+        const opcode = WasmOpcode[op];
+        if (opcode === undefined) {
+            throw new Error(`Неизвестная инструкция WAT: ${op}`);
+        }
+
+        const kind = this.immediateKind(op);
+
+        // select с явным типом результата кодируется другим опкодом
+        if (kind === 'select' && Array.isArray(items[pos]) && items[pos][0] === 'result') {
+            const types = items[pos].slice(1);
+            out.byte(0x1c);
+            out.u32(types.length);
+            types.forEach(t => out.byte(WasmValType[this.valType(t)]));
+            return pos + 1;
+        }
+
+        if (Array.isArray(opcode)) {
+            out.byte(opcode[0]);
+            out.u32(opcode[1]);
+        } else {
+            out.byte(opcode);
+        }
+
+        switch (kind) {
+            case 'local':
+                out.u32(this.resolveIndex(items[pos], ctx.localNames, 'локальная переменная'));
+                return pos + 1;
+
+            case 'global':
+                out.u32(this.resolveIndex(items[pos], this.globalNames, 'глобальная переменная'));
+                return pos + 1;
+
+            case 'func':
+                out.u32(this.resolveIndex(items[pos], this.funcNames, 'функция'));
+                return pos + 1;
+
+            case 'label':
+                out.u32(this.resolveLabel(items[pos], ctx));
+                return pos + 1;
+
+            case 'labels': {
+                const labels = [];
+                while (typeof items[pos] === 'string' &&
+                       (this.isName(items[pos]) || /^[0-9]/.test(items[pos]))) {
+                    labels.push(this.resolveLabel(items[pos++], ctx));
+                }
+                const defaultLabel = labels.pop();
+                out.u32(labels.length);
+                labels.forEach(l => out.u32(l));
+                out.u32(defaultLabel);
+                return pos;
+            }
+
+            case 'typeuse': {
+                let tableIndex = 0;
+                if (typeof items[pos] === 'string' &&
+                    (this.tableNames.has(items[pos]) || /^[0-9]+$/.test(items[pos]))) {
+                    tableIndex = this.resolveIndex(items[pos++], this.tableNames, 'таблица');
+                }
+                const start = pos;
+                while (Array.isArray(items[pos]) && ['type', 'param', 'result'].includes(items[pos][0])) {
+                    pos++;
+                }
+                const typeUse = this.parseTypeUse(items.slice(start, pos), 0);
+                out.u32(typeUse.typeIndex);
+                out.u32(tableIndex);
+                return pos;
+            }
+
+            case 'reftype':
+                out.byte(WasmValType[items[pos] === 'func' ? 'funcref' : 'externref']);
+                return pos + 1;
+
+            case 'const':
+                this.encodeConst(op, items[pos], out);
+                return pos + 1;
+
+            case 'memarg': {
+                let offset = 0;
+                let align = this.naturalAlignment(op);
+                while (typeof items[pos] === 'string' && /^(offset|align)=/.test(items[pos])) {
+                    const [key, value] = items[pos++].split('=');
+                    if (key === 'offset') {
+                        offset = Number(parseWatInteger(value));
+                    } else {
+                        align = Math.log2(Number(parseWatInteger(value)));
+                    }
+                }
+                out.u32(align);
+                out.u32(offset);
+                return pos;
+            }
+
+            case 'memidx':
+                out.byte(0x00);
+                return pos;
+
+            case 'lane':
+                out.byte(Number(items[pos]));
+                return pos + 1;
+
+            case 'memidx2':
+                out.byte(0x00);
+                out.byte(0x00);
+                return pos;
+
+            default:
+                return pos;
+        }
+    }
+
+    /**
+     * Кодирует значение константы.
+     */
+    encodeConst(op, text, out) {
+        switch (op) {
+            case 'i32.const':
+                out.s32(Number(BigInt.asIntN(32, parseWatInteger(text))));
+                break;
+            case 'i64.const':
+                out.s64(parseWatInteger(text));
+                break;
+            case 'f32.const':
+                out.f32(parseWatFloat(text));
+                break;
+            case 'f64.const':
+                out.f64(parseWatFloat(text));
+                break;
+            default:
+                throw new Error(`Неизвестная константа WAT: ${op}`);
+        }
+    }
+
+    /**
+     * Переводит метку ($block_0 или число) в глубину для br/br_if.
+     */
+    resolveLabel(ref, ctx) {
+        if (this.isName(ref)) {
+            const index = ctx.labels.lastIndexOf(ref);
+            if (index === -1) {
+                throw new Error(`Неизвестная метка: ${ref}`);
+            }
+            return ctx.labels.length - 1 - index;
+        }
+        return Number(ref);
+    }
+
+    /**
+     * Кодирует тип блока: пустой (0x40), один тип результата или индекс типа.
+     *
+     * @param {Array<string>} params - Типы параметров блока
+     * @param {Array<string>} results - Типы результатов блока
+     */
+    encodeBlockType(params, results, out) {
+        if (params.length === 0 && results.length === 0) {
+            out.byte(0x40);
+        } else if (params.length === 0 && results.length === 1) {
+            out.byte(WasmValType[this.valType(results[0])]);
+        } else {
+            out.s32(this.internType(params, results));
+        }
+    }
+
+    // ========================================================================
+    // КОДИРОВАНИЕ МОДУЛЯ
+    // ========================================================================
+
+    /**
+     * Кодирует модуль в байты .wasm.
+     */
+    toBytes() {
+        const out = new WasmBinaryWriter();
+        out.bytes([0x00, 0x61, 0x73, 0x6d]); // "\0asm"
+        out.bytes([0x01, 0x00, 0x00, 0x00]); // версия 1
+
+        this.writeSection(out, WasmSection.TYPE, this.types, (w, type) => {
+            w.byte(0x60);
+            w.u32(type.params.length);
+            type.params.forEach(t => w.byte(WasmValType[t]));
+            w.u32(type.results.length);
+            type.results.forEach(t => w.byte(WasmValType[t]));
+        });
+
+        this.writeSection(out, WasmSection.IMPORT, this.imports, (w, entry) => {
+            w.name(entry.module);
+            w.name(entry.name);
+            w.byte(WasmExternalKind[entry.kind]);
+            switch (entry.kind) {
+                case 'func':
+                    w.u32(entry.typeIndex);
+                    break;
+                case 'memory':
+                    this.writeLimits(w, entry.limits);
+                    break;
+                case 'table':
+                    w.byte(WasmValType[entry.refType]);
+                    this.writeLimits(w, entry.limits);
+                    break;
+                case 'global':
+                    w.byte(WasmValType[entry.globalType.valType]);
+                    w.byte(entry.globalType.mutable ? 1 : 0);
+                    break;
+            }
+        });
+
+        this.writeSection(out, WasmSection.FUNCTION, this.funcs, (w, func) => {
+            w.u32(func.typeIndex);
+        });
+
+        this.writeSection(out, WasmSection.TABLE, this.tables, (w, table) => {
+            w.byte(WasmValType[table.refType]);
+            this.writeLimits(w, table.limits);
+        });
+
+        this.writeSection(out, WasmSection.MEMORY, this.memories, (w, memory) => {
+            this.writeLimits(w, memory.limits);
+        });
+
+        this.writeSection(out, WasmSection.GLOBAL, this.globals, (w, global) => {
+            w.byte(WasmValType[global.globalType.valType]);
+            w.byte(global.globalType.mutable ? 1 : 0);
+            w.bytes(global.init.toBytes());
+        });
+
+        this.writeSection(out, WasmSection.EXPORT, this.exports, (w, entry) => {
+            w.name(entry.name);
+            w.byte(WasmExternalKind[entry.kind]);
+            w.u32(entry.index);
+        });
+
+        if (this.start !== null) {
+            const section = new WasmBinaryWriter();
+            section.u32(this.start);
+            out.byte(WasmSection.START);
+            out.sized(section);
+        }
+
+        this.writeSection(out, WasmSection.ELEMENT, this.elems, (w, elem) => {
+            if (elem.tableIndex === 0) {
+                w.u32(0x00);
+                w.bytes(elem.offset.toBytes());
+            } else {
+                w.u32(0x02);
+                w.u32(elem.tableIndex);
+                w.bytes(elem.offset.toBytes());
+                w.byte(0x00); // elemkind funcref
+            }
+            w.u32(elem.funcIndices.length);
+            elem.funcIndices.forEach(index => w.u32(index));
+        });
+
+        // Тело функции кончается её инструкциями: их начало в секции -
+        // конец тела минус длина инструкций
+        const codeStarts = [];
+        const codeSection = this.writeSection(out, WasmSection.CODE, this.funcs, (w, func) => {
+            if (!func.code) {
+                throw new Error(`Функция ${func.name || ''} объявлена, но не имеет тела`);
+            }
+            w.sized(this.encodeFunctionBody(func));
+            codeStarts.push(w.length - func.code.length);
+        });
+        this.codeOffsets = codeStarts.map(start => codeSection + start);
+
+        this.writeSection(out, WasmSection.DATA, this.datas, (w, data) => {
+            if (data.offset) {
+                w.u32(0x00);
+                w.bytes(data.offset.toBytes());
+            } else {
+                w.u32(0x01);
+            }
+            w.u32(data.bytes.length);
+            w.bytes(data.bytes);
+        });
+
+        for (const custom of this.customs) {
+            const section = new WasmBinaryWriter();
+            section.name(custom.name);
+            section.bytes(typeof custom.bytes === 'function' ? custom.bytes() : custom.bytes);
+            out.byte(WasmSection.CUSTOM);
+            out.sized(section);
+        }
+
+        return out.toBytes();
+    }
+
+    /**
+     * Пишет секцию-вектор: id, размер, количество элементов, элементы.
+     * Пустые секции не пишутся.
+     *
+     * @returns {number|null} - Смещение содержимого секции в out
+     */
+    writeSection(out, id, items, writeItem) {
+        if (items.length === 0) return null;
+
+        const section = new WasmBinaryWriter();
+        section.u32(items.length);
+        items.forEach(item => writeItem(section, item));
+
+        out.byte(id);
+        out.sized(section);
+        return out.length - section.length;
+    }
+
+    writeLimits(w, limits) {
+        if (limits.max === null) {
+            w.byte(0x00);
+            w.u32(limits.min);
+        } else {
+            w.byte(0x01);
+            w.u32(limits.min);
+            w.u32(limits.max);
+        }
+    }
+
+    /**
+     * Тело функции: сжатые группы локальных и инструкции.
+     */
+    encodeFunctionBody(func) {
+        const body = new WasmBinaryWriter();
+
+        // Подряд идущие локальные одного типа объединяются в группу
+        const groups = [];
+        for (const type of func.locals) {
+            const last = groups[groups.length - 1];
+            if (last && last.type === type) {
+                last.count++;
+            } else {
+                groups.push({ type, count: 1 });
+            }
+        }
+
+        body.u32(groups.length);
+        for (const group of groups) {
+            body.u32(group.count);
+            body.byte(WasmValType[group.type]);
+        }
+
+        body.bytes(func.code.toBytes());
+        return body;
+    }
+}
+
+/**
+ * WatString - строковый литерал WAT.
+ *
+ * В WAT строки - это последовательности байт (escape \hh задаёт любой байт),
+ * поэтому храним и байты, и исходный текст.
+ */
+class WatString {
+    constructor(bytes, text) {
+        this.bytes = bytes;
+        this.text = text;
+    }
+}
+
+/**
+ * Элементы списка S-выражения с позиции start вместе с номерами их строк
+ * (если они есть, см. parseSExpressions).
+ */
+function sliceItems(list, start) {
+    const items = list.slice(start);
+    if (list.lines) items.lines = list.lines.slice(start);
+    return items;
+}
+
+/**
+ * WatAssembler - ассемблер текстового формата WebAssembly в бинарный.
+ *
+ * Поддерживает подмножество WAT, которое производит WasmCodeGenerator, и
+ * ещё немного сверху: плоскую и свёрнутую (folded) форму инструкций,
+ * именованные и числовые индексы, inline-экспорты. Разобранные поля
+ * складываются в WasmModuleBuilder, который и кодирует модуль.
+ */
+class WatAssembler {
+    constructor() {
+        this.builder = new WasmModuleBuilder();
+
+        // Строки текста инструкций (для карты кода): индекс функции →
+        // [{ offset, line }], смещения - от начала инструкций функции.
+        // null - строки не отслеживаются. codeLines - записи текущей функции
+        this.functionLines = null;
+        this.codeLines = null;
+    }
+
+    /**
+     * Собирает WAT текст в бинарный модуль.
+     *
+     * С debug ассемблер запоминает, с какой строки текста пришла каждая
+     * инструкция, и добавляет в модуль отладочные секции
+     * (WasmModuleBuilder.addDebugSections): место инструкции в исходном
+     * коде - место её строки.
+     *
+     * @param {string} watText - Текст модуля в формате WAT
+     * @param {Object|null} debug - { sourceMap, locations }: карта кода
+     *        (SourceMap) и места строк текста (locations[номер строки - 1] -
+     *        loc узла AST или null, см. WasmCodeGenerator.outputLocations)
+     * @returns {Uint8Array} - Байты .wasm модуля
+     */
+    assemble(watText, debug = null) {
+        this.builder = new WasmModuleBuilder();
+        this.functionLines = debug ? new Map() : null;
+
+        const lines = debug ? [] : null;
+        const tokens = this.tokenize(watText, lines);
+        const forms = this.parseSExpressions(tokens, lines);
+
+        // Модуль может быть обёрнут в (module ...) или состоять из голых полей
+        let fields = forms;
+        if (forms.length === 1 && Array.isArray(forms[0]) && forms[0][0] === 'module') {
+            fields = forms[0].slice(1);
+            if (this.builder.isName(fields[0])) {
+                fields = fields.slice(1);
+            }
+        }
+
+        this.collectFields(fields);
+
+        if (debug) {
+            const locations = new Map();
+            for (const [index, marks] of this.functionLines) {
+                locations.set(index, marks.map(mark => ({
+                    offset: mark.offset,
+                    loc: debug.locations[mark.line - 1] || null
+                })));
+            }
+            this.builder.addDebugSections(debug.sourceMap, locations);
+        }
+
+        return this.builder.toBytes();
+    }
+
+    // ========================================================================
+    // ЛЕКСИКА И S-ВЫРАЖЕНИЯ
+    // ========================================================================
+
+    /**
+     * Разбивает WAT текст на токены: скобки, строки и атомы.
+     * Комментарии (;; ...) и (; ... ;) пропускаются.
+     *
+     * @param {string} text - Текст модуля
+     * @param {Array<number>|null} lines - Сюда пишется номер строки
+     *        (с 1) каждого токена
+     */
+    tokenize(text, lines = null) {
+        const tokens = [];
+        let i = 0;
+
+        // Строка считается до начала каждого токена: позиции растут,
+        // поэтому текст просматривается один раз
+        let line = 1;
+        let counted = 0;
+        const push = (token, start) => {
+            if (lines) {
+                for (; counted < start; counted++) {
+                    if (text[counted] === '\n') line++;
+                }
+                lines.push(line);
+            }
+            tokens.push(token);
+        };
+
+        while (i < text.length) {
+            const char = text[i];
+
+            if (char === ' ' || char === '\t' || char === '\n' || char === '\r') {
+                i++;
+                continue;
+            }
+
+            // Однострочный комментарий
+            if (char === ';' && text[i + 1] === ';') {
+                while (i < text.length && text[i] !== '\n') i++;
+                continue;
+            }
+
+            // Блочный комментарий (может быть вложенным)
+            if (char === '(' && text[i + 1] === ';') {
+                let depth = 1;
+                i += 2;
+                while (i < text.length && depth > 0) {
+                    if (text[i] === '(' && text[i + 1] === ';') {
+                        depth++;
+                        i += 2;
+                    } else if (text[i] === ';' && text[i + 1] === ')') {
+                        depth--;
+                        i += 2;
+                    } else {
+                        i++;
+                    }
+                }
+                continue;
+            }
+
+            if (char === '(' || char === ')') {
+                push(char, i);
+                i++;
+                continue;
+            }
+
+            if (char === '"') {
+                const result = this.readString(text, i);
+                push(result.string, i);
+                i = result.end;
+                continue;
+            }
+
+            // Атом - всё до пробела, скобки или кавычки
+            let end = i;
+            while (end < text.length && !' \t\n\r()"'.includes(text[end])) {
+                end++;
+            }
+            push(text.slice(i, end), i);
+            i = end;
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Читает строковый литерал, начиная с открывающей кавычки.
+     */
+    readString(text, start) {
+        const bytes = [];
+        let i = start + 1;
+
+        while (i < text.length && text[i] !== '"') {
+            const char = text[i];
+
+            if (char !== '\\') {
+                const cp = text.codePointAt(i);
+                appendCodePoint(bytes, cp);
+                i += cp > 0xffff ? 2 : 1;
+                continue;
+            }
+
+            const next = text[i + 1];
+            i += 2;
+
+            if (next === 'n') bytes.push(0x0a);
+            else if (next === 't') bytes.push(0x09);
+            else if (next === 'r') bytes.push(0x0d);
+            else if (next === '"' || next === "'" || next === '\\') bytes.push(next.charCodeAt(0));
+            else if (next === 'u' && text[i] === '{') {
+                const close = text.indexOf('}', i);
+                appendCodePoint(bytes, parseInt(text.slice(i + 1, close), 16));
+                i = close + 1;
+            } else if (/[0-9a-fA-F]/.test(next) && /[0-9a-fA-F]/.test(text[i])) {
+                bytes.push(parseInt(next + text[i], 16));
+                i++;
+            } else {
+                throw new Error(`Неизвестная escape-последовательность в строке WAT: \\${next}`);
+            }
+        }
+
+        if (text[i] !== '"') {
+            throw new Error('Незакрытая строка в WAT');
+        }
+
+        return {
+            string: new WatString(bytes, text.slice(start + 1, i)),
+            end: i + 1
+        };
+    }
+
+    /**
+     * Превращает плоский список токенов в дерево S-выражений.
+     * Списки становятся массивами, атомы - строками.
+     *
+     * С lines (номера строк токенов, см. tokenize) у каждого списка есть
+     * поле lines - номера строк его элементов (у вложенного списка -
+     * строка его открывающей скобки).
+     */
+    parseSExpressions(tokens, lines = null) {
+        const root = [];
+        const stack = [root];
+        if (lines) root.lines = [];
+
+        const append = (item, index) => {
+            const parent = stack[stack.length - 1];
+            parent.push(item);
+            if (lines) parent.lines.push(lines[index]);
+        };
+
+        tokens.forEach((token, index) => {
+            if (token === '(') {
+                const list = [];
+                if (lines) list.lines = [];
+                append(list, index);
+                stack.push(list);
+            } else if (token === ')') {
+                if (stack.length === 1) {
+                    throw new Error('Лишняя закрывающая скобка в WAT');
+                }
+                stack.pop();
+            } else {
+                append(token, index);
+            }
+        });
+
+        if (stack.length !== 1) {
+            throw new Error('Незакрытая скобка в WAT');
+        }
+
+        return root;
+    }
+
+    // ========================================================================
+    // СБОР ПОЛЕЙ МОДУЛЯ
+    // ========================================================================
+
+    /**
+     * Проходит по полям модуля в несколько этапов.
+     *
+     * Индексы функций, глобальных переменных, таблиц и памяти нумеруются
+     * так: сначала все импорты, затем определения. Поэтому импорты нужно
+     * собрать до того, как назначать индексы определённым функциям, а тела
+     * функций кодировать, когда известны все имена.
+     */
+    collectFields(fields) {
+        const builder = this.builder;
+        const funcs = [];
+        const globals = [];
+
+        // Этап 1: явные типы - их индексы идут первыми
+        for (const field of fields) {
+            if (field[0] === 'type') this.collectType(field);
+        }
+
+        // Этап 2: импорты
+        for (const field of fields) {
+            if (field[0] === 'import') this.collectImport(field);
+        }
+
+        // Этап 3: определения
+        for (const field of fields) {
+            switch (field[0]) {
+                case 'func': funcs.push(this.collectFunc(field)); break;
+                case 'table': this.collectTable(field); break;
+                case 'memory': this.collectMemory(field); break;
+                case 'global': globals.push(this.collectGlobal(field)); break;
+            }
+        }
+
+        // Этап 4: поля, ссылающиеся на уже известные имена
+        for (const field of fields) {
+            switch (field[0]) {
+                case 'export':
+                    this.collectExport(field);
+                    break;
+                case 'start':
+                    builder.setStart(builder.resolveIndex(field[1], builder.funcNames, 'функция'));
+                    break;
+                case 'elem':
+                    this.collectElem(field);
+                    break;
+                case 'data':
+                    this.collectData(field);
+                    break;
+                case 'type':
+                case 'import':
+                case 'func':
+                case 'table':
+                case 'memory':
+                case 'global':
+                    break;
+                default:
+                    throw new Error(`Неизвестное поле модуля WAT: ${field[0]}`);
+            }
+        }
+
+        // Этап 5: инициализаторы глобальных и тела функций
+        for (const global of globals) {
+            builder.setGlobalInit(global.index, this.encodeConstExpr(global.init));
+        }
+
+        for (const func of funcs) {
+            builder.setFunctionBody(func.index, func.locals, this.encodeFunctionCode(func), func.localNames);
+        }
+    }
+
+    /**
+     * (type $name (func (param ...) (result ...)))
+     */
+    collectType(field) {
+        let pos = 1;
+        let name = null;
+        if (this.builder.isName(field[pos])) name = field[pos++];
+
+        const signature = this.builder.parseSignature(field[pos], 1);
+        this.builder.addType(name, signature.params, signature.results);
+    }
+
+    /**
+     * (import "module" "name" (func|memory|global|table ...))
+     */
+    collectImport(field) {
+        const builder = this.builder;
+        const desc = field[3];
+        let name = null;
+        if (builder.isName(desc[1])) name = desc[1];
+        const descStart = name ? 2 : 1;
+
+        let details;
+        switch (desc[0]) {
+            case 'func':
+                details = { typeIndex: builder.parseTypeUse(desc, descStart).typeIndex };
+                break;
+            case 'memory':
+                details = { limits: this.parseLimits(desc, descStart) };
+                break;
+            case 'global':
+                details = { globalType: this.parseGlobalType(desc[descStart]) };
+                break;
+            case 'table':
+                details = {
+                    limits: this.parseLimits(desc, descStart),
+                    refType: builder.valType(desc[desc.length - 1])
+                };
+                break;
+            default:
+                throw new Error(`Неизвестный вид импорта: ${desc[0]}`);
+        }
+
+        builder.addImport(desc[0], field[1].bytes, field[2].bytes, name, details);
+    }
+
+    /**
+     * Собирает inline-экспорты вида (export "name") внутри поля.
+     */
+    collectInlineExports(field, kind, index) {
+        for (const item of field) {
+            if (Array.isArray(item) && item[0] === 'export') {
+                this.builder.addExport(item[1].bytes, kind, index);
+            }
+        }
+    }
+
+    /**
+     * (func $name (export "x")? (type $t)? (param ...)* (result ...)* (local ...)* instr*)
+     *
+     * Тело не кодируется сразу - оно может ссылаться на функции, объявленные ниже.
+     */
+    collectFunc(field) {
+        const builder = this.builder;
+        let pos = 1;
+        let name = null;
+        if (builder.isName(field[pos])) name = field[pos++];
+
+        // Пропускаем заголовок: export, type, param, result
+        let bodyStart = pos;
+        while (bodyStart < field.length && Array.isArray(field[bodyStart]) &&
+               ['export', 'type', 'param', 'result'].includes(field[bodyStart][0])) {
+            bodyStart++;
+        }
+
+        const typeUse = builder.parseTypeUse(field.slice(0, bodyStart), pos);
+        const index = builder.addFunction(name, typeUse.typeIndex);
+        this.collectInlineExports(field, 'func', index);
+
+        // Локальные переменные
+        const locals = [];
+        const localNames = typeUse.paramNames.slice();
+        while (bodyStart < field.length && Array.isArray(field[bodyStart]) &&
+               field[bodyStart][0] === 'local') {
+            const local = field[bodyStart++];
+            if (builder.isName(local[1])) {
+                localNames.push(local[1]);
+                locals.push(builder.valType(local[2]));
+            } else {
+                for (let j = 1; j < local.length; j++) {
+                    localNames.push(null);
+                    locals.push(builder.valType(local[j]));
+                }
+            }
+        }
+
+        return { index, name, locals, localNames, body: sliceItems(field, bodyStart) };
+    }
+
+    /**
+     * (table $t? (export "x")? min max? funcref)
+     */
+    collectTable(field) {
+        let pos = 1;
+        let name = null;
+        if (this.builder.isName(field[pos])) name = field[pos++];
+
+        const index = this.builder.addTable(
+            name,
+            this.parseLimits(field, pos),
+            this.builder.valType(field[field.length - 1])
+        );
+        this.collectInlineExports(field, 'table', index);
+    }
+
+    /**
+     * (memory $m? (export "x")? min max?)
+     */
+    collectMemory(field) {
+        let pos = 1;
+        let name = null;
+        if (this.builder.isName(field[pos])) name = field[pos++];
+
+        const index = this.builder.addMemory(name, this.parseLimits(field, pos));
+        this.collectInlineExports(field, 'memory', index);
+    }
+
+    /**
+     * (global $g (export "x")? (mut i32) (i32.const 0))
+     */
+    collectGlobal(field) {
+        let pos = 1;
+        let name = null;
+        if (this.builder.isName(field[pos])) name = field[pos++];
+
+        while (Array.isArray(field[pos]) && field[pos][0] === 'export') pos++;
+
+        const index = this.builder.addGlobal(name, this.parseGlobalType(field[pos]), null);
+        this.collectInlineExports(field, 'global', index);
+
+        return { index, init: field.slice(pos + 1) };
+    }
+
+    /**
+     * (export "name" (func|memory|global|table $x))
+     */
+    collectExport(field) {
+        const builder = this.builder;
+        const desc = field[2];
+        const namesByKind = {
+            func: builder.funcNames,
+            memory: builder.memoryNames,
+            global: builder.globalNames,
+            table: builder.tableNames
+        };
+
+        if (!namesByKind[desc[0]]) {
+            throw new Error(`Неизвестный вид экспорта: ${desc[0]}`);
+        }
+
+        builder.addExport(
+            field[1].bytes,
+            desc[0],
+            builder.resolveIndex(desc[1], namesByKind[desc[0]], desc[0])
+        );
+    }
+
+    /**
+     * (elem (table $t)? (i32.const 0) func? $f $g ...)
+     */
+    collectElem(field) {
+        const builder = this.builder;
+        let pos = 1;
+        if (builder.isName(field[pos])) pos++;
+
+        let tableIndex = 0;
+        if (Array.isArray(field[pos]) && field[pos][0] === 'table') {
+            tableIndex = builder.resolveIndex(field[pos][1], builder.tableNames, 'таблица');
+            pos++;
+        }
+
+        const offset = field[pos][0] === 'offset' ? field[pos].slice(1) : [field[pos]];
+        pos++;
+
+        if (field[pos] === 'func') pos++;
+
+        const funcIndices = field.slice(pos)
+            .map(ref => builder.resolveIndex(ref, builder.funcNames, 'функция'));
+
+        builder.addElem(tableIndex, this.encodeConstExpr(offset), funcIndices);
+    }
+
+    /**
+     * (data (i32.const 0) "..." "...") или пассивный (data "...")
+     */
+    collectData(field) {
+        let pos = 1;
+        if (this.builder.isName(field[pos])) pos++;
+        if (Array.isArray(field[pos]) && field[pos][0] === 'memory') pos++;
+
+        let offset = null;
+        if (Array.isArray(field[pos])) {
+            offset = field[pos][0] === 'offset' ? field[pos].slice(1) : [field[pos]];
+            pos++;
+        }
+
+        const bytes = [];
+        for (const item of field.slice(pos)) {
+            for (const b of item.bytes) bytes.push(b);
+        }
+
+        this.builder.addData(offset ? this.encodeConstExpr(offset) : null, bytes);
+    }
+
+    /**
+     * Лимиты памяти/таблицы: min max? (числовые атомы после start).
+     */
+    parseLimits(list, start) {
+        const numbers = [];
+        for (let i = start; i < list.length; i++) {
+            if (typeof list[i] === 'string' && /^[0-9]/.test(list[i])) {
+                numbers.push(Number(list[i].replace(/_/g, '')));
+            }
+        }
+        return { min: numbers[0] || 0, max: numbers.length > 1 ? numbers[1] : null };
+    }
+
+    /**
+     * Тип глобальной переменной: i32 или (mut i32).
+     */
+    parseGlobalType(item) {
+        if (Array.isArray(item) && item[0] === 'mut') {
+            return { valType: this.builder.valType(item[1]), mutable: true };
+        }
+        return { valType: this.builder.valType(item), mutable: false };
+    }
+
+    // ========================================================================
+    // ИНСТРУКЦИИ
+    // ========================================================================
+
+    /**
+     * Разбирает заголовок блока: метку и (type/param/result ...).
+     * Возвращает метку, сигнатуру блока и позицию первой инструкции.
+     */
+    parseBlockHeader(items, pos) {
+        let label = null;
+        if (this.builder.isName(items[pos])) label = items[pos++];
+
+        const start = pos;
+        while (Array.isArray(items[pos]) && ['type', 'param', 'result'].includes(items[pos][0])) {
+            pos++;
+        }
+
+        const header = items.slice(start, pos);
+        const signature = header.some(item => item[0] === 'type')
+            ? this.builder.parseTypeUse(header, 0)
+            : this.builder.parseSignature(header, 0);
+
+        return { label, signature, end: pos };
+    }
+
+    /**
+     * Кодирует последовательность инструкций (плоских и свёрнутых).
+     *
+     * @param {Array} items - Элементы S-выражений (атомы и списки)
+     * @param {WasmBinaryWriter} out - Куда писать байты
+     * @param {Object} ctx - Контекст: имена локальных и стек меток
+     */
+    encodeInstructions(items, out, ctx) {
+        let i = 0;
+
+        while (i < items.length) {
+            const item = items[i];
+
+            if (Array.isArray(item)) {
+                this.encodeFolded(item, out, ctx);
+                i++;
+                continue;
+            }
+
+            if (item instanceof WatString) {
+                throw new Error(`Неожиданная строка в теле функции: "${item.text}"`);
+            }
+
+            const op = item;
+            this.markLine(out, items.lines, i);
+            i++;
+
+            // Плоские структурные инструкции
+            if (op === 'block' || op === 'loop' || op === 'if') {
+                const header = this.parseBlockHeader(items, i);
+                out.byte(WasmOpcode[op]);
+                this.builder.encodeBlockType(header.signature.params, header.signature.results, out);
+                ctx.labels.push(header.label);
+                i = header.end;
+                continue;
+            }
+
+            if (op === 'else') {
+                if (this.builder.isName(items[i])) i++;
+                out.byte(WasmOpcode.else);
+                continue;
+            }
+
+            if (op === 'end') {
+                if (this.builder.isName(items[i])) i++;
+                out.byte(WasmOpcode.end);
+                ctx.labels.pop();
+                continue;
+            }
+
+            i = this.builder.encodeInstruction(op, items, i, out, ctx);
+        }
+    }
+
+    /**
+     * Кодирует инструкцию в свёрнутой форме: (op immediates... operands...).
+     *
+     * Операнды (вложенные списки) вычисляются первыми, затем сама инструкция -
+     * ровно как в постфиксной записи стековой машины.
+     */
+    encodeFolded(list, out, ctx) {
+        const op = list[0];
+
+        if (op === 'block' || op === 'loop') {
+            const header = this.parseBlockHeader(list, 1);
+            this.markLine(out, list.lines, 0);
+            out.byte(WasmOpcode[op]);
+            this.builder.encodeBlockType(header.signature.params, header.signature.results, out);
+            ctx.labels.push(header.label);
+            this.encodeInstructions(sliceItems(list, header.end), out, ctx);
+            ctx.labels.pop();
+            out.byte(WasmOpcode.end);
+            return;
+        }
+
+        if (op === 'if') {
+            const header = this.parseBlockHeader(list, 1);
+
+            // Всё кроме (then ...) и (else ...) - это условие
+            const condition = [];
+            if (list.lines) condition.lines = [];
+            let thenBranch = null;
+            let elseBranch = null;
+            for (let pos = header.end; pos < list.length; pos++) {
+                const item = list[pos];
+                if (Array.isArray(item) && item[0] === 'then') {
+                    thenBranch = item;
+                } else if (Array.isArray(item) && item[0] === 'else') {
+                    elseBranch = item;
+                } else {
+                    condition.push(item);
+                    if (list.lines) condition.lines.push(list.lines[pos]);
+                }
+            }
+
+            if (!thenBranch) {
+                throw new Error('Ожидается (then ...) внутри (if ...)');
+            }
+
+            this.encodeInstructions(condition, out, ctx);
+            this.markLine(out, list.lines, 0);
+            out.byte(WasmOpcode.if);
+            this.builder.encodeBlockType(header.signature.params, header.signature.results, out);
+            ctx.labels.push(header.label);
+            this.encodeInstructions(sliceItems(thenBranch, 1), out, ctx);
+            if (elseBranch) {
+                this.markLine(out, elseBranch.lines, 0);
+                out.byte(WasmOpcode.else);
+                this.encodeInstructions(sliceItems(elseBranch, 1), out, ctx);
+            }
+            ctx.labels.pop();
+            out.byte(WasmOpcode.end);
+            return;
+        }
+
+        // Обычная инструкция: отделяем непосредственные операнды от вложенных
+        // инструкций-операндов. Списки type/param/result - часть typeuse.
+        const immediates = [];
+        const operands = [];
+        for (let pos = 1; pos < list.length; pos++) {
+            const item = list[pos];
+            if (Array.isArray(item) && !['type', 'param', 'result'].includes(item[0])) {
+                operands.push(item);
+            } else {
+                immediates.push(item);
+            }
+        }
+
+        for (const operand of operands) {
+            this.encodeFolded(operand, out, ctx);
+        }
+
+        this.markLine(out, list.lines, 0);
+        const end = this.builder.encodeInstruction(op, immediates, 0, out, ctx);
+        if (end !== immediates.length) {
+            throw new Error(`Лишние операнды у инструкции ${op}`);
+        }
+    }
+
+    /**
+     * Кодирует константное выражение (инициализаторы, смещения) с end.
+     */
+    encodeConstExpr(items) {
+        const out = new WasmBinaryWriter();
+        this.encodeInstructions(items, out, { localNames: new Map(), labels: [] });
+        out.byte(WasmOpcode.end);
+        return out;
+    }
+
+    /**
+     * Кодирует инструкции тела функции с завершающим end.
+     */
+    encodeFunctionCode(func) {
+        const code = new WasmBinaryWriter();
+
+        const localNames = new Map();
+        func.localNames.forEach((name, index) => {
+            if (name) localNames.set(name, index);
+        });
+
+        // Тело функции - это неявный блок, на который тоже можно сослаться br
+        const ctx = { localNames, labels: [null] };
+
+        if (this.functionLines) {
+            this.codeLines = [];
+            this.functionLines.set(func.index, this.codeLines);
+        }
+
+        try {
+            this.encodeInstructions(func.body, code, ctx);
+        } catch (error) {
+            error.message = `${func.name || 'функция'}: ${error.message}`;
+            throw error;
+        } finally {
+            this.codeLines = null;
+        }
+
+        code.byte(WasmOpcode.end);
+        return code;
+    }
+
+    /**
+     * Запоминает строку текста инструкции, которая сейчас будет записана
+     * в out: элемент index списка с номерами строк lines.
+     */
+    markLine(out, lines, index) {
+        if (this.codeLines && lines) {
+            this.codeLines.push({ offset: out.length, line: lines[index] });
+        }
+    }
+}
+
+// Экспорт
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        WatAssembler, WasmModuleBuilder, WasmBinaryWriter,
+        WasmOpcode, WasmValType, WasmSection, WasmExternalKind
+    };
+}
+
+globalThis.CompilerStage5 = globalThis.CompilerStage5 || {};
+globalThis.CompilerStage5.WatAssembler = WatAssembler;
+globalThis.CompilerStage5.WasmModuleBuilder = WasmModuleBuilder;
+globalThis.CompilerStage5.WasmBinaryWriter = WasmBinaryWriter;
+globalThis.CompilerStage5.WasmOpcode = WasmOpcode;
+globalThis.CompilerStage5.WasmValType = WasmValType;
+globalThis.CompilerStage5.WasmSection = WasmSection;
+globalThis.CompilerStage5.WasmExternalKind = WasmExternalKind;
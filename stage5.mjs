@@ -0,0 +1,36 @@
+/**
+ * ============================================================================
+ * STAGE 5 - ES MODULE ENTRY POINT
+ * ============================================================================
+ *
+ * Компилятор Stage 5 как ES-модуль для Node:
+ *
+ *   import { Compiler } from './stage5.mjs';
+ *   const results = await new Compiler().compile(source, { backend: 'binary' });
+ *
+ * Файлы фаз остаются скриптами CommonJS (их же подключает браузер тегами
+ * script). stage5-compiler.js подключает все фазы и заполняет реестр
+ * globalThis.CompilerStage5, а этот модуль экспортирует его содержимое
+ * под именами.
+ */
+
+import './stage5-compiler.js';
+
+export const {
+    Compiler,
+    Diagnostic, DiagnosticSeverity, DiagnosticCode, CompilerError, renderCodeFrame,
+    Lexer, Token, TokenType,
+    Parser, ASTNodeType,
+    CodePrinter,
+    TypeAnalyzer, Type, TypeKind, TypeEnvironment, TypeVariable, TypeInference,
+    CompilationCache,
+    PassManager, AstOptimizer, OptimizationPasses,
+    IrValue, IrBlock, IrFunction, DominatorTree, IrBuilder, IrEmitter, IrPasses,
+    WasmCodeGenerator, WasmType, Intrinsics,
+    WasmBinaryGenerator,
+    WatAssembler, WasmModuleBuilder, WasmBinaryWriter,
+    WasmOpcode, WasmValType, WasmSection, WasmExternalKind,
+    WasmLinker, WasmBinaryReader,
+    SourceMap,
+    Interpreter, InterpreterTrap, ProgramGenerator, FuzzHarness
+} = globalThis.CompilerStage5;
@@ -0,0 +1,356 @@
+#!/usr/bin/env node
+/**
+ * ============================================================================
+ * STAGE5C - STAGE 5: COMMAND-LINE COMPILER
+ * ============================================================================
+ *
+ * Компилятор Stage 5 без браузера: для сборочных скриптов и CI.
+ *
+ *   node stage5c.js program.js                  → program.wasm
+ *   node stage5c.js --emit=wat program.js       → program.wat
+ *   node stage5c.js --emit=ast program.js       → AST в JSON на stdout
+ *   node stage5c.js --emit=wasm -o - - < a.js   → stdin → stdout
+ *
+ * package.json объявляет его командой stage5c (bin): после npm install
+ * или npm link - "stage5c program.js", в проекте - "npx stage5c".
+ *
+ * ЧТО МОЖНО ВЫДАТЬ (--emit):
+ *
+ *   tokens     токены лексера (JSON)
+ *   ast        AST парсера до типового анализа (JSON)
+ *   typed-ast  AST с inferredType у каждого узла (JSON)
+ *   wat        текст модуля (бэкенд wat)
+ *   wasm       бинарный модуль (по умолчанию)
+ *
+ * JSON по умолчанию пишется на stdout, модуль - в файл рядом с исходным
+ * (program.js → program.wat / program.wasm); -o задаёт другой путь,
+ * "-o -" - stdout.
+ *
+ * С --source-map карта кода пишется рядом с модулем (program.wasm.map),
+ * и модуль ссылается на неё из секции sourceMappingURL; модуль на stdout
+ * несёт карту в себе.
+ *
+ * КОДЫ ВЫХОДА:
+ *
+ *   0  компиляция без ошибок
+ *   1  есть ошибки; диагностики печатаются в stderr, модуль не
+ *      записывается
+ *   2  неверные аргументы (в том числе неизвестный проход в -O) или
+ *      файл не читается/не пишется
+ *
+ * Журнал фаз, который Compiler пишет в console.log, в обычном режиме
+ * скрыт; --verbose направляет его в stderr, чтобы stdout оставался
+ * чистым для вывода.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Compiler } = require('./stage5-compiler.js');
+
+/**
+ * Виды вывода: на какой фазе остановиться и расширение файла по умолчанию
+ * (null - по умолчанию stdout).
+ */
+const EmitKinds = {
+    'tokens':    { stopAfter: 'lexer',  extension: null },
+    'ast':       { stopAfter: 'parser', extension: null },
+    'typed-ast': { stopAfter: 'type',   extension: null },
+    'wat':       { stopAfter: null,     extension: '.wat' },
+    'wasm':      { stopAfter: null,     extension: '.wasm' }
+};
+
+const ExitCode = {
+    OK: 0,
+    DIAGNOSTICS: 1,
+    USAGE: 2
+};
+
+const USAGE = `Использование: stage5c [опции] <файл.js | ->
+
+Опции:
+  --emit=<вид>            tokens | ast | typed-ast | wat | wasm (по умолчанию wasm)
+  -o, --output=<файл>     куда записать результат ("-" - stdout)
+  --backend=<имя>         wat | binary (по умолчанию wat)
+  -O, --optimize[=<список>]
+                          проходы оптимизации через запятую (без списка - все)
+  --ir                    генерировать функции через SSA IR
+  --relocatable           записать перемещения для линкера (бэкенд binary)
+  --source-map            карта кода и имена функций для отладчика (--emit=wasm)
+  --diagnostics=<формат>  text | json (по умолчанию text)
+  --verbose               журнал фаз компилятора в stderr
+  -h, --help              эта справка`;
+
+/**
+ * Разбирает аргументы командной строки.
+ *
+ * @param {Array<string>} argv - Аргументы без "node stage5c.js"
+ * @returns {Object} - Опции; бросает Error при неверных аргументах
+ */
+function parseArguments(argv) {
+    const options = {
+        input: null,
+        emit: 'wasm',
+        output: null,
+        backend: null,
+        optimizations: null,
+        ir: false,
+        relocatable: false,
+        sourceMap: false,
+        diagnostics: 'text',
+        verbose: false,
+        help: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const [flag, value] = arg.startsWith('--') && arg.includes('=')
+            ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)]
+            : [arg, null];
+
+        switch (flag) {
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+
+            case '--emit':
+                if (!(value in EmitKinds)) {
+                    throw new Error(`Неизвестный вид вывода: ${value}`);
+                }
+                options.emit = value;
+                break;
+
+            case '-o':
+                if (i + 1 >= argv.length) {
+                    throw new Error('После -o нужен путь к файлу');
+                }
+                options.output = argv[++i];
+                break;
+
+            case '--output':
+                options.output = value;
+                break;
+
+            case '--backend':
+                if (value !== 'wat' && value !== 'binary') {
+                    throw new Error(`Неизвестный бэкенд: ${value}`);
+                }
+                options.backend = value;
+                break;
+
+            case '-O':
+            case '--optimize': {
+                const { OptimizationPasses, PassManager } = globalThis.CompilerStage5;
+                const names = value ? value.split(',') : Object.keys(OptimizationPasses);
+                const unknown = names.filter(name => PassManager.resolve(name) === null);
+                if (unknown.length > 0) {
+                    throw new Error(`Неизвестный проход оптимизации: ${unknown.join(', ')}`);
+                }
+                options.optimizations = names;
+                break;
+            }
+
+            case '--ir':
+                options.ir = true;
+                break;
+
+            case '--relocatable':
+                options.relocatable = true;
+                break;
+
+            case '--source-map':
+                options.sourceMap = true;
+                break;
+
+            case '--diagnostics':
+                if (value !== 'text' && value !== 'json') {
+                    throw new Error(`Неизвестный формат диагностик: ${value}`);
+                }
+                options.diagnostics = value;
+                break;
+
+            case '--verbose':
+                options.verbose = true;
+                break;
+
+            default:
+                if (arg !== '-' && arg.startsWith('-')) {
+                    throw new Error(`Неизвестная опция: ${arg}`);
+                }
+                if (options.input !== null) {
+                    throw new Error('Ожидается один входной файл');
+                }
+                options.input = arg;
+                break;
+        }
+    }
+
+    if (options.emit === 'wat' && options.backend === 'binary') {
+        throw new Error('--emit=wat требует бэкенда wat');
+    }
+    if (options.relocatable && options.backend === 'wat') {
+        throw new Error('--relocatable требует бэкенда binary');
+    }
+    if (options.sourceMap && options.emit !== 'wasm') {
+        throw new Error('--source-map требует --emit=wasm');
+    }
+
+    return options;
+}
+
+/**
+ * Компилирует исходный текст с журналом фаз в stderr или без журнала.
+ */
+async function compileQuietly(compiler, source, compileOptions, verbose) {
+    const saved = { log: console.log, warn: console.warn, error: console.error };
+    const sink = verbose ? (...args) => process.stderr.write(args.join(' ') + '\n') : () => {};
+    console.log = console.warn = console.error = sink;
+
+    try {
+        return await compiler.compile(source, compileOptions);
+    } finally {
+        Object.assign(console, saved);
+    }
+}
+
+/**
+ * Путь результата: -o, а без него - файл рядом с исходным для модулей
+ * и stdout для JSON (и для любого вывода, если исходный код из stdin).
+ */
+function outputPath(options) {
+    if (options.output !== null) {
+        return options.output;
+    }
+
+    const extension = EmitKinds[options.emit].extension;
+    if (!extension || options.input === '-') {
+        return '-';
+    }
+
+    const parsed = path.parse(options.input);
+    return path.join(parsed.dir, parsed.name + extension);
+}
+
+/**
+ * Опция sourceMap компилятора для --source-map: файл карты лежит рядом
+ * с модулем, а имя исходного файла в карте - относительно неё.
+ */
+function sourceMapOption(options, target) {
+    if (!options.sourceMap) {
+        return false;
+    }
+    if (target === '-') {
+        return { fileName: options.input === '-' ? '<stdin>' : path.basename(options.input) };
+    }
+
+    return {
+        fileName: options.input === '-' ? '<stdin>' : path.relative(path.dirname(target), options.input),
+        url: path.basename(target) + '.map'
+    };
+}
+
+/**
+ * Результат выбранного вида: строка или байты.
+ */
+function emitted(results, emit) {
+    switch (emit) {
+        case 'tokens':
+            return JSON.stringify(results.tokens, null, 2) + '\n';
+        case 'ast':
+            return JSON.stringify(results.ast, null, 2) + '\n';
+        case 'typed-ast':
+            return JSON.stringify(results.typedAst, null, 2) + '\n';
+        case 'wat':
+            return results.watCode;
+        case 'wasm':
+            return results.binary;
+    }
+}
+
+function reportDiagnostics(compiler, results, options) {
+    if (results.diagnostics.length === 0) return;
+
+    if (options.diagnostics === 'json') {
+        process.stderr.write(JSON.stringify(results.diagnostics.map(d => d.toJSON()), null, 2) + '\n');
+        return;
+    }
+
+    const fileName = options.input === '-' ? '<stdin>' : options.input;
+    process.stderr.write(compiler.formatDiagnostics({ fileName }) + '\n');
+}
+
+/**
+ * Точка входа.
+ *
+ * @param {Array<string>} argv - Аргументы командной строки
+ * @returns {Promise<number>} - Код выхода (ExitCode)
+ */
+async function main(argv) {
+    let options;
+    try {
+        options = parseArguments(argv);
+    } catch (error) {
+        process.stderr.write(`stage5c: ${error.message}\n\n${USAGE}\n`);
+        return ExitCode.USAGE;
+    }
+
+    if (options.help) {
+        process.stdout.write(USAGE + '\n');
+        return ExitCode.OK;
+    }
+    if (options.input === null) {
+        process.stderr.write(`stage5c: не указан входной файл\n\n${USAGE}\n`);
+        return ExitCode.USAGE;
+    }
+
+    let source;
+    try {
+        source = fs.readFileSync(options.input === '-' ? 0 : options.input, 'utf8');
+    } catch (error) {
+        process.stderr.write(`stage5c: не удалось прочитать ${options.input}: ${error.message}\n`);
+        return ExitCode.USAGE;
+    }
+
+    const target = outputPath(options);
+    const compiler = new Compiler();
+    const results = await compileQuietly(compiler, source, {
+        backend: options.backend || (options.relocatable ? 'binary' : 'wat'),
+        optimizations: options.optimizations,
+        ir: options.ir,
+        relocatable: options.relocatable,
+        sourceMap: sourceMapOption(options, target),
+        stopAfter: EmitKinds[options.emit].stopAfter
+    }, options.verbose);
+
+    reportDiagnostics(compiler, results, options);
+
+    const failed = results.errors.length > 0;
+
+    // Модуль с ошибками не записываем; JSON полезен и для кода с ошибками
+    const output = emitted(results, options.emit);
+    if (EmitKinds[options.emit].stopAfter || !failed) {
+        try {
+            if (target === '-') {
+                process.stdout.write(output);
+            } else {
+                fs.writeFileSync(target, output);
+            }
+            if (results.sourceMap && target !== '-') {
+                fs.writeFileSync(target + '.map', results.sourceMap.toString());
+            }
+        } catch (error) {
+            process.stderr.write(`stage5c: не удалось записать ${target}: ${error.message}\n`);
+            return ExitCode.USAGE;
+        }
+    }
+
+    return failed ? ExitCode.DIAGNOSTICS : ExitCode.OK;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = { main, parseArguments };
@@ -192,6 +192,12 @@ CodeFeatureExtractor.prototype.reset = function() {
  * каждый узел дерева, идентифицирует его тип, и обновляет соответствующие
  * счётчики. Глубина отслеживается для вычисления структурных характеристик.
  * 
+ * Понимает две формы AST: парсера демо (BlockStatement.statements,
+ * IfStatement.test/consequent/alternate, Literal, имена в поле value) и
+ * парсера Stage 5 (BlockStatement.body, IfStatement.condition/then/else,
+ * NumberLiteral..., имена в поле name) - например, программы
+ * ProgramGenerator.
+ * 
  * @param {Object} node - Текущий узел AST
  * @param {number} depth - Текущая глубина в дереве
  * @param {number} loopDepth - Глубина вложенности циклов
@@ -229,7 +235,7 @@ CodeFeatureExtractor.prototype.traverseAST = function(node, depth, loopDepth) {
         
         // Добавляем в граф вызовов
         if (node.name) {
-            this.callGraph.nodes.push(node.name.value);
+            this.callGraph.nodes.push(typeof node.name === 'string' ? node.name : node.name.value);
         }
         
         // Обрабатываем параметры
@@ -246,18 +252,25 @@ CodeFeatureExtractor.prototype.traverseAST = function(node, depth, loopDepth) {
     }
     else if (nodeType === 'BlockStatement') {
         // Блок операторов
-        if (node.statements && Array.isArray(node.statements)) {
-            for (var i = 0; i < node.statements.length; i++) {
-                this.traverseAST(node.statements[i], depth + 1, loopDepth);
+        var statements = node.statements || node.body;
+        if (statements && Array.isArray(statements)) {
+            for (var i = 0; i < statements.length; i++) {
+                this.traverseAST(statements[i], depth + 1, loopDepth);
             }
         }
     }
+    else if (nodeType === 'ExpressionStatement') {
+        if (node.expression) {
+            this.traverseAST(node.expression, depth + 1, loopDepth);
+        }
+    }
     else if (nodeType === 'VariableDeclaration') {
         // Объявление переменной
         this.variableStats.declared++;
         
-        if (node.id && node.id.value) {
-            this.variableStats.usageMap[node.id.value] = 0;
+        var variableName = node.id ? node.id.value : node.name;
+        if (variableName) {
+            this.variableStats.usageMap[variableName] = 0;
         }
         
         if (node.init) {
@@ -268,12 +281,14 @@ CodeFeatureExtractor.prototype.traverseAST = function(node, depth, loopDepth) {
         // Идентификатор (использование переменной)
         this.nodeCounts.identifiers++;
         
-        if (node.value && this.variableStats.usageMap[node.value] !== undefined) {
-            this.variableStats.usageMap[node.value]++;
+        var identifierName = node.value || node.name;
+        if (identifierName && this.variableStats.usageMap[identifierName] !== undefined) {
+            this.variableStats.usageMap[identifierName]++;
             this.variableStats.used++;
         }
     }
-    else if (nodeType === 'Literal') {
+    else if (nodeType === 'Literal' || nodeType === 'NumberLiteral' || nodeType === 'StringLiteral' ||
+             nodeType === 'BooleanLiteral' || nodeType === 'NullLiteral') {
         // Литерал (число, строка, булево)
         this.nodeCounts.literals++;
     }
@@ -316,10 +331,11 @@ CodeFeatureExtractor.prototype.traverseAST = function(node, depth, loopDepth) {
         this.nodeCounts.calls++;
         
         // Добавляем связь в граф вызовов
-        if (node.callee && node.callee.value) {
+        var calleeName = node.callee && (node.callee.value || node.callee.name);
+        if (calleeName) {
             this.callGraph.edges.push({
                 from: 'current',  // Текущая функция
-                to: node.callee.value
+                to: calleeName
             });
         }
         
@@ -334,8 +350,9 @@ CodeFeatureExtractor.prototype.traverseAST = function(node, depth, loopDepth) {
         // Return statement
         this.nodeCounts.returns++;
         
-        if (node.argument) {
-            this.traverseAST(node.argument, depth + 1, loopDepth);
+        var returned = node.argument || node.value;
+        if (returned) {
+            this.traverseAST(returned, depth + 1, loopDepth);
         }
     }
     else if (nodeType === 'IfStatement') {
@@ -343,18 +360,39 @@ CodeFeatureExtractor.prototype.traverseAST = function(node, depth, loopDepth) {
         this.nodeCounts.ifs++;
         
         // Условие
-        if (node.test) {
-            this.traverseAST(node.test, depth + 1, loopDepth);
+        var test = node.test || node.condition;
+        if (test) {
+            this.traverseAST(test, depth + 1, loopDepth);
         }
         
         // Then ветка
-        if (node.consequent) {
-            this.traverseAST(node.consequent, depth + 1, loopDepth);
+        var consequent = node.consequent || node.then;
+        if (consequent) {
+            this.traverseAST(consequent, depth + 1, loopDepth);
         }
         
         // Else ветка
-        if (node.alternate) {
-            this.traverseAST(node.alternate, depth + 1, loopDepth);
+        var alternate = node.alternate || node['else'];
+        if (alternate) {
+            this.traverseAST(alternate, depth + 1, loopDepth);
+        }
+    }
+    else if (nodeType === 'ConditionalExpression') {
+        // Тернарный оператор - ветвление без оператора if
+        this.traverseAST(node.condition, depth + 1, loopDepth);
+        this.traverseAST(node.then, depth + 1, loopDepth);
+        this.traverseAST(node['else'], depth + 1, loopDepth);
+    }
+    else if (nodeType === 'MemberExpression') {
+        // a[i], s.length
+        this.traverseAST(node.object, depth + 1, loopDepth);
+        if (node.computed) {
+            this.traverseAST(node.property, depth + 1, loopDepth);
+        }
+    }
+    else if (nodeType === 'ArrayExpression') {
+        for (var i = 0; i < node.elements.length; i++) {
+            this.traverseAST(node.elements[i], depth + 1, loopDepth);
         }
     }
     else if (nodeType === 'WhileStatement' || nodeType === 'ForStatement') {
@@ -373,8 +411,9 @@ CodeFeatureExtractor.prototype.traverseAST = function(node, depth, loopDepth) {
         }
         
         // Обрабатываем части цикла
-        if (node.test) {
-            this.traverseAST(node.test, depth + 1, newLoopDepth);
+        var loopTest = node.test || node.condition;
+        if (loopTest) {
+            this.traverseAST(loopTest, depth + 1, newLoopDepth);
         }
         if (node.init) {
             this.traverseAST(node.init, depth + 1, newLoopDepth);
@@ -588,6 +627,65 @@ CodeFeatureExtractor.prototype.getFeatureDescription = function() {
     };
 };
 
+/**
+ * Извлекает характеристики потока данных из SSA IR (stage5-ir.js).
+ * 
+ * AST показывает, как код написан, а IR - как по нему текут значения:
+ * сколько базовых блоков, сколько мест, где сходятся значения из разных
+ * путей (phi), сколько значений нужно держать одновременно (регистровое
+ * давление). От давления зависит, например, стоит ли раскручивать цикл:
+ * копии тела добавляют живых значений.
+ * 
+ * Вектор характеристик (buildFeatureVector) не меняется - эти
+ * характеристики дополнительные, для моделей, которые их используют.
+ * 
+ * @param {Array} irFunctions - IrFunction (compile(source, { ir: true }).ir)
+ * @returns {Object} - Суммы по функциям и максимум/среднее давления
+ */
+CodeFeatureExtractor.prototype.extractDataflowFeatures = function(irFunctions) {
+    var result = {
+        functions: irFunctions.length,
+        blocks: 0,
+        values: 0,
+        phis: 0,
+        loops: 0,
+        maxRegisterPressure: 0,
+        averageRegisterPressure: 0
+    };
+    var pressureSum = 0;
+    
+    for (var i = 0; i < irFunctions.length; i++) {
+        var fn = irFunctions[i];
+        var tree = fn.dominatorTree();
+        
+        for (var j = 0; j < fn.blocks.length; j++) {
+            var block = fn.blocks[j];
+            result.blocks++;
+            result.phis += block.phis.length;
+            result.values += block.phis.length + block.instructions.length;
+            
+            // Заголовок цикла - блок, в который ведёт переход назад
+            // (из блока, над которым он доминирует)
+            for (var k = 0; k < block.predecessors.length; k++) {
+                if (tree.dominates(block, block.predecessors[k])) {
+                    result.loops++;
+                    break;
+                }
+            }
+        }
+        
+        var pressure = fn.registerPressure();
+        result.maxRegisterPressure = Math.max(result.maxRegisterPressure, pressure.max);
+        pressureSum += pressure.average;
+    }
+    
+    if (irFunctions.length > 0) {
+        result.averageRegisterPressure = pressureSum / irFunctions.length;
+    }
+    
+    return result;
+};
+
 // Экспорт для использования в браузере
 if (typeof window !== 'undefined') {
     window.CompilerStage6 = window.CompilerStage6 || {};
@@ -0,0 +1,122 @@
+/**
+ * Командная строка stage5c: коды выхода, виды вывода и формат
+ * диагностик. stage5c запускается отдельным процессом: его stdout -
+ * не тот, в который пишет отчёт сам node --test.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { Compiler } = require('./helpers.js');
+
+const stage5c = path.join(__dirname, '..', 'stage5c.js');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stage5c-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function file(name, source) {
+    const fileName = path.join(dir, name);
+    fs.writeFileSync(fileName, source);
+    return fileName;
+}
+
+const good = file('good.js', 'function add(a: i32, b: i32): i32 {\n    return a + b;\n}\n');
+const bad = file('bad.js', 'function f(x: i32): i32 {\n    return "s";\n}\n');
+
+/**
+ * Запускает stage5c с аргументами argv.
+ *
+ * @returns {Object} - { code, stdout (Buffer), stderr }
+ */
+function run(argv) {
+    const result = spawnSync(process.execPath, [stage5c, ...argv], { timeout: 60000 });
+    return { code: result.status, stdout: result.stdout, stderr: result.stderr.toString() };
+}
+
+test('без ошибок - код 0 и модуль рядом с исходным файлом', async () => {
+    const { code } = run([good]);
+
+    assert.strictEqual(code, 0);
+    const binary = fs.readFileSync(path.join(dir, 'good.wasm'));
+    const { instance } = await WebAssembly.instantiate(binary, new Compiler().createImports());
+    assert.strictEqual(instance.exports.add(2, 3), 5);
+});
+
+test('--emit: wat в файл, AST и токены - JSON на stdout', async () => {
+    const wat = path.join(dir, 'out.wat');
+    assert.strictEqual(run(['--emit=wat', '-o', wat, good]).code, 0);
+    assert.match(fs.readFileSync(wat, 'utf8'), /\(func \$add/);
+
+    const ast = run(['--emit=ast', good]);
+    assert.strictEqual(ast.code, 0);
+    assert.strictEqual(JSON.parse(ast.stdout).body[0].name, 'add');
+
+    const tokens = run(['--emit=tokens', good]);
+    assert.strictEqual(JSON.parse(tokens.stdout)[0].type, 'FUNCTION');
+
+    const typed = run(['--emit=typed-ast', good]);
+    assert.ok(JSON.parse(typed.stdout).body[0].inferredType);
+});
+
+test('--emit=wasm -o - пишет модуль на stdout, -O выполняет проходы', async () => {
+    const { code, stdout } = run(['--emit=wasm', '--backend=binary', '-O', '-o', '-', good]);
+
+    assert.strictEqual(code, 0);
+    assert.ok(WebAssembly.validate(stdout));
+    assert.strictEqual(run(['--optimize=constantFolding,deadCodeElimination', good]).code, 0);
+});
+
+test('ошибки в коде - код 1, модуль не записывается', async () => {
+    const { code, stderr } = run([bad]);
+
+    assert.strictEqual(code, 1);
+    assert.match(stderr, /T012/);
+    assert.ok(!fs.existsSync(path.join(dir, 'bad.wasm')));
+});
+
+test('--diagnostics=json печатает диагностики массивом JSON', async () => {
+    const { code, stderr } = run(['--diagnostics=json', bad]);
+
+    assert.strictEqual(code, 1);
+    const [diagnostic] = JSON.parse(stderr);
+    assert.strictEqual(diagnostic.code, 'T012');
+    assert.strictEqual(diagnostic.severity, 'error');
+    assert.strictEqual(diagnostic.startLine, 2);
+});
+
+test('неверные аргументы и нечитаемый файл - код 2', async () => {
+    const cases = [
+        [good, '--bogus'],
+        ['--emit=exe', good],
+        ['--optimize=bogusPass', good],
+        ['--optimize=constantFolding,bogusPass', good],
+        ['--Werror', good],
+        [],
+        [path.join(dir, 'missing.js')]
+    ];
+    for (const argv of cases) {
+        assert.strictEqual(run(argv).code, 2, argv.join(' '));
+    }
+    assert.match(run(['--optimize=bogusPass', good]).stderr, /bogusPass/);
+});
+
+test('модуль с import записывается, хотя не инстанцируется', async () => {
+    const program = file('main.js', [
+        'import function square(x: i32): i32 from "math";',
+        'function f(x: i32): i32 {',
+        '    return square(x) + 1;',
+        '}'
+    ].join('\n'));
+
+    for (const backend of ['wat', 'binary']) {
+        const { code, stdout } = run([`--backend=${backend}`, '-o', '-', program]);
+        assert.strictEqual(code, 0, backend);
+
+        const module = new WebAssembly.Module(stdout);
+        const imports = WebAssembly.Module.imports(module).filter(entry => entry.module === 'math');
+        assert.deepStrictEqual(imports.map(entry => entry.name), ['square']);
+    }
+});
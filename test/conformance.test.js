@@ -0,0 +1,342 @@
+/**
+ * Соответствие скомпилированного кода JavaScript.
+ *
+ * Каждый случай компилируется обоими бэкендами, и результаты вызовов
+ * сравниваются с выполнением того же исходного кода движком JS
+ * (Compiler.checkConformance).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { compile, conformanceMismatches } = require('./helpers.js');
+
+async function assertConforms(source, calls) {
+    assert.deepStrictEqual(await conformanceMismatches(source, calls), []);
+}
+
+test('&& и || возвращают операнд, а не логическое значение', async () => {
+    await assertConforms(`
+        function and(a: i32, b: i32): i32 { return a && b; }
+        function or(a: i32, b: i32): i32 { return a || b; }
+        function constants(): i32 { return 2 && 1; }
+    `, [
+        { name: 'and', args: [2, 1] },
+        { name: 'and', args: [0, 5] },
+        { name: 'and', args: [-3, 0] },
+        { name: 'or', args: [0, 7] },
+        { name: 'or', args: [4, 9] },
+        { name: 'or', args: [0, 0] },
+        { name: 'constants', args: [] }
+    ]);
+});
+
+test('&& и || над f64: 0 и NaN ложны', async () => {
+    await assertConforms(`
+        function and(a: f64, b: f64): f64 { return a && b; }
+        function or(a: f64, b: f64): f64 { return a || b; }
+    `, [
+        { name: 'and', args: [0.5, 2.5] },
+        { name: 'and', args: [0, 2.5] },
+        { name: 'and', args: [NaN, 1] },
+        { name: 'or', args: [NaN, 1.5] },
+        { name: 'or', args: [-0.25, 3] }
+    ]);
+});
+
+test('правый операнд не вычисляется, если результат известен по левому', async () => {
+    await assertConforms(`
+        let calls = 0;
+        function bump(): i32 { calls = calls + 1; return 1; }
+        function and(a: i32): i32 { let r = a && bump(); return calls * 10 + r; }
+        function or(a: i32): i32 { let r = a || bump(); return calls * 10 + r; }
+    `, [
+        { name: 'and', args: [0] },
+        { name: 'and', args: [3] },
+        { name: 'or', args: [5] },
+        { name: 'or', args: [0] },
+        { name: 'and', args: [0] }
+    ]);
+});
+
+test('тернарный оператор вычисляет условие до ветки', async () => {
+    await assertConforms(`
+        let t = 0;
+        function bump(): boolean { t = t + 1; return true; }
+        function f(): i32 { return bump() ? t : 0; }
+    `, [
+        { name: 'f', args: [] },
+        { name: 'f', args: [] }
+    ]);
+});
+
+test('let без инициализатора в цикле начинается с нуля', async () => {
+    await assertConforms(`
+        function f(n: i32): i32 {
+            let s = 0;
+            for (let i = 0; i < n; i = i + 1) {
+                let seen: boolean;
+                if (seen) {
+                    s = s + 1;
+                }
+                seen = true;
+            }
+            return s;
+        }
+    `, [
+        { name: 'f', args: [4] }
+    ]);
+});
+
+test('короткое вычисление в условиях if и while', async () => {
+    await assertConforms(`
+        function safeDiv(a: i32, b: i32): i32 {
+            if (b !== 0 && a / b > 2) { return 1; }
+            return 0;
+        }
+        function count(n: i32): i32 {
+            let i = 0;
+            while (i < n || i < 3) { i = i + 1; }
+            return i;
+        }
+        function both(a: boolean, b: boolean): boolean { return a && b || !a && !b; }
+    `, [
+        { name: 'safeDiv', args: [9, 0] },
+        { name: 'safeDiv', args: [9, 2] },
+        { name: 'safeDiv', args: [3, 2] },
+        { name: 'count', args: [0] },
+        { name: 'count', args: [7] },
+        { name: 'both', args: [true, true] },
+        { name: 'both', args: [true, false] },
+        { name: 'both', args: [false, false] }
+    ]);
+});
+
+test('арифметика i32 и f64', async () => {
+    await assertConforms(`
+        function add(a: i32, b: i32): i32 { return a + b; }
+        function mod(a: i32, b: i32): i32 { return a % b; }
+        function mix(a: i32, x: f64): f64 { return a * x - 1; }
+        function fmod(x: f64, y: f64): f64 { return x % y; }
+    `, [
+        { name: 'add', args: [2, 3] },
+        { name: 'mod', args: [-7, 3] },
+        { name: 'mix', args: [3, 0.5] },
+        { name: 'fmod', args: [5.5, 2] },
+        { name: 'fmod', args: [-5.5, 2] }
+    ]);
+});
+
+test('строки', async () => {
+    await assertConforms(`
+        function greet(name: string): string { return "Hello, " + name + "!"; }
+        function size(s: string): i32 { return s.length; }
+        function constant(): string { return "ab" + "c"; }
+    `, [
+        { name: 'greet', args: ['World'] },
+        { name: 'greet', args: [''] },
+        { name: 'size', args: ['héllo'] },
+        { name: 'constant', args: [] }
+    ]);
+});
+
+test('сравнение строк по единицам UTF-16', async () => {
+    const pairs = [
+        ['！', '\u{1F600}'], ['\u{1F600}', '\uFFFF'], ['\uE000', '\u{10000}'],
+        ['\uD7FF', '\u{1F600}'], ['\u{1F600}', '\u{1F601}'], ['a\u{1F600}', 'a\uFB01'],
+        ['abc', 'abd'], ['ab', 'abc'], ['é', 'z'], ['', '']
+    ];
+    await assertConforms(`
+        function less(a: string, b: string): boolean { return a < b; }
+        function greater(a: string, b: string): boolean { return a > b; }
+        function atMost(a: string, b: string): boolean { return a <= b; }
+    `, pairs.flatMap(args => [
+        { name: 'less', args },
+        { name: 'greater', args },
+        { name: 'atMost', args }
+    ]));
+});
+
+test('let блока скрывает внешнюю переменную только внутри блока', async () => {
+    await assertConforms(`
+        function nested(n: i32): i32 {
+            let count = 0;
+            for (let i = 0; i < n; i++) {
+                for (let i = 0; i < n; i++) {}
+                count++;
+            }
+            return count;
+        }
+        function outer(n: i32): i32 {
+            let i = 10;
+            for (let i = 0; i < n; i++) {}
+            return i;
+        }
+        function block(n: i32): i32 {
+            let x = 1;
+            { let x = 2; n = n + x; }
+            return n * 10 + x;
+        }
+        let g = 10;
+        function global(n: i32): i32 {
+            for (let g = 0; g < n; g++) {}
+            return g;
+        }
+        function arrow(n: i32): i32 {
+            let x = 1;
+            const twice = (a: i32) => { { let x = a * 2; } return x + a; };
+            return twice(n);
+        }
+    `, [
+        { name: 'nested', args: [3] },
+        { name: 'outer', args: [3] },
+        { name: 'block', args: [3] },
+        { name: 'global', args: [3] },
+        { name: 'arrow', args: [3] }
+    ]);
+});
+
+test('++, -- и составное присваивание', async () => {
+    await assertConforms(`
+        function update(n: i32): i32 {
+            let x = n;
+            let y = x++;
+            let z = ++x;
+            x--;
+            --x;
+            return x * 100 + y * 10 + z;
+        }
+        function compound(x: f64): f64 {
+            let y = x;
+            y += 0.5;
+            y /= 2;
+            y -= 1;
+            y *= 3;
+            y %= 2;
+            return y;
+        }
+        function elements(n: i32): i32 {
+            let a = [1, 2, 3];
+            let j = 0;
+            a[j] += n;
+            a[j + 1] *= 2;
+            a[2]--;
+            return a[0] * 100 + a[1] * 10 + a[2];
+        }
+        let total = 0;
+        function counter(n: i32): i32 {
+            total += n;
+            return total++;
+        }
+        function greet(name: string): string {
+            let s = "Hello";
+            s += ", " + name;
+            return s;
+        }
+    `, [
+        { name: 'update', args: [3] },
+        { name: 'compound', args: [2.25] },
+        { name: 'elements', args: [4] },
+        { name: 'counter', args: [2] },
+        { name: 'counter', args: [5] },
+        { name: 'greet', args: ['World'] }
+    ]);
+});
+
+test('Math.floor, ceil, round и trunc над number возвращают number', async () => {
+    const source = `
+        function floor(x: f64): f64 { return Math.floor(x); }
+        function ceil(x: f64): f64 { return Math.ceil(x); }
+        function round(x: f64): f64 { return Math.round(x); }
+        function trunc(x: f64): f64 { return Math.trunc(x); }
+        function half(x: f64): f64 { return Math.floor(x) + 0.5; }
+        function whole(n: i32): i32 { return Math.round(n) * 2; }
+    `;
+    const calls = [];
+    for (const name of ['floor', 'ceil', 'round', 'trunc']) {
+        for (const x of [2.5, -2.5, -0.4, 3e9, -1e300, NaN, Infinity, -Infinity]) {
+            calls.push({ name, args: [x] });
+        }
+    }
+    calls.push({ name: 'half', args: [3e9 + 0.75] }, { name: 'whole', args: [-7] });
+    await assertConforms(source, calls);
+
+    // checkConformance не отличает -0 от 0
+    const results = await compile(source);
+    const { round, ceil, trunc } = results.wasmModule.exports;
+    assert.ok(Object.is(round(-0.5), -0));
+    assert.ok(Object.is(round(-0.4), -0));
+    assert.ok(Object.is(ceil(-0.5), -0));
+    assert.ok(Object.is(trunc(-0.5), -0));
+});
+
+test('константы Math', async () => {
+    await assertConforms(`
+        function pi(): f64 { return Math.PI; }
+        function circle(r: f64): f64 { return 2 * Math.PI * r; }
+        function logs(): f64 { return Math.E + Math.LN2 * 10 + Math.LN10 * 100 + Math.LOG2E + Math.LOG10E; }
+        function roots(): f64 { return Math.SQRT2 * 1000 + Math.SQRT1_2; }
+    `, [
+        { name: 'pi', args: [] },
+        { name: 'circle', args: [1.5] },
+        { name: 'logs', args: [] },
+        { name: 'roots', args: [] }
+    ]);
+});
+
+test('функции Math, импортируемые из JavaScript', async () => {
+    const names = ['log2', 'log10', 'cbrt', 'asin', 'acos', 'sinh', 'cosh', 'tanh',
+                   'asinh', 'acosh', 'atanh', 'expm1', 'log1p', 'fround'];
+    const source = names.map(name => `function ${name}(x: f64): f64 { return Math.${name}(x); }`).join('\n');
+    const calls = [];
+    for (const name of names) {
+        for (const x of [0.5, -0.25, 1, 8, 1e-10, -0, 1.1, NaN, Infinity]) {
+            calls.push({ name, args: [x] });
+        }
+    }
+    await assertConforms(source, calls);
+});
+
+test('Math.min, Math.max и Math.hypot с любым числом аргументов', async () => {
+    await assertConforms(`
+        function min3(a: i32, b: i32, c: i32): i32 { return Math.min(a, b, c); }
+        function max4(a: i32, b: i32, c: i32): i32 { return Math.max(a, b, c, 7); }
+        function mixed(a: f64, b: i32): f64 { return Math.min(a, b, 3) + Math.max(a); }
+        function zeros(a: f64, b: f64): f64 { return 1 / Math.min(a, 1, b) + 1 / Math.max(b, -1, a); }
+        function empty(): f64 { return Math.min() - Math.max(); }
+        function one(x: f64): f64 { return Math.hypot(x); }
+        function three(x: f64, y: f64, z: f64): f64 { return Math.hypot(x, y, z) + Math.hypot(x, y); }
+        function none(): f64 { return Math.hypot(); }
+    `, [
+        { name: 'min3', args: [3, -2, 9] },
+        { name: 'min3', args: [-2147483648, 0, 2147483647] },
+        { name: 'max4', args: [1, 2, 3] },
+        { name: 'max4', args: [10, 30, 20] },
+        { name: 'mixed', args: [2.5, 1] },
+        { name: 'mixed', args: [NaN, 1] },
+        { name: 'mixed', args: [-0, 5] },
+        { name: 'zeros', args: [0, -0] },
+        { name: 'zeros', args: [-0, 0] },
+        { name: 'zeros', args: [NaN, -0] },
+        { name: 'empty', args: [] },
+        { name: 'one', args: [-3] },
+        { name: 'three', args: [3, 4, 12] },
+        { name: 'three', args: [1e300, -1e300, 5] },
+        { name: 'three', args: [NaN, Infinity, 1] },
+        { name: 'none', args: [] }
+    ]);
+});
+
+test('parseInt с основанием', async () => {
+    const cases = [
+        ['ff', 16], ['0x1f', 16], ['0x1f', 0], ['0x1f', 10], ['0x', 16], ['101', 2], ['102', 2],
+        ['z', 36], ['Z9', 36], ['12', 1], ['12', 37], ['12', -5], ['  -7a', 11], ['+17', 8], ['', 10]
+    ];
+    await assertConforms(`
+        function parse(s: string, radix: i32): f64 { return parseInt(s, radix); }
+        function hex(s: string): f64 { return parseInt(s, 16) + parseInt(s); }
+    `, [
+        ...cases.map(args => ({ name: 'parse', args })),
+        { name: 'hex', args: ['0x10'] },
+        { name: 'hex', args: ['10'] }
+    ]);
+});
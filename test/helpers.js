@@ -0,0 +1,40 @@
+/**
+ * Общие помощники тестов компилятора Stage 5.
+ *
+ * Компилятор подробно пишет фазы в консоль; в тестах этот вывод только
+ * мешает, поэтому quiet глушит console на время вызова.
+ */
+
+const { Compiler } = require('../stage5-compiler.js');
+
+async function quiet(fn) {
+    const saved = [console.log, console.warn, console.error];
+    console.log = console.warn = console.error = () => {};
+    try {
+        return await fn();
+    } finally {
+        [console.log, console.warn, console.error] = saved;
+    }
+}
+
+/**
+ * Компилирует код и возвращает результаты компиляции (без вывода в консоль).
+ */
+function compile(source, options = {}) {
+    return quiet(() => new Compiler().compile(source, options));
+}
+
+/**
+ * Проверяет соответствие скомпилированного кода эталонному JS для обоих
+ * бэкендов и возвращает несовпадения (пустой массив - всё совпало).
+ */
+async function conformanceMismatches(source, calls, options = {}) {
+    const mismatches = [];
+    for (const backend of ['wat', 'binary']) {
+        const report = await quiet(() => new Compiler().checkConformance(source, calls, { ...options, backend }));
+        mismatches.push(...report.mismatches.map(mismatch => ({ backend, ...mismatch })));
+    }
+    return mismatches;
+}
+
+module.exports = { Compiler, quiet, compile, conformanceMismatches };
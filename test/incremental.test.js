@@ -0,0 +1,128 @@
+/**
+ * Инкрементальная компиляция (CompilationCache): после правки
+ * пересчитывается только то, что от неё зависит, а результат тот же,
+ * что у компиляции с нуля.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { Compiler, quiet } = require('./helpers.js');
+
+const source = `function half(x: i32) {
+    return x - 1;
+}
+
+function twice(x: i32) {
+    return half(x) * 4;
+}
+
+function square(x: i32): i32 {
+    return x * x;
+}
+
+let greeting = "hi";
+`;
+
+function output(results) {
+    return results.backend === 'wat' ? results.watCode : Buffer.from(results.binary).toString('hex');
+}
+
+/**
+ * Компилирует source, затем edited с тем же кэшем; проверяет, что
+ * результат совпадает с компиляцией edited с нуля, и возвращает его.
+ */
+async function recompile(edited, backend) {
+    const compiler = new Compiler();
+    await quiet(() => compiler.compile(source, { incremental: true, backend }));
+    const results = await quiet(() => compiler.compile(edited, { incremental: true, backend }));
+    const fresh = await quiet(() => new Compiler().compile(edited, { backend }));
+
+    assert.deepStrictEqual(results.diagnostics, fresh.diagnostics);
+    assert.strictEqual(output(results), output(fresh));
+    return results;
+}
+
+for (const backend of ['wat', 'binary']) {
+    test(`тот же код берётся из кэша целиком (${backend})`, async () => {
+        const results = await recompile(source, backend);
+
+        assert.deepStrictEqual(results.incremental, {
+            chunks: 4, parsedChunks: 0, components: 3, typedComponents: 0,
+            reusedFunctions: 3, generatedFunctions: 0
+        });
+    });
+
+    test(`правка тела функции пересчитывает только её (${backend})`, async () => {
+        const results = await recompile(source.replace('x * x', 'x * x + 1'), backend);
+
+        assert.deepStrictEqual(results.incremental, {
+            chunks: 4, parsedChunks: 1, components: 3, typedComponents: 1,
+            reusedFunctions: 2, generatedFunctions: 1
+        });
+        assert.strictEqual(results.wasmModule.instance.exports.square(3), 10);
+    });
+
+    test(`сдвинутая вниз функция сохраняет ключ фрагмента (${backend})`, async () => {
+        const results = await recompile(source.replace('function square', '\n\nfunction square'), backend);
+
+        assert.deepStrictEqual(results.incremental, {
+            chunks: 4, parsedChunks: 0, components: 3, typedComponents: 0,
+            reusedFunctions: 3, generatedFunctions: 0
+        });
+        // Строки узлов из кэша сдвинуты
+        assert.deepStrictEqual(results.ast.body.map(node => node.loc.start.line), [1, 5, 11, 15]);
+    });
+
+    test(`смена типа результата перетипизирует вызывающие функции (${backend})`, async () => {
+        // half: i32 → f64, а с ней и результат twice
+        const results = await recompile(source.replace('x - 1', 'x / 2'), backend);
+
+        assert.strictEqual(results.incremental.parsedChunks, 2);
+        assert.strictEqual(results.incremental.typedComponents, 1);
+        const twice = results.typedAst.body.find(node => node.name === 'twice');
+        assert.strictEqual(twice.inferredType.returnType.toString(), 'number');
+        assert.strictEqual(results.wasmModule.instance.exports.twice(5), 10);
+
+        // Тело square в WAT повторяется; в двоичном модуле сдвинулись
+        // индексы типов, и оно генерируется заново
+        assert.strictEqual(results.incremental.reusedFunctions, backend === 'wat' ? 1 : 0);
+    });
+
+    test(`новый вызов объединяет компоненты (${backend})`, async () => {
+        const results = await recompile(source.replace('x * x', 'half(x) * x'), backend);
+
+        assert.deepStrictEqual(results.incremental, {
+            chunks: 4, parsedChunks: 3, components: 2, typedComponents: 1,
+            reusedFunctions: 2, generatedFunctions: 1
+        });
+        assert.strictEqual(results.wasmModule.instance.exports.square(3), 6);
+    });
+}
+
+test('тела функций одного бэкенда не достаются другому', async () => {
+    const compiler = new Compiler();
+    await quiet(() => compiler.compile(source, { incremental: true, backend: 'wat' }));
+    const binary = await quiet(() => compiler.compile(source, { incremental: true, backend: 'binary' }));
+    const wat = await quiet(() => compiler.compile(source, { incremental: true, backend: 'wat' }));
+
+    // AST и типы общие, а код функций генерируется заново
+    for (const results of [binary, wat]) {
+        assert.deepStrictEqual(results.incremental, {
+            chunks: 4, parsedChunks: 0, components: 3, typedComponents: 0,
+            reusedFunctions: 0, generatedFunctions: 3
+        });
+    }
+    const fresh = await quiet(() => new Compiler().compile(source, { backend: 'binary' }));
+    assert.strictEqual(output(binary), output(fresh));
+});
+
+test('диагностики из кэша сдвигаются вместе с функцией', async () => {
+    const broken = source.replace('return x * x;', 'return "s";');
+    const compiler = new Compiler();
+    await quiet(() => compiler.compile(broken, { incremental: true }));
+    const edited = '\n\n' + broken.replace('return x - 1', 'return x - 2');
+    const results = await quiet(() => compiler.compile(edited, { incremental: true }));
+
+    assert.strictEqual(results.incremental.typedComponents, 1);
+    assert.deepStrictEqual(results.diagnostics.map(d => `${d.code} ${d.loc.start.line}`), ['T012 12']);
+});
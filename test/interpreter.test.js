@@ -0,0 +1,106 @@
+/**
+ * Эталонный интерпретатор (Compiler.interpret) не зависит от генератора
+ * кода: области видимости он строит по AST с семантикой JavaScript, и
+ * там, где язык совпадает с JavaScript, результат тот же, что у него.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { Compiler, quiet } = require('./helpers.js');
+
+function interpret(source, name, args) {
+    return quiet(() => new Compiler().interpret(source, name, args));
+}
+
+/**
+ * Результат вызова в самом JavaScript: типы из кода убирает
+ * stripTypeAnnotations.
+ */
+async function run(source, name, args) {
+    const compiler = new Compiler();
+    const { ast } = await quiet(() => compiler.compile(source, { stopAfter: 'parser' }));
+    const code = compiler.stripTypeAnnotations(source, ast);
+    return new Function(`${code}\nreturn ${name}(...arguments);`)(...args);
+}
+
+async function assertLikeJavaScript(source, name, args) {
+    assert.strictEqual(await interpret(source, name, args), await run(source, name, args));
+}
+
+test('let и const блока скрывают внешнюю переменную только в блоке', async () => {
+    await assertLikeJavaScript(`
+        function nested(n: i32): i32 {
+            let s = 0;
+            for (let i = 0; i < n; i = i + 1) {
+                for (let i = 0; i < 2; i = i + 1) {
+                    s = s + i;
+                }
+            }
+            return s;
+        }
+    `, 'nested', [3]);
+
+    await assertLikeJavaScript(`
+        function outer(n: i32): i32 {
+            let i = 10;
+            for (let i = 0; i < n; i = i + 1) {}
+            {
+                const i = 5;
+                n = n + i;
+            }
+            return i * 100 + n;
+        }
+    `, 'outer', [3]);
+});
+
+test('var видна во всей функции', async () => {
+    await assertLikeJavaScript(`
+        function f(n: i32): i32 {
+            var s = 1;
+            if (n > 0) {
+                var s = n * 2;
+            }
+            return s;
+        }
+    `, 'f', [4]);
+});
+
+test('замыкание в for (let ...) видит счётчик своей итерации', async () => {
+    await assertLikeJavaScript(`
+        function f(n: i32): i32 {
+            let g = (x: i32) => x;
+            for (let i = 0; i < n; i = i + 1) {
+                if (i == 1) {
+                    g = (x: i32) => x + i;
+                }
+            }
+            return g(100);
+        }
+    `, 'f', [4]);
+});
+
+test('тернарный оператор вычисляет условие до ветки', async () => {
+    await assertLikeJavaScript(`
+        let t = 0;
+        function bump(): boolean {
+            t = t + 1;
+            return true;
+        }
+        function f(): i32 {
+            return bump() ? t : 0;
+        }
+    `, 'f', []);
+});
+
+test('Math.floor над number не останавливает программу', async () => {
+    const source = 'function f(a: f64): f64 { return Math.floor(a) + 0.5; }';
+    assert.strictEqual(await interpret(source, 'f', [3e9]), 3000000000.5);
+    assert.strictEqual(await interpret(source, 'f', [NaN]), NaN);
+});
+
+test('строки сравниваются по единицам UTF-16, как в JavaScript', async () => {
+    const source = 'function less(a: string, b: string): boolean { return a < b; }';
+    for (const args of [['！', '\u{1F600}'], ['\u{1F600}', ''], ['퟿', '\u{10000}'], ['ab', 'a']]) {
+        assert.strictEqual(await interpret(source, 'less', args), (await run(source, 'less', args)) ? 1 : 0);
+    }
+});
@@ -0,0 +1,85 @@
+/**
+ * Лексер: типы и позиции токенов операторов, комментарии на несколько
+ * строк.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+require('./helpers.js');
+
+const { Lexer } = globalThis.CompilerStage5;
+
+/**
+ * Токены без EOF в виде "ТИП строка:столбец-строка:столбец".
+ */
+function tokens(source) {
+    return new Lexer(source).tokenize()
+        .filter(token => token.type !== 'EOF')
+        .map(token => `${token.type} ${token.line}:${token.column}-${token.endLine}:${token.endColumn}`);
+}
+
+test('многосимвольные операторы - самое длинное совпадение', () => {
+    assert.deepStrictEqual(tokens('a >>> b >> c << d\n=== !== == != <= >= => && ||'), [
+        'IDENTIFIER 1:1-1:2',
+        'UNSIGNED_SHIFT_RIGHT 1:3-1:6',
+        'IDENTIFIER 1:7-1:8',
+        'SHIFT_RIGHT 1:9-1:11',
+        'IDENTIFIER 1:12-1:13',
+        'SHIFT_LEFT 1:14-1:16',
+        'IDENTIFIER 1:17-1:18',
+        'STRICT_EQUAL 2:1-2:4',
+        'STRICT_NOT_EQUAL 2:5-2:8',
+        'EQUAL 2:9-2:11',
+        'NOT_EQUAL 2:12-2:14',
+        'LESS_EQUAL 2:15-2:17',
+        'GREATER_EQUAL 2:18-2:20',
+        'ARROW 2:21-2:23',
+        'LOGICAL_AND 2:24-2:26',
+        'LOGICAL_OR 2:27-2:29'
+    ]);
+});
+
+test('инкремент и составные присваивания', () => {
+    assert.deepStrictEqual(tokens('i++ j-- x += 1; x -= 1; x *= 1; x /= 1; x %= 1;')
+        .filter(token => !/^(IDENTIFIER|NUMBER|SEMICOLON)/.test(token)), [
+        'INCREMENT 1:2-1:4',
+        'DECREMENT 1:6-1:8',
+        'PLUS_ASSIGN 1:11-1:13',
+        'MINUS_ASSIGN 1:19-1:21',
+        'MULTIPLY_ASSIGN 1:27-1:29',
+        'DIVIDE_ASSIGN 1:35-1:37',
+        'MODULO_ASSIGN 1:43-1:45'
+    ]);
+});
+
+test('присваивания со сдвигами и битовыми операциями распадаются на два токена', () => {
+    const types = source => new Lexer(source).tokenize().map(token => token.type).slice(1, -2);
+
+    assert.deepStrictEqual(types('x >>>= 1'), ['UNSIGNED_SHIFT_RIGHT', 'ASSIGN']);
+    assert.deepStrictEqual(types('x >>= 1'), ['SHIFT_RIGHT', 'ASSIGN']);
+    assert.deepStrictEqual(types('x <<= 1'), ['SHIFT_LEFT', 'ASSIGN']);
+    assert.deepStrictEqual(types('x &= 1'), ['BITWISE_AND', 'ASSIGN']);
+    assert.deepStrictEqual(types('x |= 1'), ['BITWISE_OR', 'ASSIGN']);
+    assert.deepStrictEqual(types('x ^= 1'), ['BITWISE_XOR', 'ASSIGN']);
+});
+
+test('блочный комментарий на несколько строк не сбивает позиции', () => {
+    const source = 'let a = 1; /* первая\n   вторая\n третья */ let b =\n  /**/ 2;';
+    const lexer = new Lexer(source);
+    const all = lexer.tokenize();
+
+    assert.deepStrictEqual(tokens(source).slice(5), [
+        'LET 3:12-3:15',
+        'IDENTIFIER 3:16-3:17',
+        'ASSIGN 3:18-3:19',
+        'NUMBER 4:8-4:9',
+        'SEMICOLON 4:9-4:10'
+    ]);
+
+    const [comment] = all[5].comments;
+    assert.deepStrictEqual(comment, {
+        type: 'Block', value: ' первая\n   вторая\n третья ', line: 1, column: 12, ownLine: false
+    });
+    assert.deepStrictEqual(all[8].comments.map(c => [c.value, c.line, c.column]), [['', 4, 3]]);
+    assert.deepStrictEqual(lexer.diagnostics, []);
+});
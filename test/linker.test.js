@@ -0,0 +1,65 @@
+/**
+ * Раздельная компиляция: модули компилируются с опцией relocatable,
+ * функции других модулей объявляются через import function, и
+ * Compiler.link собирает из модулей один.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { Compiler, quiet, compile } = require('./helpers.js');
+
+const relocatable = { backend: 'binary', relocatable: true };
+
+test('вызов функции другого модуля через import', async () => {
+    const math = await compile(`
+        function square(x: i32): i32 { return x * x; }
+        function half(x: f64): f64 { return x / 2; }
+    `, relocatable);
+    const main = await compile(`
+        import function square(x: i32): i32 from "math";
+        import function half(x: f64): f64 from "math";
+        function f(x: i32): i32 { return square(x) + 1; }
+        function g(x: f64): f64 {
+            let h = half;
+            return h(x) + half(1);
+        }
+    `, relocatable);
+
+    assert.deepStrictEqual(math.errors, []);
+    assert.deepStrictEqual(main.errors, []);
+    // Без модуля math импорты не разрешить: модуль не инстанцируется
+    assert.strictEqual(main.wasmModule, null);
+
+    const linked = await quiet(() => new Compiler().link([
+        { name: 'math', wasm: math.binary },
+        { name: 'main', wasm: main.binary }
+    ]));
+    assert.strictEqual(linked.exports.f(5), 26);
+    assert.strictEqual(linked.exports.f(-46341), -2147479014);
+    assert.strictEqual(linked.exports.g(3), 2);
+});
+
+test('import без типов и import внутри функции - ошибки', async () => {
+    const untyped = await compile('import function square(x) from "math";', relocatable);
+    assert.deepStrictEqual(untyped.errors.map(error => error.code), ['T013', 'T013']);
+
+    const nested = await compile(`
+        function f(): i32 {
+            import function square(x: i32): i32 from "math";
+            return square(2);
+        }
+    `, relocatable);
+    assert.strictEqual(nested.errors[0].code, 'P003');
+});
+
+test('модуль с import по умолчанию (WAT) тоже даёт байты', async () => {
+    const main = await compile(`
+        import function square(x: i32): i32 from "math";
+        function f(x: i32): i32 { return square(x) + 1; }
+    `);
+
+    assert.deepStrictEqual(main.errors, []);
+    assert.strictEqual(main.wasmModule, null);
+    const imports = WebAssembly.Module.imports(new WebAssembly.Module(main.binary));
+    assert.ok(imports.some(entry => entry.module === 'math' && entry.name === 'square'));
+});
@@ -0,0 +1,139 @@
+/**
+ * Проходы оптимизации не меняют поведение: код компилируется без
+ * проходов и с одним проходом, и результаты вызовов (включая trap)
+ * сравниваются (Compiler.compareOptimizations).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { Compiler, quiet } = require('./helpers.js');
+
+/**
+ * Проверяет, что проход pass применился к коду и не изменил результатов.
+ */
+async function assertEquivalent(pass, source, calls) {
+    const report = await quiet(() => new Compiler().compareOptimizations(source, calls, [pass]));
+    assert.deepStrictEqual(report.mismatches, []);
+
+    const applied = report.optimizations.applied.find(item => item.name === pass);
+    assert.ok(applied && applied.changes > 0, `${pass} ничего не изменил`);
+}
+
+test('functionInlining', async () => {
+    await assertEquivalent('functionInlining', `
+        function square(x: i32): i32 { return x * x; }
+        function half(x: f64): f64 { return x / 2; }
+        function use(a: i32, b: f64): f64 { return square(a) + half(b); }
+    `, [
+        { name: 'use', args: [3, 5] },
+        { name: 'use', args: [65536, -0] },
+        { name: 'use', args: [-7, NaN] }
+    ]);
+});
+
+test('loopUnrolling', async () => {
+    await assertEquivalent('loopUnrolling', `
+        function sum(a: i32[]): i32 {
+            let s = 0;
+            for (let i = 0; i < 4; i = i + 1) {
+                s = s * 31 + a[i];
+            }
+            return s;
+        }
+        function first(): i32 { return sum([1, 2, 3, 4]); }
+        function short(): i32 { return sum([1, 2]); }
+    `, [
+        { name: 'first', args: [] },
+        { name: 'short', args: [] }
+    ]);
+});
+
+test('constantFolding', async () => {
+    await assertEquivalent('constantFolding', `
+        function wrap(): i32 { return 2147483647 + 1; }
+        function zero(): f64 { return -0 * 1.5; }
+        function text(): i32 { return ("a" + 1).length; }
+        function pick(x: i32): i32 { return true ? x * (2 + 3) : 0; }
+        function trap(): i32 { return 7 % 0; }
+    `, [
+        { name: 'wrap', args: [] },
+        { name: 'zero', args: [] },
+        { name: 'text', args: [] },
+        { name: 'pick', args: [4] },
+        { name: 'trap', args: [] }
+    ]);
+});
+
+test('strengthReduction', async () => {
+    await assertEquivalent('strengthReduction', `
+        function times8(x: i32): i32 { return x * 8; }
+        function quarter(x: f64): f64 { return x / 4; }
+        function twice(x: f64): f64 { return x * 2; }
+    `, [
+        { name: 'times8', args: [268435456] },
+        { name: 'times8', args: [-3] },
+        { name: 'quarter', args: [1e-320] },
+        { name: 'quarter', args: [-0] },
+        { name: 'twice', args: [Infinity] },
+        { name: 'twice', args: [-0.1] }
+    ]);
+});
+
+test('commonSubexpressionElimination', async () => {
+    await assertEquivalent('commonSubexpressionElimination', `
+        function hyp(a: f64, b: f64): f64 {
+            return (a * a + b * b) / (a * a + b * b + 1);
+        }
+        function mixed(x: i32, y: i32): i32 {
+            let r = (x * y + 3) * (x * y + 3);
+            return r - (x * y + 3);
+        }
+    `, [
+        { name: 'hyp', args: [3, 4] },
+        { name: 'hyp', args: [NaN, 1] },
+        { name: 'mixed', args: [46341, 46341] },
+        { name: 'mixed', args: [-2, 5] }
+    ]);
+});
+
+test('vectorization', async () => {
+    await assertEquivalent('vectorization', `
+        function scale(a: f64[], k: f64): f64 {
+            for (let i = 0; i < a.length; i = i + 1) {
+                a[i] = a[i] * k;
+            }
+            return a[0] + a[a.length - 1];
+        }
+        function run(k: f64): f64 {
+            return scale([0.5, 1.5, 2.5, 3.5, 4.5], k);
+        }
+    `, [
+        { name: 'run', args: [3] },
+        { name: 'run', args: [-0] },
+        { name: 'run', args: [NaN] }
+    ]);
+});
+
+test('deadCodeElimination', async () => {
+    await assertEquivalent('deadCodeElimination', `
+        function f(x: i32): i32 {
+            let unused = x * 2;
+            if (false) {
+                return 1;
+            }
+            while (false) {
+                x = x + 1;
+            }
+            return x;
+            x = 5;
+        }
+        function g(a: i32[]): i32 {
+            a[3];
+            return 0;
+        }
+        function trap(): i32 { return g([1]); }
+    `, [
+        { name: 'f', args: [9] },
+        { name: 'trap', args: [] }
+    ]);
+});
@@ -0,0 +1,58 @@
+/**
+ * Восстановление после ошибок: лексер и парсер не останавливаются на
+ * первой ошибке, а находят все ошибки за один проход и оставляют в AST
+ * всё, что удалось разобрать.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { Compiler, quiet } = require('./helpers.js');
+
+test('все ошибки лексера и парсера за один проход, остальной код разобран', async () => {
+    const source = `function first(x: i32): i32 {
+    return x @ 1;
+}
+let s = "abc
+if (s > ) { s = "x"; }
+let t = ;
+function second(x: i32): i32 {
+    return x * 2;
+}
+let u = 'ok';
+/* незакрытый
+`;
+    const results = await quiet(() => new Compiler().compile(source, { stopAfter: 'parser' }));
+
+    const found = results.diagnostics.map(d => `${d.code} ${d.loc.start.line}:${d.loc.start.column}`);
+    assert.deepStrictEqual(found, [
+        'L001 2:14',   // неизвестный символ пропущен
+        'L002 4:9',    // строка закончилась в конце строки кода
+        'L003 11:1',   // комментарий идёт до конца файла
+        'P001 5:9',
+        'P001 6:9'
+    ]);
+
+    const body = results.ast.body.map(node => `${node.type} ${node.name || ''}`.trim());
+    assert.deepStrictEqual(body, [
+        'FunctionDeclaration first',
+        'VariableDeclaration s',
+        'ErrorNode',
+        'VariableDeclaration t',
+        'FunctionDeclaration second',
+        'VariableDeclaration u'
+    ]);
+    assert.strictEqual(results.ast.body[1].init.value, 'abc');
+    assert.strictEqual(results.ast.body[3].init.type, 'ErrorNode');
+});
+
+test('ошибка лексера не мешает типовому анализу остального кода', async () => {
+    const results = await quiet(() => new Compiler().compile(`
+        let a = 1 # 2;
+        function f(x: i32): i32 {
+            return x + "s";
+        }
+    `));
+
+    assert.deepStrictEqual(results.diagnostics.map(d => d.code), ['L001', 'T012']);
+    assert.ok(results.typedAst);
+});
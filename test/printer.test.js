@@ -0,0 +1,73 @@
+/**
+ * Принтер: parse → print → parse даёт то же дерево, а повторная печать -
+ * тот же текст (Compiler.format).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { Compiler } = require('./helpers.js');
+
+function parse(source) {
+    const { Lexer, Parser } = globalThis.CompilerStage5;
+    return new Parser(new Lexer(source).tokenize()).parse();
+}
+
+/**
+ * Дерево без позиций: после печати код стоит на других строках.
+ */
+function shape(ast) {
+    return JSON.parse(JSON.stringify(ast, (key, value) =>
+        key === 'loc' || key === 'line' || key === 'column' || key === 'ownLine' ? undefined : value));
+}
+
+function assertIdempotent(source) {
+    const compiler = new Compiler();
+    const printed = compiler.format(source);
+    assert.deepStrictEqual(shape(parse(printed)), shape(parse(source)));
+    assert.strictEqual(compiler.format(printed), printed);
+}
+
+test('печать сохраняет дерево и повторно не меняется', () => {
+    assertIdempotent(`
+        import function show(s: string, n: i32): void from "io";
+        // Сумма квадратов
+        function sum(a: i32[], n: i32): i32 {
+            let total = 0;   // накопитель
+            for (let i = 0; i < n; i++) {
+                total += a[i] * a[i];
+            }
+            /* конец цикла */
+            return total;
+        }
+        function pick(x: f64): f64 {
+            if (x > 1) {
+                return (x - 1) * (2 - x);
+            } else if (-x > 1) return -(x + 1);
+            else {
+                return x % 1 ? x : x / 2;
+            }
+        }
+        const point = { x: 1, y: "два", "if": true };
+        let f = (a, b) => a - (b - a);
+        let g = (s) => s.length + s.charCodeAt(0);
+        while (!point.x || point.x-- > 0) {
+            point.x = point.x * 2;
+            break;
+        }
+        // последний
+    `);
+});
+
+test('комментарий внутри выражения - ошибка P004, а не потеря', () => {
+    const compiler = new Compiler();
+    const sources = [
+        'let x = 1 /* c */ + 2;',
+        'function f(/* p */ a: i32): i32 { return a; }',
+        'const o = {\n    x: 1, // first\n    y: 2\n};',
+        'if (true) {\n    f();\n} // tail\nelse {\n    g();\n}'
+    ];
+    for (const source of sources) {
+        assert.throws(() => compiler.format(source),
+            error => error.name === 'CompilerError' && error.diagnostic.code === 'P004', source);
+    }
+});
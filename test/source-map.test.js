@@ -0,0 +1,93 @@
+/**
+ * Карта кода (опция sourceMap): модуль ссылается на карту из секции
+ * sourceMappingURL, секция name даёт имена функций и переменных, а
+ * смещение упавшей инструкции находится в карте как строка исходного кода.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { compile } = require('./helpers.js');
+
+const { SourceMap } = globalThis.CompilerStage5;
+
+const source = `function remainder(a: i32, b: i32): i32 {
+    let sum = a + 1;
+    return sum % b;
+}
+
+function outer(a: i32, b: i32): i32 {
+    let r = 0;
+    r = remainder(a, b);
+    return r;
+}
+`;
+
+/**
+ * Содержимое пользовательской секции: строка с длиной в LEB128.
+ */
+function sectionText(section) {
+    const bytes = new Uint8Array(section);
+    let offset = 0;
+    while (bytes[offset++] & 0x80);
+    return Buffer.from(bytes.subarray(offset)).toString();
+}
+
+/**
+ * Места кадров WASM в стеке ошибки, от внутреннего к внешнему.
+ */
+function trace(error, sourceMap) {
+    return [...error.stack.matchAll(/wasm-function\[\d+\]:0x([0-9a-f]+)/g)]
+        .map(match => sourceMap.lookup(parseInt(match[1], 16)))
+        .map(location => `${location.fileName}:${location.line}:${location.column}`);
+}
+
+for (const backend of ['wat', 'binary']) {
+    test(`встроенная карта ведёт trap к строке исходного кода (${backend})`, async () => {
+        const results = await compile(source, { backend, sourceMap: { fileName: 'program.js' } });
+        assert.strictEqual(results.errors.length, 0);
+
+        const { module, exports } = results.wasmModule;
+        const [url] = WebAssembly.Module.customSections(module, 'sourceMappingURL');
+        const mappingURL = sectionText(url);
+        assert.match(mappingURL, /^data:application\/json;charset=utf-8;base64,/);
+
+        const [names] = WebAssembly.Module.customSections(module, 'name');
+        for (const name of ['remainder', 'outer', 'sum']) {
+            assert.ok(Buffer.from(names).includes(name), name);
+        }
+
+        const error = (() => {
+            try {
+                exports.outer(1, 0);
+            } catch (error) {
+                return error;
+            }
+        })();
+        assert.ok(error instanceof WebAssembly.RuntimeError);
+        assert.deepStrictEqual(trace(error, results.sourceMap), ['program.js:3:12', 'program.js:8:9']);
+
+        // Карта из секции - та же, что results.sourceMap
+        const json = Buffer.from(mappingURL.slice(mappingURL.indexOf(',') + 1), 'base64').toString();
+        assert.deepStrictEqual(trace(error, SourceMap.fromJSON(json)), trace(error, results.sourceMap));
+    });
+
+    test(`с url секция ссылается на файл карты (${backend})`, async () => {
+        const results = await compile(source, {
+            backend, sourceMap: { fileName: 'src/program.js', url: 'program.wasm.map' }
+        });
+
+        const [url] = WebAssembly.Module.customSections(results.wasmModule.module, 'sourceMappingURL');
+        assert.strictEqual(sectionText(url), 'program.wasm.map');
+
+        const map = JSON.parse(results.sourceMap.toString());
+        assert.deepStrictEqual(map.sources, ['src/program.js']);
+        assert.deepStrictEqual(map.sourcesContent, [source]);
+    });
+}
+
+test('оба бэкенда дают одинаковые карты', async () => {
+    const wat = await compile(source, { backend: 'wat', sourceMap: true });
+    const binary = await compile(source, { backend: 'binary', sourceMap: true });
+
+    assert.strictEqual(wat.sourceMap.toString(), binary.sourceMap.toString());
+});
@@ -0,0 +1,98 @@
+/**
+ * Диагностики анализатора типов.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { compile, conformanceMismatches } = require('./helpers.js');
+
+function errorCodes(results) {
+    return results.errors.map(error => error.code);
+}
+
+test('присваивание константе - ошибка T014', async () => {
+    const local = await compile('function f(): i32 { const k = 1; k = 2; return k; }');
+    assert.deepStrictEqual(errorCodes(local), ['T014']);
+    assert.strictEqual(local.wasmModule, null);
+
+    const global = await compile('const g = 1; function f(): i32 { g = 2; return g; }');
+    assert.deepStrictEqual(errorCodes(global), ['T014']);
+
+    const later = await compile('function f(): i32 { c = 4; return 0; } const c = 3;');
+    assert.deepStrictEqual(errorCodes(later), ['T014']);
+});
+
+test('параметр и переменная блока скрывают константу', async () => {
+    const results = await compile(`
+        const k = 1;
+        function f(k: i32): i32 { k = 3; return k; }
+        function g(): i32 { let k = 2; k = k + 1; return k; }
+    `);
+    assert.deepStrictEqual(errorCodes(results), []);
+});
+
+test('функция видит переменные верхнего уровня, объявленные ниже неё', async () => {
+    assert.deepStrictEqual(await conformanceMismatches(`
+        function get(): i32 { return q; }
+        function half(): f64 { return r / 2; }
+        let q = 7;
+        let r = 3;
+    `, [
+        { name: 'get', args: [] },
+        { name: 'half', args: [] }
+    ]), []);
+});
+
+test('код верхнего уровня не видит переменные, объявленные ниже', async () => {
+    const results = await compile('let a = b; let b = 1;');
+    assert.deepStrictEqual(errorCodes(results), ['T001']);
+});
+
+test('++ над дробным числом в значении и над строкой - ошибки', async () => {
+    const postfix = await compile('function f(x: f64): f64 { let y = x++; return y; }');
+    assert.deepStrictEqual(errorCodes(postfix), ['T003']);
+
+    const prefix = await compile('function f(x: f64): f64 { x++; return ++x; }');
+    assert.deepStrictEqual(errorCodes(prefix), []);
+
+    const string = await compile('function f(s: string): string { s++; return s; }');
+    assert.deepStrictEqual(errorCodes(string), ['T003']);
+});
+
+test('составное присваивание элементу с вызовом в индексе не поддерживается', async () => {
+    const results = await compile(`
+        function next(): i32 { return 0; }
+        function f(a: i32[]): i32 { a[next()] += 1; return a[0]; }
+    `);
+    assert.deepStrictEqual(errorCodes(results), ['T011']);
+});
+
+test('++ константе - ошибка T014', async () => {
+    const results = await compile('function f(): i32 { const k = 1; k++; return k; }');
+    assert.deepStrictEqual(errorCodes(results), ['T014']);
+});
+
+test('число аргументов встроенных функций', async () => {
+    const valid = await compile(`
+        function f(s: string, a: f64): f64 {
+            return Math.min(a, 1, 2) + Math.max(a) + Math.hypot(a, a, a) + parseInt(s, 16) + parseInt(s);
+        }
+    `);
+    assert.deepStrictEqual(errorCodes(valid), []);
+
+    const invalid = await compile(`
+        function f(s: string, a: f64): f64 {
+            return parseInt() + parseInt(s, 2, 3) + parseInt(s, a) + Math.min(1, s) + Math.imul(1);
+        }
+    `);
+    assert.deepStrictEqual(errorCodes(invalid), ['T005', 'T005', 'T006', 'T006', 'T005']);
+});
+
+test('присваивание встроенной константе - ошибка T014', async () => {
+    const results = await compile('function f(): f64 { Math.PI = 3; return Math.PI; }');
+    assert.deepStrictEqual(errorCodes(results), ['T014']);
+
+    // Свойство объекта, инициализированное константой, менять можно
+    const copy = await compile('function f(): f64 { let o = { x: Math.PI }; o.x = 2; return o.x; }');
+    assert.deepStrictEqual(errorCodes(copy), []);
+});
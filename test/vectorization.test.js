@@ -0,0 +1,166 @@
+/**
+ * Векторизованные циклы дают те же результаты, что и скалярные:
+ * один и тот же код компилируется без проходов и с проходом
+ * vectorization (Compiler.compareOptimizations), а также сравнивается
+ * с JavaScript обоими бэкендами.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { Compiler, quiet, compile, conformanceMismatches } = require('./helpers.js');
+
+const vectorization = { optimizations: ['vectorization'] };
+
+/**
+ * Проверяет, что цикл векторизован инструкциями формы shape и что
+ * результаты calls совпадают со скалярными и с JavaScript. Вызовы
+ * scalarOnly (переполнение i32, trap) сравниваются только со скалярными:
+ * у JavaScript здесь другая семантика.
+ */
+async function assertVectorized(shape, source, calls, scalarOnly = []) {
+    const results = await compile(source, vectorization);
+    assert.deepStrictEqual(results.errors, []);
+    assert.ok(results.watCode.includes(`${shape}.`), `нет инструкций ${shape}`);
+
+    const report = await quiet(() => new Compiler().compareOptimizations(
+        source, [...calls, ...scalarOnly], vectorization.optimizations));
+    assert.deepStrictEqual(report.mismatches, []);
+    assert.deepStrictEqual(await conformanceMismatches(source, calls, vectorization), []);
+}
+
+/**
+ * Вызовы для длин 0..max: остаток от деления на ширину вектора
+ * выполняет скалярный цикл.
+ */
+function lengths(name, max, ...rest) {
+    return Array.from({ length: max + 1 }, (_, n) => ({ name, args: [n, ...rest] }));
+}
+
+test('f64x2: поэлементные операции', async () => {
+    await assertVectorized('f64x2', `
+        function axpy(n: i32, k: f64): f64 {
+            let x = [0.5, -1.25, 3, 0.000001, -0.0, 7.75, 2.5];
+            let y = [1.5, 2.25, -3, 123456789.125, 0.1, 0.2, 0.3];
+            let z = [0.0, 0.0, 0.0, 0.0, 0.0, 0.0, 0.0];
+            for (let i = 0; i < n; i = i + 1) {
+                z[i] = k * x[i] + y[i] / 3 - -x[i];
+            }
+            let s = 0.0;
+            for (let j = 0; j < 7; j = j + 1) {
+                s = s * 1.5 + z[j];
+            }
+            return s;
+        }
+    `, [...lengths('axpy', 7, 2.5), { name: 'axpy', args: [5, NaN] }, { name: 'axpy', args: [3, -0] }]);
+});
+
+test('f64x2: свёртка сохраняет порядок округления', async () => {
+    await assertVectorized('f64x2', `
+        function sum(n: i32, big: f64): f64 {
+            let a = [big, 1.0, big, 1.0, -big, 1.0, -big];
+            let s = 0.0;
+            for (let i = 0; i < n; i = i + 1) {
+                s = s + a[i] * 1;
+            }
+            return s;
+        }
+        function product(n: i32): f64 {
+            let a = [1.1, 2.1, 3.1, 4.1, 5.1, 6.1, 7.1];
+            let p = 1.0;
+            for (let i = 0; i < n; i = i + 1) {
+                p = p * (a[i] - 0.05);
+            }
+            return p;
+        }
+        function difference(n: i32): f64 {
+            let a = [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7];
+            let d = 1.0;
+            for (let i = 0; i < n; i = i + 1) {
+                d = d - a[i] / 3;
+            }
+            return d;
+        }
+    `, [...lengths('sum', 7, 1e16), ...lengths('product', 7), ...lengths('difference', 7)]);
+});
+
+test('i32x4: свёртки и поэлементные операции', async () => {
+    const data = '[12, -5, 7, 3, -20, 65, 7, -1, 4]';
+    await assertVectorized('i32x4', `
+        function sum(n: i32, k: i32): i32 {
+            let a = ${data};
+            let s = 0;
+            for (let i = 0; i < n; i = i + 1) {
+                s = s + a[i] * k;
+            }
+            return s;
+        }
+        function difference(n: i32, k: i32): i32 {
+            let a = ${data};
+            let d = 100;
+            for (let i = 0; i < n; i = i + 1) {
+                d = d - (a[i] + k);
+            }
+            return d;
+        }
+        function product(n: i32, k: i32): i32 {
+            let a = ${data};
+            let p = 1;
+            for (let i = 0; i < n; i = i + 1) {
+                p = p * (a[i] - -k);
+            }
+            return p;
+        }
+        function scale(n: i32, k: i32): i32 {
+            let a = ${data};
+            let b = ${data};
+            for (let i = 0; i < n; i = i + 1) {
+                b[i] = a[i] * k - b[i];
+            }
+            let s = 0;
+            for (let j = 0; j < 9; j = j + 1) {
+                s = s + b[j] * (j + 1);
+            }
+            return s;
+        }
+    `, [
+        ...lengths('sum', 9, 3), ...lengths('difference', 9, 1), ...lengths('product', 9, 2),
+        ...lengths('scale', 9, 5)
+    ], [
+        // Переполнение i32: дорожки переполняются так же, как скалярный код
+        ...lengths('sum', 9, 1073741823), ...lengths('product', 9, 65536),
+        ...lengths('scale', 9, 715827883)
+    ]);
+});
+
+test('граница массива в группе: trap на том же элементе', async () => {
+    await assertVectorized('i32x4', `
+        let total = 0;
+        function copy(n: i32): i32 {
+            let a = [1, 2, 3, 4, 5, 6, 7, 8];
+            let b = [0, 0, 0, 0, 0, 0];
+            for (let i = 0; i < n; i = i + 1) {
+                b[i] = a[i] + 1;
+            }
+            return b[0] + b[5];
+        }
+        function sum(n: i32): i32 {
+            let a = [1, 2, 3, 4, 5];
+            for (let i = 0; i < n; i = i + 1) {
+                total = total + a[i];
+            }
+            return total;
+        }
+        function read(): i32 { return total; }
+    `, [
+        { name: 'copy', args: [6] },
+        { name: 'sum', args: [4] },
+        { name: 'read', args: [] }
+    ], [
+        // За границей JavaScript расширяет массив или читает undefined,
+        // а модуль останавливается - и с векторами, и без
+        { name: 'copy', args: [8] },
+        { name: 'copy', args: [7] },
+        { name: 'sum', args: [7] },
+        { name: 'read', args: [] }
+    ]);
+});
@@ -65,6 +65,9 @@ class WABridge {
         // Кэш для часто передаваемых данных
         this.sharedDataBuffers = new Map();
         
+        // Карта кода модуля (SourceMap из stage5-source-map.js) или null
+        this.sourceMap = null;
+        
         console.log('🌉 WABridge initialized - JavaScript ↔ WASM boundary layer');
     }
     
@@ -95,9 +98,7 @@ class WABridge {
             // Компилируем и инстанцируем WASM модуль
             const wasmModule = await WebAssembly.instantiate(wasmBytes, imports);
             
-            this.wasmModule = wasmModule;
-            this.wasmExports = wasmModule.instance.exports;
-            this.wasmMemory = this.wasmExports.memory;
+            this.attachInstance(wasmModule);
             
             // Вызываем функцию инициализации WASM модуля, если она есть
             if (this.wasmExports.initialize) {
@@ -116,6 +117,56 @@ class WABridge {
         }
     }
     
+    /**
+     * Подключает мост к уже инстанцированному модулю.
+     * 
+     * loadWASM загружает модуль сам; этот метод нужен, когда модуль
+     * получен иначе - например, скомпилирован в браузере компилятором
+     * stage 5 (Compiler.instantiateBinary).
+     * 
+     * @param {Object} wasmModule - Результат WebAssembly.instantiate: { module, instance }
+     */
+    attachInstance(wasmModule) {
+        this.wasmModule = wasmModule;
+        this.wasmExports = wasmModule.instance.exports;
+        this.wasmMemory = this.wasmExports.memory;
+    }
+    
+    /**
+     * Подключает карту кода модуля: с ней ошибка в call показывает, из
+     * какой строки исходного кода получена упавшая инструкция.
+     * 
+     * @param {Object} sourceMap - Объект с методом lookup(offset) →
+     *        { fileName, line, column } (SourceMap компилятора stage 5)
+     */
+    attachSourceMap(sourceMap) {
+        this.sourceMap = sourceMap;
+    }
+    
+    /**
+     * Места в исходном коде для кадров WASM в стеке ошибки. Движки пишут
+     * такой кадр как "...wasm-function[3]:0x5a" - смещение инструкции
+     * от начала модуля, которое и ищется в карте.
+     * 
+     * @param {Error} error - Ошибка вызова (например, trap)
+     * @returns {Array<string>} - "файл:строка:столбец" от внутреннего кадра к внешнему
+     */
+    sourceTrace(error) {
+        if (!this.sourceMap || !error || typeof error.stack !== 'string') {
+            return [];
+        }
+        
+        const trace = [];
+        for (const frame of error.stack.split('\n')) {
+            const match = /wasm-function\[\d+\]:0x([0-9a-f]+)/i.exec(frame);
+            const location = match ? this.sourceMap.lookup(parseInt(match[1], 16)) : null;
+            if (location) {
+                trace.push(`${location.fileName}:${location.line}:${location.column}`);
+            }
+        }
+        return trace;
+    }
+    
     /**
      * Подготавливает импорты - функции, которые WASM может вызывать из JavaScript.
      * 
@@ -176,11 +227,37 @@ class WABridge {
                 // Освобождение памяти, выделенной через jsAlloc
                 jsFree: (id) => {
                     self.sharedDataBuffers.delete(id);
-                }
+                },
+                
+                // Math.sin, Math.pow и другие функции без инструкции WASM
+                // для модулей компилятора stage 5
+                ...this.prepareMathImports()
             }
         };
     }
     
+    /**
+     * Функции Math под именами, с которыми их импортирует компилятор
+     * stage 5: env["Math.sin"] - это Math.sin.
+     * 
+     * Модуль импортирует только те функции, которые вызывает программа,
+     * поэтому мост передаёт все функции Math - лишние импорты WASM
+     * просто не использует.
+     * 
+     * @returns {Object} - Имя импорта → функция
+     */
+    prepareMathImports() {
+        const imports = {};
+        
+        for (const name of Object.getOwnPropertyNames(Math)) {
+            if (typeof Math[name] === 'function') {
+                imports[`Math.${name}`] = Math[name];
+            }
+        }
+        
+        return imports;
+    }
+    
     /**
      * Читает строку из WASM памяти.
      * 
@@ -214,6 +291,42 @@ class WABridge {
         return encoded.length;
     }
     
+    /**
+     * Читает строку, которую вернула функция, скомпилированная компилятором
+     * stage 5.
+     * 
+     * Такая функция возвращает не пару (ptr, len), а одно число - адрес
+     * заголовка строки в памяти: [длина: i32][байты UTF-8]. Длина
+     * читается из заголовка, а байты - обычным readString.
+     * 
+     * @param {number} ref - Адрес заголовка строки
+     * @returns {string} - Декодированная строка
+     */
+    readStringRef(ref) {
+        const length = new DataView(this.wasmMemory.buffer).getUint32(ref, true);
+        return this.readString(ref + 4, length);
+    }
+    
+    /**
+     * Создаёт строку в памяти модуля, скомпилированного компилятором stage 5,
+     * чтобы передать её в функцию модуля.
+     * 
+     * Место выделяется экспортированным аллокатором модуля (__alloc),
+     * заголовок с длиной пишется здесь, байты - обычным writeString.
+     * 
+     * @param {string} str - Строка для записи
+     * @returns {number} - Адрес заголовка строки
+     */
+    writeStringRef(str) {
+        const length = this.textEncoder.encode(str).length;
+        const ref = this.wasmExports.__alloc(4 + length);
+        
+        // __alloc мог увеличить память - DataView берётся после него
+        new DataView(this.wasmMemory.buffer).setUint32(ref, length, true);
+        this.writeString(str, ref + 4);
+        return ref;
+    }
+    
     /**
      * Вызывает WASM функцию с телеметрией.
      * 
@@ -261,6 +374,11 @@ class WABridge {
             
         } catch (error) {
             console.error(`Error calling WASM function '${funcName}':`, error);
+            
+            const trace = this.sourceTrace(error);
+            if (trace.length > 0) {
+                console.error(`  at ${trace.join('\n  at ')}`);
+            }
             return null;
         }
     }
@@ -497,10 +615,10 @@ if (typeof module !== 'undefined' && module.exports) {
     };
 }
 
-if (typeof window !== 'undefined') {
-    window.WASMBoundary = {
-        WABridge,
-        DOMEventAdapter,
-        RenderAdapter
-    };
-}
+// Регистрация в globalThis: так слой виден и странице, и компилятору
+// Stage 5 под Node (см. Compiler.createBridge)
+globalThis.WASMBoundary = {
+    WABridge,
+    DOMEventAdapter,
+    RenderAdapter
+};
@@ -435,10 +435,11 @@ class WASMCompiler {
     /**
      * Компилирует JavaScript функцию в WASM.
      * 
-     * Это главный метод компилятора. В реальной системе здесь происходили бы
-     * сложные трансформации кода. Для демонстрации мы показываем архитектуру
-     * и концепции, а не полную реализацию компилятора (что заняло бы тысячи
-     * строк кода).
+     * Если загружен компилятор Stage 5 (stage5-compiler.js), код
+     * компилирует он: бинарный модуль с перемещениями, который можно
+     * компоновать с другими (см. linkModules). Без него шаги ниже лишь
+     * показывают архитектуру: парсер и генератор - заглушки, а модуль
+     * пустой (только заголовок).
      * 
      * @param {Function|string} code - Функция или код для компиляции
      * @param {Object} options - Опции компиляции
@@ -450,21 +451,27 @@ class WASMCompiler {
         console.log('🔧 Compiling to WASM...');
         
         try {
-            // Шаг 1: Парсинг - преобразуем код в AST
-            const ast = this.parse(code);
-            console.log('  ✓ Parsed to AST');
-            
-            // Шаг 2: Анализ - проверяем типы, находим ошибки
-            this.analyze(ast);
-            console.log('  ✓ Analysis complete');
-            
-            // Шаг 3: Оптимизация - применяем трансформации
-            const optimizedAST = this.optimize(ast, options);
-            console.log('  ✓ Optimizations applied');
-            
-            // Шаг 4: Генерация WASM байткода
-            const wasmBytes = this.generateWASM(optimizedAST);
-            console.log('  ✓ WASM bytecode generated');
+            let wasmBytes;
+            if (globalThis.CompilerStage5 && globalThis.CompilerStage5.Compiler) {
+                wasmBytes = await this.compileStage5(String(code), options);
+                console.log('  ✓ Compiled by Stage 5 compiler');
+            } else {
+                // Шаг 1: Парсинг - преобразуем код в AST
+                const ast = this.parse(code);
+                console.log('  ✓ Parsed to AST');
+                
+                // Шаг 2: Анализ - проверяем типы, находим ошибки
+                this.analyze(ast);
+                console.log('  ✓ Analysis complete');
+                
+                // Шаг 3: Оптимизация - применяем трансформации
+                const optimizedAST = this.optimize(ast, options);
+                console.log('  ✓ Optimizations applied');
+                
+                // Шаг 4: Генерация WASM байткода
+                wasmBytes = this.generateWASM(optimizedAST);
+                console.log('  ✓ WASM bytecode generated');
+            }
             
             const compileTime = performance.now() - startTime;
             this.stats.totalCompilations++;
@@ -481,6 +488,28 @@ class WASMCompiler {
         }
     }
     
+    /**
+     * Компилирует код компилятором Stage 5 с проходами, которые выбрали
+     * бы для него опции optimize (см. optimizationSelection).
+     * 
+     * @returns {Promise<ArrayBuffer>} - Перемещаемый бинарный модуль
+     */
+    async compileStage5(source, options) {
+        const { Compiler } = globalThis.CompilerStage5;
+        
+        const selection = this.optimizationSelection(options);
+        const results = await new Compiler().compile(source, {
+            backend: 'binary',
+            relocatable: true,
+            optimizations: selection.length > 0 ? selection : null
+        });
+        
+        if (results.errors.length > 0) {
+            throw new Error(results.errors[0].message);
+        }
+        return results.binary.slice().buffer;
+    }
+    
     /**
      * Компилирует весь модуль бизнес-логики в WASM.
      * 
@@ -517,11 +546,16 @@ class WASMCompiler {
                     .filter(o => o.type === 'specialize' && o.function === func.name)
             };
             
-            const compiled = await this.compile(func.code, options);
-            compiledFunctions.push({
-                name: func.name,
-                wasm: compiled
-            });
+            // Функция, которую компилятор не принял, остаётся в JavaScript
+            try {
+                const compiled = await this.compile(func.code, options);
+                compiledFunctions.push({
+                    name: func.name,
+                    wasm: compiled
+                });
+            } catch (error) {
+                console.log(`  ⚠ ${func.name} stays in JavaScript: ${error.message}`);
+            }
         }
         
         // Объединяем все функции в один модуль
@@ -576,7 +610,7 @@ class WASMCompiler {
                 type: 'FunctionDeclaration',
                 name: 'demo',
                 params: [],
-                body: []
+                body: { type: 'BlockStatement', body: [] }
             }]
         };
     }
@@ -599,24 +633,62 @@ class WASMCompiler {
      * - Dead code elimination: удаляем недостижимый код
      * - Inlining: встраиваем тела маленьких функций
      * - Loop unrolling: разворачиваем короткие циклы
+     * 
+     * Сами преобразования выполняет PassManager компилятора Stage 5
+     * (stage5-optimizer.js). Список проходов собирается из опций:
+     * - options.optimizations - выбор селектора Stage 6 или Stage 7
+     *   (результат selectOptimizations передаётся как есть)
+     * - options.inline - встраивание функций
+     * - options.optimize - свёртка констант и удаление мёртвого кода
+     * 
+     * Без загруженного stage5-optimizer.js AST возвращается без изменений.
      */
     optimize(ast, options) {
         console.log('  Applying optimizations:');
         
-        if (options.inline) {
-            console.log('    - Function inlining');
+        const selection = this.optimizationSelection(options);
+        
+        if (options.specialize && options.specialize.length > 0) {
+            console.log('    - Type specialization (not implemented)');
         }
         
-        if (options.optimize) {
-            console.log('    - Constant folding');
-            console.log('    - Dead code elimination');
+        const PassManager = globalThis.CompilerStage5
+            ? globalThis.CompilerStage5.PassManager
+            : null;
+        
+        if (!PassManager) {
+            selection.forEach(item => console.log(`    - ${typeof item === 'string' ? item : item.name} (optimizer not loaded)`));
+            return ast;
         }
         
-        if (options.specialize && options.specialize.length > 0) {
-            console.log('    - Type specialization');
+        const report = new PassManager(selection).run(ast);
+        report.applied.forEach(pass => console.log(`    - ${pass.name}: ${pass.changes} changes`));
+        report.skipped.forEach(name => console.log(`    - ${name} (no such pass)`));
+        
+        return report.ast;
+    }
+    
+    /**
+     * Проходы PassManager, которые выбирают опции компиляции.
+     */
+    optimizationSelection(options) {
+        const selection = [];
+        if (options.optimizations) {
+            const chosen = Array.isArray(options.optimizations)
+                ? options.optimizations
+                : options.optimizations.selectedOptimizations || [];
+            selection.push(...chosen);
+        }
+        
+        if (options.inline) {
+            selection.push('functionInlining');
+        }
+        
+        if (options.optimize) {
+            selection.push('constantFolding', 'deadCodeElimination');
         }
         
-        return ast;
+        return selection;
     }
     
     /**
@@ -651,14 +723,39 @@ class WASMCompiler {
      * 
      * Когда мы компилируем функции отдельно, нам нужно объединить их
      * в единый модуль. Это включает разрешение ссылок между функциями,
-     * объединение таблиц типов, экспортов и импортов.
+     * объединение таблиц типов, экспортов и импортов - всё это делает
+     * WasmLinker (stage5-linker.js). Имя модуля - имя функции: другой
+     * модуль может импортировать её как (import "<имя>" "<экспорт>").
+     * 
+     * Пустые модули заглушки generateWASM (только заголовок) компоновать
+     * незачем: кода в них нет. Если код есть только в одном модуле, он и
+     * есть результат.
      */
     linkModules(modules) {
-        console.log(`  Linking ${modules.length} modules...`);
+        const withCode = modules.filter(module => module.wasm.byteLength > 8);
+        console.log(`  Linking ${withCode.length} modules...`);
+        if (withCode.length < modules.length) {
+            console.log(`    - ${modules.length - withCode.length} empty modules skipped`);
+        }
+        
+        if (withCode.length === 0) {
+            return this.generateWASM(null);
+        }
+        
+        const WasmLinker = globalThis.CompilerStage5
+            ? globalThis.CompilerStage5.WasmLinker
+            : null;
+        
+        if (withCode.length === 1 || !WasmLinker) {
+            if (withCode.length > 1) {
+                console.log('    - linker not loaded, using the first module');
+            }
+            return withCode[0].wasm;
+        }
         
-        // В реальной системе здесь был бы линкер WASM
-        // Для демонстрации просто возвращаем первый модуль
-        return modules[0]?.wasm || new ArrayBuffer(0);
+        const linked = new WasmLinker().link(withCode);
+        console.log(`    - ${linked.length} bytes`);
+        return linked.buffer;
     }
     
     /**